@@ -7,11 +7,23 @@ import helmet from "helmet";
 
 
 // Internal configs
-import healthCheckRouter from "./healthCheck-context/api/routers/health.v1.router.js";
+import { createHealthRouter } from "./healthCheck-context/api/routers/health.v1.router.js";
+import { createLoggingRouter } from "./healthCheck-context/api/routers/logging.v1.router.js";
+import {
+  baseLogger,
+  logShipper,
+  recentLogs,
+} from "./infrastructure/logging/logger.js";
 import apiConfigs from "./shared/configs/api.config.js";
+import authConfigs from "./shared/configs/auth.config.js";
 import middlewareConfigs from "./shared/configs/middlewares.config.js";
 
 // Middlewares
+import { createAdminAuthMiddleware } from "./shared/middlewares/auth.middleware.js";
+import {
+  createAccessLogMiddleware,
+  requestContextMiddleware,
+} from "./shared/middlewares/logging.middleware.js";
 import responseHandlerMiddleware from "./shared/middlewares/responseHandler.middleware.js";
 import {
   notFoundHandler,
@@ -30,13 +42,30 @@ const registerRouter = (router) => {
 
 // --- Global Middlewares ---
 app.use(express.json());
+app.use(requestContextMiddleware); // Request-scoped logging context (after body parsing)
+app.use(
+  createAccessLogMiddleware({
+    logger: baseLogger.child({ module: "http", feature: "access-log" }),
+    routes: [{ path: /\/health(\/|$)/, skip: true }], // Probes; 5xx still logged
+  })
+); // Structured access log via logger.http
 app.use(cors(middlewareConfigs.cors));
 app.use(helmet(middlewareConfigs.helmet));
 app.use(responseHandlerMiddleware); // Attach response helpers
 
 // --- API Routes ---
-registerRouter(healthCheckRouter);
+registerRouter(createHealthRouter({ logShipper }));
 registerRouter(registerSystemAdminRouter);
+registerRouter({
+  path: "/admin/logging",
+  handler: createLoggingRouter({
+    logger: baseLogger,
+    recentLogs,
+    authenticate: createAdminAuthMiddleware({
+      token: authConfigs.adminApiToken,
+    }),
+  }),
+});
 
 // --- 404 Handler ---
 app.use(notFoundHandler);
@@ -0,0 +1,170 @@
+/**
+ * Logging Control Router
+ *
+ * Flow:
+ * 1. Exposes the current log level of the running service
+ * 2. Changes the level at runtime, optionally reverting after a TTL
+ * 3. Queries and tails the recent in-memory log entries
+ * 4. Requires the operational admin token on every route
+ *
+ * @description Operational endpoints for incident debugging without restarts
+ */
+
+import { Router } from "express";
+
+import { HTTP_STATUS } from "../../../shared/constants/http.constants.js";
+import { ValidationError } from "../../../shared/errors/index.js";
+
+// Entries returned by GET /logs when no limit is given
+const DEFAULT_LOG_QUERY_LIMIT = 100;
+// Keeps idle SSE connections open through proxies
+const LOG_STREAM_HEARTBEAT_MS = 15000;
+
+/**
+ * Creates the logging control router.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.logger - Factory-produced logger (exposes setLevel/getLevel)
+ * @param {import('../../../infrastructure/logging/ring-buffer-logger.adapter.js').RingBufferLoggerAdapter} deps.recentLogs - In-memory log sink
+ * @param {Function} deps.authenticate - Middleware protecting all routes
+ * @returns {import('express').Router} Router to mount under the API prefix
+ */
+export function createLoggingRouter({ logger, recentLogs, authenticate }) {
+  const router = Router();
+
+  router.use(authenticate);
+
+  /**
+   * GET /logging/level
+   *
+   * @returns {Object} Current level and pending revert, if any
+   */
+  router.get("/level", (req, res) => {
+    res.sendSuccess(logger.getLevelStatus());
+  });
+
+  /**
+   * PUT /logging/level
+   *
+   * Flow:
+   * 1. Validates { level, ttlMs? } from the body
+   * 2. Applies the level to every output of the shared adapter
+   * 3. Writes an audit log entry and returns the resulting status
+   *
+   * @returns {Object} New level, previous level and revert schedule
+   */
+  router.put("/level", (req, res, next) => {
+    const { level, ttlMs } = req.body ?? {};
+
+    try {
+      const status = logger.setLevel(level, { ttlMs });
+      logger.warn("Log level changed at runtime", {
+        level: status.level,
+        previousLevel: status.previousLevel,
+        revertTo: status.revertTo,
+        expiresAt: status.expiresAt,
+      });
+      res.sendSuccess(status, "Log level updated");
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.sendError(error, HTTP_STATUS.BAD_REQUEST);
+      }
+      next(error);
+    }
+  });
+
+  /**
+   * GET /logging/logs
+   *
+   * Flow:
+   * 1. Validates the filters from the query string:
+   *    level (minimum severity), from / to (ISO time or epoch ms), correlationId,
+   *    requestId, module, feature, text and limit (default 100)
+   * 2. Returns the matching entries, oldest first
+   *
+   * @returns {Object} Matching entries and their count
+   */
+  router.get("/logs", (req, res, next) => {
+    try {
+      const entries = recentLogs.query({
+        limit: DEFAULT_LOG_QUERY_LIMIT,
+        ...req.query,
+      });
+      res.sendSuccess({ count: entries.length, entries });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.sendError(error, HTTP_STATUS.BAD_REQUEST);
+      }
+      next(error);
+    }
+  });
+
+  /**
+   * GET /logging/logs/stream
+   *
+   * Flow:
+   * 1. Validates the same filters as GET /logs (time range and limit ignored)
+   * 2. Opens a Server-Sent Events stream; each new matching entry is sent as a `log` event
+   * 3. Sends a heartbeat comment periodically and unsubscribes when the client disconnects
+   *
+   * Entries are sent from inside every log call, so a client that falls behind
+   * must not make the response buffer grow: while the socket is full, entries
+   * are dropped and counted; on `drain` a `dropped` event reports the count.
+   */
+  router.get("/logs/stream", (req, res, next) => {
+    let blocked = false;
+    let dropped = 0;
+
+    const write = (chunk) => {
+      blocked = !res.write(chunk);
+    };
+    const send = (entry) => {
+      if (blocked) {
+        dropped += 1;
+        return;
+      }
+      write(`event: log\ndata: ${JSON.stringify(entry)}\n\n`);
+    };
+
+    let unsubscribe;
+    try {
+      unsubscribe = recentLogs.subscribe(send, req.query);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.sendError(error, HTTP_STATUS.BAD_REQUEST);
+      }
+      return next(error);
+    }
+
+    res.status(HTTP_STATUS.OK.code).set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.flushHeaders();
+
+    res.on("drain", () => {
+      blocked = false;
+      if (dropped > 0) {
+        write(
+          `event: dropped\ndata: ${JSON.stringify({ count: dropped })}\n\n`
+        );
+        dropped = 0;
+      }
+    });
+
+    const heartbeat = setInterval(() => {
+      if (!blocked) write(": heartbeat\n\n");
+    }, LOG_STREAM_HEARTBEAT_MS);
+    heartbeat.unref();
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  return router;
+}
+
+export default createLoggingRouter;
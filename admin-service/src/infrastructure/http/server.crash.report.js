@@ -0,0 +1,131 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import { REDACTED } from "../../shared/utils/sanitizer.js";
+
+/**
+ * Normalizes whatever was thrown or rejected into an Error.
+ * @param {*} reason - Thrown value or rejection reason
+ * @returns {Error} The error itself, or an Error describing the value
+ */
+const toError = (reason) =>
+  reason instanceof Error
+    ? reason
+    : new Error(`Non-error value thrown: ${String(reason)}`, { cause: reason });
+
+/**
+ * Writes crash diagnostics to `dir`.
+ *
+ * Flow:
+ * 1. Builds a Node diagnostic report (`process.report`) for the error, with
+ *    environment variable values masked (they hold credentials)
+ * 2. Writes the last in-memory log entries as NDJSON
+ *
+ * Synchronous on purpose: it runs while the process is crashing.
+ *
+ * @param {Object} options
+ * @param {Error} options.error - Fatal error
+ * @param {string} options.dir - Crash directory
+ * @param {Object[]} options.entries - Last log entries, oldest first
+ * @param {boolean} [options.writeReport=true] - Include the diagnostic report
+ * @param {Date} [options.now] - Crash time (for file names)
+ * @returns {{report?: string, logs: string}} Written file paths
+ */
+export const writeCrashReport = ({
+  error,
+  dir,
+  entries,
+  writeReport = true,
+  now = new Date(),
+}) => {
+  fs.mkdirSync(dir, { recursive: true });
+  const baseName = `crash-${now.toISOString().replace(/[:.]/g, "-")}-${process.pid}`;
+  const files = {};
+
+  // STEP 1: Diagnostic report
+  if (writeReport && process.report) {
+    const report = process.report.getReport(error);
+    report.environmentVariables = Object.fromEntries(
+      Object.keys(report.environmentVariables ?? {}).map((name) => [name, REDACTED])
+    );
+    files.report = path.join(dir, `${baseName}.report.json`);
+    fs.writeFileSync(files.report, JSON.stringify(report, null, 2));
+  }
+
+  // STEP 2: Last log entries
+  files.logs = path.join(dir, `${baseName}.logs.ndjson`);
+  fs.writeFileSync(
+    files.logs,
+    entries.map((entry) => `${JSON.stringify(entry)}\n`).join("")
+  );
+
+  return files;
+};
+
+/**
+ * Creates the single process-wide handler for uncaught exceptions and unhandled rejections.
+ *
+ * Flow:
+ * 1. Runs once; later fatal errors during the crash are only logged
+ * 2. Arms a hard deadline that exits the process no matter what
+ * 3. Logs through `fatal` with the full error (BaseError component, operation, details, cause)
+ * 4. Writes the diagnostic report and the last log entries to the crash directory
+ * 5. Runs the normal shutdown (which closes the loggers and exits)
+ *
+ * @param {Object} deps
+ * @param {Object} deps.logger - Logger with `fatal` / `error`
+ * @param {{entries: Function}} deps.recentLogs - In-memory log sink
+ * @param {() => Promise<void>} deps.shutdown - Graceful shutdown
+ * @param {{dir: string, writeReport: boolean, logLines: number, shutdownDeadlineMs: number}} deps.crashConfig - Crash settings
+ * @param {(code: number) => void} [deps.exit] - Process exit (for tests)
+ * @returns {(kind: string, reason: *) => Promise<void>} Fatal error handler
+ */
+export const createFatalErrorHandler = ({
+  logger,
+  recentLogs,
+  shutdown,
+  crashConfig,
+  exit = (code) => process.exit(code),
+}) => {
+  let crashing = false;
+
+  return async (kind, reason) => {
+    const error = toError(reason);
+
+    // STEP 1: Only the first fatal error drives the crash
+    if (crashing) {
+      logger.error(`${kind} during crash handling`, { error });
+      return;
+    }
+    crashing = true;
+    process.exitCode = 1;
+
+    // STEP 2: Hard deadline
+    const deadline = setTimeout(() => exit(1), crashConfig.shutdownDeadlineMs);
+    deadline.unref();
+
+    // STEP 3: Fatal log entry
+    logger.fatal(`${kind}: ${error.message}`, { kind, error });
+
+    // STEP 4: Crash files
+    try {
+      const files = writeCrashReport({
+        error,
+        dir: crashConfig.dir,
+        entries: recentLogs.entries({ limit: crashConfig.logLines }),
+        writeReport: crashConfig.writeReport,
+      });
+      logger.fatal("Crash report written", { kind, files });
+    } catch (reportError) {
+      logger.error("Failed to write crash report", { error: reportError });
+    }
+
+    // STEP 5: Normal shutdown, still bounded by the deadline
+    try {
+      await shutdown();
+    } catch (shutdownError) {
+      logger.error("Shutdown after fatal error failed", { error: shutdownError });
+      exit(1);
+    }
+  };
+};
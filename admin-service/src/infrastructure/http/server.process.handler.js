@@ -1,19 +1,19 @@
-import shutdown  from "./server.shutdown.js";
+import crashConfig from "../../shared/configs/crash.config.js";
+import { baseLogger as logger, recentLogs } from "../logging/logger.js";
 
-// Centralized process event handling
+import { createFatalErrorHandler } from "./server.crash.report.js";
+import { shutdown } from "./server.shutdown.js";
+
+// Centralized process event handling (the only place that installs process hooks)
 export const registerProcessEvents = (server) => {
-  // Handle uncaught exceptions
-  const handleUncaughtException = async (error) => {
-    logger.error("Uncaught Exception:", error);
-    process.exitCode = 1;
-    await shutdown(server);
-  };
-  // Handle unhandled rejections
-  const handleUnhandledRejection = async (reason, promise) => {
-    logger.error("Unhandled Rejection at:", promise, "reason:", reason);
-    process.exitCode = 1;
-    await shutdown(server);
-  };
+  // Handle uncaught exceptions, unhandled rejections and server errors:
+  // fatal log, crash report, then shutdown with a hard deadline
+  const handleFatalError = createFatalErrorHandler({
+    logger,
+    recentLogs,
+    shutdown: () => shutdown(server),
+    crashConfig,
+  });
 
   // Handle shutdown signals (e.g., SIGTERM, SIGINT)
   const handleShutdownSignal = async (signal) => {
@@ -22,14 +22,15 @@ export const registerProcessEvents = (server) => {
     await shutdown(server);
   };
 
-  server.on("error", handleUncaughtException);
-  process.on("unhandledRejection", handleUnhandledRejection);
-  process.on("uncaughtException", handleUncaughtException);
+  server.on("error", (error) => handleFatalError("Server Error", error));
+  process.on("unhandledRejection", (reason) =>
+    handleFatalError("Unhandled Rejection", reason)
+  );
+  process.on("uncaughtException", (error) =>
+    handleFatalError("Uncaught Exception", error)
+  );
   process.on("SIGTERM", handleShutdownSignal);
   process.on("SIGINT", handleShutdownSignal);
   process.on("SIGUSR1", handleShutdownSignal);
   process.on("SIGUSR2", handleShutdownSignal);
-  process.on("exit", (exitCode) => {
-    logger.warn(`Process Exited with Code ${exitCode}`);
-  });
 };
@@ -1,8 +1,20 @@
-import serverConfig from "../../shared/configs/serverConfig.js";
-import logger from "../../shared/utils/logger.js";
+import serverConfig from "../../shared/configs/server.config.js";
 import eventStore from "../database/eventstore.js";
 import { mongodb } from "../database/mongodb.js";
 import { postgres } from "../database/postgres.js";
+import {
+  baseLogger as logger,
+  closeLoggers,
+  LOGGER_CLOSE_TIMEOUT_MS,
+} from "../logging/logger.js";
+
+// Last step of every exit path: log the exit while the outputs are still
+// open, flush and close them (bounded), then exit
+const exitProcess = async (exitCode) => {
+  logger.warn(`Process Exited with Code ${exitCode ?? process.exitCode ?? 0}`);
+  await closeLoggers({ timeoutMs: LOGGER_CLOSE_TIMEOUT_MS });
+  process.exit(exitCode);
+};
 
 // Shutdown server and clean up resources
 export const shutdown = async (server) => {
@@ -16,34 +28,29 @@ export const shutdown = async (server) => {
     logger.warn("Server is not listening, skipping shutdown.");
 
     // Exiting the process with a warning code
-    process.exit(1);
+    await exitProcess(1);
+    return;
   }
 
   // Attempt to gracefully close the server
   try {
-    await new Promise((resolve) => {
-      server.close((error) => {
-        if (error) {
-          logger.error("[shutdown.js] Error during server shutdown:", {
-            error,
-          });
-          process.exit(1);
-        } else {
-          logger.info("[shutdown.js] Server closed gracefully.");
-          resolve();
-        }
-      });
-    });
+    const error = await new Promise((resolve) => server.close(resolve));
+    if (error) {
+      logger.error("[shutdown.js] Error during server shutdown:", { error });
+      await exitProcess(1);
+      return;
+    }
+    logger.info("[shutdown.js] Server closed gracefully.");
 
     // Delay to allow all processes to finalize if needed
     setTimeout(() => {
       logger.info("[shutdown.js] Shutdown completed. Exiting process.");
-      process.exit(); // Successful shutdown
+      exitProcess(); // Successful shutdown
     }, serverConfig.shutdownTimeout);
   } catch (error) {
     logger.error("[shutdown.js] Error during server shutdown process:", error);
     // Exiting the process with an error code
-    process.exit(1);
+    await exitProcess(1);
   }
 };
 
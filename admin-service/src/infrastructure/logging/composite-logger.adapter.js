@@ -0,0 +1,264 @@
+// CompositeLoggerAdapter: fans every LoggerPort call out to several sink adapters.
+// Each sink has its own minimum level and optional formatter; a failing sink never
+// prevents the others from receiving the entry.
+
+import { ConfigurationError } from "../../shared/errors/index.js";
+
+import { logMethodSeverity } from "./logger-levels.js";
+import { LoggerPort } from "./logger.port.js";
+
+/**
+ * @typedef {Object} LogEntry
+ * @property {string} level - LoggerPort method name (fatal … trace)
+ * @property {string} message - Log message
+ * @property {Object} meta - Log metadata
+ */
+
+/**
+ * @typedef {Object} CompositeSink
+ * @property {string} [name] - Sink name used in error reports (defaults to the adapter class)
+ * @property {LoggerPort} adapter - Adapter writing the entries
+ * @property {string} [level] - Minimum level for this sink; defaults to every level
+ * @property {(entry: LogEntry) => {message: string, meta: Object}} [formatter] - Reshapes entries for this sink
+ */
+
+/**
+ * Default sink failure reporter.
+ * Writes to stderr directly: the failing entry can't be routed through the logger itself.
+ * @param {Error} error - Error thrown by the sink
+ * @param {{sink: string, level: string, message: string}} details - Failed call
+ */
+function reportSinkError(error, { sink, level, message }) {
+  process.stderr.write(
+    `${JSON.stringify({
+      level: "error",
+      message: "Logger sink failed",
+      sink,
+      failedLevel: level,
+      failedMessage: message,
+      error: error?.message ?? String(error),
+    })}\n`
+  );
+}
+
+/**
+ * Validates and normalizes one sink definition.
+ * @param {CompositeSink} sink - Sink definition
+ * @param {number} index - Position in the sink list
+ * @returns {Object} Normalized sink with its numeric severity threshold
+ * @throws {ConfigurationError} When the adapter, level or formatter is invalid
+ */
+function normalizeSink(sink, index) {
+  const { adapter, level, formatter } = sink ?? {};
+
+  if (!(adapter instanceof LoggerPort)) {
+    throw new ConfigurationError(
+      `Composite logger sink ${index} must extend LoggerPort`,
+      {
+        details: {
+          sinkIndex: index,
+          receivedType: typeof adapter,
+          expectedType: "LoggerPort",
+          adapterConstructor: adapter?.constructor?.name || "unknown",
+        },
+      }
+    );
+  }
+  if (level !== undefined && !Object.hasOwn(logMethodSeverity, level)) {
+    throw new ConfigurationError(
+      `Composite logger sink ${index} has unknown level: ${level}`,
+      {
+        details: {
+          sinkIndex: index,
+          level,
+          allowedLevels: Object.keys(logMethodSeverity),
+        },
+      }
+    );
+  }
+  if (formatter !== undefined && typeof formatter !== "function") {
+    throw new ConfigurationError(
+      `Composite logger sink ${index} formatter must be a function`,
+      { details: { sinkIndex: index, receivedType: typeof formatter } }
+    );
+  }
+
+  return {
+    name: sink.name || adapter.constructor.name,
+    adapter,
+    level: level ?? "trace",
+    formatter,
+    threshold: logMethodSeverity[level ?? "trace"],
+  };
+}
+
+/**
+ * CompositeLoggerAdapter implements LoggerPort by fanning out to sink adapters.
+ *
+ * Flow:
+ * 1. Skips sinks whose minimum level is above the call's level
+ * 2. Applies the sink's formatter, if any
+ * 3. Calls the sink adapter; failures are reported and never propagate
+ *
+ * Runtime level changes are applied to every sink adapter; per-sink minimum
+ * levels stay in place as an additional filter.
+ *
+ * @class CompositeLoggerAdapter
+ * @extends LoggerPort
+ *
+ * @example
+ * const adapter = new CompositeLoggerAdapter([
+ *   { adapter: new WinstonLoggerAdapter() },
+ *   { adapter: new PinoLoggerAdapter(), level: "warn" },
+ * ]);
+ */
+export class CompositeLoggerAdapter extends LoggerPort {
+  /**
+   * @param {CompositeSink[]} sinks - Sinks receiving every entry
+   * @param {Object} [options]
+   * @param {Function} [options.onSinkError] - Called with (error, { sink, level, message }) when a sink throws
+   * @throws {ConfigurationError} When no sinks are given or a sink is invalid
+   */
+  constructor(sinks, { onSinkError = reportSinkError } = {}) {
+    super();
+    if (!Array.isArray(sinks) || sinks.length === 0) {
+      throw new ConfigurationError(
+        "Composite logger adapter requires at least one sink",
+        { details: { receivedType: typeof sinks } }
+      );
+    }
+    this.sinks = sinks.map(normalizeSink);
+    this.onSinkError = onSinkError;
+  }
+
+  /**
+   * Sends one entry to every sink accepting its level.
+   * @private
+   * @param {string} level - LoggerPort method name
+   * @param {string} message - Log message
+   * @param {Object} meta - Log metadata
+   */
+  dispatch(level, message, meta) {
+    const severity = logMethodSeverity[level];
+
+    for (const sink of this.sinks) {
+      if (severity > sink.threshold) continue;
+
+      try {
+        const entry = sink.formatter
+          ? sink.formatter({ level, message, meta })
+          : { message, meta };
+        sink.adapter[level](entry.message, entry.meta);
+      } catch (error) {
+        this.handleSinkError(error, sink, level, message);
+      }
+    }
+  }
+
+  /**
+   * Reports a sink failure without letting a faulty reporter escape either.
+   * @private
+   * @param {Error} error - Error thrown by the sink
+   * @param {Object} sink - Normalized sink
+   * @param {string} level - LoggerPort method name (or flush/close)
+   * @param {string} message - Log message (empty for flush/close)
+   */
+  handleSinkError(error, sink, level, message) {
+    try {
+      this.onSinkError(error, { sink: sink.name, level, message });
+    } catch {
+      // Nothing left to report to
+    }
+  }
+
+  fatal(message, meta = {}) {
+    this.dispatch("fatal", message, meta);
+  }
+  error(message, meta = {}) {
+    this.dispatch("error", message, meta);
+  }
+  warn(message, meta = {}) {
+    this.dispatch("warn", message, meta);
+  }
+  info(message, meta = {}) {
+    this.dispatch("info", message, meta);
+  }
+  http(message, meta = {}) {
+    this.dispatch("http", message, meta);
+  }
+  verbose(message, meta = {}) {
+    this.dispatch("verbose", message, meta);
+  }
+  debug(message, meta = {}) {
+    this.dispatch("debug", message, meta);
+  }
+  trace(message, meta = {}) {
+    this.dispatch("trace", message, meta);
+  }
+
+  /**
+   * Create a composite of context-bound sink adapters (native children where available).
+   * @param {Object} context - Complete context to bind
+   * @returns {CompositeLoggerAdapter} Context-bound composite
+   */
+  child(context) {
+    return new CompositeLoggerAdapter(
+      this.sinks.map((sink) => ({ ...sink, adapter: sink.adapter.child(context) })),
+      { onSinkError: this.onSinkError }
+    );
+  }
+
+  /**
+   * Flush every sink; a failing sink is reported and does not stop the others.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.forEachSinkAsync("flush");
+  }
+
+  /**
+   * Close every sink; a failing sink is reported and does not stop the others.
+   * @returns {Promise<void>}
+   */
+  close() {
+    return this.forEachSinkAsync("close");
+  }
+
+  /**
+   * Runs an async lifecycle method on all sinks in parallel.
+   * @private
+   * @param {"flush"|"close"} operation - LoggerPort method name
+   * @returns {Promise<void>}
+   */
+  async forEachSinkAsync(operation) {
+    const results = await Promise.allSettled(
+      this.sinks.map((sink) => Promise.resolve().then(() => sink.adapter[operation]()))
+    );
+    results.forEach((result, index) => {
+      if (result.status === "rejected") {
+        this.handleSinkError(result.reason, this.sinks[index], operation, "");
+      }
+    });
+  }
+
+  /**
+   * Change the log level of every sink adapter at runtime.
+   * @param {string} level - Log level
+   */
+  setLevel(level) {
+    for (const sink of this.sinks) {
+      sink.adapter.setLevel(level);
+    }
+    this.level = level;
+  }
+
+  /**
+   * Get the current log level.
+   * @returns {string} Last level set, or the first sink's level
+   */
+  getLevel() {
+    return this.level ?? this.sinks[0].adapter.getLevel();
+  }
+}
+
+export default CompositeLoggerAdapter;
@@ -0,0 +1,518 @@
+// HttpShippingLoggerAdapter: ships log entries to an HTTP collector.
+// Used as an extra sink next to the configured adapter (like recentLogs): entries
+// are batched and POSTed as NDJSON, retried with exponential backoff, and kept in
+// a disk spool while the collector is unreachable so they are replayed later.
+
+import fs from "node:fs";
+import path from "node:path";
+import { promisify } from "node:util";
+import zlib from "node:zlib";
+
+import { ConfigurationError } from "../../shared/errors/index.js";
+
+import { serializeEntryErrors } from "./log-error-serializer.js";
+import { toLogRecord } from "./log-formats.js";
+import { redact } from "./log-redaction.js";
+import { logMethodSeverity } from "./logger-levels.js";
+import { LoggerPort } from "./logger.port.js";
+
+const gzipAsync = promisify(zlib.gzip);
+
+// 4xx responses worth retrying; other 4xx mean the batch itself is rejected
+const RETRYABLE_CLIENT_STATUSES = new Set([408, 425, 429]);
+
+// Spooled batch files, named so that sorting by name keeps the shipping order
+const SPOOL_FILE_PATTERN = /^batch-\d+-\d+\.ndjson$/;
+
+/**
+ * @typedef {Object} LogShippingStats
+ * @property {string} state - "shipping" or "retrying" (collector unreachable, backing off)
+ * @property {number} queued - Entries in memory, not yet sent
+ * @property {number} spooledBatches - Batches waiting in the disk spool
+ * @property {number} spooledBytes - Size of the disk spool
+ * @property {boolean} spooling - false when the spool directory is unusable (failed batches are dropped)
+ * @property {number} shipped - Entries accepted by the collector
+ * @property {number} dropped - Entries given up on (rejected by the collector or spool full)
+ * @property {number} consecutiveFailures - Failed attempts since the last success
+ * @property {string|null} lastError - Last failure
+ * @property {string|null} lastShippedAt - ISO time of the last accepted batch
+ */
+
+/**
+ * Reports a shipping failure on stderr (the collector may be the thing failing).
+ * @param {Error} error - Failure
+ */
+function reportShippingError(error) {
+  process.stderr.write(
+    `${JSON.stringify({
+      level: "error",
+      message: "Log shipping failed",
+      error: error?.message ?? String(error),
+    })}\n`
+  );
+}
+
+/**
+ * Validates the shipping settings.
+ * @param {string} url - Collector endpoint
+ * @param {Object} limits - Positive integer settings by name
+ * @throws {ConfigurationError} When a setting is invalid
+ */
+function validateShippingOptions(url, limits) {
+  let protocol;
+  try {
+    ({ protocol } = new URL(url));
+  } catch {
+    protocol = undefined;
+  }
+  if (protocol !== "http:" && protocol !== "https:") {
+    throw new ConfigurationError(`Invalid log shipping URL: ${url}`, {
+      details: {
+        value: url,
+        expectedFormat: "http(s)://<host>[:<port>]/<path>",
+      },
+    });
+  }
+  for (const [name, value] of Object.entries(limits)) {
+    if (!(Number.isInteger(value) && value > 0)) {
+      throw new ConfigurationError(`Invalid log shipping ${name}: ${value}`, {
+        details: { value, expectedType: "positive integer" },
+      });
+    }
+  }
+}
+
+/**
+ * HttpShippingLoggerAdapter implements LoggerPort by shipping entries over HTTP.
+ *
+ * Flow:
+ * 1. Skips entries above the current level, then serializes errors, redacts and
+ *    queues the entry as one NDJSON line (same record as the other outputs)
+ * 2. Every `flushIntervalMs`, or once `batchSize` entries are queued, POSTs the
+ *    queue in batches (gzip), one request at a time; spooled batches go first
+ * 3. On a network error, timeout, 5xx, 408 or 429 the batch goes to the disk
+ *    spool and shipping pauses with exponential backoff; in the meantime full
+ *    batches are spooled directly instead of piling up in memory
+ * 4. Other 4xx responses reject the batch: it is dropped and reported
+ *
+ * The spool survives restarts (replayed on start) and is bounded by
+ * `maxSpoolBytes`; batches beyond it are dropped. Delivery is at least once.
+ * Logging never waits for the collector; timers are unref'd.
+ *
+ * @class HttpShippingLoggerAdapter
+ * @extends LoggerPort
+ *
+ * @example
+ * const shipper = new HttpShippingLoggerAdapter({ url: "https://logs.example.com/ingest", spoolDir: "logs/shipping-spool" });
+ * shipper.info("hello");
+ * shipper.getStats(); // { state: "shipping", queued: 1, ... }
+ */
+export class HttpShippingLoggerAdapter extends LoggerPort {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Collector endpoint (http or https)
+   * @param {string} options.spoolDir - Directory of the disk spool
+   * @param {Object} [options.headers={}] - Extra request headers (e.g. Authorization)
+   * @param {boolean} [options.gzip=true] - Compress request bodies
+   * @param {number} [options.batchSize=500] - Entries per request
+   * @param {number} [options.flushIntervalMs=1000] - Longest time an entry waits in memory
+   * @param {number} [options.maxQueueSize=10000] - Entries kept in memory before spooling
+   * @param {number} [options.maxSpoolBytes=104857600] - Disk spool bound
+   * @param {number} [options.timeoutMs=5000] - Request timeout
+   * @param {number} [options.retryDelayMs=1000] - First backoff delay (doubles per failure)
+   * @param {number} [options.maxRetryDelayMs=60000] - Longest backoff delay
+   * @param {string} [options.level="trace"] - Minimum level shipped
+   * @param {() => Date} [options.now] - Clock (for tests)
+   * @param {typeof fetch} [options.fetch] - HTTP client (for tests)
+   * @param {(error: Error) => void} [options.onError] - Failure reporter
+   * @throws {ConfigurationError} When the URL or a limit is invalid
+   */
+  constructor({
+    url,
+    spoolDir,
+    headers = {},
+    gzip = true,
+    batchSize = 500,
+    flushIntervalMs = 1000,
+    maxQueueSize = 10000,
+    maxSpoolBytes = 100 * 1024 * 1024,
+    timeoutMs = 5000,
+    retryDelayMs = 1000,
+    maxRetryDelayMs = 60000,
+    level = "trace",
+    now = () => new Date(),
+    fetch = globalThis.fetch,
+    onError = reportShippingError,
+  }) {
+    super();
+    validateShippingOptions(url, {
+      batchSize,
+      maxQueueSize,
+      flushIntervalMs,
+      maxSpoolBytes,
+      timeoutMs,
+      retryDelayMs,
+      maxRetryDelayMs,
+    });
+
+    this.url = url;
+    this.spoolDir = spoolDir;
+    this.headers = headers;
+    this.gzip = gzip;
+    this.batchSize = batchSize;
+    this.maxQueueSize = maxQueueSize;
+    this.maxSpoolBytes = maxSpoolBytes;
+    this.timeoutMs = timeoutMs;
+    this.retryDelayMs = retryDelayMs;
+    this.maxRetryDelayMs = maxRetryDelayMs;
+    this.level = level;
+    this.now = now;
+    this.fetch = fetch;
+    this.onError = onError;
+
+    this.queue = [];
+    this.shipped = 0;
+    this.dropped = 0;
+    this.failures = 0;
+    this.lastError = null;
+    this.lastShippedAt = null;
+    this.spoolSequence = 0;
+    this.ended = false;
+    this.spooling = true;
+
+    this.spool = this.loadSpool();
+    this.flushTimer = setInterval(
+      () => this.pumpInBackground(),
+      flushIntervalMs
+    );
+    this.flushTimer.unref();
+    if (this.spool.length > 0) setImmediate(() => this.pumpInBackground());
+  }
+
+  /**
+   * Queues one entry.
+   * @private
+   * @param {string} level - LoggerPort method name
+   * @param {string} message - Log message
+   * @param {Object} meta - Log metadata
+   */
+  record(level, message, meta) {
+    if (this.ended) return;
+    if (logMethodSeverity[level] > logMethodSeverity[this.level]) return;
+
+    try {
+      const entry = serializeEntryErrors({
+        timestamp: this.now().toISOString(),
+        level,
+        message,
+        ...meta,
+      });
+      this.queue.push(JSON.stringify(toLogRecord(redact(entry))));
+    } catch (error) {
+      this.onError(error);
+      return;
+    }
+
+    if (this.retryTimer || this.queue.length >= this.maxQueueSize) {
+      // Collector unreachable or too slow: keep memory bounded
+      if (this.queue.length >= this.batchSize) {
+        this.spill(this.queue.splice(0, this.batchSize));
+      }
+    } else if (this.queue.length >= this.batchSize) {
+      this.pumpInBackground();
+    }
+  }
+
+  /**
+   * Reads the batches left in the spool directory (e.g. by a previous run).
+   * Disables spooling when the directory cannot be used.
+   * @private
+   * @returns {{file: string, bytes: number}[]} Spooled batches, oldest first
+   */
+  loadSpool() {
+    try {
+      fs.mkdirSync(this.spoolDir, { recursive: true });
+      return fs
+        .readdirSync(this.spoolDir)
+        .filter((file) => SPOOL_FILE_PATTERN.test(file))
+        .sort()
+        .map((file) => ({
+          file,
+          bytes: fs.statSync(path.join(this.spoolDir, file)).size,
+        }));
+    } catch (error) {
+      // The spool is optional (e.g. read-only filesystem): ship without it
+      this.spooling = false;
+      this.onError(
+        new ConfigurationError(
+          `Log shipping spool unavailable, failed batches are dropped: ${error.message}`,
+          { details: { spoolDir: this.spoolDir }, cause: error }
+        )
+      );
+      return [];
+    }
+  }
+
+  /**
+   * @private
+   * @returns {number} Bytes in the spool
+   */
+  spoolBytes() {
+    return this.spool.reduce((total, { bytes }) => total + bytes, 0);
+  }
+
+  /**
+   * Writes a batch to the spool (atomically, via a temporary file); drops it
+   * when the spool is full or disabled.
+   * @private
+   * @param {string[]} lines - NDJSON lines
+   */
+  spill(lines) {
+    if (lines.length === 0) return;
+    const body = `${lines.join("\n")}\n`;
+    const bytes = Buffer.byteLength(body);
+    if (!this.spooling || this.spoolBytes() + bytes > this.maxSpoolBytes) {
+      this.dropped += lines.length;
+      return;
+    }
+
+    this.spoolSequence += 1;
+    const file = `batch-${Date.now()}-${String(this.spoolSequence).padStart(9, "0")}.ndjson`;
+    const filePath = path.join(this.spoolDir, file);
+    try {
+      fs.writeFileSync(`${filePath}.tmp`, body);
+      fs.renameSync(`${filePath}.tmp`, filePath);
+      this.spool.push({ file, bytes });
+    } catch (error) {
+      this.dropped += lines.length;
+      this.onError(error);
+    }
+  }
+
+  /**
+   * Ships spooled and queued batches until both are empty or the collector fails.
+   * Only one run at a time; later calls share it.
+   * @private
+   * @returns {Promise<void>}
+   */
+  pump() {
+    if (!this.pumping) {
+      this.pumping = this.shipPending().finally(() => {
+        this.pumping = null;
+      });
+    }
+    return this.pumping;
+  }
+
+  /**
+   * Starts a pump() run nobody waits for (timers, full batches); its failures
+   * are reported instead of becoming unhandled rejections.
+   * @private
+   */
+  pumpInBackground() {
+    this.pump().catch((error) => this.onError(error));
+  }
+
+  /**
+   * @private
+   */
+  async shipPending() {
+    while (!this.retryTimer) {
+      const spooled = this.spool[0];
+      let body;
+      let lines;
+      if (spooled) {
+        try {
+          body = fs.readFileSync(
+            path.join(this.spoolDir, spooled.file),
+            "utf8"
+          );
+        } catch (error) {
+          // Gone or unreadable (e.g. another instance shares the spool): skip it
+          this.spool.shift();
+          this.onError(error);
+          continue;
+        }
+      } else {
+        lines = this.queue.splice(0, this.batchSize);
+        if (lines.length === 0) return;
+        body = `${lines.join("\n")}\n`;
+      }
+      const count = spooled ? body.split("\n").length - 1 : lines.length;
+
+      const result = await this.send(body);
+      if (result === "retry") {
+        if (!spooled) this.spill(lines);
+        this.scheduleRetry();
+        return;
+      }
+
+      if (spooled) {
+        this.spool.shift();
+        try {
+          fs.rmSync(path.join(this.spoolDir, spooled.file), { force: true });
+        } catch (error) {
+          this.onError(error);
+        }
+      }
+      if (result === "shipped") {
+        this.shipped += count;
+        this.failures = 0;
+        this.lastShippedAt = this.now().toISOString();
+      } else {
+        this.dropped += count;
+      }
+    }
+  }
+
+  /**
+   * POSTs one NDJSON batch.
+   * @private
+   * @param {string} body - NDJSON lines
+   * @returns {Promise<"shipped"|"retry"|"rejected">} Outcome
+   */
+  async send(body) {
+    let error;
+    try {
+      const response = await this.fetch(this.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/x-ndjson",
+          ...(this.gzip && { "Content-Encoding": "gzip" }),
+          ...this.headers,
+        },
+        body: this.gzip ? await gzipAsync(body) : body,
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+      await response.arrayBuffer().catch(() => undefined);
+      if (response.ok) return "shipped";
+
+      error = new Error(`Log collector responded with ${response.status}`);
+      if (
+        response.status < 500 &&
+        !RETRYABLE_CLIENT_STATUSES.has(response.status)
+      ) {
+        this.lastError = error.message;
+        this.onError(error);
+        return "rejected";
+      }
+    } catch (requestError) {
+      error = requestError;
+    }
+
+    this.lastError = error.message;
+    if (this.failures === 0) this.onError(error); // Once per outage
+    return "retry";
+  }
+
+  /**
+   * Pauses shipping for the next backoff delay.
+   * @private
+   */
+  scheduleRetry() {
+    const delay = Math.min(
+      this.retryDelayMs * 2 ** this.failures,
+      this.maxRetryDelayMs
+    );
+    this.failures += 1;
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.pumpInBackground();
+    }, delay);
+    this.retryTimer.unref();
+  }
+
+  /**
+   * Queue depth and delivery counters (exposed on the detailed health endpoint).
+   * @returns {LogShippingStats} Current state
+   */
+  getStats() {
+    return {
+      state: this.retryTimer ? "retrying" : "shipping",
+      queued: this.queue.length,
+      spooledBatches: this.spool.length,
+      spooledBytes: this.spoolBytes(),
+      spooling: this.spooling,
+      shipped: this.shipped,
+      dropped: this.dropped,
+      consecutiveFailures: this.failures,
+      lastError: this.lastError,
+      lastShippedAt: this.lastShippedAt,
+    };
+  }
+
+  fatal(message, meta = {}) {
+    this.record("fatal", message, meta);
+  }
+  error(message, meta = {}) {
+    this.record("error", message, meta);
+  }
+  warn(message, meta = {}) {
+    this.record("warn", message, meta);
+  }
+  info(message, meta = {}) {
+    this.record("info", message, meta);
+  }
+  http(message, meta = {}) {
+    this.record("http", message, meta);
+  }
+  verbose(message, meta = {}) {
+    this.record("verbose", message, meta);
+  }
+  debug(message, meta = {}) {
+    this.record("debug", message, meta);
+  }
+  trace(message, meta = {}) {
+    this.record("trace", message, meta);
+  }
+
+  /**
+   * Change the minimum shipped level.
+   * @param {string} level - LoggerPort method name
+   */
+  setLevel(level) {
+    this.level = level;
+  }
+
+  /**
+   * Get the minimum shipped level.
+   * @returns {string} Level name
+   */
+  getLevel() {
+    return this.level;
+  }
+
+  /**
+   * Ships the queue now; when the collector is unreachable, spools what is left.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (!this.retryTimer) await this.pump();
+    if (this.retryTimer) {
+      while (this.queue.length > 0) {
+        this.spill(this.queue.splice(0, this.batchSize));
+      }
+    }
+  }
+
+  /**
+   * Spools the queue, then ships the spool unless the collector is known to be
+   * unreachable; what is not shipped stays on disk for the next start.
+   * Later entries are dropped.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.ended) return;
+    this.ended = true;
+    clearInterval(this.flushTimer);
+
+    await this.pumping;
+    while (this.queue.length > 0) {
+      this.spill(this.queue.splice(0, this.batchSize));
+    }
+    if (!this.retryTimer) await this.pump();
+    clearTimeout(this.retryTimer);
+  }
+}
+
+export default HttpShippingLoggerAdapter;
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Error serializer shared by the Winston formats and the Pino formatter.
+ *
+ * Both adapters turn every Error found at the top level of a log entry (usually
+ * `meta.error`) into the same plain object, so BaseError subclasses keep their
+ * `component`, `operation`, `details` and subclass fields (`field`, `rule`,
+ * `businessRule`, …) whatever the adapter:
+ *
+ * {
+ *   name, message, code,
+ *   ...subclass properties,
+ *   stack,
+ *   cause: { ...same shape } | value,
+ *   errors: [ ...same shape ]          // AggregateError
+ * }
+ *
+ * `details` are sanitized here, before the entry itself is redacted.
+ *
+ * @example
+ * logger.error("Admin creation failed", { error }); // → { error: { name: "ValidationError", field: "email", ... } }
+ */
+
+import { CIRCULAR, MAX_DEPTH } from "../../shared/utils/sanitizer.js";
+
+import { redact } from "./log-redaction.js";
+
+// Causes followed before the chain is cut with a "[Max depth]" marker
+const MAX_CAUSE_DEPTH = 10;
+
+// Serialized explicitly, in this order, around the subclass properties
+const STANDARD_KEYS = new Set([
+  "name",
+  "message",
+  "code",
+  "stack",
+  "cause",
+  "errors",
+]);
+
+/**
+ * Serializes an Error, its subclass properties and its `cause` chain.
+ *
+ * Flow:
+ * 1. Writes name, message and code first
+ * 2. Copies every own enumerable property (BaseError and subclass fields), sanitizing `details`
+ * 3. Adds the stack, then the cause (recursively) and AggregateError members
+ *
+ * @param {Error} error - Error to serialize
+ * @param {Object} [options]
+ * @param {(value: *) => *} [options.sanitize=redact] - Applied to `details` and non-error causes
+ * @param {number} [options.maxDepth=MAX_CAUSE_DEPTH] - Nested errors followed
+ * @returns {Object} Plain error object
+ */
+export function serializeError(
+  error,
+  { sanitize = redact, maxDepth = MAX_CAUSE_DEPTH } = {}
+) {
+  const visit = (current, depth, seen) => {
+    if (!(current instanceof Error)) return sanitize(current);
+    if (seen.has(current)) return CIRCULAR;
+    if (depth > maxDepth) return MAX_DEPTH;
+
+    const branch = new Set(seen).add(current);
+
+    // STEP 1: Identity
+    const serialized = { name: current.name, message: current.message };
+    if (current.code !== undefined) serialized.code = current.code;
+
+    // STEP 2: Subclass properties
+    for (const key of Object.keys(current)) {
+      if (STANDARD_KEYS.has(key)) continue;
+      serialized[key] =
+        key === "details" && current.details != null
+          ? sanitize(current.details)
+          : current[key];
+    }
+
+    // STEP 3: Stack, cause chain and aggregated errors
+    serialized.stack = current.stack;
+    if (current.cause !== undefined) {
+      serialized.cause = visit(current.cause, depth + 1, branch);
+    }
+    if (Array.isArray(current.errors)) {
+      serialized.errors = current.errors.map((item) =>
+        visit(item, depth + 1, branch)
+      );
+    }
+    return serialized;
+  };
+
+  return visit(error, 0, new Set());
+}
+
+/**
+ * Serializes the Errors found directly on a log entry (e.g. `error`, `err`, `cause`).
+ *
+ * Mutates and returns the entry so it can be used inside a Winston format, where
+ * the entry carries symbol keys that must be kept.
+ *
+ * @param {Object} entry - Log entry / metadata
+ * @param {Object} [options] - See `serializeError`
+ * @returns {Object} The same entry
+ */
+export function serializeEntryErrors(entry, options) {
+  if (entry === null || typeof entry !== "object") return entry;
+
+  for (const key of Object.keys(entry)) {
+    if (entry[key] instanceof Error) {
+      entry[key] = serializeError(entry[key], options);
+    }
+  }
+  return entry;
+}
+
+export default serializeError;
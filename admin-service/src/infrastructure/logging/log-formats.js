@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Output formats shared by the Winston and Pino adapters.
+ *
+ * Both adapters build the same log record and render it with the same function,
+ * so a format looks identical whatever the adapter:
+ *
+ * - `json`   → compact single-line JSON (one entry per line, for log pipelines)
+ * - `logfmt` → `key=value` pairs, nested fields as dotted keys
+ * - `ecs`    → single-line JSON with Elastic Common Schema field names
+ * - `pretty` → colorized multi-line output for development (pino-pretty)
+ *
+ * Record fields: `timestamp` (ISO), `level`, `message`, the logger context
+ * (`service`, `module`, `feature` and the runtime metadata such as `hostname`
+ * and `pid`) flattened to the root, then the metadata.
+ *
+ * @example
+ * const render = createLogRenderer("logfmt");
+ * render(toLogRecord({ level: "info", message: "Started", timestamp, context: { service: "admin-service" } }));
+ * // → timestamp=2024-01-01T00:00:00.000Z level=info message=Started service=admin-service
+ */
+
+import pinoPretty from "pino-pretty";
+
+import { ConfigurationError } from "../../shared/errors/index.js";
+
+export const LOG_FORMATS = Object.freeze(["json", "logfmt", "ecs", "pretty"]);
+
+// ECS version the `ecs` format follows
+export const ECS_VERSION = "8.11.0";
+
+// pino-pretty level order and colors (covers the Winston and Pino level names)
+const PRETTY_LEVELS =
+  "fatal:60,error:50,warn:40,info:30,http:25,verbose:20,debug:15,trace:10";
+const PRETTY_COLORS =
+  "fatal:bgRed,error:red,warn:yellow,info:green,http:magenta,verbose:cyan,debug:blue,trace:gray";
+
+// Runtime metadata left out of `pretty` (same on every line); pid and hostname
+// stay, in the header
+const PRETTY_IGNORED_FIELDS =
+  "version,revision,environment,containerId,startedAt";
+
+// Values that must be quoted in logfmt
+const LOGFMT_QUOTE_PATTERN = /[\s="\\]|^$/;
+
+/**
+ * Builds the record every format renders.
+ *
+ * Flow:
+ * 1. Puts timestamp, level and message first
+ * 2. Copies the metadata (string keys only; Winston keeps internals under symbols)
+ * 3. Flattens an object `context` to the root, where it wins over metadata keys
+ *
+ * @param {Object} entry - Redacted log entry (Winston info or Pino log object)
+ * @returns {Object} Log record
+ */
+export function toLogRecord(entry) {
+  const { timestamp, level, message, context, ...meta } = Object.fromEntries(
+    Object.entries(entry)
+  );
+  const contextFields =
+    context && typeof context === "object" ? context : { context };
+
+  const record = { timestamp, level, message, ...meta, ...contextFields };
+  if (record.context === undefined) delete record.context;
+  return record;
+}
+
+/**
+ * Keeps the fields that have a value.
+ * @param {Object} fields - Candidate fields
+ * @returns {Object} Fields without undefined values
+ */
+function definedFields(fields) {
+  return Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== undefined)
+  );
+}
+
+/**
+ * Maps a log record to Elastic Common Schema field names.
+ *
+ * `@timestamp`, `log.level`, `message` and `ecs.version` are top-level dotted keys
+ * as required by the ECS logging spec; the logger context goes to `service.*`
+ * and `labels`, the runtime metadata to `host.hostname`, `process.*` and
+ * `container.id`, request context to `http.request.id`, `user.id` and `labels`,
+ * errors to `error.type` / `error.message` / `error.stack_trace`. Other metadata
+ * is kept as custom fields.
+ *
+ * @param {Object} record - Record from `toLogRecord`
+ * @returns {Object} ECS document
+ */
+export function toEcsRecord(record) {
+  const {
+    timestamp,
+    level,
+    message,
+    service,
+    module,
+    feature,
+    requestId,
+    correlationId,
+    userId,
+    error,
+    hostname,
+    pid,
+    version,
+    revision,
+    environment,
+    containerId,
+    startedAt,
+    ...custom
+  } = record;
+
+  const serviceFields = definedFields({ name: service, version, environment });
+  const processFields = definedFields({ pid, start: startedAt });
+  const labels = definedFields({
+    module,
+    feature,
+    correlation_id: correlationId,
+    revision,
+  });
+
+  const ecs = {
+    "@timestamp": timestamp,
+    "log.level": level,
+    message,
+    "ecs.version": ECS_VERSION,
+    ...custom,
+  };
+  if (Object.keys(serviceFields).length) ecs.service = serviceFields;
+  if (hostname !== undefined) ecs.host = { hostname };
+  if (Object.keys(processFields).length) ecs.process = processFields;
+  if (containerId !== undefined) ecs.container = { id: containerId };
+  if (Object.keys(labels).length) ecs.labels = labels;
+  if (requestId !== undefined) ecs.http = { request: { id: requestId } };
+  if (userId !== undefined) ecs.user = { id: userId };
+  if (error && typeof error === "object") {
+    const { name, message: errorMessage, stack, ...errorFields } = error;
+    ecs.error = {
+      type: name,
+      message: errorMessage,
+      stack_trace: stack,
+      ...errorFields,
+    };
+  } else if (error !== undefined) {
+    ecs.error = { message: String(error) };
+  }
+  return ecs;
+}
+
+/**
+ * Formats one logfmt value, quoting it when needed.
+ * @param {*} value - Field value
+ * @returns {string} logfmt value
+ */
+function formatLogfmtValue(value) {
+  const text =
+    typeof value === "string"
+      ? value
+      : value !== null && typeof value === "object"
+        ? JSON.stringify(value)
+        : String(value);
+  return LOGFMT_QUOTE_PATTERN.test(text) ? JSON.stringify(text) : text;
+}
+
+/**
+ * Renders a record as logfmt; nested objects become dotted keys, arrays stay JSON.
+ * @param {Object} record - Record from `toLogRecord`
+ * @returns {string} Single logfmt line
+ */
+export function toLogfmt(record) {
+  const pairs = [];
+  const visit = (value, key) => {
+    if (value === undefined) return;
+    if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+      for (const [childKey, childValue] of Object.entries(value)) {
+        visit(childValue, key ? `${key}.${childKey}` : childKey);
+      }
+      return;
+    }
+    pairs.push(`${key}=${formatLogfmtValue(value)}`);
+  };
+  visit(record, "");
+  return pairs.join(" ");
+}
+
+/**
+ * Validates a configured format name.
+ * @param {string} format - Format name
+ * @returns {string} The same name, lower-cased
+ * @throws {ConfigurationError} When the format is unknown
+ */
+export function resolveLogFormat(format) {
+  const name = String(format ?? "").toLowerCase();
+  if (!LOG_FORMATS.includes(name)) {
+    throw new ConfigurationError(`Unknown log format: ${format}`, {
+      details: { value: format, allowedFormats: LOG_FORMATS },
+    });
+  }
+  return name;
+}
+
+/**
+ * Creates the renderer of a format.
+ *
+ * @param {string} format - One of LOG_FORMATS
+ * @param {Object} [options]
+ * @param {boolean} [options.colorize=false] - Colorize the `pretty` format
+ * @returns {(record: Object) => string} Renders a record as one output entry (no trailing newline)
+ * @throws {ConfigurationError} When the format is unknown
+ */
+export function createLogRenderer(format, { colorize = false } = {}) {
+  switch (resolveLogFormat(format)) {
+    case "logfmt":
+      return toLogfmt;
+    case "ecs":
+      return (record) => JSON.stringify(toEcsRecord(record));
+    case "pretty": {
+      const pretty = pinoPretty.prettyFactory({
+        colorize,
+        messageKey: "message",
+        timestampKey: "timestamp",
+        translateTime: "SYS:yyyy-mm-dd HH:MM:ss.l",
+        customLevels: PRETTY_LEVELS,
+        customColors: PRETTY_COLORS,
+        useOnlyCustomProps: true,
+        ignore: PRETTY_IGNORED_FIELDS,
+      });
+      return (record) => pretty(record).trimEnd();
+    }
+    case "json":
+    default:
+      return (record) => JSON.stringify(record);
+  }
+}
@@ -0,0 +1,323 @@
+/**
+ * @fileoverview Wire formats of the network log outputs (see log-network-stream.js).
+ *
+ * - `syslog` → RFC 5424 messages; the context fields (`service`, `module`, `feature`,
+ *   request ids, runtime metadata) go to structured data, `hostname` and `pid` to
+ *   the header, other metadata follows the message as JSON.
+ *   Framed with octet counting over TCP (RFC 6587), one datagram per entry over UDP.
+ * - `gelf` → GELF 1.1 JSON; `hostname` becomes `host`, other metadata becomes
+ *   `_`-prefixed additional fields (nested objects flattened with `_`). Null-byte delimited over TCP, chunked
+ *   over UDP when larger than one datagram.
+ *
+ * Both map the LoggerPort levels to syslog severities (`SYSLOG_SEVERITIES`) and
+ * add the base fields (BASE_CONTEXT) to every entry.
+ *
+ * @example
+ * const encode = createNetworkEncoder("gelf", "udp", { baseFields: BASE_CONTEXT });
+ * encode(toLogRecord(entry)); // → [Buffer] datagrams
+ */
+
+import crypto from "node:crypto";
+import os from "node:os";
+
+import { ConfigurationError } from "../../shared/errors/index.js";
+
+export const NETWORK_LOG_FORMATS = Object.freeze(["syslog", "gelf"]);
+
+// Syslog severity (RFC 5424 section 6.2.1) of every LoggerPort method; GELF uses the same numbers
+export const SYSLOG_SEVERITIES = Object.freeze({
+  fatal: 2, // Critical
+  error: 3, // Error
+  warn: 4, // Warning
+  info: 6, // Informational
+  http: 6,
+  verbose: 7, // Debug
+  debug: 7,
+  trace: 7,
+});
+
+export const SYSLOG_FACILITIES = Object.freeze({
+  kern: 0,
+  user: 1,
+  mail: 2,
+  daemon: 3,
+  auth: 4,
+  syslog: 5,
+  lpr: 6,
+  news: 7,
+  uucp: 8,
+  cron: 9,
+  authpriv: 10,
+  ftp: 11,
+  local0: 16,
+  local1: 17,
+  local2: 18,
+  local3: 19,
+  local4: 20,
+  local5: 21,
+  local6: 22,
+  local7: 23,
+});
+
+// Structured data element of the context fields (32473 = example enterprise number, RFC 5612)
+const SYSLOG_SD_ID = "context@32473";
+
+// Record fields sent as syslog structured data
+const SYSLOG_SD_FIELDS = [
+  "service",
+  "module",
+  "feature",
+  "requestId",
+  "correlationId",
+  "userId",
+  "version",
+  "revision",
+  "environment",
+  "containerId",
+  "startedAt",
+];
+
+// GELF UDP chunking: magic bytes, 8-byte message id, sequence number and count
+const GELF_CHUNK_MAGIC = Buffer.from([0x1e, 0x0f]);
+const GELF_CHUNK_HEADER_SIZE = 12;
+const GELF_MAX_CHUNKS = 128;
+
+// Default datagram size of GELF chunks (safe for WAN paths)
+export const GELF_CHUNK_SIZE = 1420;
+
+/**
+ * Replaces characters not allowed in an RFC 5424 header field and truncates it.
+ * @param {*} value - Header value
+ * @param {number} maxLength - Maximum length of the field
+ * @returns {string} PRINTUSASCII value, "-" when empty
+ */
+function toSyslogHeaderField(value, maxLength) {
+  const text = String(value ?? "")
+    .replace(/[^\x21-\x7e]/g, "_")
+    .slice(0, maxLength);
+  return text || "-";
+}
+
+/**
+ * Escapes a structured data parameter value (RFC 5424 section 6.3.3).
+ * @param {*} value - Parameter value
+ * @returns {string} Escaped value
+ */
+function escapeSyslogParamValue(value) {
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return text.replace(/["\\\]]/g, "\\$&");
+}
+
+/**
+ * Resolves a facility name or number.
+ * @param {string|number} facility - e.g. "local0" or 16
+ * @returns {number} Facility code
+ * @throws {ConfigurationError} When the facility is unknown
+ */
+export function resolveSyslogFacility(facility) {
+  const code =
+    SYSLOG_FACILITIES[String(facility).toLowerCase()] ??
+    (/^\d+$/.test(String(facility)) ? Number(facility) : undefined);
+  if (code === undefined || code > 23) {
+    throw new ConfigurationError(`Unknown syslog facility: ${facility}`, {
+      details: {
+        value: facility,
+        allowedValues: Object.keys(SYSLOG_FACILITIES),
+      },
+    });
+  }
+  return code;
+}
+
+/**
+ * Renders a log record as an RFC 5424 message (without transport framing).
+ *
+ * Flow:
+ * 1. PRI from facility and level severity, then version, timestamp, hostname,
+ *    app name (`service`), process id and message id (`module`); the record's
+ *    `hostname` and `pid` win over the defaults
+ * 2. Context fields as one structured data element
+ * 3. The message, followed by the remaining metadata as JSON
+ *
+ * @param {Object} record - Record from `toLogRecord`, base fields included
+ * @param {Object} [options]
+ * @param {number} [options.facility=16] - Facility code (local0)
+ * @param {string} [options.hostname=os.hostname()] - HOSTNAME field (when the record has none)
+ * @returns {string} Syslog message
+ */
+export function toSyslogMessage(
+  record,
+  { facility = SYSLOG_FACILITIES.local0, hostname = os.hostname() } = {}
+) {
+  const {
+    timestamp,
+    level,
+    message,
+    hostname: recordHostname,
+    pid,
+    ...fields
+  } = record;
+  const severity = SYSLOG_SEVERITIES[level] ?? SYSLOG_SEVERITIES.info;
+
+  const params = [];
+  const meta = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    if (SYSLOG_SD_FIELDS.includes(key)) {
+      params.push(`${key}="${escapeSyslogParamValue(value)}"`);
+    } else {
+      meta[key] = value;
+    }
+  }
+
+  const header = [
+    `<${facility * 8 + severity}>1`,
+    timestamp ?? new Date().toISOString(),
+    toSyslogHeaderField(recordHostname ?? hostname, 255),
+    toSyslogHeaderField(fields.service, 48),
+    toSyslogHeaderField(pid ?? process.pid, 128),
+    toSyslogHeaderField(fields.module, 32),
+    params.length > 0 ? `[${SYSLOG_SD_ID} ${params.join(" ")}]` : "-",
+  ].join(" ");
+  const body = Object.keys(meta).length
+    ? `${message ?? ""} ${JSON.stringify(meta)}`
+    : `${message ?? ""}`;
+
+  return `${header} ${body}`;
+}
+
+/**
+ * Adds one metadata field as GELF additional field(s); objects are flattened.
+ * @param {Object} gelf - GELF message being built
+ * @param {string} key - Field name (without the `_` prefix)
+ * @param {*} value - Field value
+ */
+function addGelfField(gelf, key, value) {
+  if (value === undefined || value === null) return;
+  if (typeof value === "object" && !Array.isArray(value)) {
+    for (const [childKey, childValue] of Object.entries(value)) {
+      addGelfField(gelf, `${key}_${childKey}`, childValue);
+    }
+    return;
+  }
+  // `_id` is reserved by GELF
+  const name = key === "id" ? "_id_" : `_${key.replace(/[^\w.-]/g, "_")}`;
+  gelf[name] =
+    typeof value === "number" && Number.isFinite(value)
+      ? value
+      : typeof value === "string"
+        ? value
+        : Array.isArray(value)
+          ? JSON.stringify(value)
+          : String(value);
+}
+
+/**
+ * Maps a log record to a GELF 1.1 message.
+ *
+ * @param {Object} record - Record from `toLogRecord`, base fields included
+ * @param {Object} [options]
+ * @param {string} [options.hostname=os.hostname()] - `host` field (when the record has no `hostname`)
+ * @returns {Object} GELF message
+ */
+export function toGelfMessage(record, { hostname = os.hostname() } = {}) {
+  const {
+    timestamp,
+    level,
+    message,
+    hostname: recordHostname,
+    ...fields
+  } = record;
+  const time = Date.parse(timestamp);
+
+  const gelf = {
+    version: "1.1",
+    host: recordHostname ?? hostname,
+    short_message: String(message ?? ""),
+    timestamp: (Number.isNaN(time) ? Date.now() : time) / 1000,
+    level: SYSLOG_SEVERITIES[level] ?? SYSLOG_SEVERITIES.info,
+  };
+  if (typeof fields.error?.stack === "string") {
+    gelf.full_message = fields.error.stack;
+  }
+  for (const [key, value] of Object.entries(fields)) {
+    addGelfField(gelf, key, value);
+  }
+  return gelf;
+}
+
+/**
+ * Splits a GELF payload into UDP chunks.
+ *
+ * @param {Buffer} payload - Serialized GELF message
+ * @param {number} [chunkSize=GELF_CHUNK_SIZE] - Maximum datagram size
+ * @returns {Buffer[]} Datagrams (the payload itself when it fits in one)
+ * @throws {RangeError} When the message needs more than 128 chunks
+ */
+export function chunkGelfPayload(payload, chunkSize = GELF_CHUNK_SIZE) {
+  if (payload.length <= chunkSize) return [payload];
+
+  const dataSize = chunkSize - GELF_CHUNK_HEADER_SIZE;
+  const count = Math.ceil(payload.length / dataSize);
+  if (count > GELF_MAX_CHUNKS) {
+    throw new RangeError(
+      `GELF message of ${payload.length} bytes needs ${count} chunks (max ${GELF_MAX_CHUNKS})`
+    );
+  }
+
+  const messageId = crypto.randomBytes(8);
+  return Array.from({ length: count }, (_, index) =>
+    Buffer.concat([
+      GELF_CHUNK_MAGIC,
+      messageId,
+      Buffer.from([index, count]),
+      payload.subarray(index * dataSize, (index + 1) * dataSize),
+    ])
+  );
+}
+
+/**
+ * Creates the encoder of a network output: record in, framed buffers out.
+ *
+ * @param {string} format - syslog | gelf
+ * @param {string} protocol - udp | tcp
+ * @param {Object} [options]
+ * @param {Object} [options.baseFields={}] - Fields added to every record (BASE_CONTEXT)
+ * @param {number} [options.facility] - Syslog facility code
+ * @param {string} [options.hostname] - Host name sent to the collector
+ * @param {number} [options.chunkSize] - GELF UDP datagram size
+ * @returns {(record: Object) => Buffer[]} Datagrams (UDP) or stream chunks (TCP) of one entry
+ * @throws {ConfigurationError} When the format is unknown
+ */
+export function createNetworkEncoder(
+  format,
+  protocol,
+  { baseFields = {}, facility, hostname, chunkSize } = {}
+) {
+  const withBase = (record) => ({ ...baseFields, ...record });
+
+  switch (format) {
+    case "syslog":
+      return (record) => {
+        const message = Buffer.from(
+          toSyslogMessage(withBase(record), { facility, hostname })
+        );
+        return protocol === "tcp"
+          ? [Buffer.concat([Buffer.from(`${message.length} `), message])]
+          : [message];
+      };
+    case "gelf":
+      return (record) => {
+        const payload = Buffer.from(
+          JSON.stringify(toGelfMessage(withBase(record), { hostname }))
+        );
+        return protocol === "tcp"
+          ? [Buffer.concat([payload, Buffer.from([0])])]
+          : chunkGelfPayload(payload, chunkSize);
+      };
+    default:
+      throw new ConfigurationError(`Unknown network log format: ${format}`, {
+        details: { value: format, allowedFormats: NETWORK_LOG_FORMATS },
+      });
+  }
+}
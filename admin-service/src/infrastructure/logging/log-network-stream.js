@@ -0,0 +1,353 @@
+/**
+ * @fileoverview Network log outputs: syslog and GELF collectors over UDP or TCP.
+ *
+ * A `NetworkLogStream` takes Pino JSON lines or Winston entries (already redacted),
+ * builds the shared log record and sends it in the collector's wire format
+ * (see log-network-formats.js). It follows the RotatingFileStream contract
+ * (`write`, `flush(callback)`, `end()` emitting `close`), so both adapters flush
+ * and close it with the other outputs.
+ *
+ * - UDP: one send per datagram; nothing to reconnect
+ * - TCP: connects on creation and reconnects with exponential backoff when the
+ *   collector closes the connection or is unreachable; meanwhile up to
+ *   `maxBufferedEntries` entries are kept (oldest dropped first), sent on
+ *   reconnect with a "Dropped N log entries" warning if some were dropped
+ * - Sockets and timers are unref'd: a collector never keeps the process alive
+ *
+ * Failures are reported on stderr once per outage and never reach the caller.
+ *
+ * @example
+ * const stream = new NetworkLogStream({ name: "gelf", ...parseCollectorUrl("udp://graylog:12201"), encode });
+ * pino.multistream([{ level: "info", stream }]);
+ */
+
+import dgram from "node:dgram";
+import { EventEmitter } from "node:events";
+import net from "node:net";
+
+import { ConfigurationError } from "../../shared/errors/index.js";
+
+import { toLogRecord } from "./log-formats.js";
+import {
+  createNetworkEncoder,
+  resolveSyslogFacility,
+} from "./log-network-formats.js";
+import { redact } from "./log-redaction.js";
+
+export const NETWORK_PROTOCOLS = Object.freeze(["udp", "tcp"]);
+
+// Default collector ports per format
+const DEFAULT_PORTS = Object.freeze({ syslog: 514, gelf: 12201 });
+
+// Longest wait between two reconnection attempts
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+/**
+ * Reports a network output failure on stderr (the collector may be the thing failing).
+ * @param {Error} error - Failure
+ * @param {string} name - Output name
+ */
+function reportNetworkError(error, name) {
+  process.stderr.write(
+    `${JSON.stringify({
+      level: "error",
+      message: `Log output ${name} failed`,
+      error: error?.message ?? String(error),
+    })}\n`
+  );
+}
+
+/**
+ * Parses a collector URL such as `udp://collector:514` or `tcp://graylog:12201`.
+ *
+ * @param {string} url - Collector URL
+ * @param {number} [defaultPort] - Port when the URL has none
+ * @returns {{protocol: string, host: string, port: number}} Collector address
+ * @throws {ConfigurationError} When the URL, protocol or port is invalid
+ */
+export function parseCollectorUrl(url, defaultPort) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    parsed = null;
+  }
+  const protocol = parsed?.protocol.replace(/:$/, "");
+  const port = Number(parsed?.port || defaultPort);
+
+  if (
+    !parsed?.hostname ||
+    !NETWORK_PROTOCOLS.includes(protocol) ||
+    !(Number.isInteger(port) && port > 0 && port < 65536)
+  ) {
+    throw new ConfigurationError(`Invalid log collector URL: ${url}`, {
+      details: {
+        value: url,
+        expectedFormat: "udp://<host>[:<port>] or tcp://<host>[:<port>]",
+      },
+    });
+  }
+  // IPv6 literals come bracketed from URL
+  return { protocol, host: parsed.hostname.replace(/^\[|\]$/g, ""), port };
+}
+
+/**
+ * NetworkLogStream: sends log entries to a syslog or GELF collector.
+ *
+ * @class NetworkLogStream
+ * @extends EventEmitter
+ */
+export class NetworkLogStream extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Output name (used in error reports)
+   * @param {string} options.protocol - udp | tcp
+   * @param {string} options.host - Collector host
+   * @param {number} options.port - Collector port
+   * @param {(record: Object) => Buffer[]} options.encode - Encoder from `createNetworkEncoder`
+   * @param {boolean} [options.redactEntries=false] - Redact entries first (Pino worker mode lines are not redacted yet)
+   * @param {number} [options.maxBufferedEntries=1000] - Entries kept while a TCP collector is unreachable
+   * @param {number} [options.reconnectDelayMs=1000] - First reconnection delay (doubles per failed attempt)
+   * @param {(error: Error, name: string) => void} [options.onError] - Failure reporter
+   */
+  constructor({
+    name,
+    protocol,
+    host,
+    port,
+    encode,
+    redactEntries = false,
+    maxBufferedEntries = 1000,
+    reconnectDelayMs = 1000,
+    onError = reportNetworkError,
+  }) {
+    super();
+    this.name = name;
+    this.protocol = protocol;
+    this.host = host;
+    this.port = port;
+    this.encode = encode;
+    this.redactEntries = redactEntries;
+    this.maxBufferedEntries = maxBufferedEntries;
+    this.reconnectDelayMs = reconnectDelayMs;
+    this.onError = onError;
+
+    this.inFlight = 0;
+    this.flushCallbacks = [];
+    this.buffered = [];
+    this.dropped = 0;
+    this.attempts = 0;
+    this.connected = false;
+    this.outageReported = false;
+    this.ended = false;
+
+    if (protocol === "udp") {
+      this.socket = dgram.createSocket(net.isIPv6(host) ? "udp6" : "udp4");
+      this.socket.on("error", (error) => this.onError(error, this.name));
+      this.socket.unref();
+    } else {
+      this.connect();
+    }
+  }
+
+  /**
+   * Sends one entry.
+   * @param {string|Object} entry - Pino JSON line or Winston entry
+   * @returns {boolean} false once ended
+   */
+  write(entry) {
+    if (this.ended) return false;
+
+    let chunks;
+    try {
+      const parsed = typeof entry === "string" ? JSON.parse(entry) : entry;
+      chunks = this.encode(
+        toLogRecord(this.redactEntries ? redact(parsed) : parsed)
+      );
+    } catch (error) {
+      this.onError(error, this.name);
+      return true;
+    }
+
+    if (this.protocol === "udp") {
+      chunks.forEach((chunk) => this.send(chunk));
+    } else if (this.connected) {
+      this.send(Buffer.concat(chunks));
+    } else {
+      this.bufferEntry(Buffer.concat(chunks));
+    }
+    return true;
+  }
+
+  /**
+   * Sends a datagram or writes to the connection, tracking completion for `flush`.
+   * @private
+   * @param {Buffer} chunk - Encoded data
+   */
+  send(chunk) {
+    this.inFlight += 1;
+    const done = (error) => {
+      if (error && this.protocol === "udp") this.onError(error, this.name);
+      this.inFlight -= 1;
+      if (this.inFlight === 0) {
+        this.flushCallbacks.splice(0).forEach((callback) => callback());
+      }
+    };
+
+    if (this.protocol === "udp") {
+      this.socket.send(chunk, this.port, this.host, done);
+    } else {
+      this.socket.write(chunk, done);
+    }
+  }
+
+  /**
+   * Keeps an entry until the collector is reachable again, dropping the oldest when full.
+   * @private
+   * @param {Buffer} chunk - Encoded entry
+   */
+  bufferEntry(chunk) {
+    if (this.buffered.length >= this.maxBufferedEntries) {
+      this.buffered.shift();
+      this.dropped += 1;
+    }
+    this.buffered.push(chunk);
+  }
+
+  /**
+   * Opens the TCP connection; on close, schedules the next attempt.
+   * @private
+   */
+  connect() {
+    const socket = net.connect({ host: this.host, port: this.port });
+    socket.unref();
+    socket.setKeepAlive(true);
+    this.socket = socket;
+
+    socket.on("connect", () => {
+      this.connected = true;
+      this.attempts = 0;
+      this.outageReported = false;
+      this.sendBuffered();
+      this.emit("connect");
+    });
+    socket.on("error", (error) => {
+      if (this.outageReported || this.ended) return;
+      this.outageReported = true;
+      this.onError(error, this.name);
+    });
+    socket.on("close", () => {
+      this.connected = false;
+      if (this.ended) return;
+      this.emit("disconnect");
+      this.scheduleReconnect();
+    });
+  }
+
+  /**
+   * @private
+   */
+  scheduleReconnect() {
+    const delay = Math.min(
+      this.reconnectDelayMs * 2 ** this.attempts,
+      MAX_RECONNECT_DELAY_MS
+    );
+    this.attempts += 1;
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    this.reconnectTimer.unref();
+  }
+
+  /**
+   * Sends the entries kept during the outage, reporting dropped ones to the collector.
+   * @private
+   */
+  sendBuffered() {
+    const chunks = this.buffered.splice(0);
+    if (this.dropped > 0) {
+      chunks.push(
+        ...this.encode(
+          toLogRecord({
+            level: "warn",
+            message: `Dropped ${this.dropped} log entries: log collector unreachable`,
+            timestamp: new Date().toISOString(),
+            logOutput: { name: this.name, dropped: this.dropped },
+          })
+        )
+      );
+      this.dropped = 0;
+    }
+    if (chunks.length > 0) this.send(Buffer.concat(chunks));
+  }
+
+  /**
+   * Waits until the sent entries left the process. Entries kept while a TCP
+   * collector is unreachable are not waited for.
+   * @param {(error?: Error) => void} callback - Called once nothing is in flight
+   */
+  flush(callback) {
+    if (this.inFlight === 0) return callback();
+    this.flushCallbacks.push(callback);
+    return undefined;
+  }
+
+  /**
+   * Flushes and closes the socket; emits `close` once it is closed.
+   * Later writes are dropped.
+   */
+  end() {
+    if (this.ended) return;
+    this.ended = true;
+    clearTimeout(this.reconnectTimer);
+
+    this.flush(() => {
+      if (this.protocol === "udp") {
+        this.socket.close(() => this.emit("close"));
+      } else if (this.connected) {
+        this.socket.once("close", () => this.emit("close"));
+        this.socket.end();
+      } else {
+        this.socket.destroy();
+        process.nextTick(() => this.emit("close"));
+      }
+    });
+  }
+}
+
+/**
+ * Creates the configured network outputs (none when no collector URL is set).
+ *
+ * @param {Object} network - `loggerConfig.network`
+ * @param {string} [network.syslog] - Syslog collector URL
+ * @param {string|number} [network.syslogFacility="local0"] - Syslog facility
+ * @param {string} [network.gelf] - GELF collector URL
+ * @param {Object} [options]
+ * @param {Object} [options.baseFields={}] - Fields added to every entry (BASE_CONTEXT)
+ * @param {boolean} [options.redactEntries=false] - Redact entries in the stream
+ * @returns {NetworkLogStream[]} Network outputs
+ * @throws {ConfigurationError} When a URL or the facility is invalid
+ */
+export function createNetworkLogStreams(
+  { syslog, syslogFacility = "local0", gelf } = {},
+  { baseFields = {}, redactEntries = false } = {}
+) {
+  const outputs = [
+    syslog && { format: "syslog", url: syslog },
+    gelf && { format: "gelf", url: gelf },
+  ].filter(Boolean);
+
+  return outputs.map(({ format, url }) => {
+    const target = parseCollectorUrl(url, DEFAULT_PORTS[format]);
+    return new NetworkLogStream({
+      name: format,
+      ...target,
+      encode: createNetworkEncoder(format, target.protocol, {
+        baseFields,
+        facility:
+          format === "syslog"
+            ? resolveSyslogFacility(syslogFacility)
+            : undefined,
+      }),
+      redactEntries,
+    });
+  });
+}
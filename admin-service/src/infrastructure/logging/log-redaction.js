@@ -0,0 +1,21 @@
+/**
+ * @fileoverview Redaction engine applied to every log entry.
+ *
+ * Built once from `redaction.config.js` and shared by the Winston `jsonFormat`
+ * and the Pino `logFormatter`, so both adapters redact identically.
+ *
+ * @example
+ * import { redact } from "./log-redaction.js";
+ * redact({ notes: "paid with 4111 1111 1111 1111" });
+ */
+
+import redactionConfig from "../../shared/configs/redaction.config.js";
+import { createSanitizer } from "../../shared/utils/sanitizer.js";
+
+/**
+ * Sanitizes a log entry with the configured keys, detectors, paths and mask modes.
+ * @type {(data: *) => *}
+ */
+export const redact = createSanitizer(redactionConfig);
+
+export default redact;
@@ -0,0 +1,477 @@
+/**
+ * @fileoverview File rotation policy shared by the Winston and Pino adapters.
+ *
+ * One policy (from `LOG_ROTATE_*`) drives both adapters:
+ * - Winston: `winston-daily-rotate-file` options via `toDailyRotateFileOptions`
+ * - Pino: `RotatingFileStream`, a multistream destination with the same daily
+ *   file names, size limit, retention and gzip compression
+ *
+ * Files are named `<name>-YYYY-MM-DD.log`; size rotations within a day add an
+ * index (`<name>-YYYY-MM-DD.1.log`); compressed files end in `.gz`.
+ *
+ * @example
+ * const policy = resolveRotationPolicy(loggerConfig.rotation);
+ * const stream = new RotatingFileStream({ name: "all", policy });
+ */
+
+import { EventEmitter } from "events";
+import fs from "fs";
+import { readdir, rm, stat } from "fs/promises";
+import path from "path";
+import { pipeline } from "stream/promises";
+import { createGzip } from "zlib";
+
+import pino from "pino";
+
+import { ConfigurationError } from "../../shared/errors/index.js";
+
+/**
+ * @typedef {Object} RotationPolicy
+ * @property {string} dir - Log directory
+ * @property {string|undefined} maxSize - Size limit as configured (e.g. "100m")
+ * @property {number|undefined} maxSizeBytes - Size limit in bytes
+ * @property {number|undefined} maxFiles - Files kept per log (including the active one)
+ * @property {string|undefined} maxAge - Retention as configured (e.g. "30d")
+ * @property {number|undefined} maxAgeMs - Retention in milliseconds
+ * @property {boolean} compress - Gzip rotated files
+ */
+
+const SIZE_UNITS = Object.freeze({ "": 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 });
+const AGE_UNITS = Object.freeze({
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+});
+
+/**
+ * Parses a size such as "100m", "512k" or "1g" into bytes.
+ * @param {string|number|undefined} size - Configured size
+ * @returns {number|undefined} Bytes, or undefined when unset
+ * @throws {ConfigurationError} When the size is malformed
+ */
+export function parseSize(size) {
+  if (size === undefined || size === "") return undefined;
+  const match = /^(\d+)\s*([kmg]?)b?$/i.exec(String(size).trim());
+  if (!match || Number(match[1]) === 0) {
+    throw new ConfigurationError(`Invalid log rotation size: ${size}`, {
+      details: { value: size, expectedFormat: "<number>[k|m|g], e.g. 100m" },
+    });
+  }
+  return Number(match[1]) * SIZE_UNITS[match[2].toLowerCase()];
+}
+
+/**
+ * Parses a retention such as "30d" or "12h" into milliseconds (a bare number means days).
+ * @param {string|number|undefined} age - Configured retention
+ * @returns {number|undefined} Milliseconds, or undefined when unset
+ * @throws {ConfigurationError} When the retention is malformed
+ */
+export function parseAge(age) {
+  if (age === undefined || age === "") return undefined;
+  const match = /^(\d+)\s*([smhd]?)$/i.exec(String(age).trim());
+  if (!match || Number(match[1]) === 0) {
+    throw new ConfigurationError(`Invalid log rotation age: ${age}`, {
+      details: { value: age, expectedFormat: "<number>[s|m|h|d], e.g. 30d" },
+    });
+  }
+  return Number(match[1]) * AGE_UNITS[match[2].toLowerCase() || "d"];
+}
+
+/**
+ * Validates the configured rotation settings and adds their numeric forms.
+ * @param {Object} [options] - `loggerConfig.rotation`
+ * @param {string} [options.dir="logs"] - Log directory
+ * @param {string} [options.maxSize] - Size limit per file
+ * @param {string|number} [options.maxFiles] - Files kept per log
+ * @param {string} [options.maxAge] - Retention of rotated files
+ * @param {boolean} [options.compress=false] - Gzip rotated files
+ * @returns {RotationPolicy} Normalized policy
+ * @throws {ConfigurationError} When a setting is malformed
+ */
+export function resolveRotationPolicy({
+  dir = "logs",
+  maxSize,
+  maxFiles,
+  maxAge,
+  compress = false,
+} = {}) {
+  const fileCount =
+    maxFiles === undefined || maxFiles === "" ? undefined : Number(maxFiles);
+  if (fileCount !== undefined && !(Number.isInteger(fileCount) && fileCount > 0)) {
+    throw new ConfigurationError(`Invalid log rotation file count: ${maxFiles}`, {
+      details: { value: maxFiles, expectedType: "positive integer" },
+    });
+  }
+
+  return Object.freeze({
+    dir: dir || "logs",
+    maxSize: maxSize || undefined,
+    maxSizeBytes: parseSize(maxSize),
+    maxFiles: fileCount,
+    maxAge: maxAge || undefined,
+    maxAgeMs: parseAge(maxAge),
+    compress: Boolean(compress),
+  });
+}
+
+/**
+ * Options for a `winston-daily-rotate-file` transport following the policy.
+ * The transport keeps `maxFiles`; retention by age is applied by `pruneRotatedFiles`
+ * on every rotation, as for Pino.
+ * @param {RotationPolicy} policy - Rotation policy
+ * @param {string} name - Log name (e.g. "error")
+ * @returns {Object} DailyRotateFile options
+ */
+export function toDailyRotateFileOptions(policy, name) {
+  return {
+    dirname: policy.dir,
+    filename: `${name}-%DATE%.log`,
+    datePattern: "YYYY-MM-DD",
+    maxSize: policy.maxSizeBytes,
+    maxFiles: policy.maxFiles,
+    zippedArchive: policy.compress,
+  };
+}
+
+/**
+ * Local calendar day used in file names (same as the Winston date pattern).
+ * @param {Date} date - Current time
+ * @returns {string} YYYY-MM-DD
+ */
+function formatDay(date) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Matches the files of one log: `<name>-YYYY-MM-DD[.n].log[.n][.gz]`.
+ * The index comes before `.log` for Pino files and after it for Winston files.
+ * @param {string} name - Log name
+ * @returns {RegExp} File name pattern; group 1 is the day, groups 2/3 the index
+ */
+function rotatedFilePattern(name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(
+    `^${escaped}-(\\d{4}-\\d{2}-\\d{2})(?:\\.(\\d+))?\\.log(?:\\.(\\d+))?(?:\\.gz)?$`
+  );
+}
+
+/**
+ * Deletes files of one log beyond the policy's count and age limits.
+ * @param {Object} options
+ * @param {string} options.dir - Log directory
+ * @param {string} options.name - Log name
+ * @param {number} [options.maxFiles] - Files kept, newest first
+ * @param {number} [options.maxAgeMs] - Files last modified earlier are deleted
+ * @param {string} [options.activeFile] - Current file, never deleted
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<string[]>} Deleted file paths
+ */
+export async function pruneRotatedFiles({
+  dir,
+  name,
+  maxFiles,
+  maxAgeMs,
+  activeFile,
+  now = new Date(),
+}) {
+  if (maxFiles === undefined && maxAgeMs === undefined) return [];
+
+  const pattern = rotatedFilePattern(name);
+  const files = await Promise.all(
+    (await readdir(dir))
+      .map((file) => ({ file, match: pattern.exec(file) }))
+      .filter(({ match }) => match)
+      .map(async ({ file, match }) => {
+        const filePath = path.join(dir, file);
+        return {
+          filePath,
+          mtimeMs: (await stat(filePath)).mtimeMs,
+          day: match[1],
+          index: Number(match[2] ?? match[3] ?? 0),
+        };
+      })
+  );
+  // Newest first; files written within the same millisecond are ordered by name
+  files.sort(
+    (a, b) =>
+      b.mtimeMs - a.mtimeMs || b.day.localeCompare(a.day) || b.index - a.index
+  );
+
+  // The active file always counts towards maxFiles and is never deleted
+  const removed = [];
+  let kept = activeFile ? 1 : 0;
+  for (const { filePath, mtimeMs } of files) {
+    if (activeFile && path.resolve(filePath) === path.resolve(activeFile)) continue;
+    const tooMany = maxFiles !== undefined && kept >= maxFiles;
+    const tooOld = maxAgeMs !== undefined && now.getTime() - mtimeMs > maxAgeMs;
+    if (tooMany || tooOld) {
+      await rm(filePath, { force: true });
+      removed.push(filePath);
+    } else {
+      kept += 1;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Gzips a file to `<file>.gz` and deletes the original.
+ * @param {string} filePath - File to compress
+ * @returns {Promise<string>} Compressed file path
+ */
+export async function compressFile(filePath) {
+  const target = `${filePath}.gz`;
+  await pipeline(
+    fs.createReadStream(filePath),
+    createGzip(),
+    fs.createWriteStream(target)
+  );
+  await rm(filePath, { force: true });
+  return target;
+}
+
+/**
+ * Default rotation failure reporter.
+ * Writes to stderr directly: the failing stream belongs to the logger itself.
+ * @param {Error} error - Rotation, compression or pruning failure
+ */
+function reportRotationError(error) {
+  process.stderr.write(
+    `${JSON.stringify({
+      level: "error",
+      message: "Log rotation failed",
+      error: error?.message ?? String(error),
+    })}\n`
+  );
+}
+
+/**
+ * RotatingFileStream: Pino destination rotating by day and size.
+ *
+ * Flow:
+ * 1. On start, continues today's newest file (or the next index if it is full)
+ * 2. Before each write, rotates when the day changed or the size limit would be exceeded
+ * 3. Opens a new SonicBoom destination and ends the previous one, so lines still
+ *    buffered for the previous file are written there
+ * 4. Once the previous file is closed, compresses it (if enabled) and prunes old files
+ *
+ * Emits `rotate` (previousFile, newFile) and `archived` (previousFile or its `.gz`,
+ * deleted files) after each rotation; failures go to `onError` and never reach the caller.
+ *
+ * @class RotatingFileStream
+ * @extends EventEmitter
+ *
+ * @example
+ * pino.multistream([{ level: "info", stream: new RotatingFileStream({ name: "info", policy }) }]);
+ */
+export class RotatingFileStream extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Log name (file prefix)
+   * @param {RotationPolicy} options.policy - Rotation policy
+   * @param {boolean} [options.sync=false] - Write synchronously
+   * @param {() => Date} [options.now] - Clock (for tests)
+   * @param {(error: Error) => void} [options.onError] - Failure reporter
+   */
+  constructor({
+    name,
+    policy,
+    sync = false,
+    now = () => new Date(),
+    onError = reportRotationError,
+  }) {
+    super();
+    this.name = name;
+    this.policy = policy;
+    this.now = now;
+    this.onError = onError;
+
+    fs.mkdirSync(policy.dir, { recursive: true });
+    this.day = formatDay(now());
+    this.index = this.findLatestIndex(this.day);
+    this.size = this.currentFileSize();
+    if (policy.maxSizeBytes !== undefined && this.size >= policy.maxSizeBytes) {
+      this.index += 1;
+      this.size = 0;
+    }
+
+    this.sync = sync;
+    // Bytes handed to the active destination that its `write` events have not
+    // reported as written yet
+    this.pendingBytes = 0;
+    this.destination = this.openDestination();
+  }
+
+  /**
+   * Opens a SonicBoom destination on the active file. Lines are written as
+   * buffers: in its utf8 mode SonicBoom counts queued characters but written
+   * bytes, and stalls on multi-byte lines until the next write.
+   * @private
+   * @returns {SonicBoom} Destination
+   */
+  openDestination() {
+    const destination = pino.destination({
+      dest: this.filePath(),
+      mkdir: true,
+      append: true,
+      sync: this.sync,
+      contentMode: "buffer",
+    });
+    destination.on("error", (error) => this.onError(error));
+    destination.on("write", (bytes) => {
+      if (destination === this.destination) this.pendingBytes -= bytes;
+    });
+    return destination;
+  }
+
+  /**
+   * Path of the active file.
+   * @returns {string} File path
+   */
+  filePath() {
+    const suffix = this.index > 0 ? `.${this.index}` : "";
+    return path.join(this.policy.dir, `${this.name}-${this.day}${suffix}.log`);
+  }
+
+  /**
+   * Highest size-rotation index already used for a day (continues after restarts).
+   * @private
+   * @param {string} day - YYYY-MM-DD
+   * @returns {number} Index, 0 when no file exists
+   */
+  findLatestIndex(day) {
+    const pattern = rotatedFilePattern(this.name);
+    let latest = 0;
+    for (const file of fs.readdirSync(this.policy.dir)) {
+      const match = pattern.exec(file);
+      if (match && match[1] === day) latest = Math.max(latest, Number(match[2] ?? 0));
+    }
+    return latest;
+  }
+
+  /**
+   * Size of the active file, 0 when it does not exist yet.
+   * @private
+   * @returns {number} Bytes
+   */
+  currentFileSize() {
+    try {
+      return fs.statSync(this.filePath()).size;
+    } catch {
+      return 0;
+    }
+  }
+
+  /**
+   * Writes one serialized log line, rotating first when needed.
+   * @param {string} chunk - Log line
+   * @returns {boolean} SonicBoom backpressure flag
+   */
+  write(chunk) {
+    if (this.ended) return false; // Closed during shutdown: console output still has it
+    const buffer = Buffer.from(chunk);
+    const bytes = buffer.length;
+    const day = formatDay(this.now());
+    const { maxSizeBytes } = this.policy;
+    if (
+      day !== this.day ||
+      (maxSizeBytes !== undefined && this.size > 0 && this.size + bytes > maxSizeBytes)
+    ) {
+      this.rotate(day);
+    }
+    this.size += bytes;
+    this.pendingBytes += bytes; // Before writing: sync destinations report at once
+    return this.destination.write(buffer);
+  }
+
+  /**
+   * Switches to the next file and archives the previous one in the background.
+   * @private
+   * @param {string} day - Day of the new file
+   */
+  rotate(day) {
+    const previousFile = this.filePath();
+    this.index = day === this.day ? this.index + 1 : 0;
+    this.day = day;
+    this.size = 0;
+    this.pendingBytes = 0; // Ending the previous destination writes out its lines
+    const newFile = this.filePath();
+
+    const previous = this.destination;
+    this.destination = this.openDestination();
+    previous.once("close", () => {
+      this.archive(previousFile).catch((error) => this.onError(error));
+    });
+    previous.end();
+    this.emit("rotate", previousFile, newFile);
+  }
+
+  /**
+   * Compresses the previous file (if enabled) and applies count/age retention.
+   * @private
+   * @param {string} previousFile - File just rotated out
+   */
+  async archive(previousFile) {
+    const archived = this.policy.compress
+      ? await compressFile(previousFile)
+      : previousFile;
+    const removed = await pruneRotatedFiles({
+      dir: this.policy.dir,
+      name: this.name,
+      maxFiles: this.policy.maxFiles,
+      maxAgeMs: this.policy.maxAgeMs,
+      activeFile: this.filePath(), // Read now: more rotations may have happened meanwhile
+      now: this.now(),
+    });
+    this.emit("archived", archived, removed);
+  }
+
+  /**
+   * Flushes buffered lines synchronously (used by Pino on fatal paths).
+   */
+  flushSync() {
+    this.destination.flushSync();
+    this.pendingBytes = 0;
+  }
+
+  /**
+   * Waits until the lines written so far are in the active file.
+   * SonicBoom's own flush() returns immediately without a minLength, so this
+   * counts down the bytes its `write` events report (a rotation or a closed
+   * destination also ends the wait).
+   * @param {(error?: Error) => void} callback - Called once the buffer is on disk
+   */
+  flush(callback) {
+    const { destination } = this;
+    if (this.ended || this.pendingBytes <= 0) return callback();
+
+    const done = (error) => {
+      destination.off("write", onWrite);
+      destination.off("close", onClose);
+      destination.off("error", onError);
+      callback(error);
+    };
+    const onWrite = () => {
+      if (destination !== this.destination || this.pendingBytes <= 0) done();
+    };
+    const onClose = () => done();
+    const onError = (error) => done(error);
+    destination.on("write", onWrite);
+    destination.once("close", onClose);
+    destination.once("error", onError);
+    return undefined;
+  }
+
+  /**
+   * Flushes and closes the active file; emits `close` once it is closed.
+   * Later writes are dropped.
+   */
+  end() {
+    if (this.ended) return;
+    this.ended = true;
+    this.destination.once("close", () => this.emit("close"));
+    this.destination.end();
+  }
+}
@@ -0,0 +1,340 @@
+/**
+ * @fileoverview Non-blocking log output through a worker thread.
+ *
+ * With `LOGGER_CONFIGS_WORKER=true`, both adapters hand raw entries to a
+ * `LogWorkerStream` instead of their own transports/streams. The main thread only
+ * queues the entry; error serialization, redaction, rendering and writing to the
+ * rotating files and stdout happen in log-worker.js.
+ *
+ * - Entries are posted in batches; the queue (queued + in the worker) is bounded
+ *   by `queueSize`
+ * - When it is full, the `drop` policy drops the entry (a "Dropped N log entries"
+ *   warning is written once room is available) and the `block` policy waits
+ *   for the worker, at most `BLOCK_TIMEOUT_MS`, before dropping
+ * - `flush(callback)` and `end()` (emits `close`) follow the RotatingFileStream
+ *   contract, so shutdown (`closeLoggers`) writes everything still queued
+ * - Processes exiting without `closeLoggers` call `flushSync()` from an `exit`
+ *   hook, which waits (at most `BLOCK_TIMEOUT_MS`) until the worker has written the queue
+ *
+ * @example
+ * const stream = new LogWorkerStream({ files: [{ name: "all" }], fileFormat: "json", policy });
+ * stream.write({ level: "info", message: "Started", timestamp });
+ */
+
+import { EventEmitter } from "node:events";
+import { Worker } from "node:worker_threads";
+
+import { ConfigurationError } from "../../shared/errors/index.js";
+
+import { resolveLogFormat } from "./log-formats.js";
+
+export const WORKER_OVERFLOW_POLICIES = Object.freeze(["drop", "block"]);
+
+// Longest wait of the `block` policy (and of `flushSync`) before giving up
+export const BLOCK_TIMEOUT_MS = 1000;
+
+// Entries posted to the worker in one message
+const BATCH_SIZE = 256;
+
+const WORKER_URL = new URL("./log-worker.js", import.meta.url);
+
+// Streams not ended yet, written out synchronously when the process exits
+const openStreams = new Set();
+process.once("exit", () => {
+  for (const stream of openStreams) stream.flushSync();
+});
+
+/**
+ * Turns an entry the structured clone algorithm rejects (functions, symbols as
+ * values, ...) into plain JSON data.
+ * @param {Object|string} entry - Log entry
+ * @returns {Object|string} Cloneable entry
+ */
+function toCloneableEntry(entry) {
+  if (typeof entry === "string") return entry;
+  try {
+    return JSON.parse(
+      JSON.stringify(entry, (key, value) =>
+        typeof value === "bigint" ? value.toString() : value
+      )
+    );
+  } catch {
+    const { level, message, timestamp } = entry;
+    return { level, message: String(message), timestamp, unserializable: true };
+  }
+}
+
+/**
+ * Validates the worker settings.
+ * @param {number} queueSize - Bound of queued plus in-flight entries
+ * @param {string} overflow - drop | block
+ * @throws {ConfigurationError} When a setting is invalid
+ */
+function validateWorkerOptions(queueSize, overflow) {
+  if (!(Number.isInteger(queueSize) && queueSize > 0)) {
+    throw new ConfigurationError(
+      `Invalid log worker queue size: ${queueSize}`,
+      {
+        details: { value: queueSize, expectedType: "positive integer" },
+      }
+    );
+  }
+  if (!WORKER_OVERFLOW_POLICIES.includes(overflow)) {
+    throw new ConfigurationError(
+      `Invalid log worker overflow policy: ${overflow}`,
+      { details: { value: overflow, allowedValues: WORKER_OVERFLOW_POLICIES } }
+    );
+  }
+}
+
+/**
+ * Main-thread side of the log worker.
+ *
+ * @class LogWorkerStream
+ * @extends EventEmitter
+ */
+export class LogWorkerStream extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {{name: string, level?: string}[]} [options.files=[]] - Rotating files (level = fixed threshold)
+   * @param {string} [options.fileFormat="json"] - Output format of the files
+   * @param {string|null} [options.consoleFormat=null] - Output format of stdout (null = no console)
+   * @param {import('./log-rotation.js').RotationPolicy} [options.policy] - Rotation policy of the files
+   * @param {number} [options.queueSize=10000] - Bound of queued plus in-flight entries
+   * @param {string} [options.overflow="drop"] - drop | block
+   * @throws {ConfigurationError} When a format or setting is invalid
+   */
+  constructor({
+    files = [],
+    fileFormat = "json",
+    consoleFormat = null,
+    policy,
+    queueSize = 10000,
+    overflow = "drop",
+  }) {
+    super();
+    validateWorkerOptions(queueSize, overflow);
+
+    this.queueSize = queueSize;
+    this.overflow = overflow;
+    this.queue = [];
+    this.dropped = 0;
+    this.unreportedDrops = 0;
+    this.ended = false;
+    this.scheduled = false;
+    this.requests = new Map();
+    this.nextRequestId = 0;
+
+    // Entries posted but not yet written by the worker (decremented there)
+    this.pending = new Int32Array(new SharedArrayBuffer(4));
+
+    this.worker = new Worker(WORKER_URL, {
+      workerData: {
+        files,
+        fileFormat: resolveLogFormat(fileFormat),
+        consoleFormat: consoleFormat && resolveLogFormat(consoleFormat),
+        policy,
+        pending: this.pending.buffer,
+      },
+    });
+    this.worker.on("message", ({ type, id }) => {
+      if (type === "flushed" || type === "closed") this.settle(id);
+    });
+    this.worker.on("error", (error) => this.fail(error));
+    this.worker.on("exit", () => this.fail());
+    this.worker.unref();
+    openStreams.add(this);
+  }
+
+  /**
+   * Queues one entry for the worker.
+   * @param {Object|string} entry - Winston entry (errors already plain objects) or Pino JSON line
+   * @returns {boolean} false when the entry was dropped
+   */
+  write(entry) {
+    if (this.ended) return false; // Closed during shutdown
+    if (!this.hasCapacity() && !this.waitForCapacity()) {
+      this.dropped += 1;
+      this.unreportedDrops += 1;
+      return false;
+    }
+
+    this.queue.push(entry);
+    if (this.queue.length >= BATCH_SIZE) {
+      this.postQueue();
+    } else if (!this.scheduled) {
+      this.scheduled = true;
+      setImmediate(() => this.postQueue());
+    }
+    return true;
+  }
+
+  /**
+   * @returns {{queued: number, pending: number, dropped: number}} Queue state
+   */
+  getStats() {
+    return {
+      queued: this.queue.length,
+      pending: Atomics.load(this.pending, 0),
+      dropped: this.dropped,
+    };
+  }
+
+  /**
+   * @private
+   * @returns {boolean} true when one more entry fits
+   */
+  hasCapacity() {
+    return this.queue.length + Atomics.load(this.pending, 0) < this.queueSize;
+  }
+
+  /**
+   * Applies the overflow policy to a full queue.
+   * `block` posts what is queued and waits on the shared counter until the
+   * worker made room or `BLOCK_TIMEOUT_MS` passed.
+   * @private
+   * @returns {boolean} true when there is room now
+   */
+  waitForCapacity() {
+    if (this.overflow !== "block" || this.failed) return false;
+
+    this.postQueue();
+    return this.waitForPending(this.queueSize - 1);
+  }
+
+  /**
+   * Blocks until at most `limit` entries are left in the worker, or
+   * `BLOCK_TIMEOUT_MS` passed.
+   * @private
+   * @param {number} limit - Pending entries still acceptable
+   * @returns {boolean} true when the limit was reached in time
+   */
+  waitForPending(limit) {
+    const deadline = Date.now() + BLOCK_TIMEOUT_MS;
+    let pending = Atomics.load(this.pending, 0);
+    while (pending > limit) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) return false;
+      Atomics.wait(this.pending, 0, pending, remaining);
+      pending = Atomics.load(this.pending, 0);
+    }
+    return true;
+  }
+
+  /**
+   * Posts the queue and blocks until the worker has written it, at most
+   * `BLOCK_TIMEOUT_MS` (used when the process exits without `closeLoggers`).
+   */
+  flushSync() {
+    this.postQueue();
+    if (!this.failed) this.waitForPending(0);
+  }
+
+  /**
+   * Posts the queued entries (and a drop warning, if entries were dropped).
+   * @private
+   */
+  postQueue() {
+    this.scheduled = false;
+    if (this.unreportedDrops > 0) {
+      this.queue.push({
+        level: "warn",
+        message: `Dropped ${this.unreportedDrops} log entries: log worker queue full`,
+        timestamp: new Date().toISOString(),
+        logWorker: {
+          dropped: this.unreportedDrops,
+          queueSize: this.queueSize,
+          overflow: this.overflow,
+        },
+      });
+      this.unreportedDrops = 0;
+    }
+    if (this.queue.length === 0 || this.failed) return;
+
+    const entries = this.queue;
+    this.queue = [];
+    Atomics.add(this.pending, 0, entries.length);
+    try {
+      this.worker.postMessage({ type: "entries", entries });
+    } catch {
+      // DataCloneError: some entry holds values that can't cross threads
+      this.worker.postMessage({
+        type: "entries",
+        entries: entries.map(toCloneableEntry),
+      });
+    }
+  }
+
+  /**
+   * Sends a request the worker answers once the entries before it are handled.
+   * @private
+   * @param {"flush"|"close"} type - Request type
+   * @returns {Promise<void>} Resolves on the answer (or when the worker is gone)
+   */
+  request(type) {
+    this.postQueue();
+    if (this.failed) return Promise.resolve();
+
+    const id = (this.nextRequestId += 1);
+    // The idle worker doesn't hold the process open, but an awaited answer must
+    this.worker.ref();
+    return new Promise((resolve) => {
+      this.requests.set(id, resolve);
+      this.worker.postMessage({ type, id });
+    });
+  }
+
+  /**
+   * @private
+   * @param {number} id - Answered request
+   */
+  settle(id) {
+    this.requests.get(id)?.();
+    this.requests.delete(id);
+    if (this.requests.size === 0) this.worker.unref();
+  }
+
+  /**
+   * Marks the worker as gone; pending requests resolve, later entries are dropped.
+   * @private
+   * @param {Error} [error] - Worker failure
+   */
+  fail(error) {
+    if (this.failed) return;
+    this.failed = true;
+    if (error) {
+      process.stderr.write(
+        `${JSON.stringify({
+          level: "error",
+          message: "Log worker failed",
+          error: error.message,
+        })}\n`
+      );
+    }
+    for (const resolve of this.requests.values()) resolve();
+    this.requests.clear();
+  }
+
+  /**
+   * Writes out every queued entry and what the worker's outputs buffer.
+   * @param {(error?: Error) => void} callback - Called once the entries are written
+   */
+  flush(callback) {
+    this.request("flush").then(() => callback());
+  }
+
+  /**
+   * Writes out the queue, closes the worker's files and stops the worker;
+   * emits `close` once done. Later writes are dropped.
+   */
+  end() {
+    if (this.ended) return;
+    this.ended = true;
+    openStreams.delete(this);
+    this.request("close")
+      .then(() => this.worker.terminate())
+      .then(() => this.emit("close"));
+  }
+}
+
+export default LogWorkerStream;
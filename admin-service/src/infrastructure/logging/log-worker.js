@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Worker thread behind `LogWorkerStream` (see log-worker-stream.js).
+ *
+ * Receives raw entries from the main thread (objects from Winston, JSON lines from
+ * Pino) and does the expensive work off the event loop: error serialization,
+ * redaction, rendering in the configured output format and writing to the rotating
+ * files and stdout.
+ *
+ * Outputs are written synchronously, once per output and batch: this only blocks
+ * the worker, keeps lines in order and leaves nothing buffered once a batch is done.
+ *
+ * Messages from the main thread, handled in order:
+ * - `{ type: "entries", entries }` → written; the shared pending counter is decremented
+ * - `{ type: "flush", id }` → answered with `{ type: "flushed", id }`
+ * - `{ type: "close", id }` → files closed, answered with `{ type: "closed", id }`
+ */
+
+import { parentPort, workerData } from "node:worker_threads";
+
+import pino from "pino";
+
+import { serializeEntryErrors } from "./log-error-serializer.js";
+import { createLogRenderer, toLogRecord } from "./log-formats.js";
+import { redact } from "./log-redaction.js";
+import { RotatingFileStream } from "./log-rotation.js";
+import { logMethodSeverity } from "./logger-levels.js";
+
+const { files, fileFormat, consoleFormat, policy } = workerData;
+
+// Entries posted by the main thread and not written yet (shared with LogWorkerStream)
+const pending = new Int32Array(workerData.pending);
+
+/**
+ * Reports a failure on stderr (the outputs may be the thing failing).
+ * @param {string} message - What failed
+ * @param {Error} error - Cause
+ */
+function reportWorkerError(message, error) {
+  process.stderr.write(
+    `${JSON.stringify({
+      level: "error",
+      message,
+      error: error?.message ?? String(error),
+    })}\n`
+  );
+}
+
+// Files keep their fixed thresholds; outputs without one receive everything
+// the main thread let through (they follow the logger level there)
+const fileOutputs = files.map(({ name, level }) => ({
+  severity: level === undefined ? undefined : logMethodSeverity[level],
+  render: createLogRenderer(fileFormat),
+  stream: new RotatingFileStream({ name, policy, sync: true }),
+}));
+
+const outputs = consoleFormat
+  ? [
+      ...fileOutputs,
+      {
+        render: createLogRenderer(consoleFormat, { colorize: true }),
+        stream: pino.destination({ dest: 1, sync: true }),
+      },
+    ]
+  : fileOutputs;
+
+/**
+ * Renders a batch and writes it with one write per output.
+ *
+ * Flow:
+ * 1. Parses Pino lines, serializes remaining errors and redacts the entry
+ * 2. Builds the shared log record (see log-formats.js)
+ * 3. Renders it for every output whose threshold it passes
+ *
+ * @param {Array<Object|string>} entries - Winston entries or Pino JSON lines
+ */
+function writeEntries(entries) {
+  const lines = outputs.map(() => []);
+
+  for (const entry of entries) {
+    try {
+      const parsed = typeof entry === "string" ? JSON.parse(entry) : entry;
+      const record = toLogRecord(redact(serializeEntryErrors(parsed)));
+      const severity = logMethodSeverity[record.level];
+
+      outputs.forEach((output, index) => {
+        if (output.severity === undefined || severity <= output.severity) {
+          lines[index].push(`${output.render(record)}\n`);
+        }
+      });
+    } catch (error) {
+      reportWorkerError("Log worker could not write an entry", error);
+    }
+  }
+
+  outputs.forEach((output, index) => {
+    if (lines[index].length > 0) output.stream.write(lines[index].join(""));
+  });
+}
+
+/**
+ * Closes the files; stdout belongs to the process and stays open.
+ * @returns {Promise<void>}
+ */
+function closeFiles() {
+  return Promise.all(
+    fileOutputs.map(
+      ({ stream }) =>
+        new Promise((resolve) => {
+          stream.once("close", resolve);
+          stream.end();
+        })
+    )
+  );
+}
+
+parentPort.on("message", async (message) => {
+  switch (message.type) {
+    case "entries":
+      writeEntries(message.entries);
+      Atomics.sub(pending, 0, message.entries.length);
+      Atomics.notify(pending, 0);
+      break;
+    case "flush":
+      // Batches are written synchronously: everything before this message is out
+      parentPort.postMessage({ type: "flushed", id: message.id });
+      break;
+    case "close":
+      await closeFiles();
+      parentPort.postMessage({ type: "closed", id: message.id });
+      parentPort.close();
+      break;
+    default:
+      break;
+  }
+});
@@ -1,5 +1,10 @@
 import loggerConfig from "../../shared/configs/logger.config.js";
 
+import {
+  collectRuntimeMetadata,
+  resolveMetadataFields,
+} from "./logger-runtime-metadata.js";
+
 /**
  * Base context configuration for this microservice.
  *
@@ -9,13 +14,26 @@ import loggerConfig from "../../shared/configs/logger.config.js";
  *
  * Flow:
  * 1. Reads service name from logger configuration (with fallback)
- * 2. Provides domain context for better log categorization
+ * 2. Adds the runtime metadata selected by `LOGGER_CONFIGS_METADATA_FIELDS`,
+ *    collected once at startup (see logger-runtime-metadata.js)
  * 3. Exports frozen object to prevent accidental mutations
  *
  * @typedef {Object} BaseContext
  * @property {string} service - The microservice name (from config or fallback)
- * @property {string} domain - The business domain this service belongs to
+ * @property {string} [hostname] - Host name
+ * @property {number} [pid] - Process id
+ * @property {string} [version] - Service version (`VERSION`)
+ * @property {string} [revision] - Git revision (`VCS_REF`)
+ * @property {string} [environment] - Deployment environment (`NODE_ENV`)
+ * @property {string} [containerId] - Container id, when running in a container
+ * @property {string} [startedAt] - ISO time the process started
  */
 export const BASE_CONTEXT = Object.freeze({
-  service: loggerConfig.serviceName || "admin-service"
+  service: loggerConfig.serviceName || "admin-service",
+  ...collectRuntimeMetadata({
+    fields: resolveMetadataFields(loggerConfig.metadata.fields),
+    version: loggerConfig.metadata.version,
+    revision: loggerConfig.metadata.revision,
+    environment: loggerConfig.environment,
+  }),
 });
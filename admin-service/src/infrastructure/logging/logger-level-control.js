@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Runtime log level control with optional automatic revert.
+ *
+ * One control exists per adapter instance, so every logger sharing an adapter
+ * (e.g. all loggers created by `createLogger`) sees the same level and the same
+ * pending revert timer.
+ *
+ * With namespace levels (see logger-namespace-levels.js), the control keeps the
+ * global level itself and the adapter runs at the most verbose configured level;
+ * the factory asks `isEnabled` before each call reaches the adapter.
+ *
+ * @example
+ * const control = getLogLevelControl(adapter);
+ * control.setLevel("debug", { ttlMs: 15 * 60 * 1000 }); // back to the old level after 15 min
+ */
+
+import { ValidationError } from "../../shared/errors/index.js";
+
+import { logMethodSeverity } from "./logger-levels.js";
+import {
+  createNamespaceLevelResolver,
+  mostVerboseLevel,
+} from "./logger-namespace-levels.js";
+
+/**
+ * @typedef {Object} LogLevelStatus
+ * @property {string} level - Current adapter level
+ * @property {string|null} revertTo - Level restored when the TTL expires
+ * @property {string|null} expiresAt - ISO time of the pending revert
+ */
+
+export const LOG_LEVEL_NAMES = Object.freeze(Object.keys(logMethodSeverity));
+
+const controls = new WeakMap();
+
+/**
+ * Validates a requested log level.
+ * @param {*} level - Requested level
+ * @throws {ValidationError} When the level is unknown
+ */
+function validateLevel(level) {
+  if (!LOG_LEVEL_NAMES.includes(level)) {
+    throw new ValidationError(`Unknown log level: ${level}`, {
+      field: "level",
+      value: level,
+      rule: "log-level",
+      details: { allowedLevels: LOG_LEVEL_NAMES },
+    });
+  }
+}
+
+/**
+ * Validates an optional revert TTL.
+ * @param {*} ttlMs - Requested TTL in milliseconds
+ * @throws {ValidationError} When the TTL is not a positive finite number
+ */
+function validateTtl(ttlMs) {
+  if (ttlMs === undefined || ttlMs === null) return;
+  if (typeof ttlMs !== "number" || !Number.isFinite(ttlMs) || ttlMs <= 0) {
+    throw new ValidationError("ttlMs must be a positive number", {
+      field: "ttlMs",
+      value: ttlMs,
+      rule: "positive-number",
+    });
+  }
+}
+
+/**
+ * Creates the level control for one adapter.
+ *
+ * Flow:
+ * 1. setLevel validates input and applies the level to the adapter
+ * 2. With a TTL, the level seen before the first pending change is remembered
+ *    and restored by an unref'd timer (a new TTL restarts the timer)
+ * 3. Without a TTL, the change is permanent and any pending revert is cancelled
+ * 4. With namespace levels, the global level is kept here and the adapter is set
+ *    to the most verbose of the global and namespace levels
+ *
+ * @private
+ * @param {import('./logger.port.js').LoggerPort} loggerAdapter - Adapter to control
+ * @returns {Object} Level control
+ */
+function createLogLevelControl(loggerAdapter) {
+  let revertTimer = null;
+  let revertTo = null;
+  let expiresAt = null;
+  let resolveNamespaceLevel = null;
+  let namespaceLevels = [];
+  let globalLevel = null;
+
+  const getLevel = () => globalLevel ?? loggerAdapter.getLevel();
+
+  const applyLevel = (level) => {
+    if (!resolveNamespaceLevel) {
+      loggerAdapter.setLevel(level);
+      return;
+    }
+    globalLevel = level;
+    loggerAdapter.setLevel(mostVerboseLevel([level, ...namespaceLevels]));
+  };
+
+  const cancelRevert = () => {
+    clearTimeout(revertTimer);
+    revertTimer = null;
+    revertTo = null;
+    expiresAt = null;
+  };
+
+  const getStatus = () => ({
+    level: getLevel(),
+    revertTo,
+    expiresAt,
+  });
+
+  return {
+    /**
+     * @returns {string} Current global level
+     */
+    getLevel,
+
+    /**
+     * @returns {LogLevelStatus} Current level and pending revert, if any
+     */
+    getStatus,
+
+    /**
+     * Applies a new level.
+     * @param {string} level - Any LoggerPort method name
+     * @param {Object} [options]
+     * @param {number} [options.ttlMs] - Revert to the previous level after this many ms
+     * @returns {LogLevelStatus & {previousLevel: string}} Resulting status
+     * @throws {ValidationError} On unknown level or invalid TTL
+     */
+    setLevel(level, { ttlMs } = {}) {
+      validateLevel(level);
+      validateTtl(ttlMs);
+
+      const previousLevel = getLevel();
+
+      if (ttlMs) {
+        const baseline = revertTo ?? previousLevel;
+        cancelRevert();
+        revertTo = baseline;
+        expiresAt = new Date(Date.now() + ttlMs).toISOString();
+        revertTimer = setTimeout(() => {
+          applyLevel(baseline);
+          cancelRevert();
+        }, ttlMs);
+        revertTimer.unref?.();
+      } else {
+        cancelRevert();
+      }
+
+      applyLevel(level);
+      return { ...getStatus(), previousLevel };
+    },
+
+    /**
+     * Replaces the namespace level overrides (an empty list removes them).
+     * @param {import('./logger-namespace-levels.js').NamespaceLevelRule[]} rules - Parsed rules
+     */
+    setNamespaceLevels(rules) {
+      const level = getLevel();
+      resolveNamespaceLevel = createNamespaceLevelResolver(rules);
+      namespaceLevels = rules.map((rule) => rule.level);
+      globalLevel = null;
+      applyLevel(level);
+    },
+
+    /**
+     * Whether a call of the given method is written for a namespace.
+     * Always true without namespace levels (the adapter filters by itself).
+     * @param {string} methodName - LoggerPort method name
+     * @param {string} [module] - Context module
+     * @param {string} [feature] - Context feature
+     * @returns {boolean} true when the entry passes the namespace or global level
+     */
+    isEnabled(methodName, module, feature) {
+      if (!resolveNamespaceLevel) return true;
+      const threshold = resolveNamespaceLevel(module, feature) ?? globalLevel;
+      return logMethodSeverity[methodName] <= logMethodSeverity[threshold];
+    },
+  };
+}
+
+/**
+ * Returns the shared level control of an adapter, creating it on first use.
+ *
+ * @param {import('./logger.port.js').LoggerPort} loggerAdapter - Adapter to control
+ * @returns {ReturnType<typeof createLogLevelControl>} Level control
+ */
+export function getLogLevelControl(loggerAdapter) {
+  let control = controls.get(loggerAdapter);
+  if (!control) {
+    control = createLogLevelControl(loggerAdapter);
+    controls.set(loggerAdapter, control);
+  }
+  return control;
+}
@@ -7,3 +7,16 @@ export const logLevels = Object.freeze({
   verbose: 4,
   debug: 5,
 });
+
+// Severity of every LoggerPort method across adapters (lower = more severe).
+// Used where a single ordering is needed regardless of the active adapter.
+export const logMethodSeverity = Object.freeze({
+  fatal: 0,
+  error: 1,
+  warn: 2,
+  info: 3,
+  http: 4,
+  verbose: 5,
+  debug: 6,
+  trace: 7,
+});
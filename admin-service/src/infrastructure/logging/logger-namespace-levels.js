@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Per-namespace log level overrides.
+ *
+ * A logger's namespace is its context `module`, followed by `.<feature>` when it
+ * has one (e.g. `admin-context.write`). Overrides are configured as a
+ * comma-separated list of `<pattern>=<level>`:
+ * - `admin-context.write=debug` applies to that module and feature only
+ * - `healthCheck=warn` applies to the module and all of its features
+ * - `*` matches any part of a segment: `admin-*=debug`, `*.write=debug`
+ *
+ * When several patterns match, the most specific one (most literal characters)
+ * wins; namespaces without a match use the global level.
+ *
+ * @example
+ * const resolve = createNamespaceLevelResolver(parseNamespaceLevels("admin-context.write=debug,healthCheck=warn"));
+ * resolve("admin-context", "write"); // "debug"
+ * resolve("user", "auth"); // undefined → global level
+ */
+
+import { ConfigurationError } from "../../shared/errors/index.js";
+
+import { logMethodSeverity } from "./logger-levels.js";
+
+/**
+ * @typedef {Object} NamespaceLevelRule
+ * @property {string} pattern - Namespace pattern, e.g. "admin-context.write"
+ * @property {string} level - LoggerPort method name
+ * @property {RegExp} matcher - Compiled pattern
+ * @property {number} specificity - Literal characters in the pattern
+ */
+
+// Namespaces resolved before the resolver cache is cleared
+const MAX_CACHED_NAMESPACES = 1000;
+
+const RULE_PATTERN = /^([\w*-]+(?:\.[\w*-]+)?)=([a-z]+)$/i;
+
+/**
+ * Compiles a namespace pattern; a module-only pattern also matches its features.
+ * @param {string} pattern - Namespace pattern
+ * @returns {RegExp} Matcher for `module[.feature]`
+ */
+function compileNamespacePattern(pattern) {
+  const source = pattern
+    .split("*")
+    .map((part) => part.replace(/\./g, "\\."))
+    .join("[^.]*");
+  return new RegExp(`^${source}${pattern.includes(".") ? "" : "(?:\\..*)?"}$`);
+}
+
+/**
+ * Parses the configured namespace levels.
+ *
+ * @param {string|undefined} spec - Comma-separated overrides, e.g. "admin-context.write=debug,healthCheck=warn"
+ * @returns {NamespaceLevelRule[]} Parsed rules, most specific first (empty when unset)
+ * @throws {ConfigurationError} When an override is malformed or names an unknown level
+ */
+export function parseNamespaceLevels(spec) {
+  return String(spec ?? "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const match = RULE_PATTERN.exec(entry);
+      const level = match?.[2].toLowerCase();
+
+      if (!match || !Object.hasOwn(logMethodSeverity, level)) {
+        throw new ConfigurationError(`Invalid namespace log level: ${entry}`, {
+          details: {
+            value: entry,
+            expectedFormat:
+              "<module>[.<feature>]=<level>, e.g. admin-context.write=debug, healthCheck=warn",
+            allowedLevels: Object.keys(logMethodSeverity),
+          },
+        });
+      }
+
+      const pattern = match[1];
+      return {
+        pattern,
+        level,
+        matcher: compileNamespacePattern(pattern),
+        specificity: pattern.replace(/\*/g, "").length,
+      };
+    })
+    .sort((a, b) => b.specificity - a.specificity);
+}
+
+/**
+ * Creates the lookup used on every log call; results are cached per namespace.
+ *
+ * @param {NamespaceLevelRule[]} [rules=[]] - Parsed rules
+ * @returns {((module?: string, feature?: string) => string|undefined)|null} Resolver, or null without rules
+ */
+export function createNamespaceLevelResolver(rules = []) {
+  if (rules.length === 0) return null;
+
+  const cache = new Map();
+
+  return (module, feature) => {
+    const namespace = feature ? `${module ?? ""}.${feature}` : (module ?? "");
+    if (cache.has(namespace)) return cache.get(namespace);
+
+    if (cache.size >= MAX_CACHED_NAMESPACES) cache.clear();
+    const level = rules.find((rule) => rule.matcher.test(namespace))?.level;
+    cache.set(namespace, level);
+    return level;
+  };
+}
+
+/**
+ * Returns the most verbose of the given levels.
+ * @param {string[]} levels - LoggerPort method names
+ * @returns {string} Level with the highest severity number
+ */
+export function mostVerboseLevel(levels) {
+  return levels.reduce((verbose, level) =>
+    logMethodSeverity[level] > logMethodSeverity[verbose] ? level : verbose
+  );
+}
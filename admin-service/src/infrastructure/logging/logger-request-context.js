@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Request-scoped logging context backed by AsyncLocalStorage.
+ *
+ * The logging middleware opens a context per HTTP request; every logger built
+ * by `createLoggerFactory` reads it on each call, so handlers, repositories
+ * and event store clients get request/correlation IDs without passing them
+ * down explicitly. The store follows the request through promises, timers
+ * and other async boundaries.
+ *
+ * @example
+ * runWithRequestContext({ requestId: "req-1", correlationId: "corr-1" }, () => {
+ *   logger.info("Loading admin"); // → { requestId: "req-1", correlationId: "corr-1", ... }
+ * });
+ */
+
+import { AsyncLocalStorage } from "node:async_hooks";
+
+/**
+ * @typedef {Object} RequestContext
+ * @property {string} [requestId] - Unique ID of the current HTTP request
+ * @property {string} [correlationId] - ID shared by all requests of one business flow
+ * @property {string} [userId] - Authenticated user ID, once known
+ * @property {string} [adminId] - Authenticated admin ID, once known
+ * @property {string} [method] - HTTP method
+ * @property {string} [route] - Route template (falls back to the request path)
+ */
+
+const requestContextStorage = new AsyncLocalStorage();
+
+/**
+ * Runs a callback inside a new request context.
+ *
+ * Flow:
+ * 1. Uses the given object as the mutable store for this request
+ * 2. Executes the callback (and all async work it spawns) inside the store
+ *
+ * @param {RequestContext} context - Initial request context
+ * @param {Function} callback - Function to run within the context
+ * @returns {*} Return value of the callback
+ */
+export function runWithRequestContext(context, callback) {
+  return requestContextStorage.run(context, callback);
+}
+
+/**
+ * Returns the request context of the current async execution, if any.
+ *
+ * @returns {RequestContext|undefined} Active request context
+ */
+export function getRequestContext() {
+  return requestContextStorage.getStore();
+}
+
+/**
+ * Adds fields to the active request context (e.g. `adminId` after authentication).
+ *
+ * Undefined values are skipped so they never overwrite known fields.
+ *
+ * @param {RequestContext} fields - Fields to add
+ * @returns {boolean} False when called outside a request context
+ */
+export function setRequestContext(fields = {}) {
+  const store = requestContextStorage.getStore();
+  if (!store) return false;
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) store[key] = value;
+  }
+  return true;
+}
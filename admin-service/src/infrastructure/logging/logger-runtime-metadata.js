@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Runtime metadata added to every log entry.
+ *
+ * Identifies the instance that wrote an entry in multi-instance deployments.
+ * Collected once at startup and merged into BASE_CONTEXT, so both adapters, the
+ * in-memory and shipping sinks and the network outputs carry the same fields:
+ * - `hostname`, `pid`: host name and process id
+ * - `version`, `revision`: service version (`VERSION`) and git revision (`VCS_REF`)
+ * - `environment`: `NODE_ENV`
+ * - `containerId`: from the cgroup / mount tables, when running in a container
+ * - `startedAt`: ISO time the process started
+ *
+ * `LOGGER_CONFIGS_METADATA_FIELDS` selects the fields (comma-separated, `all`
+ * or `none`); fields without a value (e.g. no `VCS_REF`) are left out.
+ *
+ * @example
+ * collectRuntimeMetadata({ fields: resolveMetadataFields("hostname,pid") });
+ * // → { hostname: "admin-7f9c", pid: 42 }
+ */
+
+import fs from "node:fs";
+import os from "node:os";
+import { performance } from "node:perf_hooks";
+
+import { ConfigurationError } from "../../shared/errors/index.js";
+
+export const RUNTIME_METADATA_FIELDS = Object.freeze([
+  "hostname",
+  "pid",
+  "version",
+  "revision",
+  "environment",
+  "containerId",
+  "startedAt",
+]);
+
+// Container id in a cgroup path (docker, containerd, cri-o, podman, kubepods)
+const CGROUP_CONTAINER_ID = /[/-]([0-9a-f]{64})(?:\.scope)?$/m;
+// Container id in a mount source (cgroup v2: /etc/hostname is mounted from it)
+const MOUNT_CONTAINER_ID = /\/containers\/([0-9a-f]{64})\//;
+
+/**
+ * Parses the configured metadata fields.
+ *
+ * @param {string|undefined} spec - Comma-separated field names, "all" or "none" (unset = all)
+ * @returns {string[]} Selected fields
+ * @throws {ConfigurationError} When a field is unknown
+ */
+export function resolveMetadataFields(spec) {
+  const value = String(spec ?? "").trim();
+  if (value === "" || value === "all") return [...RUNTIME_METADATA_FIELDS];
+  if (value === "none") return [];
+
+  const fields = value
+    .split(",")
+    .map((field) => field.trim())
+    .filter(Boolean);
+  const unknown = fields.filter(
+    (field) => !RUNTIME_METADATA_FIELDS.includes(field)
+  );
+  if (unknown.length > 0) {
+    throw new ConfigurationError(
+      `Unknown log metadata field(s): ${unknown.join(", ")}`,
+      {
+        details: {
+          value: spec,
+          allowedValues: [...RUNTIME_METADATA_FIELDS, "all", "none"],
+        },
+      }
+    );
+  }
+  return fields;
+}
+
+/**
+ * Detects the id of the container the process runs in.
+ *
+ * @param {(file: string) => string} [readFile] - File reader (for tests)
+ * @returns {string|undefined} 64-hex container id, undefined outside containers
+ */
+export function detectContainerId(
+  readFile = (file) => fs.readFileSync(file, "utf8")
+) {
+  const sources = [
+    ["/proc/self/cgroup", CGROUP_CONTAINER_ID],
+    ["/proc/self/mountinfo", MOUNT_CONTAINER_ID],
+  ];
+  for (const [file, pattern] of sources) {
+    try {
+      const match = readFile(file).match(pattern);
+      if (match) return match[1];
+    } catch {
+      // Not Linux or not readable: try the next source
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Collects the selected runtime metadata.
+ *
+ * Flow:
+ * 1. Computes the value of each selected field (the container id only when selected)
+ * 2. Leaves out fields without a value
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.fields=RUNTIME_METADATA_FIELDS] - Fields to collect
+ * @param {string} [options.version] - Service version
+ * @param {string} [options.revision] - Git revision
+ * @param {string} [options.environment] - Deployment environment
+ * @param {() => string|undefined} [options.containerId=detectContainerId] - Container id lookup
+ * @returns {Object} Metadata by field name
+ */
+export function collectRuntimeMetadata({
+  fields = RUNTIME_METADATA_FIELDS,
+  version,
+  revision,
+  environment,
+  containerId = detectContainerId,
+} = {}) {
+  const values = {
+    hostname: () => os.hostname(),
+    pid: () => process.pid,
+    version: () => version,
+    revision: () => revision,
+    environment: () => environment,
+    containerId,
+    startedAt: () => new Date(Math.round(performance.timeOrigin)).toISOString(),
+  };
+
+  // STEP 1: Only the selected fields are computed
+  const metadata = Object.fromEntries(
+    fields.map((field) => [field, values[field]()])
+  );
+
+  // STEP 2: Unset values are left out rather than logged empty
+  return Object.fromEntries(
+    Object.entries(metadata).filter(
+      ([, value]) => value !== undefined && value !== ""
+    )
+  );
+}
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Log sampling and per-message rate limiting.
+ *
+ * Rules are configured as a comma-separated list of `<level>[@<module>]:<limit>`:
+ * - `debug:1/10` keeps 1 in 10 `debug` entries
+ * - `info@eventstore:5/10s` keeps at most 5 `info` entries per message template
+ *   of the `eventstore` module every 10 seconds; when the window ends, one
+ *   "Suppressed N similar messages" entry reports what was dropped
+ * - `*` as level matches every level below `error`
+ *
+ * The most specific rule wins (level and module, then module, then level, then `*`).
+ * `error` and `fatal` entries are never dropped.
+ *
+ * @example
+ * const sampler = createLogSampler(parseSamplingRules("debug:1/10,*@eventstore:5/1m"));
+ * if (sampler.shouldLog("debug", "Cache miss", "admin", write)) write("Cache miss", meta);
+ */
+
+import { ConfigurationError } from "../../shared/errors/index.js";
+
+import { parseAge } from "./log-rotation.js";
+import { logMethodSeverity } from "./logger-levels.js";
+
+/**
+ * @typedef {Object} SamplingRule
+ * @property {string} level - LoggerPort method name, or "*"
+ * @property {string} [module] - Context module the rule applies to
+ * @property {number} [every] - Keep 1 in `every` entries
+ * @property {number} [limit] - Keep at most `limit` entries per message template and window
+ * @property {number} [windowMs] - Rate limit window
+ */
+
+// Levels that are always logged, whatever the rules say
+const NEVER_SAMPLED_SEVERITY = logMethodSeverity.error;
+
+// Template state entries kept before expired windows are swept
+const MAX_TRACKED_TEMPLATES = 1000;
+
+const RULE_PATTERN = /^([a-z]+|\*)(?:@([^:]+))?:(\d+)\/(\d+|\d+[smhd])$/i;
+
+/**
+ * Parses the configured sampling rules.
+ *
+ * @param {string|undefined} spec - Comma-separated rules, e.g. "debug:1/10,info@eventstore:5/10s"
+ * @returns {SamplingRule[]} Parsed rules (empty when unset)
+ * @throws {ConfigurationError} When a rule is malformed or targets error/fatal
+ */
+export function parseSamplingRules(spec) {
+  return String(spec ?? "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const match = RULE_PATTERN.exec(entry);
+      const level = match?.[1].toLowerCase();
+      const invalidLevel =
+        level !== "*" && !(logMethodSeverity[level] > NEVER_SAMPLED_SEVERITY);
+      // Without a window unit the rule is 1-in-N sampling and must start with 1;
+      // N and the window must not be zero
+      const invalidCount =
+        Number(match?.[3]) === 0 ||
+        Number.parseInt(match?.[4], 10) === 0 ||
+        (/^\d+$/.test(match?.[4]) && Number(match?.[3]) !== 1);
+
+      if (!match || invalidLevel || invalidCount) {
+        throw new ConfigurationError(`Invalid log sampling rule: ${entry}`, {
+          details: {
+            value: entry,
+            expectedFormat:
+              "<level>[@<module>]:1/<N> or <level>[@<module>]:<K>/<window>, e.g. debug:1/10, info@eventstore:5/10s",
+            sampledLevels: Object.keys(logMethodSeverity).filter(
+              (name) => logMethodSeverity[name] > NEVER_SAMPLED_SEVERITY
+            ),
+          },
+        });
+      }
+
+      const [, , module, count, per] = match;
+      return /^\d+$/.test(per)
+        ? { level, module, every: Number(per) }
+        : { level, module, limit: Number(count), windowMs: parseAge(per) };
+    });
+}
+
+/**
+ * Reduces a message to its template so messages differing only in IDs or
+ * numbers share one rate limit.
+ *
+ * @param {string} message - Log message
+ * @returns {string} Message template
+ */
+export function toMessageTemplate(message) {
+  return String(message)
+    .replace(
+      /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi,
+      "*"
+    )
+    .replace(/\d+/g, "#");
+}
+
+/**
+ * Creates the sampler shared by every logger of the composition root.
+ *
+ * Flow:
+ * 1. error/fatal entries and entries without a matching rule are always kept
+ * 2. `every` rules keep the first entry, then 1 in N (one counter per rule)
+ * 3. `limit` rules count entries per rule, level and message template in a fixed window;
+ *    the first suppressed entry arms an unref'd timer that writes the summary when
+ *    the window ends, through the logger that was suppressed
+ *
+ * @param {SamplingRule[]} [rules=[]] - Parsed rules
+ * @returns {{shouldLog: Function}|null} Sampler, or null without rules
+ */
+export function createLogSampler(rules = []) {
+  if (rules.length === 0) return null;
+
+  const counters = new Map();
+  const windows = new Map();
+
+  const findRule = (level, module) =>
+    rules.find(
+      (rule) => rule.level === level && module && rule.module === module
+    ) ??
+    rules.find(
+      (rule) => rule.level === "*" && module && rule.module === module
+    ) ??
+    rules.find((rule) => rule.level === level && !rule.module) ??
+    rules.find((rule) => rule.level === "*" && !rule.module);
+
+  const sweepExpiredWindows = (now) => {
+    for (const [key, window] of windows) {
+      if (!window.timer && now >= window.endsAt) windows.delete(key);
+    }
+  };
+
+  const sample = (rule) => {
+    const count = counters.get(rule) ?? 0;
+    counters.set(rule, count + 1);
+    return count % rule.every === 0;
+  };
+
+  const rateLimit = (rule, level, message, write) => {
+    const template = toMessageTemplate(message);
+    const key = `${rules.indexOf(rule)}|${level}|${template}`;
+    const now = Date.now();
+
+    let window = windows.get(key);
+    if (!window || (!window.timer && now >= window.endsAt)) {
+      if (windows.size >= MAX_TRACKED_TEMPLATES) sweepExpiredWindows(now);
+      window = {
+        endsAt: now + rule.windowMs,
+        count: 0,
+        suppressed: 0,
+        timer: null,
+      };
+      windows.set(key, window);
+    }
+
+    window.count += 1;
+    if (window.count <= rule.limit) return true;
+
+    window.suppressed += 1;
+    window.write = write;
+    if (!window.timer) {
+      window.timer = setTimeout(() => {
+        windows.delete(key);
+        window.write(`Suppressed ${window.suppressed} similar messages`, {
+          sampling: {
+            message: template,
+            suppressed: window.suppressed,
+            limit: rule.limit,
+            windowMs: rule.windowMs,
+          },
+        });
+      }, window.endsAt - now);
+      window.timer.unref?.();
+    }
+    return false;
+  };
+
+  return {
+    /**
+     * Decides whether an entry is written.
+     * @param {string} level - LoggerPort method name
+     * @param {string} message - Log message
+     * @param {string} [module] - Context module of the logger
+     * @param {(message: string, meta: Object) => void} write - Unsampled log method (writes summaries)
+     * @returns {boolean} true when the entry must be written
+     */
+    shouldLog(level, message, module, write) {
+      if (!(logMethodSeverity[level] > NEVER_SAMPLED_SEVERITY)) return true;
+
+      const rule = findRule(level, module);
+      if (!rule) return true;
+      return rule.every ? sample(rule) : rateLimit(rule, level, message, write);
+    },
+  };
+}
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Duration logging on factory-produced loggers.
+ *
+ * - `logger.startTimer(message, meta)` returns `done(extraMeta)`, which logs the
+ *   message with `durationMs` (once) and returns the duration
+ * - `await logger.time(label, asyncFn, meta)` runs the function and logs the label
+ *   with `durationMs` and `outcome: "success"`, or `"<label> failed"` at `error`
+ *   with `outcome: "failure"` and the error (which is rethrown)
+ *
+ * Successful operations are logged at `info`; above the slow threshold
+ * (`LOGGER_CONFIGS_SLOW_THRESHOLD_MS`) they are escalated to `warn` with `slow: true`.
+ * Entries go through the logger's wrapped methods, so context, request context,
+ * sampling and namespace levels apply as for any other call.
+ *
+ * @example
+ * const done = logger.startTimer("Admin loaded", { adminId });
+ * const admin = await repository.findById(adminId);
+ * done({ found: Boolean(admin) });
+ *
+ * const admins = await logger.time("List admins", () => repository.findAll());
+ */
+
+import { ConfigurationError } from "../../shared/errors/index.js";
+
+/**
+ * @param {bigint} startedAt - `process.hrtime.bigint()` at the start
+ * @returns {number} Elapsed milliseconds, rounded to microseconds
+ */
+function elapsedMsSince(startedAt) {
+  const elapsedMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+  return Math.round(elapsedMs * 1000) / 1000;
+}
+
+/**
+ * Validates the slow threshold.
+ * @param {number|null} slowThresholdMs - Threshold in milliseconds (null = never escalate)
+ * @throws {ConfigurationError} When the threshold is not a non-negative number
+ */
+export function validateSlowThreshold(slowThresholdMs) {
+  if (
+    slowThresholdMs !== null &&
+    !(Number.isFinite(slowThresholdMs) && slowThresholdMs >= 0)
+  ) {
+    throw new ConfigurationError(
+      `Invalid slow operation threshold: ${slowThresholdMs}`,
+      {
+        details: {
+          value: slowThresholdMs,
+          expectedType: "non-negative number of milliseconds",
+        },
+      }
+    );
+  }
+}
+
+/**
+ * Builds the timer methods of a logger.
+ *
+ * Flow:
+ * 1. Picks the wrapped methods used per outcome (falling back to `info` when the
+ *    logger doesn't expose `warn` or `error`)
+ * 2. `startTimer` captures a high-resolution start time and returns `done`
+ * 3. `time` wraps `startTimer` around the function and logs failures at `error`
+ *
+ * @param {Object} methods - Context-aware logger methods (see logger.factory.js)
+ * @param {Object} [options]
+ * @param {number|null} [options.slowThresholdMs=null] - Escalate to `warn` above this duration
+ * @returns {{startTimer: Function, time: Function}} Timer methods
+ */
+export function buildTimerMethods(methods, { slowThresholdMs = null } = {}) {
+  const noop = () => {};
+  const logInfo = methods.info ?? noop;
+  const logWarn = methods.warn ?? logInfo;
+  const logError = methods.error ?? logWarn;
+
+  /**
+   * @param {string} message - Logged once the timer is done
+   * @param {Object} [meta={}] - Metadata of the entry
+   * @returns {(extraMeta?: Object) => number} Logs the entry and returns the duration in ms
+   */
+  const startTimer = (message, meta = {}) => {
+    const startedAt = process.hrtime.bigint();
+    let durationMs;
+
+    return (extraMeta = {}) => {
+      if (durationMs !== undefined) return durationMs; // Logged already
+
+      durationMs = elapsedMsSince(startedAt);
+      const slow = slowThresholdMs !== null && durationMs > slowThresholdMs;
+
+      (slow ? logWarn : logInfo)(message, {
+        ...meta,
+        ...extraMeta,
+        durationMs,
+        ...(slow && { slow: true, slowThresholdMs }),
+      });
+      return durationMs;
+    };
+  };
+
+  /**
+   * @param {string} label - Operation name, logged as the message
+   * @param {() => Promise<*>|*} fn - Operation to time
+   * @param {Object} [meta={}] - Metadata of the entry
+   * @returns {Promise<*>} Result of `fn`
+   * @throws {*} Whatever `fn` throws, after logging it
+   */
+  const time = async (label, fn, meta = {}) => {
+    const startedAt = process.hrtime.bigint();
+    const done = startTimer(label, meta);
+
+    try {
+      const result = await fn();
+      done({ outcome: "success" });
+      return result;
+    } catch (error) {
+      logError(`${label} failed`, {
+        ...meta,
+        durationMs: elapsedMsSince(startedAt),
+        outcome: "failure",
+        error,
+      });
+      throw error;
+    }
+  };
+
+  return { startTimer, time };
+}
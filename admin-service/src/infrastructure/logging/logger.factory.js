@@ -1,6 +1,9 @@
 import { ConfigurationError } from "../../shared/errors/ConfigurationError.js";
 import { deepMerge } from "../../shared/utils/object-merge.util.js";
 
+import { getLogLevelControl } from "./logger-level-control.js";
+import { getRequestContext } from "./logger-request-context.js";
+import { buildTimerMethods, validateSlowThreshold } from "./logger-timers.js";
 import { LoggerPort } from "./logger.port.js";
 
 /**
@@ -25,6 +28,8 @@ import { LoggerPort } from "./logger.port.js";
 /**
  * @typedef {Object} LoggerFactoryOptions
  * @property {LoggerContext} [context] - Default context to tag all logs with
+ * @property {Object|null} [sampler] - Shared sampler from `createLogSampler` (see logger-sampling.js)
+ * @property {number|null} [slowThresholdMs] - Timer durations above this are logged at `warn` (see logger-timers.js)
  *
  * @example
  * // Service-level context
@@ -138,16 +143,91 @@ function validateRequiredMethods(missingMethods, logMethods, loggerAdapter) {
 }
 
 /**
- * Wraps a logger method to merge default and per-call context.
+ * Returns the given context, or the fallback context when it is empty.
+ *
+ * @param {LoggerContext} [context] - Default context
+ * @returns {LoggerContext} Non-empty context
+ */
+function resolveSafeContext(context) {
+  return context && Object.keys(context).length > 0
+    ? context
+    : { service: "unknown-service" };
+}
+
+/**
+ * Validates the context passed to `child()`.
+ *
+ * @param {any} childContext - The child context to validate
+ * @throws {TypeError} When childContext is not a plain object
+ */
+function validateChildContext(childContext) {
+  if (
+    childContext === null ||
+    typeof childContext !== "object" ||
+    Array.isArray(childContext)
+  ) {
+    throw new TypeError(
+      `child context must be an object, received: ${
+        Array.isArray(childContext) ? "array" : typeof childContext
+      }`
+    );
+  }
+}
+
+/**
+ * Moves an Error passed as meta or as message under `meta.error`.
+ *
+ * Spreading an Error into the merged metadata would drop its name, message and
+ * stack; under `error`, both adapters serialize it with log-error-serializer.js.
+ *
+ * @param {*} message - Log message, or an Error
+ * @param {Object|Error} meta - Log metadata, or an Error
+ * @returns {{message: *, meta: Object}} Normalized arguments
+ *
+ * @example
+ * normalizeErrorArguments("Save failed", error); // → { message: "Save failed", meta: { error } }
+ * normalizeErrorArguments(error, {}); // → { message: error.message, meta: { error } }
+ */
+function normalizeErrorArguments(message, meta) {
+  if (meta instanceof Error) {
+    return normalizeErrorArguments(message, { error: meta });
+  }
+  if (message instanceof Error) {
+    return {
+      message: message.message,
+      meta: { error: message, ...meta },
+    };
+  }
+  return { message, meta };
+}
+
+/**
+ * Wraps a logger method to merge default, request-scoped and per-call context.
  *
  * Flow:
  * 1. Establishes safe fallback context if none provided
  * 2. Returns wrapped function that merges contexts on each call
- * 3. Uses deep merge to preserve nested context structures
- * 4. Calls original method with merged metadata
+ *    (an Error given as meta or message is moved under `meta.error`)
+ * 3. Adds the active request context (requestId, correlationId, ...) as top-level fields
+ * 4. Uses deep merge to preserve nested context structures
+ * 5. Checks namespace levels first, then asks the sampler, if any, whether the entry is written
+ * 6. Calls original method with merged metadata
+ *
+ * Request context fields are placed at the top level of the metadata so that
+ * Winston and Pino emit them identically; explicit per-call meta wins on conflicts.
+ *
+ * When the adapter is bound to the context (see `LoggerPort.child`), calls without
+ * `meta.context` are forwarded without merging; the adapter adds the context itself.
+ *
+ * Namespace levels are checked before anything else, so a filtered call costs a
+ * cached lookup and no merging.
  *
  * @param {Function} method - The logger method to wrap (e.g., info, error)
  * @param {LoggerContext} context - The default context to merge into every log call
+ * @param {boolean} [contextIsBound=false] - Whether the adapter already carries the context
+ * @param {Object|null} [sampler=null] - Shared log sampler
+ * @param {string} [methodName] - LoggerPort method name (the level seen by the sampler)
+ * @param {Object|null} [levelControl=null] - Level control of the root adapter (namespace levels)
  * @returns {Function} Wrapped logger method that merges contexts
  *
  * @example
@@ -167,19 +247,51 @@ function validateRequiredMethods(missingMethods, logMethods, loggerAdapter) {
  *   userId: "123"
  * }
  */
-function wrapLoggerMethod(method, context) {
-  const safeContext =
-    context && Object.keys(context).length > 0
-      ? context
-      : { service: "unknown-service" };
+function wrapLoggerMethod(
+  method,
+  context,
+  contextIsBound = false,
+  sampler = null,
+  methodName = method.name,
+  levelControl = null
+) {
+  const safeContext = resolveSafeContext(context);
+
+  const write = (rawMessage, rawMeta = {}) => {
+    const { message, meta } = normalizeErrorArguments(rawMessage, rawMeta);
+
+    // Bound adapters already carry the context; only per-call overrides need merging
+    if (contextIsBound && !meta.context) {
+      method.call(this, message, { ...getRequestContext(), ...meta });
+      return;
+    }
 
-  return (message, meta = {}) => {
     const mergedMeta = {
+      ...getRequestContext(),
       ...meta,
       context: deepMerge(safeContext, meta.context || {}),
     };
     method.call(this, message, mergedMeta);
   };
+
+  const sampled = sampler
+    ? (message, meta = {}) => {
+        const module = meta.context?.module ?? safeContext.module;
+        if (sampler.shouldLog(methodName, message, module, write)) {
+          write(message, meta);
+        }
+      }
+    : write;
+
+  if (!levelControl) return sampled;
+
+  return (message, meta) => {
+    const { module = safeContext.module, feature = safeContext.feature } =
+      meta?.context ?? {};
+    if (levelControl.isEnabled(methodName, module, feature)) {
+      sampled(message, meta);
+    }
+  };
 }
 
 /**
@@ -199,6 +311,9 @@ function wrapLoggerMethod(method, context) {
  * @param {LoggerPort} loggerAdapter - The logger adapter instance to wrap
  * @param {string[]} logMethods - Array of method names to make context-aware
  * @param {LoggerContext} context - Default context to inject into all log calls
+ * @param {boolean} [contextIsBound=false] - Whether the adapter already carries the context
+ * @param {Object|null} [sampler=null] - Shared log sampler
+ * @param {Object|null} [levelControl=null] - Level control of the root adapter
  * @returns {Object} Result object containing wrapped methods and validation data
  * @returns {Object} returns.contextAwareMethods - Object with wrapped logger methods
  * @returns {string[]} returns.missingMethods - Array of method names not found on adapter
@@ -229,7 +344,14 @@ function wrapLoggerMethod(method, context) {
  * // missingMethods = ["trace"]
  * // contextAwareMethods = { info: wrappedInfoMethod, error: wrappedErrorMethod }
  */
-function buildContextAwareLoggerMethods(loggerAdapter, logMethods, context) {
+function buildContextAwareLoggerMethods(
+  loggerAdapter,
+  logMethods,
+  context,
+  contextIsBound = false,
+  sampler = null,
+  levelControl = null
+) {
   const contextAwareMethods = {};
   const missingMethods = [];
 
@@ -238,7 +360,11 @@ function buildContextAwareLoggerMethods(loggerAdapter, logMethods, context) {
       contextAwareMethods[methodName] = wrapLoggerMethod.call(
         loggerAdapter,
         loggerAdapter[methodName],
-        context
+        context,
+        contextIsBound,
+        sampler,
+        methodName,
+        levelControl
       );
     } else {
       missingMethods.push(methodName);
@@ -248,6 +374,29 @@ function buildContextAwareLoggerMethods(loggerAdapter, logMethods, context) {
   return { contextAwareMethods, missingMethods };
 }
 
+/**
+ * Builds the runtime level control methods exposed on every logger.
+ *
+ * All loggers sharing an adapter share one control, so a level change (and its
+ * optional TTL revert) applies to all of them.
+ *
+ * @param {LoggerPort} loggerAdapter - The logger adapter instance
+ * @returns {{setLevel: Function, getLevel: Function, getLevelStatus: Function}} Level control methods
+ *
+ * @example
+ * logger.setLevel("debug", { ttlMs: 600000 }); // revert after 10 minutes
+ * logger.getLevel(); // "debug"
+ * logger.getLevelStatus(); // { level: "debug", revertTo: "info", expiresAt: "..." }
+ */
+function buildLevelControlMethods(loggerAdapter) {
+  return {
+    setLevel: (level, options) =>
+      getLogLevelControl(loggerAdapter).setLevel(level, options),
+    getLevel: () => getLogLevelControl(loggerAdapter).getLevel(),
+    getLevelStatus: () => getLogLevelControl(loggerAdapter).getStatus(),
+  };
+}
+
 /**
  * Creates a logger instance with optional default context tagging.
  *
@@ -257,25 +406,39 @@ function buildContextAwareLoggerMethods(loggerAdapter, logMethods, context) {
  *
  * Flow:
  * 1. Validates input parameters (logMethods array, LoggerPort compliance)
- * 2. Creates wrapped methods with context merging functionality
+ * 2. Creates wrapped methods with context merging (and sampling, when a sampler is given)
  * 3. Validates all requested methods are available on adapter
- * 4. Returns proxy object with wrapped logger methods
+ * 4. Returns proxy object with wrapped logger methods, timers, level control and `child()`
  *
  * Context Merging Behavior:
  * - Default context is merged with per-call context
  * - Per-call context overrides default context for same keys
  * - Deep merging preserves nested object structures
  * - Fallback to { service: "unknown-service" } if no context provided
+ * - Active request context (see logger-request-context.js) is added to every call
+ *
+ * Sampling: with a sampler, entries may be dropped per level/module rule; children
+ * share the parent's sampler. error/fatal entries are never dropped.
+ *
+ * Namespace levels: when the adapter's level control has namespace overrides
+ * (see logger-namespace-levels.js), entries below the level of the logger's
+ * `module`/`feature` are dropped before merging.
+ *
+ * Timers: `startTimer()` and `time()` log durations through the wrapped methods;
+ * above `slowThresholdMs` they are escalated to `warn`. Children share the threshold.
  *
  * @param {LoggerFactoryOptions} options - Logger factory configuration options
  * @param {LoggerContext} [options.context] - Default context to tag logs with { service, module, feature }
+ * @param {Object|null} [options.sampler] - Shared log sampler
+ * @param {number|null} [options.slowThresholdMs] - Slow operation threshold of the timers (null = never escalate)
  * @param {LoggerPort} loggerAdapter - Logger adapter instance (must extend LoggerPort)
  * @param {string[]} logMethods - List of log method names to expose on the logger
- * @returns {Object} Logger instance with wrapped methods for context merging
+ * @returns {Object} Logger instance with wrapped methods, runtime level control and `child()`
  *
  * @throws {TypeError} When logMethods is not an array
  * @throws {ConfigurationError} When adapter doesn't extend LoggerPort
  * @throws {ConfigurationError} When adapter missing required methods
+ * @throws {ConfigurationError} When slowThresholdMs is not a non-negative number
  *
  * @example
  * // Basic usage with service context
@@ -336,17 +499,107 @@ function buildContextAwareLoggerMethods(loggerAdapter, logMethods, context) {
  *   console.error(error.details.receivedType); // "object"
  * }
  */
-export function createLoggerFactory({ context }, loggerAdapter, logMethods) {
+export function createLoggerFactory(
+  { context, sampler = null, slowThresholdMs = null },
+  loggerAdapter,
+  logMethods
+) {
   // Input Validation
   validateLogMethodsInput(logMethods);
   validateLoggerAdapter(loggerAdapter);
+  validateSlowThreshold(slowThresholdMs);
 
   // Context-Aware Method Creation
   const { contextAwareMethods, missingMethods } =
-    buildContextAwareLoggerMethods(loggerAdapter, logMethods, context);
+    buildContextAwareLoggerMethods(
+      loggerAdapter,
+      logMethods,
+      context,
+      false,
+      sampler,
+      getLogLevelControl(loggerAdapter)
+    );
 
   // Final Validation
   validateRequiredMethods(missingMethods, logMethods, loggerAdapter);
 
-  return contextAwareMethods;
+  return {
+    ...contextAwareMethods,
+    ...buildTimerMethods(contextAwareMethods, { slowThresholdMs }),
+    ...buildLevelControlMethods(loggerAdapter),
+    child: (childContext) =>
+      createChildLogger(
+        context,
+        childContext,
+        loggerAdapter,
+        logMethods,
+        sampler,
+        slowThresholdMs
+      ),
+  };
+}
+
+/**
+ * Creates a child logger whose context is deep-merged on top of its parent's.
+ *
+ * Flow:
+ * 1. Validates the child context
+ * 2. Deep-merges it once on top of the parent context
+ * 3. Binds the merged context through `loggerAdapter.child()` (native where available)
+ * 4. Wraps the bound adapter; only per-call `meta.context` is merged per call
+ *
+ * Children are always bound from the shared root adapter with their complete
+ * context, so nesting depth doesn't add work per call and level control stays shared.
+ *
+ * @param {LoggerContext} parentContext - Context of the parent logger
+ * @param {LoggerContext} childContext - Context added by the child
+ * @param {LoggerPort} loggerAdapter - Root logger adapter
+ * @param {string[]} logMethods - List of log method names to expose
+ * @param {Object|null} [sampler=null] - Sampler shared with the parent
+ * @param {number|null} [slowThresholdMs=null] - Timer threshold shared with the parent
+ * @returns {Object} Child logger with the same API as its parent
+ * @throws {TypeError} When childContext is not an object
+ *
+ * @example
+ * const logger = createLoggerFactory({ context: { service: "admin-service" } }, adapter, methods);
+ * const writeLogger = logger.child({ module: "admin-context", feature: "write" });
+ * writeLogger.child({ feature: "create-admin" }).info("Admin created");
+ * // context: { service: "admin-service", module: "admin-context", feature: "create-admin" }
+ */
+function createChildLogger(
+  parentContext,
+  childContext,
+  loggerAdapter,
+  logMethods,
+  sampler = null,
+  slowThresholdMs = null
+) {
+  validateChildContext(childContext);
+
+  const context = deepMerge(resolveSafeContext(parentContext), childContext);
+  const boundAdapter = loggerAdapter.child(context);
+
+  const { contextAwareMethods } = buildContextAwareLoggerMethods(
+    boundAdapter,
+    logMethods,
+    context,
+    true,
+    sampler,
+    getLogLevelControl(loggerAdapter)
+  );
+
+  return {
+    ...contextAwareMethods,
+    ...buildTimerMethods(contextAwareMethods, { slowThresholdMs }),
+    ...buildLevelControlMethods(loggerAdapter),
+    child: (grandchildContext) =>
+      createChildLogger(
+        context,
+        grandchildContext,
+        loggerAdapter,
+        logMethods,
+        sampler,
+        slowThresholdMs
+      ),
+  };
 }
@@ -15,13 +15,19 @@
 
 import loggerConfig from "../../shared/configs/logger.config.js";
 
+import CompositeLoggerAdapter from "./composite-logger.adapter.js";
+import HttpShippingLoggerAdapter from "./http-shipping-logger.adapter.js";
+import { parseSize } from "./log-rotation.js";
 import { BASE_CONTEXT } from "./logger-base-context.js";
+import { getLogLevelControl } from "./logger-level-control.js";
 import { WINSTON_LOG_METHODS, PINO_LOG_METHODS } from "./logger-methods.js";
+import { parseNamespaceLevels } from "./logger-namespace-levels.js";
+import { createLogSampler, parseSamplingRules } from "./logger-sampling.js";
 import { createLoggerFactory } from "./logger.factory.js";
 import PinoLoggerAdapter from "./pino-logger.adapter.js";
+import RingBufferLoggerAdapter from "./ring-buffer-logger.adapter.js";
 import WinstonLoggerAdapter from "./winston-logger.adapter.js";
 
-
 /**
  * @typedef {import('./logger.port.js').LoggerPort} LoggerPort
  */
@@ -35,28 +41,96 @@ import WinstonLoggerAdapter from "./winston-logger.adapter.js";
 
 /**
  * @typedef {Object} LoggerOptions
- * @property {string} [adapterName] - Adapter to use ('winston' | 'pino')
+ * @property {string} [adapterName] - Adapter to use ('winston' | 'pino' | list such as 'winston,pino:warn')
  * @property {LoggerPort} [adapterInstance] - Custom adapter for testing
  * @property {string[]} [logMethods] - Methods to expose (required with adapterInstance)
  */
 
 /**
- * Resolves logger adapter configuration.
+ * Adapter configs resolved so far, keyed by adapter name.
  *
- * Flow:
- * 1. Determines target adapter from parameter or config default
- * 2. Instantiates appropriate adapter class
- * 3. Returns adapter with its supported method set
+ * NOTE: Loggers created for the same adapter share one instance so they write
+ * through the same transports/streams and a runtime level change reaches all of them.
  *
  * @private
- * @param {string} [adapterName] - Adapter name or uses config default
- * @returns {{adapter: LoggerPort, methods: string[]}} Adapter config
+ * @type {Map<string, {adapter: LoggerPort, methods: string[]}>}
  */
-function resolveLoggerAdapterConfig(adapterName) {
-  // STEP 1: Determine which adapter to use
-  const targetAdapter = (adapterName ?? loggerConfig.logger).toLowerCase();
+const adapterConfigCache = new Map();
+
+/**
+ * Most recent entries of every logger created by `createLogger`, kept in memory
+ * for crash reports. Follows the runtime log level like the other outputs.
+ *
+ * @type {RingBufferLoggerAdapter}
+ */
+const recentLogs = new RingBufferLoggerAdapter({
+  capacity: loggerConfig.recentLogsSize,
+  level: loggerConfig.logLevel,
+});
+
+/**
+ * Creates the HTTP log shipping sink from `loggerConfig.shipping`.
+ *
+ * @private
+ * @param {Object} shipping - `loggerConfig.shipping`
+ * @returns {HttpShippingLoggerAdapter|null} Sink, or null when no URL is configured
+ * @throws {ConfigurationError} When a shipping setting is invalid
+ */
+function createLogShipper({ url, authorization, maxSpoolSize, ...options }) {
+  if (!url) return null;
+  return new HttpShippingLoggerAdapter({
+    ...options,
+    url,
+    headers: authorization ? { Authorization: authorization } : {},
+    maxSpoolBytes: parseSize(maxSpoolSize),
+    level: loggerConfig.logLevel,
+  });
+}
+
+/**
+ * Ships the entries of every logger created by `createLogger` to the HTTP
+ * collector (null when `LOGGER_CONFIGS_SHIPPING_URL` is unset). Its stats are
+ * exposed on the detailed health endpoint.
+ *
+ * @type {HttpShippingLoggerAdapter|null}
+ */
+const logShipper = createLogShipper(loggerConfig.shipping);
+
+/**
+ * Sampling and rate limiting shared by every logger created by `createLogger`
+ * (null when `LOGGER_CONFIGS_SAMPLING_RULES` is unset).
+ *
+ * @private
+ */
+const logSampler = createLogSampler(
+  parseSamplingRules(loggerConfig.samplingRules)
+);
+
+/**
+ * Level overrides per logger namespace (`module[.feature]`), applied to every
+ * adapter resolved by `createLogger` (empty when `LOGGER_CONFIGS_NAMESPACE_LEVELS` is unset).
+ *
+ * @private
+ */
+const namespaceLevels = parseNamespaceLevels(loggerConfig.namespaceLevels);
+
+/**
+ * Adapter configs handed to the factory, keyed by adapter name: the resolved
+ * adapter plus the `recentLogs` and `logShipper` sinks.
+ *
+ * @private
+ * @type {Map<string, {adapter: LoggerPort, methods: string[]}>}
+ */
+const recordedAdapterConfigCache = new Map();
 
-  // STEP 2: Instantiate adapter and map to methods
+/**
+ * Instantiates the adapter for the given name.
+ *
+ * @private
+ * @param {string} targetAdapter - Lower-cased adapter name
+ * @returns {{adapter: LoggerPort, methods: string[]}} Adapter config
+ */
+function instantiateLoggerAdapter(targetAdapter) {
   switch (targetAdapter) {
     case "pino":
       return {
@@ -72,6 +146,100 @@ function resolveLoggerAdapterConfig(adapterName) {
   }
 }
 
+/**
+ * Returns the shared adapter config for a single adapter name.
+ *
+ * @private
+ * @param {string} targetAdapter - Lower-cased adapter name
+ * @returns {{adapter: LoggerPort, methods: string[]}} Adapter config
+ */
+function getSharedAdapterConfig(targetAdapter) {
+  if (!adapterConfigCache.has(targetAdapter)) {
+    adapterConfigCache.set(targetAdapter, instantiateLoggerAdapter(targetAdapter));
+  }
+  return adapterConfigCache.get(targetAdapter);
+}
+
+/**
+ * Builds a composite adapter from a comma-separated adapter list.
+ *
+ * Each entry is `name` or `name:level`, where level is the sink's minimum level
+ * (e.g. `winston,pino:warn`). Sink adapters are the shared single-adapter instances.
+ * Only methods supported by every sink are exposed.
+ *
+ * @private
+ * @param {string} targetAdapter - Lower-cased adapter list
+ * @returns {{adapter: LoggerPort, methods: string[]}} Adapter config
+ * @throws {ConfigurationError} When a sink level is unknown
+ */
+function instantiateCompositeAdapter(targetAdapter) {
+  const sinkConfigs = targetAdapter
+    .split(",")
+    .filter(Boolean)
+    .map((entry) => {
+      const [name, level] = entry.split(":");
+      return { name, level: level || undefined, ...getSharedAdapterConfig(name) };
+    });
+
+  return {
+    adapter: new CompositeLoggerAdapter(
+      sinkConfigs.map(({ name, level, adapter }) => ({ name, level, adapter }))
+    ),
+    methods: sinkConfigs.reduce(
+      (methods, sink) => methods.filter((method) => sink.methods.includes(method)),
+      sinkConfigs[0].methods
+    ),
+  };
+}
+
+/**
+ * Resolves logger adapter configuration.
+ *
+ * Flow:
+ * 1. Determines target adapter from parameter or config default
+ * 2. Reuses the cached adapter or instantiates the appropriate adapter class
+ *    (a comma-separated list such as `winston,pino` creates a composite adapter)
+ * 3. Adds the `recentLogs` and `logShipper` sinks and the namespace levels, and returns the adapter
+ *    with its supported method set
+ *
+ * @private
+ * @param {string} [adapterName] - Adapter name or uses config default
+ * @returns {{adapter: LoggerPort, methods: string[]}} Adapter config
+ */
+function resolveLoggerAdapterConfig(adapterName) {
+  // STEP 1: Determine which adapter to use
+  const targetAdapter = (adapterName ?? loggerConfig.logger)
+    .toLowerCase()
+    .replace(/\s+/g, "");
+
+  // STEP 2: Reuse or instantiate adapter and map to methods
+  if (recordedAdapterConfigCache.has(targetAdapter)) {
+    return recordedAdapterConfigCache.get(targetAdapter);
+  }
+  if (/[,:]/.test(targetAdapter) && !adapterConfigCache.has(targetAdapter)) {
+    adapterConfigCache.set(targetAdapter, instantiateCompositeAdapter(targetAdapter));
+  }
+  const { adapter, methods } = getSharedAdapterConfig(targetAdapter);
+
+  // STEP 3: Record (and ship) every entry as well and share the result
+  // NOTE: Added here, not per sink, so composites record each entry once
+  const recordedConfig = {
+    adapter: new CompositeLoggerAdapter([
+      { name: targetAdapter, adapter },
+      { name: "recent-logs", adapter: recentLogs },
+      ...(logShipper ? [{ name: "http-shipping", adapter: logShipper }] : []),
+    ]),
+    methods,
+  };
+  if (namespaceLevels.length > 0) {
+    getLogLevelControl(recordedConfig.adapter).setNamespaceLevels(
+      namespaceLevels
+    );
+  }
+  recordedAdapterConfigCache.set(targetAdapter, recordedConfig);
+  return recordedConfig;
+}
+
 /**
  * Builds context by merging base context with given context.
  *
@@ -97,7 +265,7 @@ function buildContext(context = {}) {
  * 1. Extracts adapter configuration options
  * 2. Resolves adapter (custom instance or config-based)
  * 3. Builds merged context
- * 4. Delegates to factory for context-aware method wrapping
+ * 4. Delegates to factory for context-aware method wrapping, sampling and timers
  *
  * Context hierarchy: BASE_CONTEXT → context param → meta.context in calls
  *
@@ -134,7 +302,11 @@ const createLogger = (context = {}, options = {}) => {
 
   // STEP 4: Create context-aware logger via factory
   return createLoggerFactory(
-    { context: mergedContext },
+    {
+      context: mergedContext,
+      sampler: logSampler,
+      slowThresholdMs: loggerConfig.slowThresholdMs,
+    },
     adapterConfig.adapter,
     adapterConfig.methods
   );
@@ -155,5 +327,54 @@ const createLogger = (context = {}, options = {}) => {
  */
 const baseLogger = createLogger();
 
+/**
+ * Default upper bound for closing the loggers during shutdown.
+ * @type {number}
+ */
+export const LOGGER_CLOSE_TIMEOUT_MS = 2000;
+
+/**
+ * Flushes and closes every adapter created by `createLogger`.
+ *
+ * Flow:
+ * 1. Collects the shared adapters and the shipping sink (composites close their
+ *    sinks too; closing is idempotent)
+ * 2. Closes them in parallel; failures are ignored so one adapter can't block the others
+ * 3. Gives up after `timeoutMs` so a stuck output never prevents the process from exiting
+ *
+ * Call once, as the last step before `process.exit()`.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=LOGGER_CLOSE_TIMEOUT_MS] - Maximum wait
+ * @returns {Promise<boolean>} true when every adapter closed in time
+ *
+ * @example
+ * await closeLoggers({ timeoutMs: 1000 });
+ * process.exit(exitCode);
+ */
+async function closeLoggers({ timeoutMs = LOGGER_CLOSE_TIMEOUT_MS } = {}) {
+  // STEP 1: Collect the shared adapters
+  const adapters = new Set(
+    [...adapterConfigCache.values()].map(({ adapter }) => adapter)
+  );
+  if (logShipper) adapters.add(logShipper);
+
+  // STEP 2: Close all adapters in parallel
+  const closed = Promise.allSettled(
+    [...adapters].map((adapter) => Promise.resolve().then(() => adapter.close()))
+  ).then(() => true);
+
+  // STEP 3: Bound the wait
+  let timer;
+  const timedOut = new Promise((resolve) => {
+    timer = setTimeout(resolve, timeoutMs, false);
+  });
+  try {
+    return await Promise.race([closed, timedOut]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
 export default createLogger;
-export { baseLogger };
+export { baseLogger, closeLoggers, logShipper, recentLogs };
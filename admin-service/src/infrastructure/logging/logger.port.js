@@ -1,5 +1,7 @@
 import { NotImplementedError } from "../../shared/errors/index.js";
 
+import { logMethodSeverity } from "./logger-levels.js";
+
 /**
  * LoggerPort defines the contract for all logger adapters in the hexagonal architecture.
  * This is an abstract class that serves as the port (interface) between the application
@@ -165,4 +167,150 @@ export class LoggerPort {
       }
     );
   }
+
+  /**
+   * Change the adapter's minimum log level at runtime.
+   * Adapters map levels they don't support natively (e.g. Winston maps trace to debug)
+   * and must apply the change to every output that follows the global level.
+   * @param {string} level - Any LoggerPort method name (fatal … trace)
+   */
+  setLevel(level) {
+    throw new NotImplementedError(
+      'Method "setLevel" must be implemented by subclass',
+      {
+        methodName: "setLevel",
+        interfaceName: "LoggerPort",
+        details: {
+          expectedImplementation:
+            "Logger adapter must implement setLevel() method",
+          requestedLevel: level,
+        },
+      }
+    );
+  }
+
+  /**
+   * Create an adapter bound to a context.
+   *
+   * The bound context is the complete, already merged context: every entry written
+   * through the returned adapter carries it unless the call passes its own
+   * `meta.context` (which the factory has merged on top of the bound one).
+   *
+   * The default implementation attaches the context on each call. Adapters with a
+   * native child logger (e.g. Pino's `child`) override it so the context is
+   * serialized once at creation.
+   *
+   * @param {Object} context - Complete context to bind
+   * @returns {LoggerPort} Context-bound adapter
+   */
+  child(context) {
+    return new ContextBoundLoggerAdapter(this, context);
+  }
+
+  /**
+   * Write out entries still buffered by the adapter's outputs.
+   * Safe to call at any time; the adapter keeps accepting entries afterwards.
+   * @returns {Promise<void>} Resolves once buffered entries were handed to their outputs
+   */
+  async flush() {
+    throw new NotImplementedError(
+      'Method "flush" must be implemented by subclass',
+      {
+        methodName: "flush",
+        interfaceName: "LoggerPort",
+        details: {
+          expectedImplementation:
+            "Logger adapter must implement async flush() method",
+        },
+      }
+    );
+  }
+
+  /**
+   * Flush and release the adapter's file and network outputs.
+   * Call once, as the last step before the process exits; calling it again is a no-op.
+   * Console output keeps working so late entries (e.g. exit handlers) are not lost.
+   * @returns {Promise<void>} Resolves once the outputs are closed
+   */
+  async close() {
+    throw new NotImplementedError(
+      'Method "close" must be implemented by subclass',
+      {
+        methodName: "close",
+        interfaceName: "LoggerPort",
+        details: {
+          expectedImplementation:
+            "Logger adapter must implement async close() method",
+        },
+      }
+    );
+  }
+
+  /**
+   * Get the adapter's current minimum log level.
+   * @returns {string} Current level name
+   */
+  getLevel() {
+    throw new NotImplementedError(
+      'Method "getLevel" must be implemented by subclass',
+      {
+        methodName: "getLevel",
+        interfaceName: "LoggerPort",
+        details: {
+          expectedImplementation:
+            "Logger adapter must implement getLevel() method",
+        },
+      }
+    );
+  }
+}
+
+/**
+ * Fallback child adapter for adapters without a native child logger.
+ * Forwards to the parent adapter and adds the bound context when the call has none.
+ *
+ * @private
+ */
+class ContextBoundLoggerAdapter extends LoggerPort {
+  /**
+   * @param {LoggerPort} parentAdapter - Adapter that writes the entries
+   * @param {Object} context - Complete context to bind
+   */
+  constructor(parentAdapter, context) {
+    super();
+    this.parentAdapter = parentAdapter;
+    this.context = context;
+  }
+
+  child(context) {
+    return this.parentAdapter.child(context);
+  }
+
+  setLevel(level) {
+    this.parentAdapter.setLevel(level);
+  }
+
+  getLevel() {
+    return this.parentAdapter.getLevel();
+  }
+
+  flush() {
+    return this.parentAdapter.flush();
+  }
+
+  close() {
+    return this.parentAdapter.close();
+  }
+}
+
+for (const methodName of Object.keys(logMethodSeverity)) {
+  ContextBoundLoggerAdapter.prototype[methodName] = function (
+    message,
+    meta = {}
+  ) {
+    return this.parentAdapter[methodName](
+      message,
+      meta.context ? meta : { ...meta, context: this.context }
+    );
+  };
 }
@@ -1,6 +1,6 @@
-import pino from "pino";
-
-import { sanitize } from "../../shared/utils/sanitizer.js";
+import { serializeEntryErrors } from "./log-error-serializer.js";
+import { toLogRecord } from "./log-formats.js";
+import { redact } from "./log-redaction.js";
 
 /**
  * Pino formatter for log level property.
@@ -14,13 +14,14 @@ export function levelFormatter(label) {
 
 /**
  * Pino formatter for log object.
- * Sanitizes the log object and flattens context if present.
+ * Serializes errors (shared with Winston, see log-error-serializer.js), redacts the
+ * log object (see log-redaction.js) and flattens context if present.
  * @param {Object} object - The log object
  * @returns {Object}
  */
 export function logFormatter(object) {
   // Flatten context into the root if present (to align with Winston JSON format)
-  let sanitized = sanitize(object);
+  let sanitized = redact(serializeEntryErrors({ ...object }));
   if (sanitized.context && typeof sanitized.context === "object") {
     sanitized = { ...sanitized, ...sanitized.context };
     delete sanitized.context;
@@ -29,6 +30,63 @@ export function logFormatter(object) {
 }
 
 /**
- * Pino timestamp function (ISO format, similar to Winston's default)
+ * Pino formatter for log objects handed to the log worker (see log-worker-stream.js).
+ * Errors become plain objects so their fields reach the worker; redaction and
+ * context flattening happen there.
+ * @param {Object} object - The log object
+ * @returns {Object}
+ */
+export function workerLogFormatter(object) {
+  return serializeEntryErrors({ ...object }, { sanitize: (value) => value });
+}
+
+/**
+ * Pino logMethod hook.
+ * The message is not part of the log object seen by `logFormatter`, so string
+ * arguments are redacted here (Winston's jsonFormat sees the message directly).
+ * @param {Array} args - Arguments passed to the log method
+ * @param {Function} method - Original Pino log method
+ */
+export function redactMessageHook(args, method) {
+  return method.apply(
+    this,
+    args.map((arg) => (typeof arg === "string" ? redact(arg) : arg))
+  );
+}
+
+/**
+ * Pino timestamp function: ISO time under `timestamp`, the key Winston uses.
+ * @returns {string} Pino timestamp fragment
+ */
+export const timestamp = () => `,"timestamp":"${new Date().toISOString()}"`;
+
+// Wrappers created by formatDestination; other streams with a `destination`
+// property (e.g. RotatingFileStream) are closed as they are
+const formatWrappers = new WeakSet();
+
+/**
+ * Wraps a destination so Pino's JSON lines are re-rendered in another output
+ * format (see log-formats.js). The wrapped destination stays reachable under
+ * `destination` for flushing and closing (see unwrapDestination).
+ * @param {Object} destination - Stream the rendered lines are written to
+ * @param {(record: Object) => string} render - Renderer from `createLogRenderer`
+ * @returns {{destination: Object, write: (line: string) => boolean}} Multistream destination
+ */
+export function formatDestination(destination, render) {
+  const wrapper = {
+    destination,
+    write: (line) =>
+      destination.write(`${render(toLogRecord(JSON.parse(line)))}\n`),
+  };
+  formatWrappers.add(wrapper);
+  return wrapper;
+}
+
+/**
+ * Returns the stream behind a formatDestination wrapper, or the stream itself.
+ * @param {Object} stream - Multistream destination
+ * @returns {Object} Stream to flush and close
  */
-export const timestamp = pino.stdTimeFunctions.isoTime;
+export function unwrapDestination(stream) {
+  return formatWrappers.has(stream) ? stream.destination : stream;
+}
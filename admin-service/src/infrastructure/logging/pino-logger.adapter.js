@@ -1,120 +1,355 @@
-import fs from "fs";
-import path from "path";
-
 import pino from "pino";
 
 import loggerConfig from "../../shared/configs/logger.config.js";
 
-
+import { createLogRenderer, resolveLogFormat } from "./log-formats.js";
+import { createNetworkLogStreams } from "./log-network-stream.js";
+import { RotatingFileStream, resolveRotationPolicy } from "./log-rotation.js";
+import { LogWorkerStream } from "./log-worker-stream.js";
+import { BASE_CONTEXT } from "./logger-base-context.js";
 import { LoggerPort } from "./logger.port.js";
 import {
+  formatDestination,
   levelFormatter,
   logFormatter,
+  redactMessageHook,
   timestamp,
+  unwrapDestination,
+  workerLogFormatter,
 } from "./pino-logger-formatters.js";
 
-const logDir = path.join("logs");
-if (loggerConfig.storeLogs && !fs.existsSync(logDir)) {
-  fs.mkdirSync(logDir, { recursive: true });
+// Winston's http/verbose levels, placed between Pino's info (30) and debug (20)
+// in the same order, so both adapters filter and label entries alike
+export const PINO_CUSTOM_LEVELS = Object.freeze({ http: 25, verbose: 22 });
+
+// Closest native level for loggers created without the custom levels (injected ones)
+const PINO_LEVEL_MAP = Object.freeze({ http: "info", verbose: "debug" });
+
+/**
+ * Creates a multistream entry for a destination that follows the logger level
+ * (console, all.log, worker and network outputs; error.log and info.log keep
+ * fixed thresholds). It accepts every level, so the logger's own level, which
+ * `setLevel` changes at runtime, is its only filter.
+ * @param {Object} stream - Destination stream
+ * @returns {{level: string, stream: Object}} Multistream entry
+ */
+export function followLoggerLevel(stream) {
+  return { level: "trace", stream };
+}
+
+// Native child loggers per root logger. Pino children copy the level when they
+// are created, so runtime level changes are pushed to them explicitly.
+const childLoggers = new WeakMap();
+const childLoggerCleanup = new FinalizationRegistry(({ children, ref }) =>
+  children.delete(ref)
+);
+
+/**
+ * Tracks a child logger so it follows runtime level changes of its root.
+ * Only weak references are kept; collected children drop out automatically.
+ * @param {pino.Logger} rootLogger - Root Pino logger
+ * @param {pino.Logger} childLogger - Child created from the root
+ */
+function trackChildLogger(rootLogger, childLogger) {
+  let children = childLoggers.get(rootLogger);
+  if (!children) {
+    children = new Set();
+    childLoggers.set(rootLogger, children);
+  }
+  const ref = new WeakRef(childLogger);
+  children.add(ref);
+  childLoggerCleanup.register(childLogger, { children, ref });
+}
+
+// Pending or finished close per root logger, so repeated close() calls share one run
+const closingLoggers = new WeakMap();
+
+/**
+ * Destination streams behind a Pino logger (multistream entries or a single stream),
+ * unwrapped from their output format.
+ * @param {pino.Logger} logger - Root Pino logger
+ * @returns {Object[]} Destination streams
+ */
+function destinationStreams(logger) {
+  const stream = logger[pino.symbols.streamSym];
+  return (
+    Array.isArray(stream?.streams)
+      ? stream.streams.map((entry) => entry.stream)
+      : [stream].filter(Boolean)
+  ).map(unwrapDestination);
 }
 
-// Create Pino streams based on config
+/**
+ * Applies an output format to a destination; Pino writes JSON itself.
+ * @param {Object} destination - Destination stream
+ * @param {string} format - json | logfmt | ecs | pretty
+ * @param {Object} [options] - Renderer options (colorize)
+ * @returns {Object} Destination for pino.multistream
+ */
+function withFormat(destination, format, options) {
+  return resolveLogFormat(format) === "json"
+    ? destination
+    : formatDestination(destination, createLogRenderer(format, options));
+}
+
+/**
+ * Writes out what a destination still buffers.
+ * @param {Object} stream - RotatingFileStream, SonicBoom or Node stream
+ * @returns {Promise<void>}
+ */
+function flushStream(stream) {
+  return new Promise((resolve, reject) => {
+    if (typeof stream.flush === "function") {
+      stream.flush((error) => (error ? reject(error) : resolve()));
+    } else if (stream.writableNeedDrain) {
+      stream.once("drain", resolve);
+    } else {
+      resolve();
+    }
+  });
+}
+
+/**
+ * Flushes a destination and closes it unless it belongs to the process (stdout/stderr).
+ * @param {Object} stream - Destination stream
+ * @returns {Promise<void>}
+ */
+async function closeStream(stream) {
+  await flushStream(stream);
+  if (stream === process.stdout || stream === process.stderr) return;
+  if (typeof stream.end !== "function") return;
+  await new Promise((resolve) => {
+    stream.once("close", resolve);
+    stream.end();
+  });
+}
+
+// Create Pino streams based on config; files rotate with the shared LOG_ROTATE_* policy.
+// File names are prefixed so Winston and Pino can share the log directory (composite).
+// Console and files use their configured output formats (same renderers as Winston).
 function createPinoStreams() {
   const streams = [];
   if (loggerConfig.storeLogs) {
-    streams.push({
-      level: "warn",
-      stream: pino.destination({
-        dest: path.join(logDir, "error.log"),
-        mkdir: true,
-        append: true,
-        sync: false,
-      }),
-    });
-    streams.push({
-      level: "info",
-      stream: pino.destination({
-        dest: path.join(logDir, "info.log"),
-        mkdir: true,
-        append: true,
-        sync: false,
-      }),
-    });
-    streams.push({
-      level: "debug",
-      stream: pino.destination({
-        dest: path.join(logDir, "all.log"),
-        mkdir: true,
-        append: true,
-        sync: false,
-      }),
-    });
+    const policy = resolveRotationPolicy(loggerConfig.rotation);
+    const fileStream = (name) =>
+      withFormat(
+        new RotatingFileStream({ name, policy }),
+        loggerConfig.format.file
+      );
+    streams.push({ level: "warn", stream: fileStream("pino-error") });
+    streams.push({ level: "info", stream: fileStream("pino-info") });
+    streams.push(followLoggerLevel(fileStream("pino-all")));
   }
   if (loggerConfig.logToConsole) {
-    streams.push({
-      level: loggerConfig.logLevel,
-      stream: process.stdout,
-    });
+    streams.push(
+      followLoggerLevel(
+        withFormat(process.stdout, loggerConfig.format.console, {
+          colorize: true,
+        })
+      )
+    );
   }
   return streams;
 }
 
-// Create Pino logger using defined streams
-function createPinoLogger() {
+// Worker mode: one stream following the logger level hands every JSON line to the
+// log worker, which applies the file thresholds, redacts, renders and writes.
+function createPinoWorkerStreams() {
+  const stream = new LogWorkerStream({
+    files: loggerConfig.storeLogs
+      ? [
+          { name: "pino-error", level: "warn" },
+          { name: "pino-info", level: "info" },
+          { name: "pino-all" },
+        ]
+      : [],
+    fileFormat: loggerConfig.format.file,
+    consoleFormat: loggerConfig.logToConsole
+      ? loggerConfig.format.console
+      : null,
+    policy: resolveRotationPolicy(loggerConfig.rotation),
+    queueSize: loggerConfig.worker.queueSize,
+    overflow: loggerConfig.worker.overflow,
+  });
+  return [followLoggerLevel(stream)];
+}
+
+// Syslog/GELF outputs following the logger level. Worker mode lines are not
+// redacted yet (the worker does it for its outputs), so the network streams do.
+function createPinoNetworkStreams(redactEntries) {
+  return createNetworkLogStreams(loggerConfig.network, {
+    baseFields: BASE_CONTEXT,
+    redactEntries,
+  }).map(followLoggerLevel);
+}
+
+// Configured outputs; entries may use the custom levels (e.g. LOG_LEVEL=http)
+function createPinoDestination() {
+  const useWorker = loggerConfig.worker.enabled;
+  return pino.multistream(
+    [
+      ...(useWorker ? createPinoWorkerStreams() : createPinoStreams()),
+      ...createPinoNetworkStreams(useWorker),
+    ],
+    { levels: PINO_CUSTOM_LEVELS }
+  );
+}
+
+/**
+ * Creates the configured Pino logger.
+ * @param {Object} [destination] - Destination (default: the configured outputs)
+ * @returns {pino.Logger} Pino logger with the http/verbose custom levels
+ */
+export function createPinoLogger(destination = createPinoDestination()) {
+  const { enabled: useWorker } = loggerConfig.worker;
   const logger = pino(
     {
       level: loggerConfig.logLevel,
+      customLevels: PINO_CUSTOM_LEVELS,
       formatters: {
         level: levelFormatter,
-        log: logFormatter,
+        log: useWorker ? workerLogFormatter : logFormatter,
       },
+      // The worker redacts the whole entry, message included
+      hooks: useWorker ? {} : { logMethod: redactMessageHook },
+      messageKey: "message",
       timestamp,
       base: undefined,
     },
-    pino.multistream(createPinoStreams())
+    destination
   );
 
-  // Handle uncaught exceptions and unhandled rejections
-  process.on("uncaughtException", (err) => {
-    logger.error({ err }, "Uncaught Exception");
-  });
-  process.on("unhandledRejection", (reason) => {
-    logger.error({ reason }, "Unhandled Rejection");
-  });
-
+  // NOTE: No process hooks here; server.process.handler.js owns the crash path
   return logger;
 }
 
 export class PinoLoggerAdapter extends LoggerPort {
-  constructor(loggerInstance = createPinoLogger()) {
+  /**
+   * @param {pino.Logger} [loggerInstance] - Pino logger to write to
+   * @param {pino.Logger} [rootLogger] - Root logger owning level and children (for child adapters)
+   * @param {Object|null} [context] - Context bound to `loggerInstance` (for child adapters)
+   */
+  constructor(
+    loggerInstance = createPinoLogger(),
+    rootLogger = loggerInstance,
+    context = null
+  ) {
     super();
     this.logger = loggerInstance;
+    this.rootLogger = rootLogger;
+    this.context = context;
   }
+
+  /**
+   * Writes one entry. Pino serializes child bindings ahead of the entry, so a
+   * per-call context would repeat the bound keys: such calls go through the
+   * root logger with the bound and per-call context merged once.
+   * @param {string} level - Pino level (custom levels fall back to native ones)
+   * @param {string} message - Log message
+   * @param {Object} meta - Log metadata
+   */
+  #write(level, message, meta) {
+    const method =
+      typeof this.logger[level] === "function" ? level : PINO_LEVEL_MAP[level];
+    if (this.context && meta.context) {
+      this.rootLogger[method](
+        { ...meta, context: { ...this.context, ...meta.context } },
+        message
+      );
+      return;
+    }
+    this.logger[method](meta, message);
+  }
+
   error(message, meta = {}) {
-    this.logger.error(meta, message);
+    this.#write("error", message, meta);
   }
   warn(message, meta = {}) {
-    this.logger.warn(meta, message);
+    this.#write("warn", message, meta);
   }
   info(message, meta = {}) {
-    this.logger.info(meta, message);
+    this.#write("info", message, meta);
   }
   http(message, meta = {}) {
-    this.logger.info(meta, message); // Pino doesn't have 'http' level by default
+    this.#write("http", message, meta);
   }
   verbose(message, meta = {}) {
-    this.logger.debug(meta, message); // Map 'verbose' to 'debug'
+    this.#write("verbose", message, meta);
   }
   debug(message, meta = {}) {
-    this.logger.debug(meta, message);
+    this.#write("debug", message, meta);
   }
 
   trace(message, meta = {}) {
-    this.logger.trace(meta, message);
+    this.#write("trace", message, meta);
   }
 
   fatal(message, meta = {}) {
-    this.logger.fatal(meta, message);
+    this.#write("fatal", message, meta);
+  }
+
+  /**
+   * Create an adapter bound to a context using Pino's native child logger.
+   * The context is sanitized and flattened once into the child's bindings
+   * instead of on every call.
+   * @param {Object} context - Complete context to bind
+   * @returns {PinoLoggerAdapter} Context-bound adapter
+   */
+  child(context) {
+    const childLogger = this.rootLogger.child(logFormatter({ context }));
+    trackChildLogger(this.rootLogger, childLogger);
+    return new PinoLoggerAdapter(childLogger, this.rootLogger, context);
+  }
+
+  /**
+   * Change the log level at runtime.
+   * Updates the root logger and its child loggers; destinations that follow the
+   * level accept every entry the logger writes (see followLoggerLevel).
+   * @param {string} level - Log level (http/verbose are mapped to info/debug
+   *   on loggers without the custom levels)
+   */
+  setLevel(level) {
+    const pinoLevel = Object.hasOwn(this.rootLogger.levels.values, level)
+      ? level
+      : (PINO_LEVEL_MAP[level] ?? level);
+    this.rootLogger.level = pinoLevel;
+
+    for (const ref of childLoggers.get(this.rootLogger) ?? []) {
+      const childLogger = ref.deref();
+      if (childLogger) childLogger.level = pinoLevel;
+    }
+  }
+
+  /**
+   * Get the current log level.
+   * @returns {string} Pino level name
+   */
+  getLevel() {
+    return this.rootLogger.level;
+  }
+
+  /**
+   * Write out lines buffered by the asynchronous file destinations.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await Promise.all(destinationStreams(this.rootLogger).map(flushStream));
+  }
+
+  /**
+   * Flush and close the file destinations; console output keeps working.
+   * @returns {Promise<void>}
+   */
+  close() {
+    if (!closingLoggers.has(this.rootLogger)) {
+      closingLoggers.set(
+        this.rootLogger,
+        Promise.all(destinationStreams(this.rootLogger).map(closeStream)).then(
+          () => undefined
+        )
+      );
+    }
+    return closingLoggers.get(this.rootLogger);
   }
 }
 
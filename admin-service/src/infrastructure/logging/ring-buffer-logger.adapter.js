@@ -0,0 +1,295 @@
+// RingBufferLoggerAdapter: keeps the most recent log entries in memory.
+// Used as an extra sink next to the configured adapter so crash reports can
+// include the last entries written before the process died, and so operators
+// can query and tail recent logs over HTTP without shell access to `logs/`.
+
+import { ValidationError } from "../../shared/errors/index.js";
+
+import { redact } from "./log-redaction.js";
+import { logMethodSeverity } from "./logger-levels.js";
+import { LoggerPort } from "./logger.port.js";
+
+/**
+ * @typedef {Object} RecordedLogEntry
+ * @property {string} timestamp - ISO time the entry was recorded
+ * @property {string} level - LoggerPort method name
+ * @property {string} message - Log message
+ * @property {Object} meta - Redacted metadata (context, request IDs, error, …)
+ */
+
+/**
+ * @typedef {Object} LogQuery
+ * @property {string} [level] - Minimum severity (e.g. "warn" matches warn, error and fatal)
+ * @property {string|Date} [from] - Earliest timestamp (inclusive)
+ * @property {string|Date} [to] - Latest timestamp (inclusive)
+ * @property {string} [correlationId] - Request context correlation ID
+ * @property {string} [requestId] - Request context request ID
+ * @property {string} [module] - Logger context module
+ * @property {string} [feature] - Logger context feature
+ * @property {string} [text] - Case-insensitive search in the message and metadata
+ * @property {number} [limit] - Return only the newest `limit` matches
+ */
+
+/**
+ * Parses an optional time bound.
+ * @param {string} field - Query field name
+ * @param {*} value - ISO string, epoch milliseconds or Date
+ * @returns {number|undefined} Epoch milliseconds
+ * @throws {ValidationError} When the value is not a valid time
+ */
+const parseTime = (field, value) => {
+  if (value === undefined || value === "") return undefined;
+  const epoch = /^\d+$/.test(String(value)) ? Number(value) : value;
+  const time = new Date(epoch).getTime();
+  if (Number.isNaN(time)) {
+    throw new ValidationError(`${field} must be a valid time`, {
+      field,
+      value,
+      rule: "iso-date",
+    });
+  }
+  return time;
+};
+
+/**
+ * Validates a query and turns it into a predicate over recorded entries.
+ *
+ * Flow:
+ * 1. Validates the level, time range and limit
+ * 2. Builds one check per given filter; all checks must match
+ *
+ * @param {LogQuery} [query]
+ * @returns {{matches: (entry: RecordedLogEntry) => boolean, limit?: number}} Compiled query
+ * @throws {ValidationError} When a filter is malformed
+ */
+export function compileLogQuery(query = {}) {
+  const { level, correlationId, requestId, module, feature, text, limit } =
+    query;
+  const checks = [];
+
+  // STEP 1: Validation
+  if (level !== undefined && !Object.hasOwn(logMethodSeverity, level)) {
+    throw new ValidationError(`Unknown log level: ${level}`, {
+      field: "level",
+      value: level,
+      rule: "log-level",
+      details: { allowedLevels: Object.keys(logMethodSeverity) },
+    });
+  }
+  const from = parseTime("from", query.from);
+  const to = parseTime("to", query.to);
+  const max = limit === undefined || limit === "" ? undefined : Number(limit);
+  if (max !== undefined && !(Number.isInteger(max) && max > 0)) {
+    throw new ValidationError("limit must be a positive integer", {
+      field: "limit",
+      value: limit,
+      rule: "positive-integer",
+    });
+  }
+
+  // STEP 2: Checks
+  if (level !== undefined) {
+    checks.push(
+      ({ level: entryLevel }) =>
+        logMethodSeverity[entryLevel] <= logMethodSeverity[level]
+    );
+  }
+  if (from !== undefined)
+    checks.push(({ timestamp }) => Date.parse(timestamp) >= from);
+  if (to !== undefined)
+    checks.push(({ timestamp }) => Date.parse(timestamp) <= to);
+  if (correlationId)
+    checks.push(({ meta }) => meta.correlationId === correlationId);
+  if (requestId) checks.push(({ meta }) => meta.requestId === requestId);
+  if (module) checks.push(({ meta }) => meta.context?.module === module);
+  if (feature) checks.push(({ meta }) => meta.context?.feature === feature);
+  if (text) {
+    const needle = String(text).toLowerCase();
+    checks.push(({ message, meta }) =>
+      `${message} ${JSON.stringify(meta)}`.toLowerCase().includes(needle)
+    );
+  }
+
+  return {
+    matches: (entry) => checks.every((check) => check(entry)),
+    limit: max,
+  };
+}
+
+/**
+ * RingBufferLoggerAdapter implements LoggerPort with a fixed-size circular buffer.
+ *
+ * Flow:
+ * 1. Skips entries above the current level (follows runtime level changes)
+ * 2. Redacts the metadata once, with the same rules as the file/console outputs
+ * 3. Overwrites the oldest entry when the buffer is full
+ *
+ * @class RingBufferLoggerAdapter
+ * @extends LoggerPort
+ *
+ * @example
+ * const recentLogs = new RingBufferLoggerAdapter({ capacity: 500 });
+ * recentLogs.info("hello");
+ * recentLogs.entries({ limit: 10 });
+ */
+export class RingBufferLoggerAdapter extends LoggerPort {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.capacity=1000] - Entries kept
+   * @param {string} [options.level="trace"] - Minimum level recorded
+   * @param {() => Date} [options.now] - Clock (for tests)
+   */
+  constructor({
+    capacity = 1000,
+    level = "trace",
+    now = () => new Date(),
+  } = {}) {
+    super();
+    this.capacity = Math.max(1, Math.floor(capacity));
+    this.buffer = new Array(this.capacity);
+    this.next = 0;
+    this.size = 0;
+    this.level = level;
+    this.now = now;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Stores one entry, overwriting the oldest when full.
+   * @private
+   * @param {string} level - LoggerPort method name
+   * @param {string} message - Log message
+   * @param {Object} meta - Log metadata
+   */
+  record(level, message, meta) {
+    if (logMethodSeverity[level] > logMethodSeverity[this.level]) return;
+
+    const entry = {
+      timestamp: this.now().toISOString(),
+      level,
+      message: typeof message === "string" ? redact(message) : String(message),
+      meta: redact(meta),
+    };
+    this.buffer[this.next] = entry;
+    this.next = (this.next + 1) % this.capacity;
+    this.size = Math.min(this.size + 1, this.capacity);
+
+    for (const listener of this.listeners) {
+      try {
+        listener(entry);
+      } catch {
+        // A broken subscriber must never break logging
+      }
+    }
+  }
+
+  /**
+   * Recorded entries, oldest first.
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Return only the newest `limit` entries
+   * @returns {RecordedLogEntry[]} Copy of the buffer content
+   */
+  entries({ limit } = {}) {
+    const start = (this.next - this.size + this.capacity) % this.capacity;
+    const ordered = Array.from(
+      { length: this.size },
+      (_, index) => this.buffer[(start + index) % this.capacity]
+    );
+    return limit === undefined ? ordered : ordered.slice(-limit);
+  }
+
+  /**
+   * Recorded entries matching every given filter, oldest first.
+   * @param {LogQuery} [query]
+   * @returns {RecordedLogEntry[]} Matching entries
+   * @throws {ValidationError} When a filter is malformed
+   */
+  query(query) {
+    const { matches, limit } = compileLogQuery(query);
+    const found = this.entries().filter(matches);
+    return limit === undefined ? found : found.slice(-limit);
+  }
+
+  /**
+   * Calls `listener` with every entry recorded from now on that matches `query`.
+   * @param {(entry: RecordedLogEntry) => void} listener - Entry callback
+   * @param {LogQuery} [query] - Filters (time range and limit are ignored)
+   * @returns {() => void} Unsubscribe function
+   * @throws {ValidationError} When a filter is malformed
+   */
+  subscribe(listener, query) {
+    const { matches } = compileLogQuery({
+      ...query,
+      from: undefined,
+      to: undefined,
+      limit: undefined,
+    });
+    const filtered = (entry) => matches(entry) && listener(entry);
+    this.listeners.add(filtered);
+    return () => this.listeners.delete(filtered);
+  }
+
+  /**
+   * Drops every recorded entry.
+   */
+  clear() {
+    this.buffer = new Array(this.capacity);
+    this.next = 0;
+    this.size = 0;
+  }
+
+  fatal(message, meta = {}) {
+    this.record("fatal", message, meta);
+  }
+  error(message, meta = {}) {
+    this.record("error", message, meta);
+  }
+  warn(message, meta = {}) {
+    this.record("warn", message, meta);
+  }
+  info(message, meta = {}) {
+    this.record("info", message, meta);
+  }
+  http(message, meta = {}) {
+    this.record("http", message, meta);
+  }
+  verbose(message, meta = {}) {
+    this.record("verbose", message, meta);
+  }
+  debug(message, meta = {}) {
+    this.record("debug", message, meta);
+  }
+  trace(message, meta = {}) {
+    this.record("trace", message, meta);
+  }
+
+  /**
+   * Change the minimum recorded level.
+   * @param {string} level - LoggerPort method name
+   */
+  setLevel(level) {
+    this.level = level;
+  }
+
+  /**
+   * Get the minimum recorded level.
+   * @returns {string} Level name
+   */
+  getLevel() {
+    return this.level;
+  }
+
+  /**
+   * Nothing is buffered outside memory.
+   * @returns {Promise<void>}
+   */
+  async flush() {}
+
+  /**
+   * Entries stay readable after close (crash reports read them last).
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+export default RingBufferLoggerAdapter;
@@ -1,6 +1,11 @@
 import winston from "winston";
 
-import { sanitize } from "../../shared/utils/sanitizer.js";
+import { serializeEntryErrors } from "./log-error-serializer.js";
+import { createLogRenderer, toLogRecord } from "./log-formats.js";
+import { redact } from "./log-redaction.js";
+
+// Winston writes the formatted output stored under this key
+const MESSAGE = Symbol.for("message");
 
 /**
  * @typedef {Object} LoggerContext
@@ -9,28 +14,46 @@ import { sanitize } from "../../shared/utils/sanitizer.js";
  * @property {string} [feature] - The feature or submodule name (e.g., 'auth', 'payment')
  */
 
+// Serializes errors on the entry with the serializer shared with Pino
+const errorFormat = winston.format((info) => serializeEntryErrors(info));
+
 /**
- * Create a logger instance with optional context tagging.
+ * Timestamps the entry, serializes its errors and redacts it (same steps as the
+ * Pino formatter); transports rendering the entry themselves use it directly.
+ * @type {winston.Logform.Format}
+ */
+export const recordFormat = winston.format.combine(
+  winston.format.timestamp(),
+  errorFormat(),
+  winston.format((info) => redact(info))()
+);
+
+/**
+ * Creates a Winston format for one of the shared output formats (see log-formats.js).
+ *
+ * Flow:
+ * 1. Adds an ISO timestamp
+ * 2. Serializes errors and redacts the entry (same steps as the Pino formatter)
+ * 3. Renders the shared log record as the transport output
+ *
+ * @param {string} format - json | logfmt | ecs | pretty
  * @param {Object} [options]
- * @param {LoggerContext} [options.context] - Context to tag logs with { service, module, feature }
- * @returns {LoggerPort}
+ * @param {boolean} [options.colorize=false] - Colorize the `pretty` format
+ * @returns {winston.Logform.Format} Winston format
+ * @throws {ConfigurationError} When the format is unknown
  */
+export function createWinstonFormat(format, { colorize = false } = {}) {
+  const render = createLogRenderer(format, { colorize });
 
-export const consoleFormat = winston.format.combine(
-  winston.format.colorize({ all: true }),
-  winston.format.timestamp({ format: "YYYY-MM-DD HH:mm:ss:ms" }),
-  winston.format.errors({ stack: true }),
-  winston.format.printf(({ level, message, timestamp, ...meta }) => {
-    const metaString = Object.keys(meta).length
-      ? `\n${JSON.stringify(meta, null, 2)}`
-      : "";
-    return `${timestamp} [${level}] ${message} ${metaString}`;
-  })
-);
+  return winston.format.combine(
+    recordFormat,
+    winston.format((info) => {
+      info[MESSAGE] = render(toLogRecord(info));
+      return info;
+    })()
+  );
+}
 
-export const jsonFormat = winston.format.combine(
-  winston.format.timestamp({ format: "YYYY-MM-DD HH:mm:ss:ms" }),
-  winston.format.errors({ stack: true }),
-  winston.format((info) => sanitize(info))(),
-  winston.format.json({ level: true, space: 2 })
-);
+export const consoleFormat = createWinstonFormat("pretty", { colorize: true });
+
+export const jsonFormat = createWinstonFormat("json");
@@ -1,60 +1,86 @@
 // WinstonLoggerAdapter: Winston-based implementation of LoggerPort.
-// Handles log rotation, console/file output, and failover for exceptions.
-
-import path from "path";
+// Handles log rotation and console/file output (in process or in the log worker)
+// and the syslog/GELF network outputs.
 
 import winston from "winston";
 import DailyRotateFile from "winston-daily-rotate-file";
 
 import loggerConfig from "../../shared/configs/logger.config.js";
 
+import { serializeEntryErrors } from "./log-error-serializer.js";
+import { toLogRecord } from "./log-formats.js";
+import { createNetworkLogStreams } from "./log-network-stream.js";
+import {
+  pruneRotatedFiles,
+  resolveRotationPolicy,
+  toDailyRotateFileOptions,
+} from "./log-rotation.js";
+import { LogWorkerStream } from "./log-worker-stream.js";
+import { BASE_CONTEXT } from "./logger-base-context.js";
 import { logColors } from "./logger-colors.js";
 import { logLevels } from "./logger-levels.js";
 import { LoggerPort } from "./logger.port.js";
-import { consoleFormat, jsonFormat } from "./winston-logger-formats.js";
+import { createWinstonFormat, recordFormat } from "./winston-logger-formats.js";
 
 // Add custom colors for Winston log levels
 winston.addColors(logColors);
 
+// Winston has no trace/fatal levels; map them to the closest native level
+const WINSTON_LEVEL_MAP = Object.freeze({ trace: "debug", fatal: "error" });
+
 /**
  * Creates Winston transports for file rotation and console output.
- * - File transports use daily rotation and JSON formatting.
- * - Console transport uses colorized formatting.
- * - Exception handling is enabled for error and console transports.
+ * - File transports use daily rotation (LOG_ROTATE_* policy) and the file format
+ *   (LOG_FORMAT_FILE / LOG_FORMAT, default json).
+ * - Console transport uses the console format (LOG_FORMAT_CONSOLE / LOG_FORMAT,
+ *   default pretty), colorized when pretty.
+ * - No exception handling: server.process.handler.js owns the crash path.
+ * - Console and "all" transports have no own level, so they follow the logger
+ *   level (including runtime changes); error/info files keep fixed thresholds.
  * @returns {Array} Array of Winston transport instances
  */
 function createWinstonTransports() {
+  const rotationPolicy = resolveRotationPolicy(loggerConfig.rotation);
+  const fileFormat = createWinstonFormat(loggerConfig.format.file);
+
   // Helper to create a rotating file transport for a given log level
-  const jsonRotateTransport = (filename, level) =>
-    new DailyRotateFile({
-      format: jsonFormat,
-      filename: path.join("logs", `${filename}-%DATE%.log`),
-      datePattern: "YYYY-MM-DD",
-      maxSize: "20m",
-      maxFiles: "30d",
+  const fileRotateTransport = (filename, level) => {
+    const transport = new DailyRotateFile({
+      ...toDailyRotateFileOptions(rotationPolicy, filename),
+      format: fileFormat,
       level,
-      handleExceptions: filename === "error", // Only error log handles exceptions
     });
+    // The transport enforces the file count; age retention is shared with Pino
+    transport.on("rotate", (previousFile, newFile) => {
+      pruneRotatedFiles({
+        dir: rotationPolicy.dir,
+        name: filename,
+        maxAgeMs: rotationPolicy.maxAgeMs,
+        activeFile: newFile,
+      }).catch((error) => transport.emit("error", error));
+    });
+    return transport;
+  };
 
-  // Console transport for human-readable output
+  // Console transport (human-readable by default)
   const consoleTransports = [
     new winston.transports.Console({
-      format: consoleFormat,
-      level: loggerConfig.logLevel,
-      handleExceptions: true, // Console should always handle exceptions
+      format: createWinstonFormat(loggerConfig.format.console, {
+        colorize: true,
+      }),
     }),
   ];
 
   // File transports for error, info, and all logs
-  const jsonTransports = [
-    jsonRotateTransport("error", "warn"),
-    jsonRotateTransport("info", "info"),
-    jsonRotateTransport("all", "debug"),
+  const fileTransports = [
+    fileRotateTransport("error", "warn"),
+    fileRotateTransport("info", "info"),
+    fileRotateTransport("all"), // Follows the logger level
   ];
 
   const transports = [];
   if (loggerConfig.storeLogs) {
-    transports.push(...jsonTransports);
+    transports.push(...fileTransports);
   }
   if (loggerConfig.logToConsole) {
     transports.push(...consoleTransports);
@@ -62,16 +88,158 @@ function createWinstonTransports() {
   return transports;
 }
 
+/**
+ * Transport handing entries to the log worker (see log-worker-stream.js).
+ * Only the timestamp is added and errors are turned into plain objects here;
+ * the worker redacts, renders and writes.
+ */
+class LogWorkerTransport extends winston.Transport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {LogWorkerStream} options.stream - Worker stream
+   */
+  constructor({ stream, ...options }) {
+    super(options);
+    this.stream = stream;
+  }
+
+  log(info, callback) {
+    this.stream.write(
+      serializeEntryErrors(
+        { timestamp: new Date().toISOString(), ...info },
+        { sanitize: (value) => value }
+      )
+    );
+    callback();
+  }
+
+  /**
+   * Writes out the entries still queued for the worker.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return new Promise((resolve) => this.stream.flush(resolve));
+  }
+
+  /**
+   * Called by Winston when the transport is removed; emits "finish" once the
+   * worker has written everything and closed its files.
+   */
+  close() {
+    this.stream.once("close", () => this.emit("finish"));
+    this.stream.end();
+  }
+}
+
+/**
+ * Creates the transport of worker mode: the worker writes the same error/info/all
+ * files (with their thresholds) and the console output.
+ * @returns {Array} Array with the worker transport
+ */
+function createWinstonWorkerTransports() {
+  const stream = new LogWorkerStream({
+    files: loggerConfig.storeLogs
+      ? [
+          { name: "error", level: "warn" },
+          { name: "info", level: "info" },
+          { name: "all" },
+        ]
+      : [],
+    fileFormat: loggerConfig.format.file,
+    consoleFormat: loggerConfig.logToConsole
+      ? loggerConfig.format.console
+      : null,
+    policy: resolveRotationPolicy(loggerConfig.rotation),
+    queueSize: loggerConfig.worker.queueSize,
+    overflow: loggerConfig.worker.overflow,
+  });
+  return [new LogWorkerTransport({ stream })];
+}
+
+/**
+ * Transport sending entries to a syslog or GELF collector (see log-network-stream.js).
+ * Its format redacts the entry; the stream encodes and sends it.
+ */
+class NetworkTransport extends winston.Transport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {import('./log-network-stream.js').NetworkLogStream} options.stream - Network stream
+   */
+  constructor({ stream, ...options }) {
+    super({ format: recordFormat, ...options });
+    this.stream = stream;
+  }
+
+  log(info, callback) {
+    this.stream.write(toLogRecord(info));
+    callback();
+  }
+
+  /**
+   * Waits until the sent entries left the process.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return new Promise((resolve) => this.stream.flush(resolve));
+  }
+
+  /**
+   * Called by Winston when the transport is removed; emits "finish" once the
+   * socket is closed.
+   */
+  close() {
+    this.stream.once("close", () => this.emit("finish"));
+    this.stream.end();
+  }
+}
+
+/**
+ * Creates the syslog/GELF transports (LOGGER_CONFIGS_SYSLOG_URL / LOGGER_CONFIGS_GELF_URL);
+ * they follow the logger level, in both in-process and worker mode.
+ * @returns {Array} Array of network transports (empty when no collector is configured)
+ */
+function createWinstonNetworkTransports() {
+  return createNetworkLogStreams(loggerConfig.network, {
+    baseFields: BASE_CONTEXT,
+  }).map((stream) => new NetworkTransport({ stream }));
+}
+
+// Leaves the entry as is; Winston's default logger format would serialize it to JSON
+const passThroughFormat = winston.format((info) => info)();
+
 /**
  * Factory for creating a Winston logger instance with configured transports.
  * @returns {winston.Logger} Winston logger instance
  */
 function createWinstonLogger() {
+  const { enabled: useWorker } = loggerConfig.worker;
   return winston.createLogger({
     level: loggerConfig.logLevel,
     levels: logLevels,
-    transports: createWinstonTransports(),
-    exitOnError: false, // Prevent Winston from exiting on handled exceptions
+    format: useWorker ? passThroughFormat : undefined,
+    transports: [
+      ...(useWorker
+        ? createWinstonWorkerTransports()
+        : createWinstonTransports()),
+      ...createWinstonNetworkTransports(),
+    ],
+  });
+}
+
+// Pending or finished close per root logger, so repeated close() calls share one run
+const closingLoggers = new WeakMap();
+
+/**
+ * Resolves once a stream's write buffer is empty.
+ * @param {import("stream").Writable} stream - Logger or transport stream
+ * @returns {Promise<void>}
+ */
+function waitForWritableDrain(stream) {
+  if (!stream.writableLength) return Promise.resolve();
+  return new Promise((resolve) => {
+    const check = () =>
+      stream.writableLength ? setImmediate(check) : resolve();
+    check();
   });
 }
 
@@ -82,12 +250,14 @@ function createWinstonLogger() {
  * @class WinstonLoggerAdapter
  * @extends LoggerPort
  * @param {winston.Logger} [loggerInstance] - Optional custom Winston logger instance
+ * @param {winston.Logger} [rootLogger] - Root logger owning the transports (for child adapters)
  */
 export class WinstonLoggerAdapter extends LoggerPort {
-  constructor(loggerInstance) {
+  constructor(loggerInstance, rootLogger) {
     super();
     // Use provided logger or create a default one
     this.logger = loggerInstance || createWinstonLogger();
+    this.rootLogger = rootLogger || this.logger;
   }
   /**
    * Log a fatal message (mapped to error for Winston).
@@ -154,6 +324,85 @@ export class WinstonLoggerAdapter extends LoggerPort {
   trace(message, meta = {}) {
     this.logger.debug(message, meta); // Winston doesn't have trace, map to debug
   }
+
+  /**
+   * Create an adapter bound to a context using Winston's native child logger.
+   * The child shares the parent's transports and level; a per-call `meta.context`
+   * replaces the bound one (the factory has already merged it).
+   * @param {Object} context - Complete context to bind
+   * @returns {WinstonLoggerAdapter} Context-bound adapter
+   */
+  child(context) {
+    return new WinstonLoggerAdapter(
+      this.logger.child({ context }),
+      this.rootLogger
+    );
+  }
+
+  /**
+   * Change the log level at runtime.
+   * Transports without a fixed level inherit it immediately.
+   * @param {string} level - Log level (trace/fatal are mapped to debug/error)
+   */
+  setLevel(level) {
+    this.logger.level = WINSTON_LEVEL_MAP[level] ?? level;
+  }
+
+  /**
+   * Get the current log level.
+   * @returns {string} Winston level name
+   */
+  getLevel() {
+    return this.logger.level;
+  }
+
+  /**
+   * Wait until the logger and its transports have no buffered entries.
+   * File transports hand entries to their file stream; only close() waits
+   * until those are written to disk.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await Promise.all(
+      [this.rootLogger, ...this.rootLogger.transports].map(waitForWritableDrain)
+    );
+    // The log worker and network transports also wait for what they have queued
+    await Promise.all(
+      this.rootLogger.transports.map((transport) => transport.flush?.())
+    );
+  }
+
+  /**
+   * Flush and close the file transports; console transports stay attached.
+   * Removing a transport makes Winston call its close(), which ends the file
+   * stream and emits "finish" once everything is on disk.
+   * @returns {Promise<void>}
+   */
+  close() {
+    if (!closingLoggers.has(this.rootLogger)) {
+      closingLoggers.set(this.rootLogger, this.closeTransports());
+    }
+    return closingLoggers.get(this.rootLogger);
+  }
+
+  /**
+   * @private
+   */
+  async closeTransports() {
+    await this.flush();
+    const closableTransports = this.rootLogger.transports.filter(
+      (transport) => typeof transport.close === "function"
+    );
+    await Promise.all(
+      closableTransports.map(
+        (transport) =>
+          new Promise((resolve) => {
+            transport.once("finish", resolve);
+            this.rootLogger.remove(transport);
+          })
+      )
+    );
+  }
 }
 
 export default WinstonLoggerAdapter;
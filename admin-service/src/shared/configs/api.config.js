@@ -6,4 +6,9 @@ validateEnvVars(requiredVars);
 
 export default {
   pathPrefix: process.env.API_CONFIGS_API_PATH_PREFIX,
+  // Error responses when the Accept header does not choose: problem (RFC 9457
+  // application/problem+json) | legacy ({ success: false, error } envelope)
+  errorFormat: process.env.API_CONFIGS_ERROR_FORMAT || 'problem',
+  // Prefix of the problem `type` URIs (type = prefix + error code); unset = about:blank
+  problemTypeBaseUri: process.env.API_CONFIGS_PROBLEM_TYPE_BASE_URI || '',
 };
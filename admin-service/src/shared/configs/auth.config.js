@@ -0,0 +1,11 @@
+import { validateEnvVars } from "../utils/envValidator.js";
+
+const requiredVars = [
+  "AUTH_CONFIGS_ADMIN_API_TOKEN", // Bearer token for operational admin routes
+];
+
+validateEnvVars(requiredVars);
+
+export default {
+  adminApiToken: process.env.AUTH_CONFIGS_ADMIN_API_TOKEN,
+};
@@ -0,0 +1,26 @@
+import { validateEnvVars } from "../utils/envValidator.js";
+
+// Helper to parse boolean values from env variables (unset = default)
+function parseBool(str, defaultValue) {
+  return str === undefined || str === ""
+    ? defaultValue
+    : String(str).toLowerCase() === "true";
+}
+
+// All crash settings are optional
+const requiredVars = [];
+const numericVars = [];
+const booleanVars = ["CRASH_CONFIGS_WRITE_REPORT"];
+
+validateEnvVars(requiredVars, numericVars, booleanVars);
+
+export default {
+  // Directory for diagnostic reports and the last log entries
+  dir: process.env.CRASH_CONFIGS_DIR || "crash",
+  // Write a Node diagnostic report (process.report) on fatal errors
+  writeReport: parseBool(process.env.CRASH_CONFIGS_WRITE_REPORT, true),
+  // In-memory log entries copied to the crash directory
+  logLines: Number(process.env.CRASH_CONFIGS_LOG_LINES) || 200,
+  // Hard deadline for the shutdown after a fatal error, in milliseconds
+  shutdownDeadlineMs: Number(process.env.CRASH_CONFIGS_SHUTDOWN_DEADLINE_MS) || 10000,
+};
@@ -15,6 +15,9 @@ const numericVars = [];
 const booleanVars = [
   "LOGGER_CONFIGS_STORE_LOGS",
   "LOGGER_CONFIGS_LOG_TO_CONSOLE",
+  "LOG_ROTATE_COMPRESS",
+  "LOGGER_CONFIGS_WORKER",
+  "LOGGER_CONFIGS_SHIPPING_GZIP",
 ];
 
 validateEnvVars(requiredVars, numericVars, booleanVars);
@@ -26,4 +29,74 @@ export default {
   storeLogs: parseBool(process.env.LOGGER_CONFIGS_STORE_LOGS),
   logToConsole: parseBool(process.env.LOGGER_CONFIGS_LOG_TO_CONSOLE),
   logLevel: process.env.LOGGER_CONFIGS_LOG_LEVEL,
+  // Runtime metadata added to every entry (see logger-runtime-metadata.js)
+  metadata: {
+    // Comma-separated subset of hostname,pid,version,revision,environment,
+    // containerId,startedAt, or "all" / "none" (unset = all)
+    fields: process.env.LOGGER_CONFIGS_METADATA_FIELDS || "all",
+    version: process.env.VERSION || "",
+    revision: process.env.VCS_REF || "",
+  },
+  // Entries kept in memory for crash reports
+  recentLogsSize: Number(process.env.LOGGER_CONFIGS_RECENT_LOGS_SIZE) || 1000,
+  // Sampling / rate limit rules, e.g. "debug:1/10,info@eventstore:5/10s"
+  // (validated in logger-sampling.js; unset = every entry is written)
+  samplingRules: process.env.LOGGER_CONFIGS_SAMPLING_RULES || "",
+  // Level overrides per module/feature, e.g. "admin-context.write=debug,healthCheck=warn"
+  // (validated in logger-namespace-levels.js; unset = global level everywhere)
+  namespaceLevels: process.env.LOGGER_CONFIGS_NAMESPACE_LEVELS || "",
+  // Durations logged by logger.startTimer()/time() above this are escalated to warn
+  slowThresholdMs:
+    Number(process.env.LOGGER_CONFIGS_SLOW_THRESHOLD_MS) || 1000,
+  // Output formats shared by both adapters: json | logfmt | ecs | pretty
+  // (validated in log-formats.js); LOG_FORMAT sets both outputs
+  format: {
+    console:
+      process.env.LOG_FORMAT_CONSOLE || process.env.LOG_FORMAT || "pretty",
+    file: process.env.LOG_FORMAT_FILE || process.env.LOG_FORMAT || "json",
+  },
+  // Formatting, redaction and writing in a worker thread (see log-worker-stream.js)
+  worker: {
+    enabled: parseBool(process.env.LOGGER_CONFIGS_WORKER),
+    // Entries queued or in the worker before the overflow policy applies
+    queueSize: Number(process.env.LOGGER_CONFIGS_WORKER_QUEUE_SIZE) || 10000,
+    // drop | block (wait up to 1s for the worker, then drop)
+    overflow: process.env.LOGGER_CONFIGS_WORKER_OVERFLOW || "drop",
+  },
+  // Network outputs (both adapters), following the logger level
+  network: {
+    // RFC 5424 syslog collector: udp://<host>[:514] or tcp://<host>[:514]
+    syslog: process.env.LOGGER_CONFIGS_SYSLOG_URL || "",
+    syslogFacility: process.env.LOGGER_CONFIGS_SYSLOG_FACILITY || "local0",
+    // GELF collector: udp://<host>[:12201] (chunked) or tcp://<host>[:12201]
+    gelf: process.env.LOGGER_CONFIGS_GELF_URL || "",
+  },
+  // HTTP log shipping: NDJSON batches POSTed to the URL (unset = off); spooled
+  // to disk while the collector is unreachable (see http-shipping-logger.adapter.js)
+  shipping: {
+    url: process.env.LOGGER_CONFIGS_SHIPPING_URL || "",
+    // Sent as the Authorization header, e.g. "Bearer <token>"
+    authorization: process.env.LOGGER_CONFIGS_SHIPPING_AUTHORIZATION || "",
+    gzip: process.env.LOGGER_CONFIGS_SHIPPING_GZIP
+      ? parseBool(process.env.LOGGER_CONFIGS_SHIPPING_GZIP)
+      : true,
+    batchSize: Number(process.env.LOGGER_CONFIGS_SHIPPING_BATCH_SIZE) || 500,
+    flushIntervalMs:
+      Number(process.env.LOGGER_CONFIGS_SHIPPING_FLUSH_INTERVAL_MS) || 1000,
+    spoolDir:
+      process.env.LOGGER_CONFIGS_SHIPPING_SPOOL_DIR || "logs/shipping-spool",
+    // Disk spool bound: <number>[k|m|g]
+    maxSpoolSize: process.env.LOGGER_CONFIGS_SHIPPING_MAX_SPOOL_SIZE || "100m",
+  },
+  // File rotation shared by both adapters (validated in log-rotation.js)
+  rotation: {
+    dir: process.env.LOG_ROTATE_DIR || "logs",
+    // Size per file: <number>[k|m|g]
+    maxSize: process.env.LOG_ROTATE_MAX_SIZE || "20m",
+    // Files kept per log, including the active one (unset = no count limit)
+    maxFiles: process.env.LOG_ROTATE_MAX_FILES || undefined,
+    // Retention of rotated files: <number>[s|m|h|d]
+    maxAge: process.env.LOG_ROTATE_MAX_AGE || "30d",
+    compress: parseBool(process.env.LOG_ROTATE_COMPRESS),
+  },
 };
@@ -0,0 +1,35 @@
+import { validateEnvVars } from "../utils/envValidator.js";
+
+// Helper to parse comma-separated lists from env variables
+function parseList(str) {
+  return String(str ?? "")
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+// All redaction settings are optional; without them the built-in rules apply.
+// Rules use `name` or `name:mode` (mode: full | last4 | hash).
+const requiredVars = [];
+const numericVars = [];
+
+validateEnvVars(requiredVars, numericVars);
+
+export default {
+  // Extra sensitive key names, e.g. "nationalId,dateOfBirth:hash"
+  keys: parseList(process.env.REDACTION_CONFIGS_KEYS),
+  // Value detectors: jwt, bearer, card, iban, email (unset = built-in defaults)
+  detectors: process.env.REDACTION_CONFIGS_DETECTORS
+    ? parseList(process.env.REDACTION_CONFIGS_DETECTORS)
+    : undefined,
+  // Dot paths, `*` matches one segment, e.g. "req.headers.cookie,users.*.email:hash"
+  paths: parseList(process.env.REDACTION_CONFIGS_PATHS),
+  // Default mask mode for keys, detectors and paths without their own mode
+  mask: process.env.REDACTION_CONFIGS_MASK_MODE || "full",
+  // Salt for the hash mask mode
+  hashSalt: process.env.REDACTION_CONFIGS_HASH_SALT || "",
+  // Traversal limits (unset = sanitizer defaults: depth 10, 100 items, 10000 chars)
+  maxDepth: Number(process.env.REDACTION_CONFIGS_MAX_DEPTH) || undefined,
+  maxArrayLength: Number(process.env.REDACTION_CONFIGS_MAX_ARRAY_LENGTH) || undefined,
+  maxStringLength: Number(process.env.REDACTION_CONFIGS_MAX_STRING_LENGTH) || undefined,
+};
@@ -0,0 +1,176 @@
+// AggregateValidationError.js
+// Custom error collecting every field violation of a request or value object.
+
+import { HTTP_STATUS } from "../constants/http.constants.js";
+import { sanitize } from "../utils/sanitizer.js";
+
+import { ValidationError } from "./ValidationError.js";
+
+/**
+ * @typedef {Object} Violation
+ * @property {string} pointer - JSON pointer (RFC 6901) of the invalid value, "" for the root
+ * @property {string|null} rule - The validation rule that failed
+ * @property {string} message - Why the value is invalid
+ * @property {Object} params - Rule parameters (e.g. `{ min: 8 }`)
+ * @property {*} [value] - The invalid value, redacted for sensitive fields
+ */
+
+/**
+ * Escapes a path segment as a JSON pointer reference token.
+ * @param {string|number} segment - Property name or array index
+ * @returns {string} Escaped token
+ */
+function escapeSegment(segment) {
+  return String(segment).replaceAll("~", "~0").replaceAll("/", "~1");
+}
+
+/**
+ * Builds a JSON pointer from a pointer, a field name or path segments.
+ * @param {string|Array<string|number>|null|undefined} path - `"/address/zip"`, `"email"` or `["items", 0]`
+ * @returns {string} JSON pointer
+ */
+function toPointer(path) {
+  if (Array.isArray(path)) {
+    return path.map((segment) => `/${escapeSegment(segment)}`).join("");
+  }
+  if (path === null || path === undefined || path === "") return "";
+  return String(path).startsWith("/")
+    ? String(path)
+    : `/${escapeSegment(path)}`;
+}
+
+/**
+ * Normalizes a violation; the value is redacted as if it were the property
+ * named by the last pointer segment (e.g. `/credentials/password`).
+ * @param {Object} violation - Raw violation
+ * @returns {Violation} Normalized violation
+ */
+function toViolation({ pointer, path, rule, message, params, value }) {
+  const normalized = {
+    pointer: toPointer(pointer ?? path),
+    rule: rule || null,
+    message: message || "Invalid value",
+    params: params ?? {},
+  };
+  if (value !== undefined) {
+    const token = normalized.pointer.split("/").at(-1);
+    const key = token.replaceAll("~1", "/").replaceAll("~0", "~") || "value";
+    normalized.value = sanitize({ [key]: value })[key];
+  }
+  return normalized;
+}
+
+class AggregateValidationError extends ValidationError {
+  // The request or value object has one or more invalid fields
+  static code = "ADMIN.VALIDATION.FAILED";
+  static httpStatus = HTTP_STATUS.BAD_REQUEST;
+  static expose = true;
+  static problemFields = ["violations"];
+
+  /**
+   * Creates an aggregate validation error with automatic caller context detection.
+   *
+   * Flow:
+   * 1. Accepts message and the collected violations
+   * 2. Inherits automatic caller detection from BaseError
+   * 3. Normalizes the violations (JSON pointers, redacted values)
+   *
+   * @param {string} message - Error message.
+   * @param {object} [options] - Configuration options
+   * @param {string} [options.component] - Manual component override (auto-detected if not provided)
+   * @param {string} [options.operation] - Manual operation override (auto-detected if not provided)
+   * @param {object} [options.details] - Additional context or details
+   * @param {*} [options.cause] - Underlying error (ES2022 `cause`)
+   * @param {Object[]} [options.violations] - Violations: `pointer` (or `path`), `rule`, `message`, `params`, `value`
+   * @param {number} [options.stackDepth] - Stack depth for caller detection (default: 1)
+   */
+  constructor(message, options = {}) {
+    // Call ValidationError constructor; the single-field properties stay unset
+    super(message, { ...options, field: null, value: undefined, rule: null });
+
+    // Add the violations
+    this.violations = (options.violations ?? []).map(toViolation);
+  }
+
+  /**
+   * Converts a validation error into violations under a pointer, so errors
+   * thrown by nested value objects keep their position in the request.
+   *
+   * @param {ValidationError} error - Single or aggregate validation error
+   * @param {string|Array<string|number>} [path=""] - Where the validated value sits
+   * @returns {Violation[]} Violations with absolute pointers
+   */
+  static toViolations(error, path = "") {
+    const base = toPointer(path);
+    if (error instanceof AggregateValidationError) {
+      return error.violations.map((violation) => ({
+        ...violation,
+        pointer: `${base}${violation.pointer}`,
+      }));
+    }
+    return [
+      toViolation({
+        pointer: `${base}${toPointer(error.field)}`,
+        rule: error.rule,
+        message: error.message,
+        value: error.value ?? undefined,
+      }),
+    ];
+  }
+
+  /**
+   * Creates a collector that gathers violations instead of failing on the first.
+   *
+   * Flow:
+   * 1. `add(path, violation)` records a violation
+   * 2. `check(path, fn)` runs a validation (e.g. a value object factory) and
+   *    records the ValidationError it throws; other errors propagate
+   * 3. `throwIfAny(message)` throws one AggregateValidationError with everything
+   *
+   * @returns {{add: Function, check: Function, throwIfAny: Function, violations: Violation[]}} Collector
+   *
+   * @example
+   * const validation = AggregateValidationError.collect();
+   * const email = validation.check("email", () => Email.create(body.email));
+   * if (body.password?.length < 12) {
+   *   validation.add("password", { rule: "min-length", message: "Too short", params: { min: 12 }, value: body.password });
+   * }
+   * validation.throwIfAny("Invalid admin");
+   */
+  static collect() {
+    const violations = [];
+
+    return {
+      violations,
+
+      add(path, violation = {}) {
+        violations.push(
+          toViolation({ ...violation, pointer: toPointer(path) })
+        );
+      },
+
+      check(path, validate) {
+        try {
+          return validate();
+        } catch (error) {
+          if (!(error instanceof ValidationError)) throw error;
+          violations.push(
+            ...AggregateValidationError.toViolations(error, path)
+          );
+          return undefined;
+        }
+      },
+
+      throwIfAny(message = "Validation failed", options = {}) {
+        if (violations.length === 0) return;
+        throw new AggregateValidationError(message, {
+          ...options,
+          violations,
+          stackDepth: options.stackDepth ?? 2,
+        });
+      },
+    };
+  }
+}
+
+export { AggregateValidationError };
@@ -1,7 +1,60 @@
 // BaseError.js
 // Base class for all custom errors with automatic caller detection capabilities.
 
+import {
+  HTTP_STATUS,
+  getHttpStatusByCode,
+} from "../constants/http.constants.js";
+
+// Properties restored by fromJSON itself rather than passed as constructor options
+const IDENTITY_KEYS = new Set(["name", "message", "code", "stack", "cause"]);
+
+// Replaces an error already serialized on the current cause chain
+const CIRCULAR = "[Circular]";
+
 class BaseError extends Error {
+  /**
+   * Stable machine-readable code sent to clients (`ADMIN.<CATEGORY>.<REASON>`).
+   * Subclasses declare their own; see errorRegistry.js.
+   * @type {string}
+   */
+  static code = "ADMIN.INTERNAL.UNEXPECTED";
+
+  /**
+   * Default HTTP status (an HTTP_STATUS entry) of this error type.
+   * @type {{code: number, message: string}}
+   */
+  static httpStatus = HTTP_STATUS.INTERNAL_SERVER_ERROR;
+
+  /**
+   * Whether the message is safe to send to clients; otherwise the status
+   * message is sent instead.
+   * @type {boolean}
+   */
+  static expose = false;
+
+  /**
+   * Properties sent as problem details extension members when the message is
+   * exposed (see problemDetails.js).
+   * @type {string[]}
+   */
+  static problemFields = [];
+
+  /**
+   * Error types fromJSON can rehydrate, by code (filled by registerErrorType).
+   * @type {Map<string, typeof BaseError>}
+   */
+  static #types = new Map();
+
+  /**
+   * Makes an error type known to fromJSON. Called by registerErrorType; use
+   * that instead so the code is validated.
+   * @param {typeof BaseError} ErrorType - BaseError subclass
+   */
+  static addType(ErrorType) {
+    BaseError.#types.set(ErrorType.code, ErrorType);
+  }
+
   /**
    * Creates a base error with automatic caller context detection.
    *
@@ -16,10 +69,12 @@ class BaseError extends Error {
    * @param {string} [options.component] - Manual component override (auto-detected if not provided)
    * @param {string} [options.operation] - Manual operation override (auto-detected if not provided)
    * @param {object} [options.details] - Additional context or details
+   * @param {*} [options.cause] - Underlying error (ES2022 `cause`)
+   * @param {{code: number, message: string}} [options.httpStatus] - HTTP_STATUS entry overriding the type's default
    * @param {number} [options.stackDepth] - Stack depth for caller detection (default: 1)
    */
   constructor(message, options = {}) {
-    super(message);
+    super(message, "cause" in options ? { cause: options.cause } : undefined);
 
     // Set error name to the actual class name (ConfigurationError, ValidationError, etc.)
     this.name = this.constructor.name;
@@ -35,6 +90,174 @@ class BaseError extends Error {
     this.details = Object.keys(options.details || {}).length
       ? options.details
       : null;
+
+    // Error code and HTTP status declared by the error type (see errorRegistry.js)
+    this.code = this.constructor.code;
+    this.httpStatus = options.httpStatus ?? this.constructor.httpStatus;
+  }
+
+  /**
+   * HTTP headers the error handler sends with this error (e.g. `Retry-After`).
+   * @returns {Object<string, string>} Header names and values
+   */
+  getResponseHeaders() {
+    return {};
+  }
+
+  /**
+   * Full representation for logs and service-to-service transport: every own
+   * property plus message, the cause chain (recursively) and the stack.
+   * @returns {Object} JSON-safe error object (see fromJSON)
+   */
+  toJSON() {
+    return BaseError.#serialize(this, new Set());
+  }
+
+  /**
+   * Representation safe to send to clients: no stack, details or internal
+   * causes. Hidden error types (`expose: false`) only reveal code and status.
+   *
+   * Flow:
+   * 1. Code and status; name and message only when the type is exposed,
+   *    otherwise the status message
+   * 2. The type's `problemFields` when exposed
+   * 3. The cause only when it is itself an exposed BaseError
+   *
+   * @returns {Object} Public error object
+   */
+  toPublicJSON() {
+    return this.#toPublicJSON(new Set());
+  }
+
+  /**
+   * Rehydrates an error serialized with toJSON (e.g. received over Kafka or
+   * HTTP) into the registered subclass of its code.
+   *
+   * Flow:
+   * 1. Parses strings and finds the subclass registered for the code,
+   *    falling back to the class fromJSON was called on
+   * 2. Rebuilds the cause chain, then constructs the error from the
+   *    serialized properties (component and operation are kept, not detected)
+   * 3. Restores name, code and stack of the original error
+   *
+   * @param {Object|string} json - Output of toJSON, or its JSON string
+   * @returns {BaseError} Rehydrated error
+   * @throws {TypeError} When the input is not a serialized error
+   */
+  static fromJSON(json) {
+    // STEP 1: Error type of the code
+    const data = typeof json === "string" ? JSON.parse(json) : json;
+    if (typeof data !== "object" || data === null || Array.isArray(data)) {
+      throw new TypeError("Serialized error must be an object");
+    }
+    const ErrorType = BaseError.#types.get(data.code) ?? this;
+
+    // STEP 2: Cause chain, then the error with its own properties as options
+    const options = Object.fromEntries(
+      Object.entries(data).filter(([key]) => !IDENTITY_KEYS.has(key))
+    );
+    if ("cause" in data) options.cause = BaseError.#revive(data.cause);
+    const httpStatus =
+      HTTP_STATUS[getHttpStatusByCode(data.httpStatus?.code)?.key];
+    options.httpStatus = httpStatus ?? ErrorType.httpStatus;
+
+    const error = new ErrorType(data.message ?? "", options);
+
+    // STEP 3: Identity of the original error; unknown properties are kept
+    for (const [key, value] of Object.entries(options)) {
+      if (key !== "cause" && !(key in error)) error[key] = value;
+    }
+    if (data.name) error.name = data.name;
+    if (data.code) error.code = data.code;
+    if (data.stack) error.stack = data.stack;
+    return error;
+  }
+
+  /**
+   * Serializes an error (BaseError or not) and its cause chain.
+   * @param {Error} error - Error to serialize
+   * @param {Set<Error>} seen - Errors already on the chain (cycle detection)
+   * @returns {Object} Serialized error
+   * @private
+   */
+  static #serialize(error, seen) {
+    seen.add(error);
+    const json = { name: error.name, message: error.message, ...error };
+
+    if (error.cause !== undefined) {
+      const { cause } = error;
+      if (!(cause instanceof Error)) json.cause = cause;
+      else
+        json.cause = seen.has(cause)
+          ? CIRCULAR
+          : BaseError.#serialize(cause, seen);
+    }
+    if (error.stack) json.stack = error.stack;
+    return json;
+  }
+
+  /**
+   * Rebuilds a serialized cause: BaseError-shaped objects (with a code)
+   * through fromJSON, other serialized errors as plain Errors.
+   * @param {*} cause - Serialized cause
+   * @returns {*} Error, or the value itself when it is not a serialized error
+   * @private
+   */
+  static #revive(cause) {
+    if (typeof cause !== "object" || cause === null || !("message" in cause)) {
+      return cause;
+    }
+    if (typeof cause.code === "string" && cause.code.startsWith("ADMIN.")) {
+      return BaseError.fromJSON(cause);
+    }
+
+    const { name, message, stack, cause: innerCause, ...properties } = cause;
+    const error = new Error(
+      message,
+      "cause" in cause ? { cause: BaseError.#revive(innerCause) } : undefined
+    );
+    for (const [key, value] of Object.entries(properties)) {
+      if (!(key in error)) error[key] = value;
+    }
+    if (name) error.name = name;
+    if (stack) error.stack = stack;
+    return error;
+  }
+
+  /**
+   * Builds the public representation (see toPublicJSON).
+   * @param {Set<BaseError>} seen - Errors already on the chain (cycle detection)
+   * @returns {Object} Public error object
+   * @private
+   */
+  #toPublicJSON(seen) {
+    seen.add(this);
+    const { expose, problemFields } = this.constructor;
+
+    // STEP 1: Identity, hiding what internal error types carry
+    const json = expose
+      ? { name: this.name, code: this.code, message: this.message }
+      : { code: this.code, message: this.httpStatus.message };
+    json.status = this.httpStatus.code;
+    if (!expose) return json;
+
+    // STEP 2: Fields meant for clients
+    for (const field of problemFields) {
+      if (this[field] !== null && this[field] !== undefined) {
+        json[field] = this[field];
+      }
+    }
+
+    // STEP 3: Only client-facing causes
+    const { cause } = this;
+    if (
+      cause instanceof BaseError &&
+      cause.constructor.expose &&
+      !seen.has(cause)
+    ) {
+      json.cause = cause.#toPublicJSON(seen);
+    }
+    return json;
   }
 
   /**
@@ -1,9 +1,17 @@
 // BusinessLogicError.js
 // Custom error for business logic violations with automatic caller detection.
 
+import { HTTP_STATUS } from "../constants/http.constants.js";
+
 import { BaseError } from "./BaseError.js";
 
 class BusinessLogicError extends BaseError {
+  // Valid input that breaks a business rule
+  static code = "ADMIN.BUSINESS.RULE_VIOLATED";
+  static httpStatus = HTTP_STATUS.UNPROCESSABLE_ENTITY;
+  static expose = true;
+  static problemFields = ["businessRule", "entityType", "entityId"];
+
   /**
    * Creates a business logic error with automatic caller context detection.
    *
@@ -17,6 +25,7 @@ class BusinessLogicError extends BaseError {
    * @param {string} [options.component] - Manual component override (auto-detected if not provided)
    * @param {string} [options.operation] - Manual operation override (auto-detected if not provided)
    * @param {object} [options.details] - Additional context or details
+   * @param {*} [options.cause] - Underlying error (ES2022 `cause`)
    * @param {string} [options.businessRule] - The business rule that was violated
    * @param {string} [options.entityType] - The type of entity involved
    * @param {string} [options.entityId] - The ID of the entity involved
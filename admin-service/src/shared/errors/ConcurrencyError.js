@@ -0,0 +1,52 @@
+// ConcurrencyError.js
+// Custom error for optimistic concurrency conflicts with automatic caller detection.
+
+import { HTTP_STATUS } from "../constants/http.constants.js";
+
+import { BaseError } from "./BaseError.js";
+
+class ConcurrencyError extends BaseError {
+  // The aggregate changed since the client read it
+  static code = "ADMIN.RESOURCE.VERSION_CONFLICT";
+  static httpStatus = HTTP_STATUS.CONFLICT;
+  static expose = true;
+  static problemFields = [
+    "aggregateType",
+    "aggregateId",
+    "expectedVersion",
+    "actualVersion",
+  ];
+
+  /**
+   * Creates a concurrency error with automatic caller context detection.
+   *
+   * Flow:
+   * 1. Accepts message and optional aggregate version details
+   * 2. Inherits automatic caller detection from BaseError
+   * 3. Adds concurrency-specific properties
+   *
+   * @param {string} message - Error message.
+   * @param {object} [options] - Configuration options
+   * @param {string} [options.component] - Manual component override (auto-detected if not provided)
+   * @param {string} [options.operation] - Manual operation override (auto-detected if not provided)
+   * @param {object} [options.details] - Additional context or details
+   * @param {*} [options.cause] - Underlying error (ES2022 `cause`)
+   * @param {string} [options.aggregateType] - The type of aggregate being saved
+   * @param {string} [options.aggregateId] - The ID of the aggregate
+   * @param {number} [options.expectedVersion] - The version the change was based on
+   * @param {number} [options.actualVersion] - The version currently stored
+   * @param {number} [options.stackDepth] - Stack depth for caller detection (default: 1)
+   */
+  constructor(message, options = {}) {
+    // Call BaseError constructor which handles all the stack parsing logic
+    super(message, options);
+
+    // Add concurrency-specific properties (versions may be 0)
+    this.aggregateType = options.aggregateType || null;
+    this.aggregateId = options.aggregateId || null;
+    this.expectedVersion = options.expectedVersion ?? null;
+    this.actualVersion = options.actualVersion ?? null;
+  }
+}
+
+export { ConcurrencyError };
@@ -1,9 +1,16 @@
 // ConfigurationError.js
 // Custom error for component configuration failures with automatic caller detection.
 
+import { HTTP_STATUS } from "../constants/http.constants.js";
+
 import { BaseError } from "./BaseError.js";
 
 class ConfigurationError extends BaseError {
+  // Misconfiguration is an internal fault: never exposed
+  static code = "ADMIN.CONFIGURATION.INVALID";
+  static httpStatus = HTTP_STATUS.INTERNAL_SERVER_ERROR;
+  static expose = false;
+
   /**
    * Creates a configuration error with automatic caller context detection.
    *
@@ -18,6 +25,7 @@ class ConfigurationError extends BaseError {
    * @param {string} [options.component] - Manual component override (auto-detected if not provided)
    * @param {string} [options.operation] - Manual operation override (auto-detected if not provided)
    * @param {object} [options.details] - Additional context or details
+   * @param {*} [options.cause] - Underlying error (ES2022 `cause`)
    * @param {number} [options.stackDepth] - Stack depth for caller detection (default: 1)
    */
   constructor(message, options = {}) {
@@ -0,0 +1,45 @@
+// ConflictError.js
+// Custom error for requests conflicting with the current resource state with automatic caller detection.
+
+import { HTTP_STATUS } from "../constants/http.constants.js";
+
+import { BaseError } from "./BaseError.js";
+
+class ConflictError extends BaseError {
+  // The request conflicts with existing state (e.g. a duplicate unique value)
+  static code = "ADMIN.RESOURCE.CONFLICT";
+  static httpStatus = HTTP_STATUS.CONFLICT;
+  static expose = true;
+  static problemFields = ["resourceType", "resourceId", "field"];
+
+  /**
+   * Creates a conflict error with automatic caller context detection.
+   *
+   * Flow:
+   * 1. Accepts message and optional resource details
+   * 2. Inherits automatic caller detection from BaseError
+   * 3. Adds conflict-specific properties
+   *
+   * @param {string} message - Error message.
+   * @param {object} [options] - Configuration options
+   * @param {string} [options.component] - Manual component override (auto-detected if not provided)
+   * @param {string} [options.operation] - Manual operation override (auto-detected if not provided)
+   * @param {object} [options.details] - Additional context or details
+   * @param {*} [options.cause] - Underlying error (ES2022 `cause`)
+   * @param {string} [options.resourceType] - The type of resource in conflict
+   * @param {string} [options.resourceId] - The ID of the existing resource
+   * @param {string} [options.field] - The field whose value conflicts
+   * @param {number} [options.stackDepth] - Stack depth for caller detection (default: 1)
+   */
+  constructor(message, options = {}) {
+    // Call BaseError constructor which handles all the stack parsing logic
+    super(message, options);
+
+    // Add conflict-specific properties
+    this.resourceType = options.resourceType || null;
+    this.resourceId = options.resourceId || null;
+    this.field = options.field || null;
+  }
+}
+
+export { ConflictError };
@@ -0,0 +1,52 @@
+// DependencyUnavailableError.js
+// Custom error for unreachable downstream dependencies with automatic caller detection.
+
+import { HTTP_STATUS } from "../constants/http.constants.js";
+
+import { BaseError } from "./BaseError.js";
+
+class DependencyUnavailableError extends BaseError {
+  // A database, broker or remote service is down: the message names internal systems
+  static code = "ADMIN.DEPENDENCY.UNAVAILABLE";
+  static httpStatus = HTTP_STATUS.SERVICE_UNAVAILABLE;
+  static expose = false;
+
+  /**
+   * Creates a dependency unavailable error with automatic caller context detection.
+   *
+   * Flow:
+   * 1. Accepts message and optional dependency details
+   * 2. Inherits automatic caller detection from BaseError
+   * 3. Adds dependency-specific properties
+   *
+   * @param {string} message - Error message.
+   * @param {object} [options] - Configuration options
+   * @param {string} [options.component] - Manual component override (auto-detected if not provided)
+   * @param {string} [options.operation] - Manual operation override (auto-detected if not provided)
+   * @param {object} [options.details] - Additional context or details
+   * @param {*} [options.cause] - Underlying error (ES2022 `cause`)
+   * @param {string} [options.dependency] - The unavailable dependency (e.g. "postgres")
+   * @param {number} [options.retryAfter] - Seconds until the client may retry, sent as `Retry-After`
+   * @param {number} [options.stackDepth] - Stack depth for caller detection (default: 1)
+   */
+  constructor(message, options = {}) {
+    // Call BaseError constructor which handles all the stack parsing logic
+    super(message, options);
+
+    // Add dependency-specific properties
+    this.dependency = options.dependency || null;
+    this.retryAfter = options.retryAfter ?? null;
+  }
+
+  /**
+   * Tells the client when to retry (whole seconds), when known.
+   * @returns {Object<string, string>} Header names and values
+   */
+  getResponseHeaders() {
+    return Number.isFinite(this.retryAfter)
+      ? { "Retry-After": String(Math.max(0, Math.ceil(this.retryAfter))) }
+      : {};
+  }
+}
+
+export { DependencyUnavailableError };
@@ -0,0 +1,45 @@
+// ForbiddenError.js
+// Custom error for authenticated clients lacking permissions with automatic caller detection.
+
+import { HTTP_STATUS } from "../constants/http.constants.js";
+
+import { BaseError } from "./BaseError.js";
+
+class ForbiddenError extends BaseError {
+  // The client is authenticated but not allowed to act
+  static code = "ADMIN.AUTH.FORBIDDEN";
+  static httpStatus = HTTP_STATUS.FORBIDDEN;
+  static expose = true;
+  static problemFields = ["action", "resourceType", "requiredPermission"];
+
+  /**
+   * Creates a forbidden error with automatic caller context detection.
+   *
+   * Flow:
+   * 1. Accepts message and optional authorization details
+   * 2. Inherits automatic caller detection from BaseError
+   * 3. Adds authorization-specific properties
+   *
+   * @param {string} message - Error message.
+   * @param {object} [options] - Configuration options
+   * @param {string} [options.component] - Manual component override (auto-detected if not provided)
+   * @param {string} [options.operation] - Manual operation override (auto-detected if not provided)
+   * @param {object} [options.details] - Additional context or details
+   * @param {*} [options.cause] - Underlying error (ES2022 `cause`)
+   * @param {string} [options.action] - The action that was denied
+   * @param {string} [options.resourceType] - The type of resource acted upon
+   * @param {string} [options.requiredPermission] - The permission the action needs
+   * @param {number} [options.stackDepth] - Stack depth for caller detection (default: 1)
+   */
+  constructor(message, options = {}) {
+    // Call BaseError constructor which handles all the stack parsing logic
+    super(message, options);
+
+    // Add authorization-specific properties
+    this.action = options.action || null;
+    this.resourceType = options.resourceType || null;
+    this.requiredPermission = options.requiredPermission || null;
+  }
+}
+
+export { ForbiddenError };
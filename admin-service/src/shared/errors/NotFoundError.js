@@ -0,0 +1,43 @@
+// NotFoundError.js
+// Custom error for missing resources with automatic caller detection.
+
+import { HTTP_STATUS } from "../constants/http.constants.js";
+
+import { BaseError } from "./BaseError.js";
+
+class NotFoundError extends BaseError {
+  // The requested resource does not exist
+  static code = "ADMIN.RESOURCE.NOT_FOUND";
+  static httpStatus = HTTP_STATUS.NOT_FOUND;
+  static expose = true;
+  static problemFields = ["resourceType", "resourceId"];
+
+  /**
+   * Creates a not found error with automatic caller context detection.
+   *
+   * Flow:
+   * 1. Accepts message and optional resource details
+   * 2. Inherits automatic caller detection from BaseError
+   * 3. Adds resource-specific properties
+   *
+   * @param {string} message - Error message.
+   * @param {object} [options] - Configuration options
+   * @param {string} [options.component] - Manual component override (auto-detected if not provided)
+   * @param {string} [options.operation] - Manual operation override (auto-detected if not provided)
+   * @param {object} [options.details] - Additional context or details
+   * @param {*} [options.cause] - Underlying error (ES2022 `cause`)
+   * @param {string} [options.resourceType] - The type of resource looked up
+   * @param {string} [options.resourceId] - The ID that was not found
+   * @param {number} [options.stackDepth] - Stack depth for caller detection (default: 1)
+   */
+  constructor(message, options = {}) {
+    // Call BaseError constructor which handles all the stack parsing logic
+    super(message, options);
+
+    // Add resource-specific properties
+    this.resourceType = options.resourceType || null;
+    this.resourceId = options.resourceId || null;
+  }
+}
+
+export { NotFoundError };
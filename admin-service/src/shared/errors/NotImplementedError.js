@@ -1,9 +1,16 @@
 // NotImplementedError.js
 // Custom error for unimplemented methods and abstract functionality with automatic caller detection.
 
+import { HTTP_STATUS } from "../constants/http.constants.js";
+
 import { BaseError } from "./BaseError.js";
 
 class NotImplementedError extends BaseError {
+  // Missing implementation: an internal fault
+  static code = "ADMIN.INTERNAL.NOT_IMPLEMENTED";
+  static httpStatus = HTTP_STATUS.NOT_IMPLEMENTED;
+  static expose = false;
+
   /**
    * Creates a not implemented error with automatic caller context detection.
    *
@@ -17,6 +24,7 @@ class NotImplementedError extends BaseError {
    * @param {string} [options.component] - Manual component override (auto-detected if not provided)
    * @param {string} [options.operation] - Manual operation override (auto-detected if not provided)
    * @param {object} [options.details] - Additional context or details
+   * @param {*} [options.cause] - Underlying error (ES2022 `cause`)
    * @param {string} [options.methodName] - The method that is not implemented
    * @param {string} [options.className] - The class that should implement the method
    * @param {string} [options.interfaceName] - The interface/port that defines the contract
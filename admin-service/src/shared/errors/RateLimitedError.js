@@ -0,0 +1,53 @@
+// RateLimitedError.js
+// Custom error for clients exceeding a rate limit with automatic caller detection.
+
+import { HTTP_STATUS } from "../constants/http.constants.js";
+
+import { BaseError } from "./BaseError.js";
+
+class RateLimitedError extends BaseError {
+  // The client sent too many requests
+  static code = "ADMIN.RATE_LIMIT.EXCEEDED";
+  static httpStatus = HTTP_STATUS.TOO_MANY_REQUESTS;
+  static expose = true;
+  static problemFields = ["retryAfter", "limit"];
+
+  /**
+   * Creates a rate limited error with automatic caller context detection.
+   *
+   * Flow:
+   * 1. Accepts message and optional limit details
+   * 2. Inherits automatic caller detection from BaseError
+   * 3. Adds rate limit-specific properties
+   *
+   * @param {string} message - Error message.
+   * @param {object} [options] - Configuration options
+   * @param {string} [options.component] - Manual component override (auto-detected if not provided)
+   * @param {string} [options.operation] - Manual operation override (auto-detected if not provided)
+   * @param {object} [options.details] - Additional context or details
+   * @param {*} [options.cause] - Underlying error (ES2022 `cause`)
+   * @param {number} [options.retryAfter] - Seconds until the client may retry, sent as `Retry-After`
+   * @param {number} [options.limit] - Requests allowed per window
+   * @param {number} [options.stackDepth] - Stack depth for caller detection (default: 1)
+   */
+  constructor(message, options = {}) {
+    // Call BaseError constructor which handles all the stack parsing logic
+    super(message, options);
+
+    // Add rate limit-specific properties
+    this.retryAfter = options.retryAfter ?? null;
+    this.limit = options.limit ?? null;
+  }
+
+  /**
+   * Tells the client when to retry (whole seconds).
+   * @returns {Object<string, string>} Header names and values
+   */
+  getResponseHeaders() {
+    return Number.isFinite(this.retryAfter)
+      ? { "Retry-After": String(Math.max(0, Math.ceil(this.retryAfter))) }
+      : {};
+  }
+}
+
+export { RateLimitedError };
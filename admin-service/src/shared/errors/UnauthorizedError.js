@@ -0,0 +1,51 @@
+// UnauthorizedError.js
+// Custom error for missing or invalid credentials with automatic caller detection.
+
+import { HTTP_STATUS } from "../constants/http.constants.js";
+
+import { BaseError } from "./BaseError.js";
+
+class UnauthorizedError extends BaseError {
+  // The client is not authenticated
+  static code = "ADMIN.AUTH.UNAUTHENTICATED";
+  static httpStatus = HTTP_STATUS.UNAUTHORIZED;
+  static expose = true;
+  static problemFields = ["reason"];
+
+  /**
+   * Creates an unauthorized error with automatic caller context detection.
+   *
+   * Flow:
+   * 1. Accepts message and optional authentication details
+   * 2. Inherits automatic caller detection from BaseError
+   * 3. Adds authentication-specific properties
+   *
+   * @param {string} message - Error message.
+   * @param {object} [options] - Configuration options
+   * @param {string} [options.component] - Manual component override (auto-detected if not provided)
+   * @param {string} [options.operation] - Manual operation override (auto-detected if not provided)
+   * @param {object} [options.details] - Additional context or details
+   * @param {*} [options.cause] - Underlying error (ES2022 `cause`)
+   * @param {string} [options.authScheme] - Expected scheme, sent as `WWW-Authenticate` (e.g. "Bearer")
+   * @param {string} [options.reason] - Why authentication failed (e.g. "token-expired")
+   * @param {number} [options.stackDepth] - Stack depth for caller detection (default: 1)
+   */
+  constructor(message, options = {}) {
+    // Call BaseError constructor which handles all the stack parsing logic
+    super(message, options);
+
+    // Add authentication-specific properties
+    this.authScheme = options.authScheme || null;
+    this.reason = options.reason || null;
+  }
+
+  /**
+   * Challenges the client with the expected scheme (RFC 9110 requires it on 401).
+   * @returns {Object<string, string>} Header names and values
+   */
+  getResponseHeaders() {
+    return this.authScheme ? { "WWW-Authenticate": this.authScheme } : {};
+  }
+}
+
+export { UnauthorizedError };
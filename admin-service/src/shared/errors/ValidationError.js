@@ -1,9 +1,18 @@
 // ValidationError.js
 // Custom error for validation failures with automatic caller detection.
 
+import { HTTP_STATUS } from "../constants/http.constants.js";
+
 import { BaseError } from "./BaseError.js";
 
 class ValidationError extends BaseError {
+  // The request carries invalid input
+  static code = "ADMIN.VALIDATION.FIELD_INVALID";
+  static httpStatus = HTTP_STATUS.BAD_REQUEST;
+  static expose = true;
+  // `value` stays out: it may be sensitive
+  static problemFields = ["field", "rule"];
+
   /**
    * Creates a validation error with automatic caller context detection.
    *
@@ -17,6 +26,7 @@ class ValidationError extends BaseError {
    * @param {string} [options.component] - Manual component override (auto-detected if not provided)
    * @param {string} [options.operation] - Manual operation override (auto-detected if not provided)
    * @param {object} [options.details] - Additional context or details
+   * @param {*} [options.cause] - Underlying error (ES2022 `cause`)
    * @param {string} [options.field] - The field that failed validation
    * @param {*} [options.value] - The invalid value
    * @param {string} [options.rule] - The validation rule that failed
@@ -0,0 +1,203 @@
+// errorRegistry.js
+// Central registry of error codes and their HTTP mapping, used by the error handler.
+
+import {
+  HTTP_STATUS,
+  getHttpStatusByCode,
+} from "../constants/http.constants.js";
+
+import { AggregateValidationError } from "./AggregateValidationError.js";
+import { BaseError } from "./BaseError.js";
+import { BusinessLogicError } from "./BusinessLogicError.js";
+import { ConcurrencyError } from "./ConcurrencyError.js";
+import { ConfigurationError } from "./ConfigurationError.js";
+import { ConflictError } from "./ConflictError.js";
+import { DependencyUnavailableError } from "./DependencyUnavailableError.js";
+import { ForbiddenError } from "./ForbiddenError.js";
+import { NotFoundError } from "./NotFoundError.js";
+import { NotImplementedError } from "./NotImplementedError.js";
+import { RateLimitedError } from "./RateLimitedError.js";
+import { UnauthorizedError } from "./UnauthorizedError.js";
+import { ValidationError } from "./ValidationError.js";
+
+// ADMIN.<CATEGORY>[.<REASON>...], upper snake case segments
+const ERROR_CODE_PATTERN = /^ADMIN(\.[A-Z][A-Z0-9_]*)+$/;
+
+// Code of errors the service did not raise itself (e.g. body parser errors)
+const HTTP_ERROR_CODE_PREFIX = "ADMIN.HTTP.";
+
+/**
+ * @typedef {Object} ErrorDefinition
+ * @property {string} code - Stable machine-readable code
+ * @property {string} name - Error class name
+ * @property {{code: number, message: string}} httpStatus - Default HTTP_STATUS entry
+ * @property {boolean} expose - Whether the message is safe to send to clients
+ */
+
+/**
+ * @typedef {Object} ResolvedError
+ * @property {string} code - Error code sent to the client
+ * @property {{code: number, message: string}} httpStatus - HTTP_STATUS entry to respond with
+ * @property {boolean} expose - Whether `message` is the error's own message
+ * @property {string} message - Message safe to send to the client
+ */
+
+/**
+ * Finds the HTTP_STATUS entry of a status code.
+ * @param {number} code - HTTP status code
+ * @returns {{code: number, message: string}|undefined} HTTP_STATUS entry
+ */
+function toHttpStatus(code) {
+  return HTTP_STATUS[getHttpStatusByCode(code)?.key];
+}
+
+/** @type {Map<string, ErrorDefinition>} */
+const definitions = new Map();
+
+/**
+ * Registers an error type so its code is documented and guaranteed unique.
+ *
+ * Flow:
+ * 1. Reads the static `code`, `httpStatus` and `expose` declared by the class
+ * 2. Validates the code format and that the status is an HTTP_STATUS entry
+ * 3. Rejects a code already registered by another class
+ * 4. Records the class so BaseError.fromJSON can rehydrate the code
+ *
+ * @param {typeof BaseError} ErrorType - BaseError subclass
+ * @returns {ErrorDefinition} Registered definition
+ * @throws {ConfigurationError} When the declaration is invalid or the code is taken
+ */
+export function registerErrorType(ErrorType) {
+  const { code, httpStatus, expose } = ErrorType ?? {};
+
+  // STEP 1-2: The declaration must be complete and well-formed
+  if (
+    !(ErrorType?.prototype instanceof BaseError || ErrorType === BaseError) ||
+    !ERROR_CODE_PATTERN.test(code ?? "") ||
+    getHttpStatusByCode(httpStatus?.code)?.message !== httpStatus?.message ||
+    typeof expose !== "boolean"
+  ) {
+    throw new ConfigurationError(
+      `Invalid error type declaration: ${ErrorType?.name}`,
+      {
+        details: {
+          code,
+          httpStatus,
+          expose,
+          expectedFormat:
+            "BaseError subclass with static code (ADMIN.<CATEGORY>.<REASON>), httpStatus (HTTP_STATUS entry) and expose (boolean)",
+        },
+      }
+    );
+  }
+
+  // STEP 3: Codes are part of the API contract: one class per code
+  const existing = definitions.get(code);
+  if (existing && existing.name !== ErrorType.name) {
+    throw new ConfigurationError(`Error code already registered: ${code}`, {
+      details: { code, registeredBy: existing.name, name: ErrorType.name },
+    });
+  }
+
+  const definition = Object.freeze({
+    code,
+    name: ErrorType.name,
+    httpStatus,
+    expose,
+  });
+  definitions.set(code, definition);
+  BaseError.addType(ErrorType);
+  return definition;
+}
+
+/**
+ * Lists the registered error codes (the documented client contract).
+ * @returns {ErrorDefinition[]} Definitions sorted by code
+ */
+export function getErrorDefinitions() {
+  return [...definitions.values()].sort((a, b) => a.code.localeCompare(b.code));
+}
+
+/**
+ * Finds the definition of a code.
+ * @param {string} code - Error code
+ * @returns {ErrorDefinition|undefined} Definition, if registered
+ */
+export function getErrorDefinition(code) {
+  return definitions.get(code);
+}
+
+/**
+ * Resolves how an error is reported to the client.
+ *
+ * Flow:
+ * 1. BaseError: its code, its HTTP status (per instance or the type's default)
+ *    and the type's `expose` flag
+ * 2. Other errors carrying a 4xx `status`/`statusCode` (e.g. body parser errors)
+ *    or given an explicit status: `ADMIN.HTTP.<STATUS_KEY>`, message exposed for 4xx
+ * 3. Anything else: 500 `ADMIN.INTERNAL.UNEXPECTED`, message hidden
+ *
+ * @param {*} error - Thrown value
+ * @param {{code: number, message: string}|number} [status] - Status chosen by the caller
+ * @returns {ResolvedError} Client-facing code, status and message
+ */
+export function resolveError(error, status) {
+  const explicitStatus =
+    typeof status === "number" ? toHttpStatus(status) : status;
+
+  let resolved;
+  if (error instanceof BaseError) {
+    // STEP 1: Declared by the error type
+    resolved = {
+      code: error.code,
+      httpStatus: explicitStatus ?? error.httpStatus,
+      expose: error.constructor.expose,
+    };
+  } else {
+    // STEP 2: Status from the caller or from the error itself (http-errors convention)
+    const ownStatus = toHttpStatus(error?.status ?? error?.statusCode);
+    const httpStatus =
+      explicitStatus ??
+      (ownStatus?.code >= 400 && ownStatus.code < 500 && error?.expose !== false
+        ? ownStatus
+        : undefined);
+
+    // STEP 3: Unknown errors are internal faults
+    resolved = httpStatus
+      ? {
+          code: `${HTTP_ERROR_CODE_PREFIX}${getHttpStatusByCode(httpStatus.code)?.key ?? httpStatus.code}`,
+          httpStatus,
+          expose: httpStatus.code < 500,
+        }
+      : {
+          code: BaseError.code,
+          httpStatus: HTTP_STATUS.INTERNAL_SERVER_ERROR,
+          expose: false,
+        };
+  }
+
+  return {
+    ...resolved,
+    message:
+      resolved.expose && error?.message
+        ? error.message
+        : resolved.httpStatus.message,
+  };
+}
+
+// Built-in error types
+[
+  BaseError,
+  ConfigurationError,
+  ValidationError,
+  AggregateValidationError,
+  BusinessLogicError,
+  NotImplementedError,
+  NotFoundError,
+  ConflictError,
+  ConcurrencyError,
+  UnauthorizedError,
+  ForbiddenError,
+  RateLimitedError,
+  DependencyUnavailableError,
+].forEach(registerErrorType);
@@ -4,5 +4,25 @@
 export { BaseError } from "./BaseError.js";
 export { ConfigurationError } from "./ConfigurationError.js";
 export { ValidationError } from "./ValidationError.js";
+export { AggregateValidationError } from "./AggregateValidationError.js";
 export { BusinessLogicError } from "./BusinessLogicError.js";
 export { NotImplementedError } from "./NotImplementedError.js";
+export { NotFoundError } from "./NotFoundError.js";
+export { ConflictError } from "./ConflictError.js";
+export { ConcurrencyError } from "./ConcurrencyError.js";
+export { UnauthorizedError } from "./UnauthorizedError.js";
+export { ForbiddenError } from "./ForbiddenError.js";
+export { RateLimitedError } from "./RateLimitedError.js";
+export { DependencyUnavailableError } from "./DependencyUnavailableError.js";
+export {
+  registerErrorType,
+  getErrorDefinitions,
+  getErrorDefinition,
+  resolveError,
+} from "./errorRegistry.js";
+export {
+  PROBLEM_JSON_CONTENT_TYPE,
+  ERROR_RESPONSE_FORMATS,
+  resolveErrorResponseFormat,
+  toProblemDetails,
+} from "./problemDetails.js";
@@ -0,0 +1,91 @@
+// problemDetails.js
+// RFC 9457 Problem Details bodies built from the error registry mapping.
+
+import { BaseError } from "./BaseError.js";
+import { ConfigurationError } from "./ConfigurationError.js";
+
+export const PROBLEM_JSON_CONTENT_TYPE = "application/problem+json";
+
+// Error response formats: RFC 9457 problem details, or the `{ success, error }` envelope
+export const ERROR_RESPONSE_FORMATS = Object.freeze(["problem", "legacy"]);
+
+// Members defined by RFC 9457 (and ours), never overwritten by error properties
+const RESERVED_MEMBERS = new Set([
+  "type",
+  "title",
+  "status",
+  "detail",
+  "instance",
+  "code",
+  "requestId",
+]);
+
+/**
+ * Validates the configured error response format.
+ * @param {string} format - problem | legacy
+ * @returns {string} The format
+ * @throws {ConfigurationError} When the format is unknown
+ */
+export function resolveErrorResponseFormat(format) {
+  if (!ERROR_RESPONSE_FORMATS.includes(format)) {
+    throw new ConfigurationError(`Unknown error response format: ${format}`, {
+      details: { value: format, allowedValues: ERROR_RESPONSE_FORMATS },
+    });
+  }
+  return format;
+}
+
+/**
+ * Collects the extension members an error type declares in `problemFields`
+ * (e.g. ValidationError `field` and `rule`); unset properties are left out.
+ * @param {*} error - Thrown value
+ * @returns {Object} Extension members
+ */
+function toExtensionMembers(error) {
+  if (!(error instanceof BaseError)) return {};
+  return Object.fromEntries(
+    error.constructor.problemFields
+      .filter((field) => !RESERVED_MEMBERS.has(field))
+      .map((field) => [field, error[field]])
+      .filter(([, value]) => value !== null && value !== undefined)
+  );
+}
+
+/**
+ * Builds an RFC 9457 problem details body.
+ *
+ * Flow:
+ * 1. `type` is the code appended to `typeBaseUri`, or `about:blank` without one;
+ *    `title` and `status` come from the HTTP status
+ * 2. `detail` and the error type's extension members only when its message is exposed
+ * 3. `instance`, `code` and `requestId` identify the occurrence
+ *
+ * @param {*} error - Thrown value
+ * @param {import('./errorRegistry.js').ResolvedError} resolved - Mapping from `resolveError`
+ * @param {Object} [options]
+ * @param {string} [options.instance] - Request path
+ * @param {string} [options.requestId] - Request id
+ * @param {string} [options.typeBaseUri=""] - Prefix of per-code problem type URIs
+ * @returns {Object} Problem details body
+ */
+export function toProblemDetails(
+  error,
+  { code, httpStatus, expose, message },
+  { instance, requestId, typeBaseUri = "" } = {}
+) {
+  // STEP 1: Standard members
+  const problem = {
+    type: typeBaseUri ? `${typeBaseUri}${code}` : "about:blank",
+    title: httpStatus.message,
+    status: httpStatus.code,
+  };
+
+  // STEP 2: Error specifics, unless they must stay internal
+  if (expose) problem.detail = message;
+
+  // STEP 3: Occurrence identifiers, then the extension members
+  if (instance) problem.instance = instance;
+  problem.code = code;
+  if (requestId) problem.requestId = requestId;
+  return expose ? { ...problem, ...toExtensionMembers(error) } : problem;
+}
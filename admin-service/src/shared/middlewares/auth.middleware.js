@@ -0,0 +1,66 @@
+import { createHash, timingSafeEqual } from "node:crypto";
+
+import { ConfigurationError, UnauthorizedError } from "../errors/index.js";
+
+/**
+ * Compares two secrets in constant time.
+ * Both values are hashed first so their lengths are not leaked either.
+ * @param {string} candidate - Value received from the client
+ * @param {string} expected - Configured secret
+ * @returns {boolean}
+ */
+function safeEqual(candidate, expected) {
+  const digest = (value) => createHash("sha256").update(value).digest();
+  return timingSafeEqual(digest(candidate), digest(expected));
+}
+
+/**
+ * Extracts the token from an `Authorization: Bearer <token>` header.
+ * @param {string|undefined} header - Raw Authorization header
+ * @returns {string|null}
+ */
+function readBearerToken(header) {
+  const match = /^Bearer\s+(\S+)$/i.exec(header || "");
+  return match ? match[1] : null;
+}
+
+/**
+ * Creates a middleware that protects operational admin routes with a static bearer token.
+ *
+ * Flow:
+ * 1. Fails fast at startup when no token is configured
+ * 2. Reads the bearer token from the Authorization header
+ * 3. Compares it in constant time and responds 401 on mismatch
+ *
+ * @param {Object} options
+ * @param {string} options.token - Expected bearer token
+ * @returns {Function} Express middleware
+ * @throws {ConfigurationError} When no token is configured
+ *
+ * @example
+ * router.use(createAdminAuthMiddleware({ token: authConfigs.adminApiToken }));
+ */
+export function createAdminAuthMiddleware({ token } = {}) {
+  if (!token) {
+    throw new ConfigurationError("Admin API token is not configured", {
+      details: { expectedSetting: "AUTH_CONFIGS_ADMIN_API_TOKEN" },
+    });
+  }
+
+  return (req, res, next) => {
+    const candidate = readBearerToken(req.headers.authorization);
+
+    if (!candidate || !safeEqual(candidate, token)) {
+      return res.sendError(
+        new UnauthorizedError("Invalid or missing admin token", {
+          authScheme: "Bearer",
+          reason: candidate ? "invalid-token" : "missing-token",
+        })
+      );
+    }
+
+    next();
+  };
+}
+
+export default createAdminAuthMiddleware;
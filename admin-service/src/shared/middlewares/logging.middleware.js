@@ -0,0 +1,235 @@
+import { randomUUID } from "node:crypto";
+
+import { runWithRequestContext } from "../../infrastructure/logging/logger-request-context.js";
+import { sanitize } from "../utils/sanitizer.js";
+
+export const REQUEST_ID_HEADER = "x-request-id";
+export const CORRELATION_ID_HEADER = "x-correlation-id";
+
+// Incoming IDs are echoed into logs and headers, so only accept short, safe tokens
+const SAFE_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Returns the header value when it is a safe ID, otherwise undefined.
+ * @param {string|string[]|undefined} value - Raw header value
+ * @returns {string|undefined}
+ */
+function readIdHeader(value) {
+  const id = Array.isArray(value) ? value[0] : value;
+  return typeof id === "string" && SAFE_ID_PATTERN.test(id) ? id : undefined;
+}
+
+/**
+ * Resolves the route of a request for logging.
+ * Uses the Express route template once routing has matched, the raw path before that.
+ * @param {import('express').Request} req - Express request
+ * @returns {string}
+ */
+export function resolveRoute(req) {
+  return req.route?.path
+    ? `${req.baseUrl || ""}${req.route.path}`
+    : req.path;
+}
+
+/**
+ * Middleware that opens a request-scoped logging context.
+ *
+ * Flow:
+ * 1. Reuses incoming X-Request-Id / X-Correlation-Id headers or generates IDs
+ * 2. Echoes both IDs on the response for client-side correlation
+ * 3. Runs the rest of the middleware chain inside the request context, so every
+ *    logger call during this request carries the IDs automatically
+ *
+ * `route` is exposed as a getter because the route template is only known after
+ * Express has matched the request. `userId` / `adminId` are added later by the
+ * auth middleware via `setRequestContext`.
+ *
+ * NOTE: Mount after body parsers; their stream callbacks run outside this async context.
+ */
+export function requestContextMiddleware(req, res, next) {
+  const requestId = readIdHeader(req.headers[REQUEST_ID_HEADER]) ?? randomUUID();
+  const correlationId =
+    readIdHeader(req.headers[CORRELATION_ID_HEADER]) ?? requestId;
+
+  req.requestId = requestId;
+  req.correlationId = correlationId;
+  res.setHeader(REQUEST_ID_HEADER, requestId);
+  res.setHeader(CORRELATION_ID_HEADER, correlationId);
+
+  const context = { requestId, correlationId, method: req.method };
+  Object.defineProperty(context, "route", {
+    enumerable: true,
+    configurable: true,
+    get: () => resolveRoute(req),
+    // An explicit route (via setRequestContext) replaces the getter
+    set: (value) => {
+      Object.defineProperty(context, "route", {
+        value,
+        enumerable: true,
+        writable: true,
+      });
+    },
+  });
+
+  runWithRequestContext(context, next);
+}
+
+/**
+ * @typedef {Object} AccessLogRouteRule
+ * @property {string|RegExp} path - Route template or raw path (string = exact match)
+ * @property {boolean} [skip] - Don't log matching requests (5xx responses are still logged)
+ * @property {number} [sampleRate] - Fraction (0-1) of successful requests to log
+ */
+
+/**
+ * @typedef {Object} AccessLogOptions
+ * @property {Object} logger - Factory-produced logger; entries are written with `logger.http`
+ * @property {AccessLogRouteRule[]} [routes=[]] - Per-route rules, first match wins
+ * @property {number} [sampleRate=1] - Default fraction (0-1) of successful requests to log
+ * @property {boolean} [logHeaders=true] - Include sanitized request/response headers
+ * @property {boolean} [logBodies=false] - Include sanitized request/JSON response bodies
+ * @property {() => number} [random=Math.random] - Random source for sampling
+ */
+
+/**
+ * Returns the byte size of a chunk passed to res.write / res.end.
+ * @param {*} chunk - Written chunk
+ * @param {string} [encoding] - Chunk encoding
+ * @returns {number}
+ */
+function chunkByteLength(chunk, encoding) {
+  if (!chunk || typeof chunk === "function") return 0;
+  return Buffer.isBuffer(chunk)
+    ? chunk.length
+    : Buffer.byteLength(chunk, typeof encoding === "string" ? encoding : "utf8");
+}
+
+/**
+ * Finds the first rule matching the route template or the raw path.
+ * @param {AccessLogRouteRule[]} routes - Route rules
+ * @param {string} route - Route template (or raw path before routing)
+ * @param {string} path - Raw request path
+ * @returns {AccessLogRouteRule|undefined}
+ */
+function findRouteRule(routes, route, path) {
+  return routes.find(({ path: pattern }) =>
+    pattern instanceof RegExp
+      ? pattern.test(route) || pattern.test(path)
+      : pattern === route || pattern === path
+  );
+}
+
+/**
+ * Decides whether a finished request is logged.
+ * 5xx responses are always logged; skip and sampling only apply below that,
+ * and sampling only to successful (< 400) responses.
+ * @param {number} statusCode - Response status
+ * @param {AccessLogRouteRule|undefined} rule - Matching route rule
+ * @param {number} defaultSampleRate - Sample rate without a rule override
+ * @param {() => number} random - Random source
+ * @returns {boolean}
+ */
+function shouldLogRequest(statusCode, rule, defaultSampleRate, random) {
+  if (statusCode >= 500) return true;
+  if (rule?.skip) return false;
+  if (statusCode >= 400) return true;
+  return random() < (rule?.sampleRate ?? defaultSampleRate);
+}
+
+/**
+ * Creates the HTTP access logging middleware.
+ *
+ * Flow:
+ * 1. Records a high-resolution start time and counts response bytes as they are written
+ * 2. On finish (or client abort), resolves the route template and the matching route rule
+ * 3. Applies skip/sampling rules (5xx is always logged)
+ * 4. Writes one `logger.http` entry with flat fields, identical under Winston and Pino
+ *    (both write it at the `http` level or more verbose, e.g. LOG_LEVEL=http)
+ *
+ * NOTE: Mount after `requestContextMiddleware` so entries carry the request IDs.
+ *
+ * @param {AccessLogOptions} options - Access log options
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * app.use(createAccessLogMiddleware({
+ *   logger: baseLogger.child({ module: "http" }),
+ *   routes: [{ path: /\/health/, skip: true }],
+ *   sampleRate: 0.1,
+ * }));
+ */
+export function createAccessLogMiddleware({
+  logger,
+  routes = [],
+  sampleRate = 1,
+  logHeaders = true,
+  logBodies = false,
+  random = Math.random,
+}) {
+  return (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    let responseBytes = 0;
+    let responseBody;
+    let logged = false;
+
+    const { write, end } = res;
+    res.write = function (chunk, encoding, ...rest) {
+      responseBytes += chunkByteLength(chunk, encoding);
+      return write.call(this, chunk, encoding, ...rest);
+    };
+    res.end = function (chunk, encoding, ...rest) {
+      responseBytes += chunkByteLength(chunk, encoding);
+      return end.call(this, chunk, encoding, ...rest);
+    };
+
+    if (logBodies && typeof res.json === "function") {
+      const { json } = res;
+      res.json = function (body) {
+        responseBody = body;
+        return json.call(this, body);
+      };
+    }
+
+    const logRequest = () => {
+      if (logged) return;
+      logged = true;
+
+      const route = resolveRoute(req);
+      const rule = findRouteRule(routes, route, req.path);
+      const aborted = !res.writableFinished;
+      if (!shouldLogRequest(res.statusCode, rule, sampleRate, random)) return;
+
+      const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+
+      logger.http(`${req.method} ${route} ${res.statusCode}`, {
+        requestId: req.requestId,
+        correlationId: req.correlationId,
+        method: req.method,
+        route,
+        path: req.path,
+        statusCode: res.statusCode,
+        durationMs: Math.round(durationMs * 1000) / 1000,
+        requestBytes: Number(req.headers["content-length"]) || 0,
+        responseBytes,
+        remoteAddress: req.ip ?? req.socket?.remoteAddress,
+        userAgent: req.headers["user-agent"],
+        ...(aborted && { aborted: true }),
+        ...(logHeaders && {
+          requestHeaders: sanitize(req.headers),
+          // getHeaders() returns a null-prototype object
+          responseHeaders: sanitize({ ...res.getHeaders() }),
+        }),
+        ...(logBodies && {
+          requestBody: sanitize(req.body),
+          responseBody: sanitize(responseBody),
+        }),
+      });
+    };
+
+    res.once("finish", logRequest);
+    res.once("close", logRequest);
+    next();
+  };
+}
+
+export default requestContextMiddleware;
@@ -1,9 +1,37 @@
+import { baseLogger } from "../../infrastructure/logging/logger.js";
+import apiConfigs from "../configs/api.config.js";
 import serverConfig from "../configs/server.config.js";
 import {
   HTTP_STATUS,
   getHttpStatusByCode,
 } from "../constants/http.constants.js";
-import logger from "../utils/logger.js";
+import {
+  BaseError,
+  NotFoundError,
+  PROBLEM_JSON_CONTENT_TYPE,
+  resolveError,
+  resolveErrorResponseFormat,
+  toProblemDetails,
+} from "../errors/index.js";
+
+const logger = baseLogger.child({ module: "http", feature: "error-handler" });
+
+// Media types of the error formats, the configured default first: clients
+// choose with the Accept header, `*/*` or no header gets the default
+const ERROR_MEDIA_TYPES =
+  resolveErrorResponseFormat(apiConfigs.errorFormat) === "legacy"
+    ? ["application/json", PROBLEM_JSON_CONTENT_TYPE]
+    : [PROBLEM_JSON_CONTENT_TYPE, "application/json"];
+
+/**
+ * Picks the error response format from the Accept header.
+ * @param {import('express').Request} req - Request
+ * @returns {boolean} true for problem details, false for the legacy envelope
+ */
+function acceptsProblemDetails(req) {
+  const mediaType = req.accepts(ERROR_MEDIA_TYPES) || ERROR_MEDIA_TYPES[0];
+  return mediaType === PROBLEM_JSON_CONTENT_TYPE;
+}
 
 /**
  * Middleware to add standardized response helpers to the res object.
@@ -46,33 +74,62 @@ function responseHandlerMiddleware(req, res, next) {
 
   /**
    * Send an error response.
+   *
+   * Flow:
+   * 1. Resolves code, status and client-safe message from the error registry
+   *    (BaseError types declare them; unknown errors are 500 with a generic message)
+   * 2. Logs server errors at error level, client errors at warn
+   * 3. Responds with RFC 9457 problem details or the legacy envelope, as negotiated
+   *    with the Accept header, plus the error's own headers (e.g. Retry-After);
+   *    the stack only in development
+   *
    * @param {Error} error - Error object
-   * @param {object|number} [status=HTTP_STATUS.INTERNAL_SERVER_ERROR] - HTTP status object or code
+   * @param {object|number} [status] - HTTP status object or code (default: the error type's status)
    */
-  res.sendError = (error, status = HTTP_STATUS.INTERNAL_SERVER_ERROR) => {
-    const statusObj =
-      typeof status === "number" ? getHttpStatusByCode(status) : status;
-    logger.error(
-      `[responseMiddleware.js] ${error?.message || "Unknown error"}`,
-      error
-    );
+  res.sendError = (error, status) => {
+    // STEP 1: Registry mapping
+    const { code, httpStatus, expose, message } = resolveError(error, status);
+
+    // STEP 2: Only server errors are failures of this service
+    const logMethod = httpStatus.code >= 500 ? "error" : "warn";
+    logger[logMethod](`Request failed: ${error?.message || "Unknown error"}`, {
+      error,
+      code,
+      statusCode: httpStatus.code,
+    });
+
+    // STEP 3: Negotiated format; hidden messages also hide the error type
+    const stack =
+      serverConfig.environment === "development" ? error?.stack : undefined;
+    res.vary("Accept").status(httpStatus.code);
+    if (error instanceof BaseError) res.set(error.getResponseHeaders());
+
+    if (acceptsProblemDetails(req)) {
+      const problem = toProblemDetails(
+        error,
+        { code, httpStatus, expose, message },
+        {
+          // Path only: the query string may carry sensitive values
+          instance: req.originalUrl?.split("?")[0],
+          requestId: req.requestId,
+          typeBaseUri: apiConfigs.problemTypeBaseUri,
+        }
+      );
+      if (stack) problem.stack = stack;
+      return res.type(PROBLEM_JSON_CONTENT_TYPE).json(problem);
+    }
+
     const errorResponse = {
       success: false,
       error: {
-        message:
-          error?.message ||
-          statusObj?.message ||
-          HTTP_STATUS.INTERNAL_SERVER_ERROR.message,
-        name: error?.name || "Error",
+        code,
+        message,
+        name: expose ? error?.name || "Error" : "Error",
       },
       timestamp: new Date().toISOString(),
     };
-    if (serverConfig.environment === "development" && error?.stack) {
-      errorResponse.error.stack = error.stack;
-    }
-    res
-      .status(statusObj?.code || HTTP_STATUS.INTERNAL_SERVER_ERROR.code)
-      .json(errorResponse);
+    if (stack) errorResponse.error.stack = stack;
+    return res.json(errorResponse);
   };
 
   next();
@@ -83,7 +140,12 @@ function responseHandlerMiddleware(req, res, next) {
  */
 export const notFoundHandler = (req, res) => {
   if (typeof res.sendError === "function") {
-    res.sendError(new Error("Resource not found"), HTTP_STATUS.NOT_FOUND);
+    res.sendError(
+      new NotFoundError("Resource not found", {
+        resourceType: "route",
+        resourceId: `${req.method} ${req.path}`,
+      })
+    );
   } else {
     res.status(HTTP_STATUS.NOT_FOUND.code).json({
       success: false,
@@ -97,12 +159,17 @@ export const notFoundHandler = (req, res) => {
 };
 
 /**
- * Generic error handler for use in app.js
+ * Generic error handler for use in app.js; the status comes from the error
+ * registry (e.g. 400 for ValidationError, 422 for BusinessLogicError).
  */
 export const genericErrorHandler = (err, req, res, next) => {
   if (res.headersSent) {
     return next(err);
   }
+  // Errors raised before the helpers are attached (e.g. invalid JSON bodies)
+  if (typeof res.sendError !== "function") {
+    responseHandlerMiddleware(req, res, () => {});
+  }
   res.sendError(err);
 };
 
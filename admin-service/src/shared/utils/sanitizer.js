@@ -1,65 +1,484 @@
+import { createHash } from "node:crypto";
+
 /**
  * How it works:
- * 1. It defines a set of sensitive fields that need to be redacted.
- * 2. If the input data is not an object or is null, it returns the data as is.
- * 3. If the input data is an array, it maps over each item, recursively sanitizing each one.
+ * 1. A sanitizer is built once from redaction rules (see `createSanitizer`):
+ *    - sensitive key names (case insensitive), built-in plus configured extras
+ *    - value detectors that find secrets inside strings (JWTs, bearer tokens,
+ *      Luhn-valid card numbers, IBANs, emails)
+ *    - path rules such as `req.headers.cookie` or `users.*.email`
+ * 2. If the input data is not an object or is null, strings are scanned by the
+ *    detectors (and truncated past maxStringLength); everything else is returned as is.
+ * 3. Objects already on the current branch become "[Circular]"; objects deeper than
+ *    maxDepth become "[Max depth]".
+ * 4. If the input data is an array, it maps over each item, recursively sanitizing each one.
+ *    - Arrays longer than maxArrayLength are cut with a "[… N more items]" marker.
  *    - If any item is sanitized (i.e., changed), it tracks that sensitive data was present.
- * 4. If the input data is an object, it iterates over its keys:
- *    - For each key, it checks if it is a sensitive field (case insensitive).
- *    - If it is sensitive, it replaces the value with "***REDACTED***".
+ * 5. Special types are converted to loggable values: Errors (with their `cause` chain)
+ *    to plain objects, Maps to objects, Sets to arrays, Buffers/typed arrays to size
+ *    markers, values with `toJSON` to their JSON form.
+ * 6. If the input data is an object, it iterates over its own enumerable keys:
+ *    - If the key or its path is sensitive, the value is masked.
  *    - If it is not sensitive, it recursively sanitizes the value.
- * 5. Finally, it returns the sanitized object or array if any sensitive data was found;
+ * 7. Finally, it returns the sanitized object or array if any sensitive data was found;
  *    otherwise, it returns the original data.
+ *
+ * Masking modes:
+ * - "full"  → "***REDACTED***"
+ * - "last4" → "***1111" (short values and objects are fully masked)
+ * - "hash"  → "sha256:<16 hex chars>" (stable, so values can still be correlated;
+ *             objects are fully masked)
+ *
+ * Masking is idempotent: values already masked by any mode are kept as they are,
+ * so data sanitized twice (e.g. error details, then the whole log entry) is unchanged.
  */
-export const sanitize = (data) => {
-  const sensitiveFields = new Set([
-    "password",
-    "token",
-    "secret",
-    "apiKey",
-    "apikey",
-    "accessToken",
-    "accesstoken",
-    "refreshToken",
-    "refreshtoken",
-    "ssn",
-    "creditCard",
-    "creditcard",
-    "cardNumber",
-    "cardnumber",
-    "pin",
-    "privateKey",
-    "privatekey",
-    "clientSecret",
-    "clientsecret",
-    "auth",
-    "authorization",
-    "jwt",
-    "session",
-    "cookie",
-  ]);
-  if (typeof data !== "object" || data === null) return data;
-  let hasSensitiveData = false;
-  if (Array.isArray(data)) {
-    const sanitizedArray = data.map((item) => {
-      const sanitizedItem = sanitize(item);
-      if (sanitizedItem !== item) hasSensitiveData = true;
-      return sanitizedItem;
-    });
-    return hasSensitiveData ? sanitizedArray : data;
-  } else {
+
+export const REDACTED = "***REDACTED***";
+export const CIRCULAR = "[Circular]";
+export const MAX_DEPTH = "[Max depth]";
+
+export const DEFAULT_LIMITS = Object.freeze({
+  maxDepth: 10,
+  maxArrayLength: 100,
+  maxStringLength: 10000,
+});
+
+// Extra characters scanned past maxStringLength so secrets crossing the cut are masked
+const STRING_SCAN_MARGIN = 256;
+
+export const MASK_MODES = Object.freeze(["full", "last4", "hash"]);
+
+const DEFAULT_SENSITIVE_KEYS = Object.freeze([
+  "password",
+  "token",
+  "secret",
+  "apiKey",
+  "apikey",
+  "accessToken",
+  "accesstoken",
+  "refreshToken",
+  "refreshtoken",
+  "ssn",
+  "creditCard",
+  "creditcard",
+  "cardNumber",
+  "cardnumber",
+  "pin",
+  "privateKey",
+  "privatekey",
+  "clientSecret",
+  "clientsecret",
+  "auth",
+  "authorization",
+  "jwt",
+  "session",
+  "cookie",
+  "set-cookie",
+  "proxy-authorization",
+  "x-api-key",
+]);
+
+// Detectors enabled when no explicit list is configured.
+// Emails are opt-in: they are often needed in logs for support and auditing.
+export const DEFAULT_DETECTORS = Object.freeze(["jwt", "bearer", "card", "iban"]);
+
+// Issuer prefixes of the major card networks; plain numeric IDs and timestamps don't match
+const CARD_PREFIX_PATTERN = /^(?:4|5[1-5]|2[2-7]|3[47]|3[0689]|6(?:011|5))/;
+
+/**
+ * Luhn checksum used by payment card numbers.
+ * @param {string} digits - Digits only
+ * @returns {boolean}
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * ISO 13616 mod-97 checksum used by IBANs.
+ * @param {string} value - IBAN, spaces allowed
+ * @returns {boolean}
+ */
+function passesIbanChecksum(value) {
+  const iban = value.replace(/\s/g, "");
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const code = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of code) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+/**
+ * Value detectors. `pattern` finds candidates (the `value` group, when present,
+ * is the part that gets masked); `validate` rejects false positives.
+ */
+export const VALUE_DETECTORS = Object.freeze({
+  jwt: {
+    pattern: /\beyJ[\w-]+\.[\w-]+\.[\w-]*/g,
+  },
+  bearer: {
+    pattern: /\bBearer\s+(?<value>[\w\-.~+/]+=*)/gi,
+  },
+  card: {
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: (match) => {
+      const digits = match.replace(/\D/g, "");
+      return CARD_PREFIX_PATTERN.test(digits) && passesLuhn(digits);
+    },
+  },
+  iban: {
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g,
+    validate: passesIbanChecksum,
+  },
+  email: {
+    pattern: /\b[\w.+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g,
+  },
+});
+
+/**
+ * Parses a `name` or `name:mode` rule.
+ * @param {string|{name: string, mask?: string}} rule - Rule definition
+ * @param {string} fallbackMask - Mask mode when the rule has none
+ * @returns {{name: string, mask: string}}
+ * @throws {TypeError} On an unknown mask mode
+ */
+function parseRule(rule, fallbackMask) {
+  let { name, mask } = typeof rule === "string" ? {} : rule;
+  if (typeof rule === "string") {
+    [name, mask] = rule.split(":").map((part) => part.trim());
+  }
+  mask ||= fallbackMask;
+
+  if (!MASK_MODES.includes(mask)) {
+    throw new TypeError(
+      `Unknown mask mode "${mask}" for redaction rule "${name}"`
+    );
+  }
+  return { name, mask };
+}
+
+// Output of the mask modes: full, last4 and hash
+const MASKED_VALUE = /^(?:\*{3}REDACTED\*{3}|\*{3}.{4}|sha256:[0-9a-f]{16})$/;
+
+/**
+ * Builds the masking function for a mode.
+ * @param {string} mode - Mask mode
+ * @param {string} [hashSalt=""] - Salt mixed into hashed values
+ * @returns {(value: *) => string}
+ */
+function createMasker(mode, hashSalt = "") {
+  const masker = createModeMasker(mode, hashSalt);
+  return (value) =>
+    typeof value === "string" && MASKED_VALUE.test(value) ? value : masker(value);
+}
+
+/**
+ * Builds the masking function of a single mode.
+ * @param {string} mode - Mask mode
+ * @param {string} hashSalt - Salt mixed into hashed values
+ * @returns {(value: *) => string}
+ */
+function createModeMasker(mode, hashSalt) {
+  switch (mode) {
+    case "last4":
+      return (value) => {
+        const text = typeof value === "object" ? "" : String(value ?? "");
+        return text.length >= 8 ? `***${text.slice(-4)}` : REDACTED;
+      };
+    case "hash":
+      return (value) =>
+        typeof value === "object" && value !== null
+          ? REDACTED
+          : `sha256:${createHash("sha256")
+              .update(hashSalt + String(value ?? ""))
+              .digest("hex")
+              .slice(0, 16)}`;
+    case "full":
+    default:
+      return () => REDACTED;
+  }
+}
+
+/**
+ * Tests whether a path pattern matches the current path.
+ * @param {string[]} pattern - Pattern segments (`*` matches one segment)
+ * @param {string[]} path - Current path segments
+ * @returns {boolean}
+ */
+function matchesPath(pattern, path) {
+  if (pattern.length !== path.length) return false;
+  return pattern.every(
+    (segment, index) => segment === "*" || segment === path[index].toLowerCase()
+  );
+}
+
+/**
+ * Creates a sanitizer with its own redaction rules.
+ *
+ * Rules may be given as `name` or `name:mode` strings (mode: full | last4 | hash),
+ * or as `{ name, mask }` objects.
+ *
+ * @param {Object} [options]
+ * @param {Array<string|Object>} [options.keys=[]] - Extra sensitive key names
+ * @param {Array<string|Object>} [options.detectors=DEFAULT_DETECTORS] - Value detectors to enable
+ * @param {Array<string|Object>} [options.paths=[]] - Dot paths to redact, `*` matches one segment
+ * @param {string} [options.mask="full"] - Default mask mode
+ * @param {string} [options.hashSalt=""] - Salt for the hash mask mode
+ * @param {number} [options.maxDepth=10] - Deeper objects are replaced by "[Max depth]"
+ * @param {number} [options.maxArrayLength=100] - Longer arrays are cut with a "[… N more items]" marker
+ * @param {number} [options.maxStringLength=10000] - Longer strings are cut with a "… [truncated N chars]" marker
+ * @returns {(data: *) => *} Sanitize function
+ * @throws {TypeError} On an unknown detector or mask mode
+ *
+ * @example
+ * const redact = createSanitizer({
+ *   keys: ["nationalId"],
+ *   detectors: ["jwt", "card:last4", "email:hash"],
+ *   paths: ["req.headers.cookie"],
+ * });
+ * redact({ notes: "card 4111 1111 1111 1111" }); // { notes: "card ***1111" }
+ */
+export function createSanitizer({
+  keys = [],
+  detectors = DEFAULT_DETECTORS,
+  paths = [],
+  mask = "full",
+  hashSalt = "",
+  maxDepth = DEFAULT_LIMITS.maxDepth,
+  maxArrayLength = DEFAULT_LIMITS.maxArrayLength,
+  maxStringLength = DEFAULT_LIMITS.maxStringLength,
+} = {}) {
+  parseRule({ name: "default", mask }, "full");
+
+  // Key rules, case insensitive; built-in keys use the default mask
+  const keyMasks = new Map();
+  for (const key of DEFAULT_SENSITIVE_KEYS) {
+    keyMasks.set(key.toLowerCase(), createMasker(mask, hashSalt));
+  }
+  for (const rule of keys) {
+    const { name, mask: keyMask } = parseRule(rule, mask);
+    keyMasks.set(name.toLowerCase(), createMasker(keyMask, hashSalt));
+  }
+
+  const activeDetectors = detectors.map((rule) => {
+    const { name, mask: detectorMask } = parseRule(rule, mask);
+    if (!VALUE_DETECTORS[name]) {
+      throw new TypeError(
+        `Unknown redaction detector "${name}". Allowed: ${Object.keys(
+          VALUE_DETECTORS
+        ).join(", ")}`
+      );
+    }
+    return {
+      ...VALUE_DETECTORS[name],
+      maskValue: createMasker(detectorMask, hashSalt),
+    };
+  });
+
+  const pathRules = paths.map((rule) => {
+    const { name, mask: pathMask } = parseRule(rule, mask);
+    return {
+      segments: name.toLowerCase().split("."),
+      maskValue: createMasker(pathMask, hashSalt),
+    };
+  });
+
+  /**
+   * Masks every detector match inside a string.
+   * @param {string} text - Value to scan
+   * @returns {string} Same string when nothing matched
+   */
+  const redactString = (text) => {
+    let result = text;
+    for (const { pattern, validate, maskValue } of activeDetectors) {
+      pattern.lastIndex = 0;
+      if (!pattern.test(result)) continue;
+      pattern.lastIndex = 0;
+      result = result.replace(pattern, (...args) => {
+        const match = args[0];
+        const groups = args.at(-1);
+        const value =
+          typeof groups === "object" && groups?.value ? groups.value : match;
+        if (validate && !validate(value)) return match;
+        return match.replace(value, maskValue(value));
+      });
+    }
+    return result;
+  };
+
+  /**
+   * Returns the path rule matching the current path, if any.
+   * @param {string[]} path - Current path segments
+   */
+  const findPathRule = (path) =>
+    pathRules.find(({ segments }) => matchesPath(segments, path));
+
+  /**
+   * Redacts and truncates a string.
+   * Detectors run before truncation so a secret crossing the cut is still masked;
+   * very long strings are pre-cut with a margin to bound the detector cost.
+   * @param {string} text - Value to sanitize
+   * @returns {string} Same string when nothing changed
+   */
+  const sanitizeString = (text) => {
+    if (text.length <= maxStringLength) {
+      return activeDetectors.length > 0 ? redactString(text) : text;
+    }
+    const head = text.slice(0, maxStringLength + STRING_SCAN_MARGIN);
+    const redacted = activeDetectors.length > 0 ? redactString(head) : head;
+    return `${redacted.slice(0, maxStringLength)}… [truncated ${
+      text.length - maxStringLength
+    } chars]`;
+  };
+
+  /**
+   * Sanitizes the own enumerable properties of an object-like value.
+   * @param {Object} data - Original value (returned when nothing changed)
+   * @param {Object} source - Object whose properties are visited (usually `data`)
+   * @param {string[]|undefined} path - Current path (only tracked with path rules)
+   * @param {number} depth - Current depth
+   * @param {Set<Object>} ancestors - Objects on the current branch
+   * @param {boolean} [forceCopy=false] - Always return a new object
+   * @returns {Object} Sanitized object, or `data` when nothing changed
+   */
+  const sanitizeEntries = (data, source, path, depth, ancestors, forceCopy = false) => {
     const result = {};
-    for (const key in data) {
-      if (!data.hasOwnProperty(key)) continue;
-      if (sensitiveFields.has(key.toLowerCase())) {
-        result[key] = "***REDACTED***";
+    let hasSensitiveData = forceCopy;
+    for (const key of Object.keys(source)) {
+      const value = source[key];
+      const keyPath = path && [...path, key];
+      const pathRule = keyPath && findPathRule(keyPath);
+      const keyMask = keyMasks.get(key.toLowerCase());
+      if (pathRule || keyMask) {
+        result[key] = (pathRule?.maskValue ?? keyMask)(value);
         hasSensitiveData = true;
       } else {
-        const sanitizedValue = sanitize(data[key]);
-        if (sanitizedValue !== data[key]) hasSensitiveData = true;
+        const sanitizedValue = sanitizeValue(value, keyPath, depth + 1, ancestors);
+        if (sanitizedValue !== value) hasSensitiveData = true;
         result[key] = sanitizedValue;
       }
     }
-    return hasSensitiveData ? result : data;
-  }
-};
+    if (!hasSensitiveData) return data;
+
+    // Keep symbol-keyed metadata (e.g. Winston's level/message symbols)
+    for (const symbol of Object.getOwnPropertySymbols(source)) {
+      if (Object.prototype.propertyIsEnumerable.call(source, symbol)) {
+        result[symbol] = source[symbol];
+      }
+    }
+    return result;
+  };
+
+  /**
+   * Sanitizes an array, truncating it to `maxArrayLength` items.
+   * @returns {Array} Sanitized array, or `data` when nothing changed
+   */
+  const sanitizeArray = (data, path, depth, ancestors, forceCopy = false) => {
+    let hasSensitiveData = forceCopy || data.length > maxArrayLength;
+    const items = data.length > maxArrayLength ? data.slice(0, maxArrayLength) : data;
+    const sanitizedArray = items.map((item, index) => {
+      const itemPath = path && [...path, String(index)];
+      const pathRule = itemPath && findPathRule(itemPath);
+      const sanitizedItem = pathRule
+        ? pathRule.maskValue(item)
+        : sanitizeValue(item, itemPath, depth + 1, ancestors);
+      if (sanitizedItem !== item) hasSensitiveData = true;
+      return sanitizedItem;
+    });
+    if (data.length > maxArrayLength) {
+      sanitizedArray.push(`[… ${data.length - maxArrayLength} more items]`);
+    }
+    return hasSensitiveData ? sanitizedArray : data;
+  };
+
+  /**
+   * Serializes an Error into a plain object, following its `cause` chain.
+   * @param {Error} error - Error to serialize
+   * @returns {Object} Plain error object
+   */
+  const sanitizeError = (error, path, depth, ancestors) => {
+    const source = { name: error.name, message: error.message, stack: error.stack };
+    for (const key of Object.keys(error)) {
+      if (key !== "cause") source[key] = error[key];
+    }
+    if (Array.isArray(error.errors)) source.errors = error.errors; // AggregateError
+    if (error.cause !== undefined) source.cause = error.cause;
+    return sanitizeEntries(error, source, path, depth, ancestors, true);
+  };
+
+  /**
+   * Sanitizes an object by type: arrays, errors, binary data, collections,
+   * values with `toJSON`, and finally plain objects and class instances.
+   */
+  const sanitizeObject = (data, path, depth, ancestors) => {
+    if (Array.isArray(data)) return sanitizeArray(data, path, depth, ancestors);
+    if (data instanceof Error) return sanitizeError(data, path, depth, ancestors);
+    if (Buffer.isBuffer(data)) return `[Buffer: ${data.length} bytes]`;
+    if (ArrayBuffer.isView(data) || data instanceof ArrayBuffer) {
+      return `[${data.constructor.name}: ${data.byteLength} bytes]`;
+    }
+    if (data instanceof Date) return data;
+    if (data instanceof RegExp) return String(data);
+    if (data instanceof Map) {
+      const source = {};
+      for (const [key, value] of data) source[String(key)] = value;
+      return sanitizeEntries(data, source, path, depth, ancestors, true);
+    }
+    if (data instanceof Set) {
+      return sanitizeArray(Array.from(data), path, depth, ancestors, true);
+    }
+    if (typeof data.toJSON === "function") {
+      const json = data.toJSON();
+      if (json !== data) return sanitizeValue(json, path, depth, ancestors);
+    }
+    return sanitizeEntries(data, data, path, depth, ancestors);
+  };
+
+  /**
+   * Sanitizes any value.
+   * @param {*} data - Value to sanitize
+   * @param {string[]|undefined} path - Current path (only tracked with path rules)
+   * @param {number} depth - Current depth
+   * @param {Set<Object>} ancestors - Objects on the current branch (cycle detection)
+   * @returns {*} Sanitized value, or `data` when nothing changed
+   */
+  const sanitizeValue = (data, path, depth, ancestors) => {
+    if (typeof data === "string") return sanitizeString(data);
+    if (typeof data === "bigint") return data.toString();
+    if (typeof data !== "object" || data === null) return data;
+    if (ancestors.has(data)) return CIRCULAR;
+    if (depth >= maxDepth) return MAX_DEPTH;
+
+    ancestors.add(data);
+    try {
+      return sanitizeObject(data, path, depth, ancestors);
+    } finally {
+      ancestors.delete(data);
+    }
+  };
+
+  // Paths are only tracked when path rules exist
+  return (data) =>
+    sanitizeValue(data, pathRules.length > 0 ? [] : undefined, 0, new Set());
+}
+
+/**
+ * Sanitizes data with the built-in rules (default keys and detectors, full masking).
+ * Log output uses the configured engine in `infrastructure/logging/log-redaction.js`.
+ * @param {*} data - Data to sanitize
+ * @returns {*} Sanitized data, or the same reference when nothing was sensitive
+ */
+export const sanitize = createSanitizer();
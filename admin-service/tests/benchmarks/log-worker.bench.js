@@ -0,0 +1,182 @@
+/**
+ * Log Worker Benchmark
+ *
+ * Compares in-process logging with the log worker (LOGGER_CONFIGS_WORKER=true)
+ * for both adapters, writing the error/info/all files:
+ * - throughput: entries logged per second on the main thread, and entries per
+ *   second until everything is on disk (`closeLoggers`)
+ * - request latency: p50/p99 of an HTTP endpoint logging a few entries per request
+ *
+ * Each scenario runs in its own child process (the logger reads its config at
+ * startup); the load generator runs in this process.
+ *
+ * Usage: npm run bench:logging
+ * Tuning: BENCH_ENTRIES, BENCH_REQUESTS, BENCH_CONCURRENCY, BENCH_OVERFLOW (drop | block)
+ *
+ * Not part of `npm test`: timings depend on the machine.
+ */
+
+import { fork } from "node:child_process";
+import { once } from "node:events";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { performance } from "node:perf_hooks";
+import { fileURLToPath } from "node:url";
+
+const entries = Number(process.env.BENCH_ENTRIES) || 50000;
+const requests = Number(process.env.BENCH_REQUESTS) || 5000;
+const concurrency = Number(process.env.BENCH_CONCURRENCY) || 32;
+const overflow = process.env.BENCH_OVERFLOW || "block";
+
+// Typical access-log style payload (clean, with one secret to redact)
+const payload = {
+  method: "POST",
+  route: "/api/v1/admins",
+  statusCode: 201,
+  durationMs: 12.345,
+  requestBody: { name: "Ada", email: "ada@example.com", password: "hunter2" },
+  roles: ["admin", "auditor", "support"],
+};
+
+/**
+ * Child process: serves requests that log, then measures raw throughput.
+ */
+async function runScenario() {
+  const { default: createLogger, closeLoggers } =
+    await import("../../src/infrastructure/logging/logger.js");
+  const logger = createLogger({ module: "bench", feature: "load" });
+
+  const server = http.createServer((req, res) => {
+    const requestLogger = logger.child({ feature: "request" });
+    requestLogger.info("Request received", { url: req.url });
+    requestLogger.debug("Not written at info level", payload);
+    requestLogger.info("Admin created", payload);
+    requestLogger.warn("Slow downstream call", { durationMs: 250 });
+    requestLogger.info("Request completed", { statusCode: 200 });
+    res.end("ok");
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  process.send({ port: server.address().port });
+
+  await once(process, "message");
+  server.close();
+
+  const start = performance.now();
+  for (let i = 0; i < entries; i++) {
+    logger.info(`Entry ${i}`, payload);
+  }
+  const logged = performance.now();
+  await closeLoggers({ timeoutMs: 60000 });
+  const written = performance.now();
+
+  process.send({
+    loggedPerSecond: entries / ((logged - start) / 1000),
+    writtenPerSecond: entries / ((written - start) / 1000),
+  });
+}
+
+/**
+ * Sends `requests` GET requests with `concurrency` in flight.
+ * @param {number} port - Server port
+ * @returns {Promise<number[]>} Latencies in milliseconds
+ */
+async function generateLoad(port) {
+  const agent = new http.Agent({ keepAlive: true, maxSockets: concurrency });
+  const latencies = [];
+  let sent = 0;
+
+  const request = () =>
+    new Promise((resolve, reject) => {
+      const start = performance.now();
+      http
+        .get({ host: "127.0.0.1", port, path: `/r/${sent}`, agent }, (res) => {
+          res.resume();
+          res.on("end", () => {
+            latencies.push(performance.now() - start);
+            resolve();
+          });
+        })
+        .on("error", reject);
+    });
+
+  const client = async () => {
+    while (sent < requests) {
+      sent += 1;
+      await request();
+    }
+  };
+  await Promise.all(Array.from({ length: concurrency }, client));
+  agent.destroy();
+  return latencies;
+}
+
+/**
+ * @param {number[]} values - Sorted values
+ * @param {number} p - Percentile (0-100)
+ * @returns {number} Value at the percentile
+ */
+function percentile(values, p) {
+  return values[
+    Math.min(values.length - 1, Math.ceil((p / 100) * values.length) - 1)
+  ];
+}
+
+/**
+ * Runs one scenario in a child process.
+ * @param {string} adapter - winston | pino
+ * @param {boolean} worker - Use the log worker
+ * @returns {Promise<Object>} Table row
+ */
+async function measure(adapter, worker) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "log-worker-bench-"));
+  const child = fork(fileURLToPath(import.meta.url), ["--scenario"], {
+    env: {
+      ...process.env,
+      LOGGER_CONFIGS_ADAPTER: adapter,
+      LOGGER_CONFIGS_LOG_LEVEL: "info",
+      LOGGER_CONFIGS_STORE_LOGS: "true",
+      LOGGER_CONFIGS_LOG_TO_CONSOLE: "false",
+      LOGGER_CONFIGS_WORKER: String(worker),
+      LOGGER_CONFIGS_WORKER_OVERFLOW: overflow,
+      LOG_ROTATE_DIR: dir,
+      LOG_ROTATE_MAX_SIZE: "1g",
+    },
+  });
+
+  try {
+    const [{ port }] = await once(child, "message");
+    const latencies = (await generateLoad(port)).sort((a, b) => a - b);
+    child.send("throughput");
+    const [{ loggedPerSecond, writtenPerSecond }] = await once(
+      child,
+      "message"
+    );
+
+    return {
+      adapter,
+      mode: worker ? `worker (${overflow})` : "in-process",
+      "logged/s": Math.round(loggedPerSecond),
+      "written/s": Math.round(writtenPerSecond),
+      "p50 ms": percentile(latencies, 50).toFixed(2),
+      "p99 ms": percentile(latencies, 99).toFixed(2),
+    };
+  } finally {
+    child.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+if (process.argv.includes("--scenario")) {
+  await runScenario();
+} else {
+  const rows = [];
+  for (const adapter of ["winston", "pino"]) {
+    for (const worker of [false, true]) {
+      rows.push(await measure(adapter, worker));
+    }
+  }
+  console.table(rows);
+}
@@ -0,0 +1,112 @@
+/**
+ * Sanitizer Benchmark
+ *
+ * Compares `sanitize` with the previous key-only implementation on typical log
+ * payloads (request metadata, nested context, arrays, occasional secrets).
+ *
+ * Usage: npm run bench:sanitizer
+ *
+ * Not part of `npm test`: timings depend on the machine.
+ */
+
+import { performance } from "node:perf_hooks";
+
+import { sanitize } from "../../src/shared/utils/sanitizer.js";
+
+// Previous implementation (key names only, no cycle/depth handling), kept as the baseline
+const legacySensitiveFields = [
+  "password", "token", "secret", "apiKey", "apikey", "accessToken", "accesstoken",
+  "refreshToken", "refreshtoken", "ssn", "creditCard", "creditcard", "cardNumber",
+  "cardnumber", "pin", "privateKey", "privatekey", "clientSecret", "clientsecret",
+  "auth", "authorization", "jwt", "session", "cookie",
+];
+const legacySanitize = (data) => {
+  const sensitiveFields = new Set(legacySensitiveFields);
+  if (typeof data !== "object" || data === null) return data;
+  let hasSensitiveData = false;
+  if (Array.isArray(data)) {
+    const sanitizedArray = data.map((item) => {
+      const sanitizedItem = legacySanitize(item);
+      if (sanitizedItem !== item) hasSensitiveData = true;
+      return sanitizedItem;
+    });
+    return hasSensitiveData ? sanitizedArray : data;
+  }
+  const result = {};
+  for (const key in data) {
+    if (!Object.prototype.hasOwnProperty.call(data, key)) continue;
+    if (sensitiveFields.has(key.toLowerCase())) {
+      result[key] = "***REDACTED***";
+      hasSensitiveData = true;
+    } else {
+      const sanitizedValue = legacySanitize(data[key]);
+      if (sanitizedValue !== data[key]) hasSensitiveData = true;
+      result[key] = sanitizedValue;
+    }
+  }
+  return hasSensitiveData ? result : data;
+};
+
+const payloads = {
+  "request metadata (clean)": {
+    requestId: "5f0c6a52-8f1e-4b7e-9a53-2d7f1c3e9b10",
+    correlationId: "5f0c6a52-8f1e-4b7e-9a53-2d7f1c3e9b10",
+    method: "GET",
+    route: "/api/v1/admins/:id",
+    statusCode: 200,
+    durationMs: 12.345,
+    userAgent: "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36",
+    context: { service: "admin-service", module: "admin-context", feature: "read" },
+  },
+  "access log with headers (secrets)": {
+    method: "POST",
+    route: "/api/v1/admins",
+    statusCode: 201,
+    requestHeaders: {
+      host: "admin.local",
+      "content-type": "application/json",
+      authorization: "Bearer abc.def.ghi",
+      cookie: "session=abc",
+      accept: "*/*",
+    },
+    requestBody: { name: "Ada", email: "ada@example.com", password: "hunter2" },
+    context: { service: "admin-service", module: "http" },
+  },
+  "domain event (nested, arrays)": {
+    event: "AdminCreated",
+    aggregateId: "admin-42",
+    version: 3,
+    payload: {
+      roles: ["admin", "auditor", "support"],
+      permissions: Array.from({ length: 20 }, (_, i) => ({ id: i, scope: `scope-${i}` })),
+      profile: { firstName: "Ada", lastName: "Lovelace", locale: "en-GB" },
+    },
+    context: { service: "admin-service", module: "admin-context", feature: "write" },
+  },
+};
+
+/**
+ * Runs fn repeatedly and returns operations per second.
+ * @param {Function} fn - Function to measure
+ * @param {number} iterations - Measured iterations
+ */
+function measure(fn, iterations) {
+  for (let i = 0; i < iterations / 10; i++) fn(); // warm-up
+  const start = performance.now();
+  for (let i = 0; i < iterations; i++) fn();
+  return iterations / ((performance.now() - start) / 1000);
+}
+
+const iterations = Number(process.env.BENCH_ITERATIONS) || 100000;
+const rows = Object.entries(payloads).map(([name, payload]) => {
+  const legacy = measure(() => legacySanitize(payload), iterations);
+  const current = measure(() => sanitize(payload), iterations);
+  return {
+    payload: name,
+    "legacy ops/s": Math.round(legacy),
+    "current ops/s": Math.round(current),
+    ratio: `${(current / legacy).toFixed(2)}x`,
+  };
+});
+
+console.table(rows);
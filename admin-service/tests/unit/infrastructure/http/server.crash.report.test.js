@@ -0,0 +1,131 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+
+import { expect } from "chai";
+
+import {
+  createFatalErrorHandler,
+  writeCrashReport,
+} from "../../../../src/infrastructure/http/server.crash.report.js";
+import { ConfigurationError } from "../../../../src/shared/errors/index.js";
+import { REDACTED } from "../../../../src/shared/utils/sanitizer.js";
+
+/**
+ * Crash Report Tests
+ *
+ * Architecture: HTTP Server Infrastructure (Crash Path Testing)
+ * Scope: Diagnostic report files, single fatal handler, hard shutdown deadline
+ */
+describe("Crash Report", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "crash-report-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exitCode = undefined;
+  });
+
+  describe("writeCrashReport", () => {
+    it("should write the diagnostic report and the last log entries", () => {
+      const files = writeCrashReport({
+        error: new Error("boom"),
+        dir,
+        entries: [{ level: "info", message: "before" }],
+      });
+
+      const report = JSON.parse(fs.readFileSync(files.report, "utf8"));
+      expect(report.javascriptStack.message).to.include("boom");
+      expect(Object.values(report.environmentVariables)).to.satisfy((values) =>
+        values.every((value) => value === REDACTED)
+      );
+      expect(fs.readFileSync(files.logs, "utf8")).to.equal(
+        '{"level":"info","message":"before"}\n'
+      );
+    });
+
+    it("should skip the diagnostic report when disabled", () => {
+      const files = writeCrashReport({
+        error: new Error("boom"),
+        dir,
+        entries: [],
+        writeReport: false,
+      });
+
+      expect(files.report).to.equal(undefined);
+      expect(fs.readdirSync(dir)).to.have.length(1);
+    });
+  });
+
+  describe("createFatalErrorHandler", () => {
+    let logger;
+    let shutdown;
+    let exit;
+    let handleFatalError;
+
+    beforeEach(() => {
+      logger = { fatal: mock.fn(), error: mock.fn() };
+      shutdown = mock.fn(async () => {});
+      exit = mock.fn();
+      handleFatalError = createFatalErrorHandler({
+        logger,
+        recentLogs: { entries: ({ limit }) => [{ message: "last" }].slice(-limit) },
+        shutdown,
+        crashConfig: {
+          dir,
+          writeReport: false,
+          logLines: 10,
+          shutdownDeadlineMs: 1000,
+        },
+        exit,
+      });
+    });
+
+    it("should log fatal with the full error, write crash files and shut down", async () => {
+      const error = new ConfigurationError("bad config", {
+        details: { key: "PORT" },
+      });
+
+      await handleFatalError("Uncaught Exception", error);
+
+      const [message, meta] = logger.fatal.mock.calls[0].arguments;
+      expect(message).to.equal("Uncaught Exception: bad config");
+      expect(meta.error).to.equal(error);
+      expect(meta.error.details).to.deep.equal({ key: "PORT" });
+      expect(logger.fatal.mock.calls[1].arguments[1].files.logs).to.be.a("string");
+      expect(shutdown.mock.callCount()).to.equal(1);
+      expect(process.exitCode).to.equal(1);
+    });
+
+    it("should handle a crash only once and wrap non-error reasons", async () => {
+      await handleFatalError("Unhandled Rejection", "nope");
+      await handleFatalError("Uncaught Exception", new Error("again"));
+
+      expect(logger.fatal.mock.calls[0].arguments[1].error.message).to.include(
+        "nope"
+      );
+      expect(shutdown.mock.callCount()).to.equal(1);
+      expect(logger.error.mock.calls[0].arguments[0]).to.equal(
+        "Uncaught Exception during crash handling"
+      );
+    });
+
+    it("should exit when the shutdown misses the deadline", async () => {
+      mock.timers.enable({ apis: ["setTimeout"] });
+      try {
+        shutdown.mock.mockImplementation(() => new Promise(() => {}));
+
+        handleFatalError("Uncaught Exception", new Error("stuck"));
+        mock.timers.tick(1000);
+
+        expect(exit.mock.calls[0].arguments).to.deep.equal([1]);
+      } finally {
+        mock.timers.reset();
+      }
+    });
+  });
+});
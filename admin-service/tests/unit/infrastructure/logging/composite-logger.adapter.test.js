@@ -0,0 +1,290 @@
+import { describe, it, before, beforeEach, mock } from "node:test";
+
+import { expect } from "chai";
+
+import { CompositeLoggerAdapter } from "../../../../src/infrastructure/logging/composite-logger.adapter.js";
+import { createLoggerFactory } from "../../../../src/infrastructure/logging/logger.factory.js";
+import { LoggerPort } from "../../../../src/infrastructure/logging/logger.port.js";
+import { ConfigurationError } from "../../../../src/shared/errors/index.js";
+
+/**
+ * CompositeLoggerAdapter Tests
+ *
+ * Architecture: Infrastructure Adapter (Fan-out Testing)
+ * Scope: Per-sink levels and formatters, failure isolation, level propagation
+ */
+describe("CompositeLoggerAdapter", () => {
+  class RecordingAdapter extends LoggerPort {
+    constructor() {
+      super();
+      this.level = "info";
+      for (const method of [
+        "fatal",
+        "error",
+        "warn",
+        "info",
+        "http",
+        "verbose",
+        "debug",
+        "trace",
+      ]) {
+        this[method] = mock.fn();
+      }
+    }
+    setLevel(level) {
+      this.level = level;
+    }
+    getLevel() {
+      return this.level;
+    }
+  }
+
+  let first;
+  let second;
+  let onSinkError;
+
+  beforeEach(() => {
+    first = new RecordingAdapter();
+    second = new RecordingAdapter();
+    onSinkError = mock.fn();
+  });
+
+  describe("Construction", () => {
+    it("should extend LoggerPort", () => {
+      const adapter = new CompositeLoggerAdapter([{ adapter: first }]);
+      expect(adapter).to.be.instanceOf(LoggerPort);
+    });
+
+    it("should reject an empty sink list", () => {
+      expect(() => new CompositeLoggerAdapter([])).to.throw(ConfigurationError);
+    });
+
+    it("should reject sinks that do not extend LoggerPort", () => {
+      expect(
+        () => new CompositeLoggerAdapter([{ adapter: { info() {} } }])
+      ).to.throw(ConfigurationError, /must extend LoggerPort/);
+    });
+
+    it("should reject unknown sink levels and invalid formatters", () => {
+      for (const level of ["loud", "constructor"]) {
+        expect(
+          () => new CompositeLoggerAdapter([{ adapter: first, level }]),
+          level
+        ).to.throw(ConfigurationError, /unknown level/);
+      }
+      expect(
+        () => new CompositeLoggerAdapter([{ adapter: first, formatter: "json" }])
+      ).to.throw(ConfigurationError, /formatter/);
+    });
+  });
+
+  describe("Fan-out", () => {
+    it("should send every call to all sinks", () => {
+      const adapter = new CompositeLoggerAdapter([
+        { adapter: first },
+        { adapter: second },
+      ]);
+
+      adapter.info("hello", { userId: "1" });
+
+      expect(first.info.mock.calls[0].arguments).to.deep.equal([
+        "hello",
+        { userId: "1" },
+      ]);
+      expect(second.info.mock.calls[0].arguments).to.deep.equal([
+        "hello",
+        { userId: "1" },
+      ]);
+    });
+
+    it("should apply each sink's minimum level", () => {
+      const adapter = new CompositeLoggerAdapter([
+        { adapter: first },
+        { adapter: second, level: "warn" },
+      ]);
+
+      adapter.info("info");
+      adapter.error("error");
+
+      expect(first.info.mock.callCount()).to.equal(1);
+      expect(second.info.mock.callCount()).to.equal(0);
+      expect(second.error.mock.callCount()).to.equal(1);
+    });
+
+    it("should apply each sink's formatter", () => {
+      const adapter = new CompositeLoggerAdapter([
+        { adapter: first },
+        {
+          adapter: second,
+          formatter: ({ level, message, meta }) => ({
+            message: `[${level}] ${message}`,
+            meta: { ...meta, sink: "audit" },
+          }),
+        },
+      ]);
+
+      adapter.warn("disk low", { free: 5 });
+
+      expect(first.warn.mock.calls[0].arguments).to.deep.equal([
+        "disk low",
+        { free: 5 },
+      ]);
+      expect(second.warn.mock.calls[0].arguments).to.deep.equal([
+        "[warn] disk low",
+        { free: 5, sink: "audit" },
+      ]);
+    });
+
+    it("should keep writing to other sinks when one fails", () => {
+      first.error = mock.fn(() => {
+        throw new Error("disk full");
+      });
+      const adapter = new CompositeLoggerAdapter(
+        [{ name: "files", adapter: first }, { adapter: second }],
+        { onSinkError }
+      );
+
+      expect(() => adapter.error("boom")).to.not.throw();
+
+      expect(second.error.mock.callCount()).to.equal(1);
+      const [error, details] = onSinkError.mock.calls[0].arguments;
+      expect(error.message).to.equal("disk full");
+      expect(details).to.deep.equal({
+        sink: "files",
+        level: "error",
+        message: "boom",
+      });
+    });
+
+    it("should isolate failing formatters and error reporters", () => {
+      const adapter = new CompositeLoggerAdapter(
+        [
+          {
+            adapter: first,
+            formatter: () => {
+              throw new Error("bad formatter");
+            },
+          },
+          { adapter: second },
+        ],
+        {
+          onSinkError: () => {
+            throw new Error("reporter failed too");
+          },
+        }
+      );
+
+      expect(() => adapter.info("still logged")).to.not.throw();
+      expect(second.info.mock.callCount()).to.equal(1);
+    });
+  });
+
+  describe("Level control", () => {
+    it("should propagate setLevel to every sink", () => {
+      const adapter = new CompositeLoggerAdapter([
+        { adapter: first },
+        { adapter: second, level: "warn" },
+      ]);
+
+      adapter.setLevel("debug");
+
+      expect(first.level).to.equal("debug");
+      expect(second.level).to.equal("debug");
+      expect(adapter.getLevel()).to.equal("debug");
+    });
+  });
+
+  describe("Flush and close", () => {
+    it("should flush and close every sink even when one fails", async () => {
+      first.flush = mock.fn(async () => {});
+      first.close = mock.fn(async () => {
+        throw new Error("socket gone");
+      });
+      second.flush = mock.fn(async () => {});
+      second.close = mock.fn(async () => {});
+      const adapter = new CompositeLoggerAdapter(
+        [{ name: "syslog", adapter: first }, { adapter: second }],
+        { onSinkError }
+      );
+
+      await adapter.flush();
+      await adapter.close();
+
+      expect(first.flush.mock.callCount()).to.equal(1);
+      expect(second.flush.mock.callCount()).to.equal(1);
+      expect(second.close.mock.callCount()).to.equal(1);
+      const [error, details] = onSinkError.mock.calls[0].arguments;
+      expect(error.message).to.equal("socket gone");
+      expect(details).to.deep.equal({
+        sink: "syslog",
+        level: "close",
+        message: "",
+      });
+    });
+  });
+
+  describe("Child loggers", () => {
+    it("should bind context on every sink and keep sink settings", () => {
+      const adapter = new CompositeLoggerAdapter([
+        { adapter: first },
+        { adapter: second, level: "error" },
+      ]);
+
+      const child = adapter.child({ module: "admin-context" });
+      child.info("bound");
+
+      expect(first.info.mock.calls[0].arguments[1]).to.deep.equal({
+        context: { module: "admin-context" },
+      });
+      expect(second.info.mock.callCount()).to.equal(0);
+    });
+  });
+
+  describe("Factory integration", () => {
+    it("should pass the same factory validation as single adapters", () => {
+      const adapter = new CompositeLoggerAdapter([{ adapter: first }]);
+      const logger = createLoggerFactory(
+        { context: { service: "test-service" } },
+        adapter,
+        ["info", "error"]
+      );
+
+      logger.info("through factory");
+
+      expect(first.info.mock.calls[0].arguments[1]).to.deep.equal({
+        context: { service: "test-service" },
+      });
+    });
+  });
+
+  describe("Selection via LOGGER_CONFIGS_ADAPTER", () => {
+    let createLogger;
+
+    before(async () => {
+      // The composition root reads logger config on import
+      process.env.LOGGER_CONFIGS_ADAPTER ??= "winston";
+      process.env.LOGGER_CONFIGS_LOG_LEVEL ??= "info";
+      process.env.LOGGER_CONFIGS_STORE_LOGS ??= "false";
+      process.env.LOGGER_CONFIGS_LOG_TO_CONSOLE ??= "false";
+      ({ default: createLogger } = await import(
+        "../../../../src/infrastructure/logging/logger.js"
+      ));
+    });
+
+    it("should build a composite from a comma-separated adapter list", () => {
+      const logger = createLogger(
+        { module: "test" },
+        { adapterName: "winston, pino:warn" }
+      );
+      const sameLogger = createLogger({}, { adapterName: "winston,pino:warn" });
+
+      logger.setLevel("debug");
+
+      expect(sameLogger.getLevel()).to.equal("debug");
+      expect(createLogger({}, { adapterName: "pino" }).getLevel()).to.equal(
+        "debug"
+      );
+      expect(logger.child({ feature: "x" }).trace).to.be.a("function");
+    });
+  });
+});
@@ -0,0 +1,289 @@
+import { once } from "node:events";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { describe, it, beforeEach, afterEach } from "node:test";
+import zlib from "node:zlib";
+
+import { expect } from "chai";
+
+import { HttpShippingLoggerAdapter } from "../../../../src/infrastructure/logging/http-shipping-logger.adapter.js";
+import { LoggerPort } from "../../../../src/infrastructure/logging/logger.port.js";
+import { ConfigurationError } from "../../../../src/shared/errors/index.js";
+import { REDACTED } from "../../../../src/shared/utils/sanitizer.js";
+
+/**
+ * HttpShippingLoggerAdapter Tests
+ *
+ * Architecture: Infrastructure Adapter (HTTP Shipping Testing)
+ * Scope: NDJSON batches to a local collector stand-in, gzip, retries, disk spool, stats
+ */
+describe("HttpShippingLoggerAdapter", () => {
+  const TIMESTAMP = "2024-01-01T00:00:00.000Z";
+  let spoolDir;
+  let collector;
+  const adapters = [];
+
+  // Collector stand-in answering with `status` and keeping the accepted batches
+  const startCollector = async () => {
+    const state = { status: 200, batches: [], requests: [] };
+    const server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on("data", (chunk) => chunks.push(chunk));
+      req.on("end", () => {
+        const raw = Buffer.concat(chunks);
+        const body =
+          req.headers["content-encoding"] === "gzip"
+            ? zlib.gunzipSync(raw).toString()
+            : raw.toString();
+        state.requests.push({ headers: req.headers, body });
+        if (state.status < 300) {
+          state.batches.push(
+            body
+              .trim()
+              .split("\n")
+              .map((line) => JSON.parse(line))
+          );
+        }
+        res.writeHead(state.status).end();
+      });
+    });
+    server.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    state.url = `http://127.0.0.1:${server.address().port}/ingest`;
+    state.stop = () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(resolve);
+      });
+    return state;
+  };
+
+  const createAdapter = (options = {}) => {
+    const adapter = new HttpShippingLoggerAdapter({
+      url: collector.url,
+      spoolDir,
+      batchSize: 2,
+      flushIntervalMs: 60000,
+      retryDelayMs: 20,
+      now: () => new Date(TIMESTAMP),
+      onError: () => {},
+      ...options,
+    });
+    adapters.push(adapter);
+    return adapter;
+  };
+
+  const messages = (batches) => batches.flat().map(({ message }) => message);
+
+  const waitFor = async (condition) => {
+    const deadline = Date.now() + 5000;
+    while (!condition()) {
+      if (Date.now() > deadline) throw new Error("Timed out waiting");
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+  };
+
+  beforeEach(async () => {
+    spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), "log-shipping-"));
+    collector = await startCollector();
+  });
+
+  afterEach(async () => {
+    await Promise.all(adapters.splice(0).map((adapter) => adapter.close()));
+    await collector.stop();
+    fs.rmSync(spoolDir, { recursive: true, force: true });
+  });
+
+  it("should extend LoggerPort", () => {
+    expect(createAdapter()).to.be.instanceOf(LoggerPort);
+  });
+
+  it("should POST full batches as gzipped NDJSON records", async () => {
+    const adapter = createAdapter({
+      headers: { Authorization: "Bearer token" },
+    });
+
+    adapter.info("Admin created", {
+      context: { service: "admin-service" },
+      password: "hunter2",
+    });
+    adapter.warn("Slow query", { durationMs: 1500 });
+    await waitFor(() => adapter.getStats().shipped === 2);
+
+    const [{ headers }] = collector.requests;
+    expect(headers).to.include({
+      "content-type": "application/x-ndjson",
+      "content-encoding": "gzip",
+      authorization: "Bearer token",
+    });
+    expect(collector.batches[0]).to.deep.equal([
+      {
+        timestamp: TIMESTAMP,
+        level: "info",
+        message: "Admin created",
+        service: "admin-service",
+        password: REDACTED,
+      },
+      {
+        timestamp: TIMESTAMP,
+        level: "warn",
+        message: "Slow query",
+        durationMs: 1500,
+      },
+    ]);
+    expect(adapter.getStats().queued).to.equal(0);
+  });
+
+  it("should ship partial batches on flush and skip entries above the level", async () => {
+    const adapter = createAdapter({ gzip: false, level: "info" });
+
+    adapter.debug("hidden");
+    adapter.info("visible");
+    await adapter.flush();
+
+    expect(collector.requests[0].headers).to.not.have.property(
+      "content-encoding"
+    );
+    expect(messages(collector.batches)).to.deep.equal(["visible"]);
+  });
+
+  it("should spool batches while the collector fails and replay them in order", async () => {
+    collector.status = 503;
+    const adapter = createAdapter();
+
+    ["m1", "m2", "m3", "m4", "m5"].forEach((m) => adapter.info(m));
+    await waitFor(() => adapter.getStats().state === "retrying");
+    await adapter.flush();
+
+    expect(adapter.getStats()).to.include({
+      queued: 0,
+      spooledBatches: 3,
+      shipped: 0,
+      lastError: "Log collector responded with 503",
+    });
+
+    collector.status = 200;
+    await waitFor(() => adapter.getStats().spooledBatches === 0);
+
+    expect(messages(collector.batches)).to.deep.equal([
+      "m1",
+      "m2",
+      "m3",
+      "m4",
+      "m5",
+    ]);
+    expect(adapter.getStats()).to.include({
+      state: "shipping",
+      shipped: 5,
+      consecutiveFailures: 0,
+      spooledBytes: 0,
+    });
+    expect(fs.readdirSync(spoolDir)).to.be.empty;
+  });
+
+  it("should replay the spool left by a previous run on start", async () => {
+    await collector.stop();
+    const first = createAdapter();
+    first.info("before restart");
+    await first.close();
+    expect(fs.readdirSync(spoolDir)).to.have.length(1);
+
+    collector = await startCollector();
+    const second = createAdapter();
+
+    await waitFor(() => second.getStats().spooledBatches === 0);
+    expect(messages(collector.batches)).to.deep.equal(["before restart"]);
+  });
+
+  it("should skip and report spooled batches that can no longer be read", async () => {
+    const file = path.join(spoolDir, "batch-1-000000001.ndjson");
+    fs.writeFileSync(file, `${JSON.stringify({ message: "lost" })}\n`);
+    const errors = [];
+    const adapter = createAdapter({ onError: (error) => errors.push(error) });
+
+    // e.g. replayed by another instance sharing the spool directory
+    fs.rmSync(file);
+    await waitFor(() => adapter.getStats().spooledBatches === 0);
+
+    expect(errors.map(({ code }) => code)).to.deep.equal(["ENOENT"]);
+    expect(collector.requests).to.be.empty;
+  });
+
+  it("should ship without a spool when its directory is unusable", async () => {
+    const blocker = path.join(spoolDir, "not-a-directory");
+    fs.writeFileSync(blocker, "");
+    collector.status = 503;
+    const errors = [];
+    const adapter = createAdapter({
+      spoolDir: path.join(blocker, "spool"),
+      onError: (error) => errors.push(error),
+    });
+
+    adapter.info("m1");
+    adapter.info("m2");
+    await waitFor(() => adapter.getStats().state === "retrying");
+    adapter.info("m3");
+    adapter.info("m4");
+
+    expect(errors[0]).to.be.instanceOf(ConfigurationError);
+    expect(errors[0].details).to.deep.equal({
+      spoolDir: path.join(blocker, "spool"),
+    });
+    expect(adapter.getStats()).to.include({
+      spooling: false,
+      spooledBatches: 0,
+      dropped: 4,
+    });
+  });
+
+  it("should drop batches rejected with a 4xx status", async () => {
+    collector.status = 400;
+    const errors = [];
+    const adapter = createAdapter({ onError: (error) => errors.push(error) });
+
+    adapter.info("m1");
+    adapter.info("m2");
+    await waitFor(() => adapter.getStats().dropped === 2);
+
+    expect(adapter.getStats()).to.include({ state: "shipping", shipped: 0 });
+    expect(errors.map(({ message }) => message)).to.deep.equal([
+      "Log collector responded with 400",
+    ]);
+  });
+
+  it("should bound the spool and count the dropped entries", async () => {
+    collector.status = 503;
+    const adapter = createAdapter({ maxSpoolBytes: 400 });
+
+    for (let n = 1; n <= 8; n++) adapter.info(`entry ${n}`);
+    await waitFor(() => adapter.getStats().state === "retrying");
+    await adapter.flush();
+
+    const stats = adapter.getStats();
+    expect(stats.spooledBytes).to.be.at.most(400);
+    expect(stats.dropped).to.be.above(0);
+    expect(stats.dropped + stats.spooledBatches * 2).to.equal(8);
+  });
+
+  it("should reject invalid settings", () => {
+    expect(() => createAdapter({ url: "udp://collector" })).to.throw(
+      ConfigurationError
+    );
+    for (const name of [
+      "batchSize",
+      "maxSpoolBytes",
+      "timeoutMs",
+      "retryDelayMs",
+      "maxRetryDelayMs",
+    ]) {
+      for (const value of [0, NaN]) {
+        expect(() => createAdapter({ [name]: value }), name).to.throw(
+          ConfigurationError,
+          `Invalid log shipping ${name}`
+        );
+      }
+    }
+  });
+});
@@ -0,0 +1,165 @@
+import { describe, it, mock } from "node:test";
+
+import { expect } from "chai";
+
+import {
+  serializeEntryErrors,
+  serializeError,
+} from "../../../../src/infrastructure/logging/log-error-serializer.js";
+import { createLoggerFactory } from "../../../../src/infrastructure/logging/logger.factory.js";
+import { LoggerPort } from "../../../../src/infrastructure/logging/logger.port.js";
+import { logFormatter } from "../../../../src/infrastructure/logging/pino-logger-formatters.js";
+import { jsonFormat } from "../../../../src/infrastructure/logging/winston-logger-formats.js";
+import {
+  BusinessLogicError,
+  ValidationError,
+} from "../../../../src/shared/errors/index.js";
+import { CIRCULAR, REDACTED } from "../../../../src/shared/utils/sanitizer.js";
+
+/**
+ * Log Error Serializer Tests
+ *
+ * Architecture: Infrastructure Component (Serialization Testing)
+ * Scope: BaseError fields, cause chains, details sanitization, Winston/Pino parity
+ */
+describe("Log Error Serializer", () => {
+  // Winston stores the formatted output under this symbol
+  const MESSAGE = Symbol.for("message");
+
+  const createValidationError = () =>
+    new ValidationError("Email is invalid", {
+      component: "admin",
+      operation: "create",
+      field: "email",
+      value: "not-an-email",
+      rule: "email",
+      details: { password: "hunter2", attempt: 2 },
+    });
+
+  describe("serializeError", () => {
+    it("should keep BaseError and subclass properties and sanitize details", () => {
+      const error = createValidationError();
+
+      expect(serializeError(error)).to.deep.equal({
+        name: "ValidationError",
+        message: "Email is invalid",
+        component: "admin",
+        operation: "create",
+        details: { password: REDACTED, attempt: 2 },
+        field: "email",
+        value: "not-an-email",
+        rule: "email",
+        code: "ADMIN.VALIDATION.FIELD_INVALID",
+        httpStatus: { code: 400, message: "Bad Request" },
+        stack: error.stack,
+      });
+    });
+
+    it("should follow the cause chain recursively", () => {
+      const root = Object.assign(new Error("connect ECONNREFUSED"), {
+        code: "ECONNREFUSED",
+      });
+      const error = new BusinessLogicError("Admin creation failed", {
+        businessRule: "unique-email",
+        details: { token: "abc" },
+      });
+      error.cause = new Error("Event store append failed", { cause: root });
+
+      const serialized = serializeError(error);
+
+      expect(serialized.businessRule).to.equal("unique-email");
+      expect(serialized.details).to.deep.equal({ token: REDACTED });
+      expect(serialized.cause.message).to.equal("Event store append failed");
+      expect(serialized.cause.cause).to.include({
+        name: "Error",
+        code: "ECONNREFUSED",
+        stack: root.stack,
+      });
+    });
+
+    it("should handle circular causes, value causes and aggregated errors", () => {
+      const error = new Error("loop");
+      error.cause = error;
+      const aggregate = new AggregateError(
+        [new Error("first"), "second"],
+        "Several failures",
+        { cause: { secret: "s3cr3t" } }
+      );
+
+      expect(serializeError(error).cause).to.equal(CIRCULAR);
+      expect(serializeError(aggregate).errors[0].message).to.equal("first");
+      expect(serializeError(aggregate).errors[1]).to.equal("second");
+      expect(serializeError(aggregate).cause).to.deep.equal({
+        secret: REDACTED,
+      });
+    });
+
+    it("should serialize only top-level errors of an entry", () => {
+      const entry = serializeEntryErrors({
+        error: new Error("boom"),
+        nested: { keep: true },
+      });
+
+      expect(entry.error).to.include({ name: "Error", message: "boom" });
+      expect(entry.nested).to.deep.equal({ keep: true });
+    });
+  });
+
+  describe("Adapter parity", () => {
+    it("should produce the same error object with Winston and Pino", () => {
+      const error = createValidationError();
+      error.cause = new Error("root cause");
+
+      const winstonEntry = JSON.parse(
+        jsonFormat.transform({ level: "error", message: "failed", error })[
+          MESSAGE
+        ]
+      );
+      const pinoEntry = logFormatter({ error });
+
+      expect(winstonEntry.error).to.deep.equal(pinoEntry.error);
+      expect(pinoEntry.error).to.include({
+        name: "ValidationError",
+        component: "admin",
+        operation: "create",
+        field: "email",
+        rule: "email",
+      });
+      expect(pinoEntry.error.details.password).to.equal(REDACTED);
+      expect(pinoEntry.error.cause.message).to.equal("root cause");
+    });
+  });
+
+  describe("Factory integration", () => {
+    class RecordingAdapter extends LoggerPort {
+      constructor() {
+        super();
+        this.error = mock.fn();
+      }
+    }
+
+    it("should move an error given as meta or message under meta.error", () => {
+      const adapter = new RecordingAdapter();
+      const logger = createLoggerFactory(
+        { context: { service: "test-service" } },
+        adapter,
+        ["error"]
+      );
+      const error = createValidationError();
+
+      logger.error("Admin creation failed", error);
+      logger.error(error);
+
+      const [first, second] = adapter.error.mock.calls.map(
+        ({ arguments: args }) => args
+      );
+      expect(first[0]).to.equal("Admin creation failed");
+      expect(first[1].error).to.equal(error);
+      expect(second[0]).to.equal("Email is invalid");
+      expect(second[1]).to.deep.equal({
+        error,
+        context: { service: "test-service" },
+      });
+    });
+  });
+});
@@ -0,0 +1,197 @@
+import { describe, it } from "node:test";
+
+import { expect } from "chai";
+
+import {
+  ECS_VERSION,
+  createLogRenderer,
+  resolveLogFormat,
+  toEcsRecord,
+  toLogRecord,
+  toLogfmt,
+} from "../../../../src/infrastructure/logging/log-formats.js";
+import {
+  formatDestination,
+  logFormatter,
+} from "../../../../src/infrastructure/logging/pino-logger-formatters.js";
+import { createWinstonFormat } from "../../../../src/infrastructure/logging/winston-logger-formats.js";
+import { ConfigurationError } from "../../../../src/shared/errors/index.js";
+
+/**
+ * Log Output Formats Tests
+ *
+ * Architecture: Infrastructure Component (Formatting Testing)
+ * Scope: Record mapping, json/logfmt/ecs/pretty renderers, Winston/Pino parity
+ */
+describe("Log Output Formats", () => {
+  // Winston stores the formatted output under this symbol
+  const MESSAGE = Symbol.for("message");
+  const TIMESTAMP = "2024-01-01T00:00:00.000Z";
+
+  const createEntry = () => ({
+    timestamp: TIMESTAMP,
+    level: "info",
+    message: "Admin created",
+    requestId: "req-1",
+    correlationId: "corr-1",
+    adminId: 42,
+    context: { service: "admin-service", module: "admin", feature: "create" },
+  });
+
+  describe("toLogRecord", () => {
+    it("should put the core fields first and flatten the context", () => {
+      const record = toLogRecord(createEntry());
+
+      expect(Object.keys(record).slice(0, 3)).to.deep.equal([
+        "timestamp",
+        "level",
+        "message",
+      ]);
+      expect(record).to.include({
+        service: "admin-service",
+        module: "admin",
+        feature: "create",
+        adminId: 42,
+      });
+      expect(record).to.not.have.property("context");
+    });
+
+    it("should ignore symbol keys and keep a non-object context", () => {
+      const record = toLogRecord({
+        level: "info",
+        message: "Started",
+        context: "bootstrap",
+        [MESSAGE]: "formatted",
+      });
+
+      expect(record.context).to.equal("bootstrap");
+      expect(Object.getOwnPropertySymbols(record)).to.be.empty;
+    });
+  });
+
+  describe("Renderers", () => {
+    it("should render compact single-line JSON", () => {
+      const line = createLogRenderer("json")(toLogRecord(createEntry()));
+
+      expect(line).to.not.include("\n");
+      expect(JSON.parse(line)).to.include({
+        level: "info",
+        module: "admin",
+      });
+    });
+
+    it("should render logfmt with dotted keys and quoted values", () => {
+      const line = toLogfmt({
+        level: "warn",
+        message: "Slow query detected",
+        db: { table: "admins", ms: 120 },
+        tags: ["a", "b"],
+        empty: "",
+        missing: undefined,
+      });
+
+      expect(line).to.equal(
+        'level=warn message="Slow query detected" db.table=admins db.ms=120 tags="[\\"a\\",\\"b\\"]" empty=""'
+      );
+    });
+
+    it("should map records to ECS field names", () => {
+      const error = { name: "ValidationError", message: "bad", stack: "at x" };
+      const ecs = toEcsRecord({
+        ...toLogRecord(createEntry()),
+        userId: "u-1",
+        error,
+      });
+
+      expect(ecs).to.deep.equal({
+        "@timestamp": TIMESTAMP,
+        "log.level": "info",
+        message: "Admin created",
+        "ecs.version": ECS_VERSION,
+        adminId: 42,
+        service: { name: "admin-service" },
+        labels: {
+          module: "admin",
+          feature: "create",
+          correlation_id: "corr-1",
+        },
+        http: { request: { id: "req-1" } },
+        user: { id: "u-1" },
+        error: { type: "ValidationError", message: "bad", stack_trace: "at x" },
+      });
+    });
+
+    it("should map the runtime metadata to ECS host, process and container fields", () => {
+      const ecs = toEcsRecord({
+        ...toLogRecord(createEntry()),
+        hostname: "host-1",
+        pid: 42,
+        version: "1.2.3",
+        revision: "abc123",
+        environment: "production",
+        containerId: "c0ffee",
+        startedAt: TIMESTAMP,
+      });
+
+      expect(ecs).to.deep.include({
+        service: {
+          name: "admin-service",
+          version: "1.2.3",
+          environment: "production",
+        },
+        host: { hostname: "host-1" },
+        process: { pid: 42, start: TIMESTAMP },
+        container: { id: "c0ffee" },
+      });
+      expect(ecs.labels).to.include({ revision: "abc123" });
+    });
+
+    it("should render pretty output without colors when not colorized", () => {
+      const output = createLogRenderer("pretty")(toLogRecord(createEntry()));
+
+      expect(output).to.include("INFO");
+      expect(output).to.include("Admin created");
+      expect(output).to.not.include("\u001b[");
+      expect(output.endsWith("\n")).to.be.false;
+    });
+
+    it("should reject unknown formats", () => {
+      expect(resolveLogFormat("ECS")).to.equal("ecs");
+      expect(() => createLogRenderer("xml")).to.throw(ConfigurationError);
+    });
+  });
+
+  describe("Adapter parity", () => {
+    const winstonOutput = (format, entry) =>
+      createWinstonFormat(format).transform({ ...entry })[MESSAGE];
+
+    const pinoOutput = (format, entry) => {
+      const lines = [];
+      const destination = formatDestination(
+        { write: (line) => lines.push(line) },
+        createLogRenderer(format)
+      );
+      destination.write(JSON.stringify(logFormatter({ ...entry })));
+      return lines[0].trimEnd();
+    };
+
+    for (const format of ["json", "logfmt", "ecs"]) {
+      it(`should render the same ${format} output with Winston and Pino`, () => {
+        const entry = createEntry();
+
+        expect(winstonOutput(format, entry)).to.equal(
+          pinoOutput(format, entry)
+        );
+      });
+    }
+
+    it("should redact secrets in every format", () => {
+      const entry = { ...createEntry(), password: "hunter2" };
+
+      for (const format of ["json", "logfmt", "ecs"]) {
+        expect(winstonOutput(format, entry)).to.not.include("hunter2");
+        expect(pinoOutput(format, entry)).to.not.include("hunter2");
+      }
+    });
+  });
+});
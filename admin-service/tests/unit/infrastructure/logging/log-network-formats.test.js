@@ -0,0 +1,182 @@
+import { describe, it } from "node:test";
+
+import { expect } from "chai";
+
+import {
+  SYSLOG_SEVERITIES,
+  chunkGelfPayload,
+  createNetworkEncoder,
+  resolveSyslogFacility,
+  toGelfMessage,
+  toSyslogMessage,
+} from "../../../../src/infrastructure/logging/log-network-formats.js";
+import { logMethodSeverity } from "../../../../src/infrastructure/logging/logger-levels.js";
+import { ConfigurationError } from "../../../../src/shared/errors/index.js";
+
+/**
+ * Network Log Formats Tests
+ *
+ * Architecture: Infrastructure Logging (Wire Format Testing)
+ * Scope: RFC 5424 syslog, GELF 1.1, severities, UDP chunking and TCP framing
+ */
+describe("Network Log Formats", () => {
+  const TIMESTAMP = "2024-01-01T00:00:00.000Z";
+
+  const record = {
+    timestamp: TIMESTAMP,
+    level: "warn",
+    message: "Slow query",
+    service: "admin-service",
+    module: "admin-context",
+    requestId: "req-1",
+    durationMs: 1500,
+  };
+
+  it("should map every log level to a syslog severity", () => {
+    expect(Object.keys(SYSLOG_SEVERITIES)).to.have.members(
+      Object.keys(logMethodSeverity)
+    );
+    expect(SYSLOG_SEVERITIES).to.include({
+      error: 3,
+      warn: 4,
+      info: 6,
+      debug: 7,
+    });
+  });
+
+  describe("syslog", () => {
+    it("should render an RFC 5424 message with structured context", () => {
+      const message = toSyslogMessage(record, {
+        facility: resolveSyslogFacility("local0"),
+        hostname: "host-1",
+      });
+
+      expect(message).to.equal(
+        `<132>1 ${TIMESTAMP} host-1 admin-service ${process.pid} admin-context ` +
+          '[context@32473 service="admin-service" module="admin-context" requestId="req-1"] ' +
+          'Slow query {"durationMs":1500}'
+      );
+    });
+
+    it("should escape parameter values and replace invalid header characters", () => {
+      const message = toSyslogMessage(
+        { ...record, module: undefined, feature: 'a "b" ]' },
+        { hostname: "my host" }
+      );
+
+      expect(message).to.include(" my_host admin-service ");
+      expect(message).to.include(`${process.pid} - [`);
+      expect(message).to.include('feature="a \\"b\\" \\]"');
+    });
+
+    it("should put the record hostname and pid in the header", () => {
+      const message = toSyslogMessage(
+        { ...record, hostname: "host-2", pid: 42, version: "1.2.3" },
+        { hostname: "host-1" }
+      );
+
+      expect(message).to.include(" host-2 admin-service 42 admin-context ");
+      expect(message).to.include(' version="1.2.3"]');
+      expect(message).to.not.include('"hostname"');
+    });
+
+    it("should frame TCP messages with octet counting", () => {
+      const encode = createNetworkEncoder("syslog", "tcp", {
+        baseFields: { service: "admin-service" },
+      });
+
+      const { service, ...withoutService } = record;
+      const [chunk] = encode(withoutService);
+      const text = chunk.toString();
+      const [length, ...rest] = text.split(" ");
+
+      expect(Number(length)).to.equal(Buffer.byteLength(rest.join(" ")));
+      expect(text).to.include(`service="${service}"`);
+    });
+
+    it("should reject unknown facilities", () => {
+      expect(resolveSyslogFacility(23)).to.equal(23);
+      expect(() => resolveSyslogFacility("local9")).to.throw(
+        ConfigurationError
+      );
+    });
+  });
+
+  describe("GELF", () => {
+    it("should map the record to GELF 1.1 with additional fields", () => {
+      const error = {
+        name: "Error",
+        message: "boom",
+        stack: "Error: boom\n  at x",
+      };
+
+      expect(
+        toGelfMessage(
+          { ...record, id: 7, error, tags: ["a"] },
+          { hostname: "host-1" }
+        )
+      ).to.deep.equal({
+        version: "1.1",
+        host: "host-1",
+        short_message: "Slow query",
+        full_message: error.stack,
+        timestamp: Date.parse(TIMESTAMP) / 1000,
+        level: 4,
+        _service: "admin-service",
+        _module: "admin-context",
+        _requestId: "req-1",
+        _durationMs: 1500,
+        _id_: 7,
+        _error_name: "Error",
+        _error_message: "boom",
+        _error_stack: error.stack,
+        _tags: '["a"]',
+      });
+    });
+
+    it("should use the record hostname as host", () => {
+      const gelf = toGelfMessage(
+        { ...record, hostname: "host-2", pid: 42 },
+        { hostname: "host-1" }
+      );
+
+      expect(gelf).to.include({ host: "host-2", _pid: 42 });
+      expect(gelf).to.not.have.property("_hostname");
+    });
+
+    it("should chunk payloads larger than one datagram", () => {
+      const payload = Buffer.alloc(3000, "x");
+
+      const chunks = chunkGelfPayload(payload, 1012);
+
+      expect(chunks).to.have.length(3);
+      chunks.forEach((chunk, index) => {
+        expect([...chunk.subarray(0, 2)]).to.deep.equal([0x1e, 0x0f]);
+        expect(chunk.subarray(2, 10)).to.deep.equal(chunks[0].subarray(2, 10));
+        expect([chunk[10], chunk[11]]).to.deep.equal([index, 3]);
+      });
+      expect(
+        Buffer.concat(chunks.map((chunk) => chunk.subarray(12)))
+      ).to.deep.equal(payload);
+      expect(chunkGelfPayload(Buffer.from("{}"))).to.have.length(1);
+      expect(() => chunkGelfPayload(Buffer.alloc(200000), 1012)).to.throw(
+        RangeError
+      );
+    });
+
+    it("should delimit TCP messages with a null byte", () => {
+      const [chunk] = createNetworkEncoder("gelf", "tcp")(record);
+
+      expect(chunk.at(-1)).to.equal(0);
+      expect(JSON.parse(chunk.subarray(0, -1))).to.include({
+        short_message: "Slow query",
+      });
+    });
+  });
+
+  it("should reject unknown formats", () => {
+    expect(() => createNetworkEncoder("fluentd", "tcp")).to.throw(
+      ConfigurationError
+    );
+  });
+});
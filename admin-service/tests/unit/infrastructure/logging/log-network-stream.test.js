@@ -0,0 +1,237 @@
+import dgram from "node:dgram";
+import { once } from "node:events";
+import net from "node:net";
+import { describe, it, afterEach } from "node:test";
+
+import { expect } from "chai";
+
+import {
+  NetworkLogStream,
+  createNetworkLogStreams,
+  parseCollectorUrl,
+} from "../../../../src/infrastructure/logging/log-network-stream.js";
+import { ConfigurationError } from "../../../../src/shared/errors/index.js";
+import { REDACTED } from "../../../../src/shared/utils/sanitizer.js";
+
+/**
+ * Network Log Stream Tests
+ *
+ * Architecture: Infrastructure Logging (Network Output Testing)
+ * Scope: UDP and TCP delivery to local collector stand-ins, reconnects, buffering, shutdown
+ */
+describe("Network Log Stream", () => {
+  const TIMESTAMP = "2024-01-01T00:00:00.000Z";
+  const cleanups = [];
+
+  const entry = (message, meta = {}) => ({
+    level: "info",
+    message,
+    timestamp: TIMESTAMP,
+    context: { service: "admin-service", module: "admin" },
+    ...meta,
+  });
+
+  const closeStream = async (stream) => {
+    if (stream.ended) return;
+    const closed = once(stream, "close");
+    stream.end();
+    await closed;
+  };
+
+  // UDP collector stand-in collecting datagrams
+  const startUdpCollector = async () => {
+    const socket = dgram.createSocket("udp4");
+    const datagrams = [];
+    socket.on("message", (datagram) => datagrams.push(datagram));
+    socket.bind(0, "127.0.0.1");
+    await once(socket, "listening");
+    cleanups.push(() => socket.close());
+    return { port: socket.address().port, datagrams };
+  };
+
+  // TCP collector stand-in collecting null-byte delimited GELF messages
+  const startTcpCollector = async (port = 0) => {
+    const messages = [];
+    const sockets = new Set();
+    const server = net.createServer((socket) => {
+      sockets.add(socket);
+      let pending = "";
+      socket.on("data", (data) => {
+        const parts = (pending + data.toString()).split("\0");
+        pending = parts.pop();
+        messages.push(...parts.map((part) => JSON.parse(part)));
+      });
+      socket.on("close", () => sockets.delete(socket));
+    });
+    server.listen(port, "127.0.0.1");
+    await once(server, "listening");
+    const stop = async () => {
+      sockets.forEach((socket) => socket.destroy());
+      await new Promise((resolve) => server.close(resolve));
+    };
+    cleanups.push(() => server.listening && stop());
+    return { port: server.address().port, messages, stop };
+  };
+
+  const waitFor = async (condition) => {
+    const deadline = Date.now() + 5000;
+    while (!condition()) {
+      if (Date.now() > deadline) throw new Error("Timed out waiting");
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+  };
+
+  afterEach(async () => {
+    await Promise.all(cleanups.splice(0).map((cleanup) => cleanup()));
+  });
+
+  it("should send syslog datagrams over UDP", async () => {
+    const collector = await startUdpCollector();
+    const [stream] = createNetworkLogStreams(
+      { syslog: `udp://127.0.0.1:${collector.port}` },
+      { baseFields: { service: "admin-service" } }
+    );
+
+    stream.write(JSON.stringify(entry("Admin created")));
+    await new Promise((resolve) => stream.flush(resolve));
+    await waitFor(() => collector.datagrams.length === 1);
+    await closeStream(stream);
+
+    const message = collector.datagrams[0].toString();
+    expect(message).to.match(
+      /^<134>1 2024-01-01T00:00:00.000Z \S+ admin-service /
+    );
+    expect(message).to.match(/ Admin created$/);
+  });
+
+  it("should send chunked GELF over UDP", async () => {
+    const collector = await startUdpCollector();
+    const [stream] = createNetworkLogStreams({
+      gelf: `udp://127.0.0.1:${collector.port}`,
+    });
+
+    stream.write(entry("Large entry", { notes: "x".repeat(5000) }));
+    await waitFor(() => collector.datagrams.length === 4);
+    await closeStream(stream);
+
+    const payload = Buffer.concat(
+      collector.datagrams
+        .sort((a, b) => a[10] - b[10])
+        .map((datagram) => datagram.subarray(12))
+    );
+    expect(JSON.parse(payload)).to.include({
+      short_message: "Large entry",
+      _service: "admin-service",
+    });
+  });
+
+  it("should redact entries when asked to", async () => {
+    const collector = await startTcpCollector();
+    const [stream] = createNetworkLogStreams(
+      { gelf: `tcp://127.0.0.1:${collector.port}` },
+      { redactEntries: true }
+    );
+
+    stream.write(JSON.stringify(entry("Login", { password: "hunter2" })));
+    await waitFor(() => collector.messages.length === 1);
+    await closeStream(stream);
+
+    expect(collector.messages[0]._password).to.equal(REDACTED);
+  });
+
+  it("should reconnect when the TCP collector restarts and send the buffered entries", async () => {
+    const collector = await startTcpCollector();
+    const { port } = collector;
+    const stream = createNetworkLogStreams(
+      { gelf: `tcp://127.0.0.1:${port}` },
+      {}
+    )[0];
+    stream.reconnectDelayMs = 20;
+    cleanups.push(() => closeStream(stream));
+
+    await once(stream, "connect");
+    stream.write(entry("before restart"));
+    await waitFor(() => collector.messages.length === 1);
+
+    const disconnected = once(stream, "disconnect");
+    await collector.stop();
+    await disconnected;
+    stream.write(entry("during restart"));
+
+    const restarted = await startTcpCollector(port);
+    await waitFor(() => restarted.messages.length === 1);
+    stream.write(entry("after restart"));
+    await waitFor(() => restarted.messages.length === 2);
+
+    expect(restarted.messages.map((m) => m.short_message)).to.deep.equal([
+      "during restart",
+      "after restart",
+    ]);
+  });
+
+  it("should keep a bounded buffer while the collector is down and report drops", async () => {
+    const port = await new Promise((resolve) => {
+      const probe = net.createServer().listen(0, "127.0.0.1", () => {
+        const { port: free } = probe.address();
+        probe.close(() => resolve(free));
+      });
+    });
+    const errors = [];
+    const stream = new NetworkLogStream({
+      name: "gelf",
+      protocol: "tcp",
+      host: "127.0.0.1",
+      port,
+      encode: (record) => [Buffer.from(`${JSON.stringify(record)}\0`)],
+      maxBufferedEntries: 2,
+      reconnectDelayMs: 20,
+      onError: (error) => errors.push(error),
+    });
+    cleanups.push(() => closeStream(stream));
+
+    ["m1", "m2", "m3", "m4"].forEach((m) => stream.write(entry(m)));
+    const collector = await startTcpCollector(port);
+    await waitFor(() => collector.messages.length === 3);
+
+    expect(collector.messages.map(({ message }) => message)).to.deep.equal([
+      "m3",
+      "m4",
+      "Dropped 2 log entries: log collector unreachable",
+    ]);
+    expect(errors).to.have.length(1); // Reported once per outage
+  });
+
+  it("should drop writes after end", async () => {
+    const collector = await startUdpCollector();
+    const [stream] = createNetworkLogStreams({
+      syslog: `udp://127.0.0.1:${collector.port}`,
+    });
+
+    await closeStream(stream);
+
+    expect(stream.write(entry("too late"))).to.be.false;
+  });
+
+  it("should parse collector URLs", () => {
+    expect(parseCollectorUrl("udp://collector", 514)).to.deep.equal({
+      protocol: "udp",
+      host: "collector",
+      port: 514,
+    });
+    expect(parseCollectorUrl("tcp://[::1]:12201")).to.deep.equal({
+      protocol: "tcp",
+      host: "::1",
+      port: 12201,
+    });
+    expect(() => parseCollectorUrl("http://collector:514")).to.throw(
+      ConfigurationError
+    );
+    expect(() => parseCollectorUrl("collector")).to.throw(ConfigurationError);
+    expect(() =>
+      createNetworkLogStreams({
+        syslog: "udp://127.0.0.1",
+        syslogFacility: "local9",
+      })
+    ).to.throw(ConfigurationError);
+  });
+});
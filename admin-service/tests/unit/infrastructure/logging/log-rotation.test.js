@@ -0,0 +1,259 @@
+import { once } from "node:events";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, it, beforeEach, afterEach } from "node:test";
+import { gunzipSync } from "node:zlib";
+
+import { expect } from "chai";
+
+import {
+  RotatingFileStream,
+  parseAge,
+  parseSize,
+  pruneRotatedFiles,
+  resolveRotationPolicy,
+  toDailyRotateFileOptions,
+} from "../../../../src/infrastructure/logging/log-rotation.js";
+import { ConfigurationError } from "../../../../src/shared/errors/index.js";
+
+/**
+ * Log Rotation Tests
+ *
+ * Architecture: Infrastructure Logging (File Rotation Testing)
+ * Scope: LOG_ROTATE_* policy parsing, Winston options, Pino rotating stream, retention
+ */
+describe("Log Rotation", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "log-rotation-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("Policy", () => {
+    it("should parse sizes and ages", () => {
+      expect(parseSize("100m")).to.equal(100 * 1024 * 1024);
+      expect(parseSize("512K")).to.equal(512 * 1024);
+      expect(parseSize("2048")).to.equal(2048);
+      expect(parseAge("30d")).to.equal(30 * 24 * 60 * 60 * 1000);
+      expect(parseAge("12h")).to.equal(12 * 60 * 60 * 1000);
+      expect(parseAge("7")).to.equal(7 * 24 * 60 * 60 * 1000);
+    });
+
+    it("should reject malformed settings", () => {
+      expect(() => parseSize("big")).to.throw(ConfigurationError);
+      expect(() => parseAge("1w")).to.throw(ConfigurationError);
+      expect(() => resolveRotationPolicy({ maxFiles: "five" })).to.throw(
+        ConfigurationError,
+        /file count/
+      );
+    });
+
+    it("should map the policy to winston-daily-rotate-file options", () => {
+      const policy = resolveRotationPolicy({
+        dir,
+        maxSize: "1m",
+        maxFiles: "5",
+        maxAge: "30d",
+        compress: true,
+      });
+
+      expect(toDailyRotateFileOptions(policy, "error")).to.deep.equal({
+        dirname: dir,
+        filename: "error-%DATE%.log",
+        datePattern: "YYYY-MM-DD",
+        maxSize: 1024 * 1024,
+        maxFiles: 5,
+        zippedArchive: true,
+      });
+    });
+  });
+
+  describe("RotatingFileStream", () => {
+    const day = (date) => () => new Date(`${date}T12:00:00`);
+    const line = (n) => `${JSON.stringify({ n, msg: "x".repeat(40) })}\n`;
+
+    it("should rotate when the size limit would be exceeded", async () => {
+      const policy = resolveRotationPolicy({ dir, maxSize: "120" });
+      const stream = new RotatingFileStream({
+        name: "all",
+        policy,
+        sync: true,
+        now: day("2024-01-01"),
+      });
+
+      const rotated = once(stream, "rotate");
+      const archived = once(stream, "archived");
+      stream.write(line(1));
+      stream.write(line(2));
+      stream.write(line(3));
+      const [previous, next] = await rotated;
+      await archived;
+      stream.end();
+
+      expect(path.basename(previous)).to.equal("all-2024-01-01.log");
+      expect(path.basename(next)).to.equal("all-2024-01-01.1.log");
+      expect(fs.readFileSync(previous, "utf8")).to.equal(line(1) + line(2));
+      expect(fs.readFileSync(next, "utf8")).to.equal(line(3));
+    });
+
+    it("should start a new file when the day changes", async () => {
+      let now = new Date("2024-01-01T23:59:00");
+      const stream = new RotatingFileStream({
+        name: "info",
+        policy: resolveRotationPolicy({ dir }),
+        sync: true,
+        now: () => now,
+      });
+
+      const archived = once(stream, "archived");
+      stream.write(line(1));
+      now = new Date("2024-01-02T00:01:00");
+      stream.write(line(2));
+      await archived;
+      stream.end();
+
+      expect(fs.readdirSync(dir).sort()).to.deep.equal([
+        "info-2024-01-01.log",
+        "info-2024-01-02.log",
+      ]);
+    });
+
+    it("should continue today's latest file after a restart", () => {
+      fs.writeFileSync(path.join(dir, "all-2024-01-01.log"), "old\n");
+      fs.writeFileSync(path.join(dir, "all-2024-01-01.1.log"), "x".repeat(100));
+
+      const stream = new RotatingFileStream({
+        name: "all",
+        policy: resolveRotationPolicy({ dir, maxSize: "100" }),
+        sync: true,
+        now: day("2024-01-01"),
+      });
+      stream.end();
+
+      expect(path.basename(stream.filePath())).to.equal("all-2024-01-01.2.log");
+    });
+
+    it("should compress rotated files and keep maxFiles", async () => {
+      const stream = new RotatingFileStream({
+        name: "error",
+        policy: resolveRotationPolicy({
+          dir,
+          maxSize: "60",
+          maxFiles: 2,
+          compress: true,
+        }),
+        sync: true,
+        now: day("2024-01-01"),
+      });
+
+      let archiving = once(stream, "archived");
+      stream.write(line(1));
+      stream.write(line(2));
+      const [archived] = await archiving;
+
+      expect(path.basename(archived)).to.equal("error-2024-01-01.log.gz");
+      expect(gunzipSync(fs.readFileSync(archived)).toString()).to.equal(line(1));
+
+      archiving = once(stream, "archived");
+      stream.write(line(3));
+      const [, removed] = await archiving;
+      stream.end();
+
+      expect(removed.map((file) => path.basename(file))).to.deep.equal([
+        "error-2024-01-01.log.gz",
+      ]);
+      expect(fs.readdirSync(dir).sort()).to.deep.equal([
+        "error-2024-01-01.1.log.gz",
+        "error-2024-01-01.2.log",
+      ]);
+    });
+  });
+
+  describe("Flush and close", () => {
+    it("should flush asynchronous writes and drop writes after end", async () => {
+      const stream = new RotatingFileStream({
+        name: "all",
+        policy: resolveRotationPolicy({ dir }),
+        now: () => new Date("2024-01-01T12:00:00"),
+      });
+
+      stream.write("first\n");
+      stream.write("second\n");
+      await new Promise((resolve, reject) =>
+        stream.flush((error) => (error ? reject(error) : resolve()))
+      );
+      const file = stream.filePath();
+
+      expect(fs.readFileSync(file, "utf8")).to.equal("first\nsecond\n");
+
+      const closed = once(stream, "close");
+      stream.end();
+      await closed;
+
+      expect(stream.write("late\n")).to.equal(false);
+      expect(fs.readFileSync(file, "utf8")).to.equal("first\nsecond\n");
+    });
+
+    it("should wait for every pending write, whatever the line sizes", async () => {
+      const stream = new RotatingFileStream({
+        name: "all",
+        policy: resolveRotationPolicy({ dir }),
+        now: () => new Date("2024-01-01T12:00:00"),
+      });
+      const lines = Array.from(
+        { length: 200 },
+        (_, n) => `${n} ${"é".repeat(n * 50)}\n`
+      );
+
+      lines.forEach((line) => stream.write(line));
+      await new Promise((resolve, reject) =>
+        stream.flush((error) => (error ? reject(error) : resolve()))
+      );
+
+      expect(fs.readFileSync(stream.filePath(), "utf8")).to.equal(
+        lines.join("")
+      );
+      expect(stream.pendingBytes).to.equal(0);
+      stream.end();
+      await once(stream, "close");
+    });
+  });
+
+  describe("pruneRotatedFiles", () => {
+    it("should delete files older than maxAge and never the active file", async () => {
+      const now = new Date("2024-02-01T00:00:00Z");
+      const old = new Date("2024-01-01T00:00:00Z");
+      for (const file of [
+        "all-2024-01-01.log",
+        "all-2024-01-01.log.1.gz",
+        "all-2024-01-31.log",
+        "other-2024-01-01.log",
+      ]) {
+        fs.writeFileSync(path.join(dir, file), "");
+        fs.utimesSync(path.join(dir, file), old, old);
+      }
+
+      const removed = await pruneRotatedFiles({
+        dir,
+        name: "all",
+        maxAgeMs: parseAge("7d"),
+        activeFile: path.join(dir, "all-2024-01-31.log"),
+        now,
+      });
+
+      expect(removed.map((file) => path.basename(file)).sort()).to.deep.equal([
+        "all-2024-01-01.log",
+        "all-2024-01-01.log.1.gz",
+      ]);
+      expect(fs.readdirSync(dir).sort()).to.deep.equal([
+        "all-2024-01-31.log",
+        "other-2024-01-01.log",
+      ]);
+    });
+  });
+});
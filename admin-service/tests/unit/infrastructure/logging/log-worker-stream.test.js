@@ -0,0 +1,170 @@
+import { once } from "node:events";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, it, beforeEach, afterEach } from "node:test";
+
+import { expect } from "chai";
+
+import { resolveRotationPolicy } from "../../../../src/infrastructure/logging/log-rotation.js";
+import { LogWorkerStream } from "../../../../src/infrastructure/logging/log-worker-stream.js";
+import { ConfigurationError } from "../../../../src/shared/errors/index.js";
+import { REDACTED } from "../../../../src/shared/utils/sanitizer.js";
+
+/**
+ * Log Worker Stream Tests
+ *
+ * Architecture: Infrastructure Logging (Worker Thread Testing)
+ * Scope: Off-thread redaction and writing, file thresholds, overflow policies, shutdown
+ */
+describe("Log Worker Stream", () => {
+  const TIMESTAMP = "2024-01-01T00:00:00.000Z";
+  let dir;
+  let stream;
+
+  const createStream = (options = {}) =>
+    new LogWorkerStream({
+      files: [{ name: "error", level: "warn" }, { name: "all" }],
+      fileFormat: "json",
+      policy: resolveRotationPolicy({ dir }),
+      ...options,
+    });
+
+  const entry = (message, level = "info", meta = {}) => ({
+    level,
+    message,
+    timestamp: TIMESTAMP,
+    ...meta,
+  });
+
+  const flush = () => new Promise((resolve) => stream.flush(resolve));
+
+  const readLog = (name) => {
+    const file = fs.readdirSync(dir).find((f) => f.startsWith(`${name}-`));
+    return fs
+      .readFileSync(path.join(dir, file), "utf8")
+      .trim()
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line));
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "log-worker-"));
+  });
+
+  afterEach(async () => {
+    if (stream && !stream.ended) {
+      const closed = once(stream, "close");
+      stream.end();
+      await closed;
+    }
+    stream = undefined;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should redact, render and write entries in the worker", async () => {
+    stream = createStream();
+
+    stream.write(
+      entry("Admin created", "info", {
+        password: "hunter2",
+        context: { service: "admin-service", module: "admin" },
+      })
+    );
+    stream.write(
+      JSON.stringify(
+        entry("Save failed", "error", {
+          error: { name: "Error", message: "boom", details: { token: "t" } },
+        })
+      )
+    );
+    await flush();
+
+    const all = readLog("all");
+    expect(all).to.have.length(2);
+    expect(all[0]).to.deep.equal({
+      timestamp: TIMESTAMP,
+      level: "info",
+      message: "Admin created",
+      password: REDACTED,
+      service: "admin-service",
+      module: "admin",
+    });
+    expect(all[1].error.details.token).to.equal(REDACTED);
+    expect(readLog("error").map(({ message }) => message)).to.deep.equal([
+      "Save failed",
+    ]);
+  });
+
+  it("should drop entries beyond the queue size and report them", async () => {
+    stream = createStream({ queueSize: 2, overflow: "drop" });
+
+    const accepted = [1, 2, 3, 4, 5].map((n) => stream.write(entry(`m${n}`)));
+    await flush();
+
+    expect(accepted).to.deep.equal([true, true, false, false, false]);
+    expect(stream.getStats()).to.deep.equal({
+      queued: 0,
+      pending: 0,
+      dropped: 3,
+    });
+    const all = readLog("all");
+    expect(all.map(({ message }) => message)).to.deep.equal([
+      "m1",
+      "m2",
+      "Dropped 3 log entries: log worker queue full",
+    ]);
+    expect(all[2].logWorker).to.deep.equal({
+      dropped: 3,
+      queueSize: 2,
+      overflow: "drop",
+    });
+  });
+
+  it("should wait for the worker instead of dropping with the block policy", async () => {
+    stream = createStream({ queueSize: 2, overflow: "block" });
+    await flush(); // Worker started
+
+    const accepted = [1, 2, 3, 4, 5].map((n) => stream.write(entry(`m${n}`)));
+    await flush();
+
+    expect(accepted.every(Boolean)).to.be.true;
+    expect(stream.getStats().dropped).to.equal(0);
+    expect(readLog("all")).to.have.length(5);
+  });
+
+  it("should write everything queued on close and drop later writes", async () => {
+    stream = createStream();
+
+    stream.write(entry("last words"));
+    const closed = once(stream, "close");
+    stream.end();
+    await closed;
+
+    expect(stream.write(entry("too late"))).to.be.false;
+    expect(readLog("all").map(({ message }) => message)).to.deep.equal([
+      "last words",
+    ]);
+  });
+
+  it("should send entries the structured clone rejects as JSON", async () => {
+    stream = createStream();
+
+    stream.write(entry("with callback", "info", { callback: () => {} }));
+    await flush();
+
+    expect(readLog("all")[0]).to.include({ message: "with callback" });
+  });
+
+  it("should reject invalid settings", () => {
+    expect(() => createStream({ queueSize: 0 })).to.throw(ConfigurationError);
+    expect(() => createStream({ overflow: "wait" })).to.throw(
+      ConfigurationError,
+      /overflow policy/
+    );
+    expect(() => createStream({ fileFormat: "xml" })).to.throw(
+      ConfigurationError
+    );
+  });
+});
@@ -0,0 +1,186 @@
+import { Writable } from "node:stream";
+import { describe, it, before, beforeEach, afterEach, mock } from "node:test";
+
+import { expect } from "chai";
+import pino from "pino";
+import winston from "winston";
+
+import {
+  LOG_LEVEL_NAMES,
+  getLogLevelControl,
+} from "../../../../src/infrastructure/logging/logger-level-control.js";
+import { LoggerPort } from "../../../../src/infrastructure/logging/logger.port.js";
+import { ValidationError } from "../../../../src/shared/errors/index.js";
+
+/**
+ * Runtime Log Level Control Tests
+ *
+ * Architecture: Infrastructure Component (Behavior Testing)
+ * Scope: Level validation, TTL revert, and propagation to adapter outputs
+ */
+describe("Logger Level Control", () => {
+  class LevelAdapter extends LoggerPort {
+    constructor() {
+      super();
+      this.level = "info";
+    }
+    setLevel(level) {
+      this.level = level;
+    }
+    getLevel() {
+      return this.level;
+    }
+  }
+
+  let adapter;
+  let control;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ["setTimeout", "Date"] });
+    adapter = new LevelAdapter();
+    control = getLogLevelControl(adapter);
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it("should share one control per adapter", () => {
+    expect(getLogLevelControl(adapter)).to.equal(control);
+    expect(getLogLevelControl(new LevelAdapter())).to.not.equal(control);
+  });
+
+  it("should accept every LoggerPort level", () => {
+    expect(LOG_LEVEL_NAMES).to.include.members(["fatal", "http", "trace"]);
+  });
+
+  it("should change the level permanently without a TTL", () => {
+    const status = control.setLevel("debug");
+
+    expect(adapter.level).to.equal("debug");
+    expect(status).to.deep.equal({
+      level: "debug",
+      previousLevel: "info",
+      revertTo: null,
+      expiresAt: null,
+    });
+  });
+
+  it("should revert to the previous level after the TTL", () => {
+    const status = control.setLevel("debug", { ttlMs: 1000 });
+    expect(status.revertTo).to.equal("info");
+    expect(status.expiresAt).to.be.a("string");
+
+    mock.timers.tick(999);
+    expect(adapter.level).to.equal("debug");
+
+    mock.timers.tick(1);
+    expect(adapter.level).to.equal("info");
+    expect(control.getStatus()).to.deep.equal({
+      level: "info",
+      revertTo: null,
+      expiresAt: null,
+    });
+  });
+
+  it("should keep the original baseline across chained TTL changes", () => {
+    control.setLevel("debug", { ttlMs: 1000 });
+    control.setLevel("trace", { ttlMs: 5000 });
+
+    mock.timers.tick(1000);
+    expect(adapter.level).to.equal("trace");
+
+    mock.timers.tick(4000);
+    expect(adapter.level).to.equal("info");
+  });
+
+  it("should cancel a pending revert on a permanent change", () => {
+    control.setLevel("debug", { ttlMs: 1000 });
+    control.setLevel("warn");
+
+    mock.timers.tick(2000);
+    expect(adapter.level).to.equal("warn");
+  });
+
+  it("should reject unknown levels and invalid TTLs", () => {
+    expect(() => control.setLevel("loud")).to.throw(
+      ValidationError,
+      /Unknown log level/
+    );
+    expect(() => control.setLevel("debug", { ttlMs: -5 })).to.throw(
+      ValidationError,
+      /ttlMs/
+    );
+    expect(adapter.level).to.equal("info");
+  });
+
+  describe("Adapter propagation", () => {
+    let PinoLoggerAdapter;
+    let followLoggerLevel;
+    let WinstonLoggerAdapter;
+
+    before(async () => {
+      // Adapters read logger config on import
+      process.env.LOGGER_CONFIGS_ADAPTER ??= "winston";
+      process.env.LOGGER_CONFIGS_LOG_LEVEL ??= "info";
+      process.env.LOGGER_CONFIGS_STORE_LOGS ??= "false";
+      process.env.LOGGER_CONFIGS_LOG_TO_CONSOLE ??= "false";
+      ({ PinoLoggerAdapter, followLoggerLevel } = await import(
+        "../../../../src/infrastructure/logging/pino-logger.adapter.js"
+      ));
+      ({ WinstonLoggerAdapter } = await import(
+        "../../../../src/infrastructure/logging/winston-logger.adapter.js"
+      ));
+    });
+
+    const collector = () => {
+      const lines = [];
+      const stream = new Writable({
+        write(chunk, encoding, callback) {
+          lines.push(JSON.parse(chunk.toString()).msg);
+          callback();
+        },
+      });
+      return { lines, stream };
+    };
+
+    it("should update following Pino destinations and keep fixed ones", () => {
+      const following = collector();
+      const fixed = collector();
+      const logger = pino(
+        { level: "info" },
+        pino.multistream([
+          followLoggerLevel(following.stream),
+          { level: "warn", stream: fixed.stream },
+        ])
+      );
+      const pinoAdapter = new PinoLoggerAdapter(logger);
+
+      pinoAdapter.setLevel("verbose"); // mapped to debug
+      pinoAdapter.debug("debug line");
+      pinoAdapter.warn("warn line");
+
+      expect(pinoAdapter.getLevel()).to.equal("debug");
+      expect(following.lines).to.deep.equal(["debug line", "warn line"]);
+      expect(fixed.lines).to.deep.equal(["warn line"]);
+    });
+
+    it("should let level-less Winston transports follow the logger level", () => {
+      const logger = winston.createLogger({
+        level: "info",
+        levels: { error: 0, warn: 1, info: 2, http: 3, verbose: 4, debug: 5 },
+        transports: [
+          new winston.transports.Console({ silent: true }),
+          new winston.transports.Console({ silent: true, level: "warn" }),
+        ],
+      });
+      const winstonAdapter = new WinstonLoggerAdapter(logger);
+
+      winstonAdapter.setLevel("trace"); // mapped to debug
+
+      expect(winstonAdapter.getLevel()).to.equal("debug");
+      expect(logger.isLevelEnabled("debug")).to.equal(true);
+      expect(logger.transports[1].level).to.equal("warn");
+    });
+  });
+});
@@ -0,0 +1,165 @@
+import { describe, it, beforeEach, mock } from "node:test";
+
+import { expect } from "chai";
+
+import { getLogLevelControl } from "../../../../src/infrastructure/logging/logger-level-control.js";
+import {
+  createNamespaceLevelResolver,
+  mostVerboseLevel,
+  parseNamespaceLevels,
+} from "../../../../src/infrastructure/logging/logger-namespace-levels.js";
+import { createLoggerFactory } from "../../../../src/infrastructure/logging/logger.factory.js";
+import { LoggerPort } from "../../../../src/infrastructure/logging/logger.port.js";
+import { ConfigurationError } from "../../../../src/shared/errors/index.js";
+
+/**
+ * Namespace Log Levels Tests
+ *
+ * Architecture: Infrastructure Component (Behavior Testing)
+ * Scope: Override parsing, pattern matching, level control and factory filtering
+ */
+describe("Logger Namespace Levels", () => {
+  class RecordingAdapter extends LoggerPort {
+    constructor() {
+      super();
+      this.level = "info";
+      for (const method of ["error", "warn", "info", "debug"]) {
+        this[method] = mock.fn();
+      }
+    }
+    setLevel(level) {
+      this.level = level;
+    }
+    getLevel() {
+      return this.level;
+    }
+  }
+
+  const messages = (fn) =>
+    fn.mock.calls.map(({ arguments: [message] }) => message);
+
+  describe("parseNamespaceLevels", () => {
+    it("should parse overrides, most specific first", () => {
+      const rules = parseNamespaceLevels(
+        "healthCheck=WARN, admin-context.write=debug,*.audit=info"
+      );
+
+      expect(rules.map(({ pattern, level }) => [pattern, level])).to.deep.equal(
+        [
+          ["admin-context.write", "debug"],
+          ["healthCheck", "warn"],
+          ["*.audit", "info"],
+        ]
+      );
+      expect(parseNamespaceLevels(undefined)).to.deep.equal([]);
+    });
+
+    it("should reject malformed overrides and unknown levels", () => {
+      for (const spec of [
+        "admin",
+        "admin=loud",
+        "admin=constructor",
+        "a.b.c=debug",
+        "=debug",
+      ]) {
+        expect(() => parseNamespaceLevels(spec), spec).to.throw(
+          ConfigurationError,
+          /Invalid namespace log level/
+        );
+      }
+    });
+  });
+
+  describe("createNamespaceLevelResolver", () => {
+    it("should match modules, features and wildcards", () => {
+      const resolve = createNamespaceLevelResolver(
+        parseNamespaceLevels(
+          "admin-context.write=debug,admin-context=warn,*.audit=info,health*=error"
+        )
+      );
+
+      expect(resolve("admin-context", "write")).to.equal("debug");
+      expect(resolve("admin-context", "read")).to.equal("warn");
+      expect(resolve("admin-context")).to.equal("warn");
+      expect(resolve("user", "audit")).to.equal("info");
+      expect(resolve("healthCheck", "db")).to.equal("error");
+      expect(resolve("user", "auth")).to.equal(undefined);
+      expect(resolve(undefined, undefined)).to.equal(undefined);
+    });
+
+    it("should return null without rules", () => {
+      expect(createNamespaceLevelResolver([])).to.equal(null);
+    });
+
+    it("should pick the most verbose level", () => {
+      expect(mostVerboseLevel(["warn", "debug", "info"])).to.equal("debug");
+    });
+  });
+
+  describe("Level control", () => {
+    let adapter;
+    let control;
+
+    beforeEach(() => {
+      adapter = new RecordingAdapter();
+      control = getLogLevelControl(adapter);
+      control.setNamespaceLevels(
+        parseNamespaceLevels("admin-context.write=debug,healthCheck=warn")
+      );
+    });
+
+    it("should run the adapter at the most verbose level and keep the global level", () => {
+      expect(adapter.level).to.equal("debug");
+      expect(control.getLevel()).to.equal("info");
+      expect(control.isEnabled("debug", "admin-context", "write")).to.be.true;
+      expect(control.isEnabled("debug", "admin-context", "read")).to.be.false;
+      expect(control.isEnabled("info", "healthCheck")).to.be.false;
+      expect(control.isEnabled("info", "user")).to.be.true;
+    });
+
+    it("should apply runtime level changes to namespaces without override", () => {
+      const status = control.setLevel("warn");
+
+      expect(status.previousLevel).to.equal("info");
+      expect(status.level).to.equal("warn");
+      expect(adapter.level).to.equal("debug");
+      expect(control.isEnabled("info", "user")).to.be.false;
+      expect(control.isEnabled("debug", "admin-context", "write")).to.be.true;
+    });
+
+    it("should restore adapter filtering when the overrides are removed", () => {
+      control.setNamespaceLevels([]);
+
+      expect(adapter.level).to.equal("info");
+      expect(control.isEnabled("debug", "user")).to.be.true;
+    });
+  });
+
+  describe("Factory integration", () => {
+    it("should drop entries below the namespace level before the adapter", () => {
+      const adapter = new RecordingAdapter();
+      getLogLevelControl(adapter).setNamespaceLevels(
+        parseNamespaceLevels("admin-context.write=debug,healthCheck=warn")
+      );
+      const logger = createLoggerFactory(
+        { context: { service: "test-service" } },
+        adapter,
+        ["error", "warn", "info", "debug"]
+      );
+
+      logger.child({ module: "admin-context", feature: "write" }).debug("kept");
+      logger.child({ module: "admin-context" }).debug("dropped");
+      logger.child({ module: "healthCheck" }).info("dropped");
+      logger.child({ module: "healthCheck" }).warn("kept warn");
+      logger.info("kept info");
+      logger.debug("dropped", { context: { module: "admin-context" } });
+      logger.debug("kept per-call", {
+        context: { module: "admin-context", feature: "write" },
+      });
+
+      expect(messages(adapter.debug)).to.deep.equal(["kept", "kept per-call"]);
+      expect(messages(adapter.info)).to.deep.equal(["kept info"]);
+      expect(messages(adapter.warn)).to.deep.equal(["kept warn"]);
+    });
+  });
+});
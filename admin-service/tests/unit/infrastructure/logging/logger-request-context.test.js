@@ -0,0 +1,69 @@
+import { describe, it } from "node:test";
+
+import { expect } from "chai";
+
+import {
+  getRequestContext,
+  runWithRequestContext,
+  setRequestContext,
+} from "../../../../src/infrastructure/logging/logger-request-context.js";
+
+/**
+ * Request Context Tests
+ *
+ * Architecture: Infrastructure Component (Behavior Testing)
+ * Scope: AsyncLocalStorage-backed request context lifecycle
+ */
+describe("Logger Request Context", () => {
+  it("should return undefined outside a request context", () => {
+    expect(getRequestContext()).to.equal(undefined);
+  });
+
+  it("should expose the context inside runWithRequestContext", () => {
+    const result = runWithRequestContext({ requestId: "req-1" }, () =>
+      getRequestContext()
+    );
+
+    expect(result).to.deep.equal({ requestId: "req-1" });
+  });
+
+  it("should propagate through timers and promises", async () => {
+    const seen = await runWithRequestContext({ requestId: "req-2" }, () =>
+      new Promise((resolve) => {
+        setImmediate(async () => {
+          await Promise.resolve();
+          resolve(getRequestContext()?.requestId);
+        });
+      })
+    );
+
+    expect(seen).to.equal("req-2");
+  });
+
+  it("should isolate concurrent requests", async () => {
+    const run = (id, delay) =>
+      runWithRequestContext({ requestId: id }, async () => {
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        return getRequestContext().requestId;
+      });
+
+    const results = await Promise.all([run("a", 5), run("b", 1)]);
+
+    expect(results).to.deep.equal(["a", "b"]);
+  });
+
+  describe("setRequestContext", () => {
+    it("should add fields to the active context", () => {
+      const context = runWithRequestContext({ requestId: "req-3" }, () => {
+        setRequestContext({ adminId: "admin-1", userId: undefined });
+        return getRequestContext();
+      });
+
+      expect(context).to.deep.equal({ requestId: "req-3", adminId: "admin-1" });
+    });
+
+    it("should return false outside a request context", () => {
+      expect(setRequestContext({ adminId: "admin-1" })).to.equal(false);
+    });
+  });
+});
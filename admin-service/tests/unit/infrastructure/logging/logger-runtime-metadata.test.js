@@ -0,0 +1,125 @@
+import os from "node:os";
+import { describe, it } from "node:test";
+
+import { expect } from "chai";
+
+import {
+  RUNTIME_METADATA_FIELDS,
+  collectRuntimeMetadata,
+  detectContainerId,
+  resolveMetadataFields,
+} from "../../../../src/infrastructure/logging/logger-runtime-metadata.js";
+import { ConfigurationError } from "../../../../src/shared/errors/index.js";
+
+/**
+ * Runtime Metadata Tests
+ *
+ * Architecture: Infrastructure Logging (Entry Enrichment Testing)
+ * Scope: Field selection, container id detection, collected values
+ */
+describe("Logger Runtime Metadata", () => {
+  const CONTAINER_ID = "a".repeat(40) + "0123456789abcdef01234567";
+
+  describe("resolveMetadataFields", () => {
+    it("should select all fields by default", () => {
+      expect(resolveMetadataFields(undefined)).to.deep.equal(
+        RUNTIME_METADATA_FIELDS
+      );
+      expect(resolveMetadataFields("all")).to.deep.equal(
+        RUNTIME_METADATA_FIELDS
+      );
+      expect(resolveMetadataFields("none")).to.deep.equal([]);
+    });
+
+    it("should parse a list and reject unknown fields", () => {
+      expect(resolveMetadataFields(" hostname, pid ,")).to.deep.equal([
+        "hostname",
+        "pid",
+      ]);
+      expect(() => resolveMetadataFields("hostname,uptime")).to.throw(
+        ConfigurationError,
+        "uptime"
+      );
+    });
+  });
+
+  describe("detectContainerId", () => {
+    const reader = (files) => (file) => {
+      if (!(file in files)) throw new Error(`ENOENT: ${file}`);
+      return files[file];
+    };
+
+    it("should read the id from cgroup v1 paths", () => {
+      expect(
+        detectContainerId(
+          reader({
+            "/proc/self/cgroup": `12:memory:/docker/${CONTAINER_ID}\n1:name=systemd:/docker/${CONTAINER_ID}\n`,
+          })
+        )
+      ).to.equal(CONTAINER_ID);
+      expect(
+        detectContainerId(
+          reader({
+            "/proc/self/cgroup": `0::/kubepods.slice/cri-containerd-${CONTAINER_ID}.scope\n`,
+          })
+        )
+      ).to.equal(CONTAINER_ID);
+    });
+
+    it("should fall back to the mount table (cgroup v2)", () => {
+      expect(
+        detectContainerId(
+          reader({
+            "/proc/self/cgroup": "0::/\n",
+            "/proc/self/mountinfo": `612 590 254:1 /docker/containers/${CONTAINER_ID}/hostname /etc/hostname rw\n`,
+          })
+        )
+      ).to.equal(CONTAINER_ID);
+    });
+
+    it("should return undefined outside containers", () => {
+      expect(detectContainerId(reader({ "/proc/self/cgroup": "0::/\n" }))).to.be
+        .undefined;
+      expect(detectContainerId(reader({}))).to.be.undefined;
+    });
+  });
+
+  describe("collectRuntimeMetadata", () => {
+    it("should collect every field with a value", () => {
+      const metadata = collectRuntimeMetadata({
+        version: "1.2.3",
+        revision: "abc123",
+        environment: "production",
+        containerId: () => CONTAINER_ID,
+      });
+
+      expect(metadata).to.include({
+        hostname: os.hostname(),
+        pid: process.pid,
+        version: "1.2.3",
+        revision: "abc123",
+        environment: "production",
+        containerId: CONTAINER_ID,
+      });
+      expect(new Date(metadata.startedAt).getTime()).to.be.at.most(Date.now());
+    });
+
+    it("should leave out unselected and empty fields", () => {
+      let lookups = 0;
+      const containerId = () => {
+        lookups += 1;
+        return CONTAINER_ID;
+      };
+
+      expect(
+        collectRuntimeMetadata({
+          fields: ["pid", "version", "revision"],
+          version: "1.2.3",
+          revision: "",
+          containerId,
+        })
+      ).to.deep.equal({ pid: process.pid, version: "1.2.3" });
+      expect(lookups).to.equal(0);
+    });
+  });
+});
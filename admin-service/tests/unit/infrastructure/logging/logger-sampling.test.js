@@ -0,0 +1,197 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+
+import { expect } from "chai";
+
+import {
+  createLogSampler,
+  parseSamplingRules,
+  toMessageTemplate,
+} from "../../../../src/infrastructure/logging/logger-sampling.js";
+import { createLoggerFactory } from "../../../../src/infrastructure/logging/logger.factory.js";
+import { LoggerPort } from "../../../../src/infrastructure/logging/logger.port.js";
+import { ConfigurationError } from "../../../../src/shared/errors/index.js";
+
+/**
+ * Log Sampling Tests
+ *
+ * Architecture: Infrastructure Component (Behavior Testing)
+ * Scope: Rule parsing, 1-in-N sampling, per-template rate limits, factory integration
+ */
+describe("Logger Sampling", () => {
+  class RecordingAdapter extends LoggerPort {
+    constructor() {
+      super();
+      for (const method of ["fatal", "error", "warn", "info", "debug"]) {
+        this[method] = mock.fn();
+      }
+    }
+  }
+
+  const messages = (fn) =>
+    fn.mock.calls.map(({ arguments: [message] }) => message);
+
+  describe("parseSamplingRules", () => {
+    it("should parse sampling and rate limit rules", () => {
+      expect(
+        parseSamplingRules("debug:1/10, info@eventstore:5/10s")
+      ).to.deep.equal([
+        { level: "debug", module: undefined, every: 10 },
+        { level: "info", module: "eventstore", limit: 5, windowMs: 10000 },
+      ]);
+      expect(parseSamplingRules(undefined)).to.deep.equal([]);
+    });
+
+    it("should reject malformed rules and rules for error or fatal", () => {
+      for (const spec of [
+        "debug",
+        "debug:0/10",
+        "debug:5/10",
+        "loud:1/10",
+        "error:1/10",
+        "fatal@db:5/1s",
+      ]) {
+        expect(() => parseSamplingRules(spec), spec).to.throw(
+          ConfigurationError,
+          /Invalid log sampling rule/
+        );
+      }
+    });
+
+    it("should report zero windows as invalid sampling rules", () => {
+      for (const spec of ["info@eventstore:5/0s", "debug:1/0"]) {
+        expect(() => parseSamplingRules(spec), spec)
+          .to.throw(ConfigurationError, `Invalid log sampling rule: ${spec}`)
+          .with.nested.property("details.value", spec);
+      }
+    });
+
+    it("should reduce messages to templates", () => {
+      expect(
+        toMessageTemplate("Retry 3 for 1b4e28ba-2fa1-11d2-883f-0016d3cca427")
+      ).to.equal("Retry # for *");
+    });
+  });
+
+  describe("createLogSampler", () => {
+    beforeEach(() => {
+      mock.timers.enable({ apis: ["setTimeout", "Date"] });
+    });
+
+    afterEach(() => {
+      mock.timers.reset();
+    });
+
+    it("should return null without rules", () => {
+      expect(createLogSampler([])).to.equal(null);
+    });
+
+    it("should keep 1 in N entries of the sampled level", () => {
+      const sampler = createLogSampler(parseSamplingRules("debug:1/3"));
+      const kept = Array.from({ length: 7 }, () =>
+        sampler.shouldLog("debug", "tick", undefined, mock.fn())
+      );
+
+      expect(kept).to.deep.equal([
+        true,
+        false,
+        false,
+        true,
+        false,
+        false,
+        true,
+      ]);
+      expect(sampler.shouldLog("info", "tick", undefined, mock.fn())).to.equal(
+        true
+      );
+    });
+
+    it("should rate limit per template and summarize suppressed entries", () => {
+      const sampler = createLogSampler(parseSamplingRules("*:2/1s"));
+      const write = mock.fn();
+      const log = (message) => sampler.shouldLog("warn", message, "db", write);
+
+      expect([
+        log("Retry 1"),
+        log("Retry 2"),
+        log("Retry 3"),
+        log("Retry 4"),
+      ]).to.deep.equal([true, true, false, false]);
+      expect(log("Other")).to.equal(true);
+      expect(write.mock.callCount()).to.equal(0);
+
+      mock.timers.tick(1000);
+
+      expect(write.mock.calls[0].arguments).to.deep.equal([
+        "Suppressed 2 similar messages",
+        {
+          sampling: {
+            message: "Retry #",
+            suppressed: 2,
+            limit: 2,
+            windowMs: 1000,
+          },
+        },
+      ]);
+      expect(log("Retry 5")).to.equal(true);
+    });
+
+    it("should prefer the most specific rule and never drop error or fatal", () => {
+      const sampler = createLogSampler(
+        parseSamplingRules("*:1/100,info@eventstore:1/2")
+      );
+      const log = (level, module) =>
+        [1, 2, 3].map(() => sampler.shouldLog(level, "x", module, mock.fn()));
+
+      expect(log("info", "eventstore")).to.deep.equal([true, false, true]);
+      expect(log("info", "admin")).to.deep.equal([true, false, false]);
+      expect(log("error", "admin")).to.deep.equal([true, true, true]);
+      expect(log("fatal", undefined)).to.deep.equal([true, true, true]);
+    });
+  });
+
+  describe("Factory integration", () => {
+    it("should sample by the logger's module and keep errors", () => {
+      const adapter = new RecordingAdapter();
+      const logger = createLoggerFactory(
+        {
+          context: { service: "test-service" },
+          sampler: createLogSampler(parseSamplingRules("debug@cache:1/2")),
+        },
+        adapter,
+        ["debug", "error"]
+      );
+
+      for (const n of [1, 2, 3])
+        logger.debug(`miss ${n}`, { context: { module: "cache" } });
+      logger.debug("other module");
+      logger.error("failure", { context: { module: "cache" } });
+
+      expect(messages(adapter.debug)).to.deep.equal([
+        "miss 1",
+        "miss 3",
+        "other module",
+      ]);
+      expect(messages(adapter.error)).to.deep.equal(["failure"]);
+    });
+
+    it("should share the sampler with child loggers", () => {
+      const adapter = new RecordingAdapter();
+      const logger = createLoggerFactory(
+        {
+          context: { service: "test-service" },
+          sampler: createLogSampler(parseSamplingRules("debug@cache:1/2")),
+        },
+        adapter,
+        ["debug"]
+      );
+
+      const child = logger.child({ module: "cache" });
+      const grandchild = child.child({ feature: "read" });
+      child.debug("miss 1");
+      grandchild.debug("miss 2");
+      grandchild.debug("miss 3");
+
+      expect(messages(adapter.debug)).to.deep.equal(["miss 1", "miss 3"]);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it, beforeEach, mock } from "node:test";
+
+import { expect } from "chai";
+
+import { createLoggerFactory } from "../../../../src/infrastructure/logging/logger.factory.js";
+import { LoggerPort } from "../../../../src/infrastructure/logging/logger.port.js";
+import { ConfigurationError } from "../../../../src/shared/errors/index.js";
+
+/**
+ * Logger Timers Tests
+ *
+ * Architecture: Infrastructure Component (Behavior Testing)
+ * Scope: startTimer/time on factory loggers and children, slow escalation, failures
+ */
+describe("Logger Timers", () => {
+  class RecordingAdapter extends LoggerPort {
+    constructor() {
+      super();
+      for (const method of ["error", "warn", "info", "debug"]) {
+        this[method] = mock.fn();
+      }
+    }
+  }
+
+  let adapter;
+
+  const createLogger = (options = {}) =>
+    createLoggerFactory(
+      { context: { service: "test-service", module: "admin" }, ...options },
+      adapter,
+      ["error", "warn", "info", "debug"]
+    );
+
+  const lastCall = (fn) => fn.mock.calls.at(-1).arguments;
+
+  beforeEach(() => {
+    adapter = new RecordingAdapter();
+  });
+
+  describe("startTimer", () => {
+    it("should log the message with the duration once", () => {
+      const logger = createLogger({ slowThresholdMs: 60000 });
+
+      const done = logger.startTimer("Admin loaded", { adminId: "a-1" });
+      const durationMs = done({ found: true });
+
+      expect(done()).to.equal(durationMs);
+      expect(adapter.info.mock.callCount()).to.equal(1);
+      const [message, meta] = lastCall(adapter.info);
+      expect(message).to.equal("Admin loaded");
+      expect(meta).to.include({ adminId: "a-1", found: true, durationMs });
+      expect(meta.context).to.deep.equal({
+        service: "test-service",
+        module: "admin",
+      });
+      expect(durationMs).to.be.a("number").and.at.least(0);
+    });
+
+    it("should escalate slow operations to warn", async () => {
+      const logger = createLogger({ slowThresholdMs: 0 });
+
+      const done = logger.startTimer("Slow query");
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      done();
+
+      expect(adapter.info.mock.callCount()).to.equal(0);
+      expect(lastCall(adapter.warn)[1]).to.include({
+        slow: true,
+        slowThresholdMs: 0,
+      });
+    });
+
+    it("should never escalate without a threshold", async () => {
+      const logger = createLogger();
+
+      const done = logger.startTimer("Query");
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      done();
+
+      expect(adapter.warn.mock.callCount()).to.equal(0);
+      expect(lastCall(adapter.info)[1]).to.not.have.property("slow");
+    });
+  });
+
+  describe("time", () => {
+    it("should return the result and log success", async () => {
+      const logger = createLogger({ slowThresholdMs: 60000 });
+
+      const result = await logger.time("List admins", async () => [1, 2], {
+        page: 1,
+      });
+
+      expect(result).to.deep.equal([1, 2]);
+      const [message, meta] = lastCall(adapter.info);
+      expect(message).to.equal("List admins");
+      expect(meta).to.include({ page: 1, outcome: "success" });
+      expect(meta.durationMs).to.be.a("number");
+    });
+
+    it("should log failures with the error and rethrow", async () => {
+      const logger = createLogger();
+      const error = new Error("connection lost");
+
+      let thrown;
+      try {
+        await logger.time("Save admin", () => {
+          throw error;
+        });
+      } catch (caught) {
+        thrown = caught;
+      }
+
+      expect(thrown).to.equal(error);
+      expect(adapter.info.mock.callCount()).to.equal(0);
+      const [message, meta] = lastCall(adapter.error);
+      expect(message).to.equal("Save admin failed");
+      expect(meta).to.include({ outcome: "failure", error });
+      expect(meta.durationMs).to.be.a("number");
+    });
+  });
+
+  it("should be available on children with the child context and threshold", async () => {
+    const child = createLogger({ slowThresholdMs: 0 }).child({
+      feature: "write",
+    });
+
+    await child.time("Create admin", async () => {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    });
+
+    const [message, meta] = lastCall(adapter.warn);
+    expect(message).to.equal("Create admin");
+    expect(meta).to.include({ outcome: "success", slow: true });
+  });
+
+  it("should reject an invalid threshold", () => {
+    expect(() => createLogger({ slowThresholdMs: -1 })).to.throw(
+      ConfigurationError,
+      /slow operation threshold/
+    );
+    expect(() => createLogger({ slowThresholdMs: "fast" })).to.throw(
+      ConfigurationError
+    );
+  });
+});
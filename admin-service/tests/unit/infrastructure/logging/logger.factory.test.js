@@ -1,9 +1,15 @@
-import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import { Writable } from "node:stream";
+import { describe, it, before, beforeEach, afterEach, mock } from "node:test";
 
 import { expect } from "chai";
+import pino from "pino";
+import winston from "winston";
 
+import { PINO_LOG_METHODS } from "../../../../src/infrastructure/logging/logger-methods.js";
+import { runWithRequestContext } from "../../../../src/infrastructure/logging/logger-request-context.js";
 import { createLoggerFactory } from "../../../../src/infrastructure/logging/logger.factory.js";
 import { LoggerPort } from "../../../../src/infrastructure/logging/logger.port.js";
+import { logFormatter } from "../../../../src/infrastructure/logging/pino-logger-formatters.js";
 import { ConfigurationError } from "../../../../src/shared/errors/ConfigurationError.js";
 
 /**
@@ -285,6 +291,272 @@ describe("Logger Factory", () => {
     });
   });
 
+  describe("Request Context", () => {
+    it("should add active request context as top-level fields", () => {
+      const logger = createLoggerFactory(
+        { context: { service: "test-service" } },
+        mockLoggerPortAdapter,
+        ["info"]
+      );
+
+      runWithRequestContext(
+        { requestId: "req-1", correlationId: "corr-1" },
+        () => logger.info("in request", { userId: "123" })
+      );
+
+      const meta = mockLoggerPortAdapter.info.mock.calls[0].arguments[1];
+      expect(meta).to.deep.equal({
+        requestId: "req-1",
+        correlationId: "corr-1",
+        userId: "123",
+        context: { service: "test-service" },
+      });
+    });
+
+    it("should keep request context across async boundaries", async () => {
+      const logger = createLoggerFactory(
+        { context: { service: "test-service" } },
+        mockLoggerPortAdapter,
+        ["info"]
+      );
+
+      await runWithRequestContext({ requestId: "req-async" }, async () => {
+        await new Promise((resolve) => setTimeout(resolve, 1));
+        await Promise.resolve();
+        logger.info("after await");
+      });
+
+      const meta = mockLoggerPortAdapter.info.mock.calls[0].arguments[1];
+      expect(meta.requestId).to.equal("req-async");
+    });
+
+    it("should let per-call meta override request context fields", () => {
+      const logger = createLoggerFactory(
+        { context: { service: "test-service" } },
+        mockLoggerPortAdapter,
+        ["info"]
+      );
+
+      runWithRequestContext({ requestId: "req-1" }, () =>
+        logger.info("override", { requestId: "explicit" })
+      );
+
+      const meta = mockLoggerPortAdapter.info.mock.calls[0].arguments[1];
+      expect(meta.requestId).to.equal("explicit");
+    });
+
+    it("should not add request fields outside a request", () => {
+      const logger = createLoggerFactory(
+        { context: { service: "test-service" } },
+        mockLoggerPortAdapter,
+        ["info"]
+      );
+
+      logger.info("no request");
+
+      const meta = mockLoggerPortAdapter.info.mock.calls[0].arguments[1];
+      expect(meta).to.deep.equal({ context: { service: "test-service" } });
+    });
+  });
+
+  describe("Child Loggers", () => {
+    const createParent = () =>
+      createLoggerFactory(
+        { context: { service: "test-service", tags: { team: "core" } } },
+        mockLoggerPortAdapter,
+        ["info", "error"]
+      );
+
+    it("should deep-merge child context on top of the parent context", () => {
+      const child = createParent().child({
+        module: "admin-context",
+        tags: { layer: "write" },
+      });
+
+      child.info("from child");
+
+      const meta = mockLoggerPortAdapter.info.mock.calls[0].arguments[1];
+      expect(meta.context).to.deep.equal({
+        service: "test-service",
+        module: "admin-context",
+        tags: { team: "core", layer: "write" },
+      });
+    });
+
+    it("should support unlimited nesting", () => {
+      let logger = createParent();
+      for (let depth = 0; depth < 5; depth++) {
+        logger = logger.child({ [`level${depth}`]: depth, feature: depth });
+      }
+
+      logger.error("deep");
+
+      const meta = mockLoggerPortAdapter.error.mock.calls[0].arguments[1];
+      expect(meta.context).to.include({
+        service: "test-service",
+        level0: 0,
+        level4: 4,
+        feature: 4,
+      });
+    });
+
+    it("should merge per-call context on top of the child context", () => {
+      const child = createParent().child({ module: "admin-context" });
+
+      child.info("override", { context: { feature: "create-admin" } });
+
+      const meta = mockLoggerPortAdapter.info.mock.calls[0].arguments[1];
+      expect(meta.context).to.deep.equal({
+        service: "test-service",
+        tags: { team: "core" },
+        module: "admin-context",
+        feature: "create-admin",
+      });
+    });
+
+    it("should leave the parent context untouched", () => {
+      const parent = createParent();
+      parent.child({ service: "other-service" });
+
+      parent.info("from parent");
+
+      const meta = mockLoggerPortAdapter.info.mock.calls[0].arguments[1];
+      expect(meta.context.service).to.equal("test-service");
+    });
+
+    it("should bind the merged context once through the adapter", () => {
+      const childSpy = mock.method(mockLoggerPortAdapter, "child");
+      const child = createParent().child({ module: "a" }).child({ feature: "b" });
+
+      child.info("one");
+      child.info("two");
+
+      expect(childSpy.mock.callCount()).to.equal(2);
+      expect(childSpy.mock.calls[1].arguments[0]).to.deep.equal({
+        service: "test-service",
+        tags: { team: "core" },
+        module: "a",
+        feature: "b",
+      });
+    });
+
+    it("should share level control with the parent", () => {
+      const child = createParent().child({ module: "a" });
+
+      expect(child.setLevel).to.be.a("function");
+      expect(child.getLevelStatus).to.be.a("function");
+    });
+
+    it("should reject non-object child context", () => {
+      const parent = createParent();
+
+      expect(() => parent.child("admin")).to.throw(TypeError, /string/);
+      expect(() => parent.child(null)).to.throw(TypeError);
+      expect(() => parent.child([])).to.throw(TypeError, /array/);
+    });
+
+    describe("Native adapter children", () => {
+      let PinoLoggerAdapter;
+      let WinstonLoggerAdapter;
+
+      before(async () => {
+        // Adapters read logger config on import
+        process.env.LOGGER_CONFIGS_ADAPTER ??= "winston";
+        process.env.LOGGER_CONFIGS_LOG_LEVEL ??= "info";
+        process.env.LOGGER_CONFIGS_STORE_LOGS ??= "false";
+        process.env.LOGGER_CONFIGS_LOG_TO_CONSOLE ??= "false";
+        ({ PinoLoggerAdapter } = await import(
+          "../../../../src/infrastructure/logging/pino-logger.adapter.js"
+        ));
+        ({ WinstonLoggerAdapter } = await import(
+          "../../../../src/infrastructure/logging/winston-logger.adapter.js"
+        ));
+      });
+
+      const collector = () => {
+        const entries = [];
+        const stream = new Writable({
+          write(chunk, encoding, callback) {
+            entries.push(JSON.parse(chunk.toString()));
+            callback();
+          },
+        });
+        return { entries, stream };
+      };
+
+      it("should bind flattened context to a Pino child logger", () => {
+        const output = collector();
+        const adapter = new PinoLoggerAdapter(
+          pino({ level: "info", formatters: { log: logFormatter } }, output.stream)
+        );
+        const logger = createLoggerFactory(
+          { context: { service: "test-service" } },
+          adapter,
+          PINO_LOG_METHODS
+        );
+        const child = logger.child({ module: "admin-context" });
+
+        child.info("bound", { userId: "1" });
+        child.info("override", { context: { module: "health" } });
+
+        expect(output.entries[0]).to.include({
+          msg: "bound",
+          service: "test-service",
+          module: "admin-context",
+          userId: "1",
+        });
+        expect(output.entries[1].module).to.equal("health");
+      });
+
+      it("should keep Pino children in sync with runtime level changes", () => {
+        const output = collector();
+        const adapter = new PinoLoggerAdapter(
+          pino({ level: "info" }, output.stream)
+        );
+        const logger = createLoggerFactory(
+          { context: { service: "test-service" } },
+          adapter,
+          ["info", "debug"]
+        );
+        const child = logger.child({ module: "admin-context" });
+
+        logger.setLevel("debug");
+        child.debug("visible");
+
+        expect(output.entries.map((entry) => entry.msg)).to.deep.equal([
+          "visible",
+        ]);
+      });
+
+      it("should bind context to a Winston child logger", () => {
+        const output = collector();
+        const adapter = new WinstonLoggerAdapter(
+          winston.createLogger({
+            level: "info",
+            format: winston.format.json(),
+            transports: [new winston.transports.Stream({ stream: output.stream })],
+          })
+        );
+        const logger = createLoggerFactory(
+          { context: { service: "test-service" } },
+          adapter,
+          ["info", "debug"]
+        );
+        const child = logger.child({ module: "admin-context" });
+
+        child.info("bound");
+        logger.setLevel("debug");
+        child.debug("follows parent level");
+
+        expect(output.entries[0].context).to.deep.equal({
+          service: "test-service",
+          module: "admin-context",
+        });
+        expect(output.entries[1].message).to.equal("follows parent level");
+      });
+    });
+  });
+
   describe("Fallback Safety Mechanisms", () => {
     it("should use fallback context when no context provided", () => {
       const logger = createLoggerFactory(
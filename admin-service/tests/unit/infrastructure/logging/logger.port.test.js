@@ -58,6 +58,20 @@ describe("LoggerPort", () => {
     });
   });
 
+  describe("Lifecycle Contract", () => {
+    it("should reject flush and close until implemented", async () => {
+      for (const method of ["flush", "close"]) {
+        try {
+          await loggerPort[method]();
+          expect.fail(`${method} should reject`);
+        } catch (error) {
+          expect(error).to.be.instanceOf(NotImplementedError);
+          expect(error.methodName).to.equal(method);
+        }
+      }
+    });
+  });
+
   describe("Inheritance Contract", () => {
     it("should allow concrete implementations to override methods", () => {
       class ConcreteLogger extends LoggerPort {
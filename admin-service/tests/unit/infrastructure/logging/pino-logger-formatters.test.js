@@ -5,6 +5,7 @@ import { expect } from "chai";
 import {
   levelFormatter,
   logFormatter,
+  redactMessageHook,
   timestamp,
 } from "../../../../src/infrastructure/logging/pino-logger-formatters.js";
 
@@ -284,7 +285,7 @@ describe("Pino Logger Formatters", () => {
     it("should format timestamps correctly", () => {
       expect(() => {
         const result = timestamp();
-        expect(result).to.include('"time":');
+        expect(result).to.include('"timestamp":');
         expect(result).to.match(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z/);
       }).to.not.throw();
     });
@@ -376,4 +377,30 @@ describe("Pino Logger Formatters", () => {
       expect(() => logFormatter(input)).to.not.throw();
     });
   });
+
+  describe("redactMessageHook", () => {
+    it("should redact secrets in the message before Pino writes it", () => {
+      const calls = [];
+      const method = function (...args) {
+        calls.push(args);
+      };
+
+      redactMessageHook(
+        [{ userId: "1" }, "login with Bearer abc123"],
+        method
+      );
+
+      expect(calls[0]).to.deep.equal([
+        { userId: "1" },
+        "login with Bearer ***REDACTED***",
+      ]);
+    });
+  });
+
+  describe("logFormatter redaction", () => {
+    it("should redact secrets in values under innocent keys", () => {
+      const result = logFormatter({ notes: "card 4111111111111111" });
+      expect(result.notes).to.equal("card ***REDACTED***");
+    });
+  });
 });
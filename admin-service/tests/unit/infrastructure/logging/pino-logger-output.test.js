@@ -0,0 +1,103 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { Writable } from "node:stream";
+import { describe, it, before, after } from "node:test";
+
+import { expect } from "chai";
+import pino from "pino";
+
+/**
+ * Pino Logger Output Tests
+ *
+ * Architecture: Infrastructure Adapter (Output Testing)
+ * Scope: Lines written by real Pino destinations: child bindings, closing
+ */
+describe("Pino Logger Output", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pino-output-"));
+  let baseLogger;
+  let closeLoggers;
+  let PinoLoggerAdapter;
+  let logFormatter;
+
+  before(async () => {
+    // The logger reads its config on import: Pino with rotating files
+    process.env.LOGGER_CONFIGS_ADAPTER = "pino";
+    process.env.LOGGER_CONFIGS_LOG_LEVEL = "info";
+    process.env.LOGGER_CONFIGS_STORE_LOGS = "true";
+    process.env.LOGGER_CONFIGS_LOG_TO_CONSOLE = "false";
+    process.env.LOG_ROTATE_DIR = dir;
+    ({ baseLogger, closeLoggers } = await import(
+      "../../../../src/infrastructure/logging/logger.js"
+    ));
+    ({ PinoLoggerAdapter } = await import(
+      "../../../../src/infrastructure/logging/pino-logger.adapter.js"
+    ));
+    ({ logFormatter } = await import(
+      "../../../../src/infrastructure/logging/pino-logger-formatters.js"
+    ));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  describe("child", () => {
+    it("should write each context key once when a call overrides the context", () => {
+      const lines = [];
+      const adapter = new PinoLoggerAdapter(
+        pino(
+          {
+            formatters: { log: logFormatter },
+            messageKey: "message",
+            base: undefined,
+          },
+          new Writable({
+            write(chunk, encoding, callback) {
+              lines.push(chunk.toString());
+              callback();
+            },
+          })
+        )
+      );
+      const child = adapter.child({ service: "admin-service", module: "auth" });
+
+      child.info("bound only");
+      child.info("per-call", {
+        context: { service: "admin-service", module: "auth", feature: "login" },
+      });
+
+      const keysOf = (line) =>
+        [...line.matchAll(/"([^"]+)":/g)].map(([, key]) => key);
+      for (const line of lines) {
+        const keys = keysOf(line);
+        expect(keys).to.deep.equal([...new Set(keys)]);
+      }
+      expect(JSON.parse(lines[1])).to.include({
+        module: "auth",
+        feature: "login",
+        message: "per-call",
+      });
+    });
+  });
+
+  describe("closeLoggers", () => {
+    it("should drop file writes after closing without sink errors", async (t) => {
+      const stderr = t.mock.method(process.stderr, "write", () => true);
+
+      baseLogger.info("before close");
+      await closeLoggers();
+      baseLogger.info("after close");
+      baseLogger.warn("after close");
+      stderr.mock.restore();
+
+      const allLog = fs
+        .readdirSync(dir)
+        .find((name) => name.startsWith("pino-all-"));
+      const content = fs.readFileSync(path.join(dir, allLog), "utf8");
+
+      expect(stderr.mock.calls.map((call) => String(call.arguments[0]))).to.be
+        .empty;
+      expect(content).to.include("before close");
+      expect(content).not.to.include("after close");
+    });
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it, beforeEach } from "node:test";
+
+import { expect } from "chai";
+
+import { LoggerPort } from "../../../../src/infrastructure/logging/logger.port.js";
+import { RingBufferLoggerAdapter } from "../../../../src/infrastructure/logging/ring-buffer-logger.adapter.js";
+import { ValidationError } from "../../../../src/shared/errors/index.js";
+import { REDACTED } from "../../../../src/shared/utils/sanitizer.js";
+
+/**
+ * RingBufferLoggerAdapter Tests
+ *
+ * Architecture: Infrastructure Adapter (In-memory Sink Testing)
+ * Scope: Capacity, ordering, level filtering, redaction, query, subscriptions
+ */
+describe("RingBufferLoggerAdapter", () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = new RingBufferLoggerAdapter({
+      capacity: 3,
+      level: "info",
+      now: () => new Date("2024-01-01T00:00:00.000Z"),
+    });
+  });
+
+  it("should extend LoggerPort", () => {
+    expect(adapter).to.be.instanceOf(LoggerPort);
+  });
+
+  it("should keep the newest entries, oldest first", () => {
+    for (const n of [1, 2, 3, 4]) adapter.info(`entry ${n}`);
+
+    expect(adapter.entries().map(({ message }) => message)).to.deep.equal([
+      "entry 2",
+      "entry 3",
+      "entry 4",
+    ]);
+    expect(adapter.entries({ limit: 1 })[0]).to.deep.equal({
+      timestamp: "2024-01-01T00:00:00.000Z",
+      level: "info",
+      message: "entry 4",
+      meta: {},
+    });
+  });
+
+  it("should follow the level and redact entries", () => {
+    adapter.debug("hidden");
+    adapter.setLevel("debug");
+    adapter.debug("visible", { password: "hunter2" });
+
+    const entries = adapter.entries();
+    expect(entries).to.have.length(1);
+    expect(entries[0].meta.password).to.equal(REDACTED);
+    expect(adapter.getLevel()).to.equal("debug");
+  });
+
+  it("should keep entries after close and drop them on clear", async () => {
+    adapter.error("boom");
+    await adapter.flush();
+    await adapter.close();
+
+    expect(adapter.entries()).to.have.length(1);
+    adapter.clear();
+    expect(adapter.entries()).to.deep.equal([]);
+  });
+
+  describe("Query", () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = new Date("2024-01-01T00:00:00.000Z");
+      adapter = new RingBufferLoggerAdapter({ now: () => clock });
+      const at = (iso, log) => {
+        clock = new Date(iso);
+        log();
+      };
+      at("2024-01-01T10:00:00.000Z", () =>
+        adapter.info("Admin created", {
+          context: { module: "admin", feature: "create" },
+          correlationId: "corr-1",
+          requestId: "req-1",
+        })
+      );
+      at("2024-01-01T11:00:00.000Z", () =>
+        adapter.error("Event store unavailable", {
+          context: { module: "eventstore", feature: "append" },
+          correlationId: "corr-1",
+        })
+      );
+      at("2024-01-01T12:00:00.000Z", () =>
+        adapter.debug("Cache miss", { context: { module: "admin" } })
+      );
+    });
+
+    const messages = (entries) => entries.map(({ message }) => message);
+
+    it("should filter by minimum level and time range", () => {
+      expect(messages(adapter.query({ level: "warn" }))).to.deep.equal([
+        "Event store unavailable",
+      ]);
+      expect(
+        messages(
+          adapter.query({
+            from: "2024-01-01T10:30:00.000Z",
+            to: String(Date.parse("2024-01-01T11:00:00.000Z")),
+          })
+        )
+      ).to.deep.equal(["Event store unavailable"]);
+    });
+
+    it("should filter by correlation ID, context fields and text", () => {
+      expect(messages(adapter.query({ correlationId: "corr-1" }))).to.have.length(2);
+      expect(
+        messages(adapter.query({ module: "admin", feature: "create" }))
+      ).to.deep.equal(["Admin created"]);
+      expect(messages(adapter.query({ text: "EVENTSTORE" }))).to.deep.equal([
+        "Event store unavailable",
+      ]);
+      expect(messages(adapter.query({ limit: "1" }))).to.deep.equal([
+        "Cache miss",
+      ]);
+    });
+
+    it("should reject malformed filters", () => {
+      for (const level of ["loud", "constructor", "toString"]) {
+        expect(() => adapter.query({ level }), level).to.throw(
+          ValidationError,
+          /Unknown log level/
+        );
+      }
+      expect(() => adapter.query({ from: "yesterday" })).to.throw(
+        ValidationError,
+        /from/
+      );
+      expect(() => adapter.query({ limit: "0" })).to.throw(ValidationError);
+    });
+
+    it("should push matching new entries to subscribers until unsubscribed", () => {
+      const received = [];
+      const unsubscribe = adapter.subscribe(
+        (entry) => received.push(entry.message),
+        { level: "warn", from: "ignored" }
+      );
+      adapter.subscribe(() => {
+        throw new Error("broken subscriber");
+      });
+
+      adapter.info("quiet");
+      adapter.warn("loud");
+      unsubscribe();
+      adapter.error("after");
+
+      expect(received).to.deep.equal(["loud"]);
+    });
+  });
+});
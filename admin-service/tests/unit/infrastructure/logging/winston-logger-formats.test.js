@@ -115,6 +115,19 @@ describe("Winston Logger Formats", () => {
       expect(result).to.not.have.property("creditCard");
     });
 
+    it("should redact secrets in the message and innocent keys", () => {
+      const info = {
+        level: "info",
+        message: "login with Bearer abc123",
+        notes: "card 4111111111111111",
+      };
+
+      const result = jsonFormat.transform(info);
+
+      expect(result.message).to.equal("login with Bearer ***REDACTED***");
+      expect(result.notes).to.equal("card ***REDACTED***");
+    });
+
     it("should preserve non-sensitive metadata", () => {
       const info = {
         level: "info",
@@ -1,7 +1,11 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
 import { describe, it, beforeEach, afterEach, mock } from "node:test";
 
 import { expect } from "chai";
 import winston from "winston";
+import DailyRotateFile from "winston-daily-rotate-file";
 
 import { LoggerPort } from "../../../../src/infrastructure/logging/logger.port.js";
 import { WinstonLoggerAdapter } from "../../../../src/infrastructure/logging/winston-logger.adapter.js";
@@ -34,12 +38,12 @@ describe("WinstonLoggerAdapter", () => {
   afterEach(() => {
     // Reset all mocks to ensure test isolation
     if (mockLogger) {
-      mockLogger.error.mock.reset();
-      mockLogger.warn.mock.reset();
-      mockLogger.info.mock.reset();
-      mockLogger.http.mock.reset();
-      mockLogger.verbose.mock.reset();
-      mockLogger.debug.mock.reset();
+      mockLogger.error.mock.resetCalls();
+      mockLogger.warn.mock.resetCalls();
+      mockLogger.info.mock.resetCalls();
+      mockLogger.http.mock.resetCalls();
+      mockLogger.verbose.mock.resetCalls();
+      mockLogger.debug.mock.resetCalls();
     }
     adapter = null;
   });
@@ -417,6 +421,34 @@ describe("WinstonLoggerAdapter", () => {
     });
   });
 
+  describe("Flush and close", () => {
+    it("should write file transports to disk and keep the console transport", async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "winston-close-"));
+      const console = new winston.transports.Console({ silent: true });
+      const realLogger = winston.createLogger({
+        level: "info",
+        format: winston.format.json(),
+        transports: [
+          new DailyRotateFile({ dirname: dir, filename: "all-%DATE%.log" }),
+          console,
+        ],
+      });
+      adapter = new WinstonLoggerAdapter(realLogger);
+      const child = adapter.child({ module: "test" });
+
+      child.info("last words");
+      await adapter.flush();
+      await Promise.all([child.close(), adapter.close()]);
+
+      const [file] = fs.readdirSync(dir).filter((name) => name.endsWith(".log"));
+      expect(fs.readFileSync(path.join(dir, file), "utf8")).to.include(
+        "last words"
+      );
+      expect(realLogger.transports).to.deep.equal([console]);
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+
   describe("Error scenarios", () => {
     it("should handle winston logger that throws errors", () => {
       const errorLogger = {
@@ -0,0 +1,152 @@
+import { describe, it } from "node:test";
+
+import { expect } from "chai";
+
+import {
+  AggregateValidationError,
+  BaseError,
+  ValidationError,
+  resolveError,
+  toProblemDetails,
+} from "../../../../src/shared/errors/index.js";
+import { REDACTED } from "../../../../src/shared/utils/sanitizer.js";
+
+describe("AggregateValidationError", () => {
+  const createEmail = (value) => {
+    if (!String(value).includes("@")) {
+      throw new ValidationError("Invalid email format", {
+        field: "email",
+        value,
+        rule: "email-format",
+      });
+    }
+    return { value };
+  };
+
+  const createAddress = ({ street, zip }) => {
+    const validation = AggregateValidationError.collect();
+    if (!street) {
+      validation.add("street", { rule: "required", message: "Required" });
+    }
+    if (!/^\d{5}$/.test(zip)) {
+      validation.add("zip", {
+        rule: "pattern",
+        message: "Must be 5 digits",
+        params: { pattern: "^\\d{5}$" },
+        value: zip,
+      });
+    }
+    validation.throwIfAny("Invalid address");
+    return { street, zip };
+  };
+
+  it("should be a registered ValidationError", () => {
+    const error = new AggregateValidationError("Invalid admin");
+
+    expect(error).to.be.instanceOf(ValidationError);
+    expect(error).to.be.instanceOf(BaseError);
+    expect(error).to.include({
+      name: "AggregateValidationError",
+      code: "ADMIN.VALIDATION.FAILED",
+      field: null,
+    });
+    expect(error.violations).to.deep.equal([]);
+  });
+
+  it("should collect every violation with JSON pointers", () => {
+    const validation = AggregateValidationError.collect();
+    validation.add("displayName", {
+      rule: "max-length",
+      message: "Too long",
+      params: { max: 64 },
+    });
+    validation.add(["roles", 1], { rule: "enum", message: "Unknown role" });
+    validation.add("/settings/a~b", { rule: "type", message: "Not a string" });
+
+    expect(() => validation.throwIfAny("Invalid admin"))
+      .to.throw(AggregateValidationError)
+      .with.property("violations")
+      .that.deep.equals([
+        {
+          pointer: "/displayName",
+          rule: "max-length",
+          message: "Too long",
+          params: { max: 64 },
+        },
+        {
+          pointer: "/roles/1",
+          rule: "enum",
+          message: "Unknown role",
+          params: {},
+        },
+        {
+          pointer: "/settings/a~b",
+          rule: "type",
+          message: "Not a string",
+          params: {},
+        },
+      ]);
+    expect(() =>
+      AggregateValidationError.collect().throwIfAny()
+    ).not.to.throw();
+  });
+
+  it("should nest the errors of value objects under their pointer", () => {
+    const validation = AggregateValidationError.collect();
+    const email = validation.check("contact", () => createEmail("nope"));
+    validation.check("address", () => createAddress({ zip: "12" }));
+    validation.check("billing", () =>
+      createAddress({ street: "Main St", zip: "12345" })
+    );
+
+    expect(email).to.be.undefined;
+    expect(validation.violations.map(({ pointer }) => pointer)).to.deep.equal([
+      "/contact/email",
+      "/address/street",
+      "/address/zip",
+    ]);
+    expect(validation.violations[0]).to.include({
+      rule: "email-format",
+      value: "nope",
+    });
+    expect(() =>
+      validation.check("email", () => {
+        throw new TypeError("bug");
+      })
+    ).to.throw(TypeError);
+  });
+
+  it("should redact the value of sensitive fields", () => {
+    const error = new AggregateValidationError("Invalid credentials", {
+      violations: [
+        { pointer: "/credentials/password", rule: "min-length", value: "abc" },
+        { pointer: "/username", rule: "pattern", value: "ab" },
+      ],
+    });
+
+    expect(error.violations.map(({ value }) => value)).to.deep.equal([
+      REDACTED,
+      "ab",
+    ]);
+  });
+
+  it("should report every violation to the client", () => {
+    const validation = AggregateValidationError.collect();
+    validation.check("address", () => createAddress({ zip: "x" }));
+    const error = new AggregateValidationError("Invalid admin", {
+      violations: validation.violations,
+    });
+
+    const problem = toProblemDetails(error, resolveError(error));
+
+    expect(problem).to.include({
+      status: 400,
+      code: "ADMIN.VALIDATION.FAILED",
+    });
+    expect(problem.violations).to.have.length(2);
+    expect(error.toPublicJSON().violations).to.deep.equal(error.violations);
+    expect(BaseError.fromJSON(JSON.stringify(error)).violations).to.deep.equal(
+      error.violations
+    );
+  });
+});
@@ -2,7 +2,13 @@ import { describe, it, beforeEach, afterEach } from "node:test";
 
 import { expect } from "chai";
 
+import { HTTP_STATUS } from "../../../../src/shared/constants/http.constants.js";
 import { BaseError } from "../../../../src/shared/errors/BaseError.js";
+import {
+  BusinessLogicError,
+  ConfigurationError,
+  ValidationError,
+} from "../../../../src/shared/errors/index.js";
 
 describe("BaseError", () => {
   describe("Basic Error Functionality", () => {
@@ -323,4 +329,126 @@ describe("BaseError", () => {
       expect(error.stack).to.be.a("string");
     });
   });
+
+  describe("Cause and Serialization", () => {
+    const wrapConnectionFailure = () => {
+      const socketError = Object.assign(new Error("connect ECONNREFUSED"), {
+        code: "ECONNREFUSED",
+      });
+      return new ConfigurationError("Database unreachable", {
+        cause: socketError,
+        details: { host: "db.internal" },
+      });
+    };
+
+    it("should keep the cause across the hierarchy", () => {
+      const cause = new Error("root");
+
+      expect(new BaseError("wrapped", { cause }).cause).to.equal(cause);
+      expect(new ValidationError("wrapped", { cause }).cause).to.equal(cause);
+      expect(Object.hasOwn(new BaseError("plain"), "cause")).to.be.false;
+    });
+
+    it("should serialize every field and the cause chain with toJSON", () => {
+      const json = JSON.parse(JSON.stringify(wrapConnectionFailure()));
+
+      expect(json).to.include({
+        name: "ConfigurationError",
+        message: "Database unreachable",
+        code: "ADMIN.CONFIGURATION.INVALID",
+      });
+      expect(json.details).to.deep.equal({ host: "db.internal" });
+      expect(json.httpStatus).to.deep.equal(HTTP_STATUS.INTERNAL_SERVER_ERROR);
+      expect(json.stack).to.be.a("string");
+      expect(json.cause).to.include({
+        name: "Error",
+        message: "connect ECONNREFUSED",
+        code: "ECONNREFUSED",
+      });
+    });
+
+    it("should mark circular causes", () => {
+      const first = new BaseError("first");
+      const second = new BaseError("second", { cause: first });
+      first.cause = second;
+
+      expect(first.toJSON().cause.cause).to.equal("[Circular]");
+    });
+
+    it("should strip stack, details and internal causes with toPublicJSON", () => {
+      const rule = new BusinessLogicError("Quota exceeded", {
+        businessRule: "admin-quota",
+        details: { current: 10 },
+      });
+      const error = new ValidationError("Admin cannot be created", {
+        field: "role",
+        value: "owner",
+        cause: rule,
+      });
+
+      expect(error.toPublicJSON()).to.deep.equal({
+        name: "ValidationError",
+        code: "ADMIN.VALIDATION.FIELD_INVALID",
+        message: "Admin cannot be created",
+        status: 400,
+        field: "role",
+        cause: {
+          name: "BusinessLogicError",
+          code: "ADMIN.BUSINESS.RULE_VIOLATED",
+          message: "Quota exceeded",
+          status: 422,
+          businessRule: "admin-quota",
+        },
+      });
+      expect(wrapConnectionFailure().toPublicJSON()).to.deep.equal({
+        code: "ADMIN.CONFIGURATION.INVALID",
+        message: "Internal Server Error",
+        status: 500,
+      });
+    });
+
+    it("should rehydrate the registered subclass with fromJSON", () => {
+      const original = new BusinessLogicError("Email already registered", {
+        businessRule: "unique-email",
+        httpStatus: HTTP_STATUS.CONFLICT,
+        cause: wrapConnectionFailure(),
+      });
+
+      const error = BaseError.fromJSON(JSON.stringify(original));
+
+      expect(error).to.be.instanceOf(BusinessLogicError);
+      expect(error).to.include({
+        message: original.message,
+        businessRule: "unique-email",
+        component: original.component,
+        operation: original.operation,
+        stack: original.stack,
+      });
+      expect(error.httpStatus).to.equal(HTTP_STATUS.CONFLICT);
+      expect(error.cause).to.be.instanceOf(ConfigurationError);
+      expect(error.cause.details).to.deep.equal({ host: "db.internal" });
+      expect(error.cause.cause).to.be.instanceOf(Error);
+      expect(error.cause.cause).to.include({
+        message: "connect ECONNREFUSED",
+        code: "ECONNREFUSED",
+      });
+    });
+
+    it("should keep unknown codes on the class fromJSON is called on", () => {
+      const error = BaseError.fromJSON({
+        name: "PaymentDeclinedError",
+        message: "Card declined",
+        code: "ADMIN.PAYMENT.DECLINED",
+        provider: "acme",
+      });
+
+      expect(error).to.be.instanceOf(BaseError);
+      expect(error).to.include({
+        name: "PaymentDeclinedError",
+        code: "ADMIN.PAYMENT.DECLINED",
+        provider: "acme",
+      });
+      expect(() => BaseError.fromJSON("[]")).to.throw(TypeError);
+    });
+  });
 });
@@ -0,0 +1,116 @@
+import { describe, it } from "node:test";
+
+import { expect } from "chai";
+
+import { HTTP_STATUS } from "../../../../src/shared/constants/http.constants.js";
+import {
+  BaseError,
+  ConcurrencyError,
+  ConflictError,
+  DependencyUnavailableError,
+  ForbiddenError,
+  NotFoundError,
+  RateLimitedError,
+  UnauthorizedError,
+  getErrorDefinition,
+  resolveError,
+} from "../../../../src/shared/errors/index.js";
+
+describe("HTTP Domain Errors", () => {
+  const ERROR_TYPES = [
+    [NotFoundError, "ADMIN.RESOURCE.NOT_FOUND", HTTP_STATUS.NOT_FOUND],
+    [ConflictError, "ADMIN.RESOURCE.CONFLICT", HTTP_STATUS.CONFLICT],
+    [ConcurrencyError, "ADMIN.RESOURCE.VERSION_CONFLICT", HTTP_STATUS.CONFLICT],
+    [UnauthorizedError, "ADMIN.AUTH.UNAUTHENTICATED", HTTP_STATUS.UNAUTHORIZED],
+    [ForbiddenError, "ADMIN.AUTH.FORBIDDEN", HTTP_STATUS.FORBIDDEN],
+    [
+      RateLimitedError,
+      "ADMIN.RATE_LIMIT.EXCEEDED",
+      HTTP_STATUS.TOO_MANY_REQUESTS,
+    ],
+    [
+      DependencyUnavailableError,
+      "ADMIN.DEPENDENCY.UNAVAILABLE",
+      HTTP_STATUS.SERVICE_UNAVAILABLE,
+    ],
+  ];
+
+  for (const [ErrorType, code, httpStatus] of ERROR_TYPES) {
+    it(`should register ${ErrorType.name} as ${code}`, () => {
+      const error = new ErrorType("Test error");
+
+      expect(error).to.be.instanceOf(BaseError);
+      expect(error.name).to.equal(ErrorType.name);
+      expect(error).to.include({ code, httpStatus });
+      expect(getErrorDefinition(code)).to.include({ name: ErrorType.name });
+    });
+  }
+
+  it("should detect the caller like the other error types", () => {
+    class AdminRepository {
+      findById() {
+        return new NotFoundError("Admin not found", {
+          resourceType: "admin",
+          resourceId: "42",
+        });
+      }
+    }
+
+    const error = new AdminRepository().findById();
+
+    expect(error).to.include({
+      component: "adminrepository",
+      operation: "findById",
+      resourceType: "admin",
+      resourceId: "42",
+    });
+  });
+
+  it("should carry typed context properties", () => {
+    const error = new ConcurrencyError("Admin was modified concurrently", {
+      aggregateType: "admin",
+      aggregateId: "42",
+      expectedVersion: 0,
+      actualVersion: 1,
+    });
+
+    expect(error).to.include({ expectedVersion: 0, actualVersion: 1 });
+    expect(new ConflictError("Email taken", { field: "email" })).to.include({
+      field: "email",
+      resourceType: null,
+    });
+    expect(
+      new ForbiddenError("Not allowed", { requiredPermission: "admin:write" })
+    ).to.include({ requiredPermission: "admin:write", action: null });
+  });
+
+  it("should describe the response headers", () => {
+    expect(
+      new RateLimitedError("Slow down", {
+        retryAfter: 1.2,
+      }).getResponseHeaders()
+    ).to.deep.equal({ "Retry-After": "2" });
+    expect(
+      new UnauthorizedError("Token expired", {
+        authScheme: "Bearer",
+      }).getResponseHeaders()
+    ).to.deep.equal({ "WWW-Authenticate": "Bearer" });
+    expect(
+      new DependencyUnavailableError("postgres down").getResponseHeaders()
+    ).to.deep.equal({});
+  });
+
+  it("should hide the message of unavailable dependencies", () => {
+    expect(
+      resolveError(
+        new DependencyUnavailableError("postgres at 10.0.0.5 refused", {
+          dependency: "postgres",
+        })
+      )
+    ).to.include({
+      code: "ADMIN.DEPENDENCY.UNAVAILABLE",
+      expose: false,
+      message: "Service Unavailable",
+    });
+  });
+});
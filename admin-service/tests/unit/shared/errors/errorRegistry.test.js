@@ -0,0 +1,151 @@
+import { describe, it } from "node:test";
+
+import { expect } from "chai";
+
+import { HTTP_STATUS } from "../../../../src/shared/constants/http.constants.js";
+import {
+  BaseError,
+  BusinessLogicError,
+  ConfigurationError,
+  NotImplementedError,
+  ValidationError,
+  getErrorDefinition,
+  getErrorDefinitions,
+  registerErrorType,
+  resolveError,
+} from "../../../../src/shared/errors/index.js";
+
+describe("Error Registry", () => {
+  describe("Declarations", () => {
+    it("should register every built-in error type with a unique code", () => {
+      const definitions = getErrorDefinitions();
+      const codes = definitions.map(({ code }) => code);
+
+      expect(definitions.map(({ name }) => name)).to.include.members([
+        "BaseError",
+        "ConfigurationError",
+        "ValidationError",
+        "BusinessLogicError",
+        "NotImplementedError",
+      ]);
+      expect(new Set(codes).size).to.equal(codes.length);
+      expect(getErrorDefinition("ADMIN.VALIDATION.FIELD_INVALID")).to.include({
+        name: "ValidationError",
+        httpStatus: HTTP_STATUS.BAD_REQUEST,
+        expose: true,
+      });
+    });
+
+    it("should set the code and default status on instances", () => {
+      const error = new BusinessLogicError("Account limit reached");
+
+      expect(error.code).to.equal("ADMIN.BUSINESS.RULE_VIOLATED");
+      expect(error.httpStatus).to.equal(HTTP_STATUS.UNPROCESSABLE_ENTITY);
+      expect(
+        new BusinessLogicError("Email already taken", {
+          httpStatus: HTTP_STATUS.CONFLICT,
+        }).httpStatus
+      ).to.equal(HTTP_STATUS.CONFLICT);
+    });
+
+    it("should register new error types", () => {
+      class RegistryTestError extends BaseError {
+        static code = "ADMIN.TEST.REGISTRY_EXAMPLE";
+        static httpStatus = HTTP_STATUS.GONE;
+        static expose = true;
+      }
+
+      registerErrorType(RegistryTestError);
+
+      expect(getErrorDefinition("ADMIN.TEST.REGISTRY_EXAMPLE")).to.include({
+        name: "RegistryTestError",
+        httpStatus: HTTP_STATUS.GONE,
+      });
+    });
+
+    it("should reject invalid declarations and duplicate codes", () => {
+      class LowercaseCodeError extends BaseError {
+        static code = "admin.test.lowercase";
+      }
+      class UnknownStatusError extends BaseError {
+        static code = "ADMIN.TEST.UNKNOWN_STATUS";
+        static httpStatus = { code: 499, message: "Client Closed Request" };
+      }
+      class DuplicateCodeError extends BaseError {
+        static code = ValidationError.code;
+        static httpStatus = HTTP_STATUS.BAD_REQUEST;
+        static expose = true;
+      }
+
+      for (const ErrorType of [
+        LowercaseCodeError,
+        UnknownStatusError,
+        DuplicateCodeError,
+        Error,
+      ]) {
+        expect(() => registerErrorType(ErrorType)).to.throw(ConfigurationError);
+      }
+    });
+  });
+
+  describe("resolveError", () => {
+    it("should map error types to their status and exposed message", () => {
+      expect(
+        resolveError(new ValidationError("email is invalid"))
+      ).to.deep.equal({
+        code: "ADMIN.VALIDATION.FIELD_INVALID",
+        httpStatus: HTTP_STATUS.BAD_REQUEST,
+        expose: true,
+        message: "email is invalid",
+      });
+      expect(resolveError(new BusinessLogicError("limit")).httpStatus).to.equal(
+        HTTP_STATUS.UNPROCESSABLE_ENTITY
+      );
+      expect(resolveError(new NotImplementedError("todo")).httpStatus).to.equal(
+        HTTP_STATUS.NOT_IMPLEMENTED
+      );
+    });
+
+    it("should hide the message of internal errors", () => {
+      expect(
+        resolveError(new ConfigurationError("DB password missing"))
+      ).to.deep.equal({
+        code: "ADMIN.CONFIGURATION.INVALID",
+        httpStatus: HTTP_STATUS.INTERNAL_SERVER_ERROR,
+        expose: false,
+        message: "Internal Server Error",
+      });
+      expect(resolveError(new TypeError("x is undefined"))).to.deep.equal({
+        code: "ADMIN.INTERNAL.UNEXPECTED",
+        httpStatus: HTTP_STATUS.INTERNAL_SERVER_ERROR,
+        expose: false,
+        message: "Internal Server Error",
+      });
+    });
+
+    it("should honor an explicit status and HTTP errors from other libraries", () => {
+      expect(
+        resolveError(new Error("Invalid token"), HTTP_STATUS.UNAUTHORIZED)
+      ).to.include({
+        code: "ADMIN.HTTP.UNAUTHORIZED",
+        message: "Invalid token",
+      });
+      expect(resolveError(new ValidationError("bad"), 409).httpStatus).to.equal(
+        HTTP_STATUS.CONFLICT
+      );
+
+      const parseError = Object.assign(new SyntaxError("Unexpected token"), {
+        status: 400,
+        expose: true,
+      });
+      expect(resolveError(parseError)).to.include({
+        code: "ADMIN.HTTP.BAD_REQUEST",
+        message: "Unexpected token",
+      });
+      expect(
+        resolveError(Object.assign(new Error("upstream"), { status: 502 }))
+          .httpStatus
+      ).to.equal(HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    });
+  });
+});
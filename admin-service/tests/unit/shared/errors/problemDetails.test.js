@@ -0,0 +1,79 @@
+import { describe, it } from "node:test";
+
+import { expect } from "chai";
+
+import { HTTP_STATUS } from "../../../../src/shared/constants/http.constants.js";
+import {
+  BusinessLogicError,
+  ConfigurationError,
+  ValidationError,
+  resolveError,
+  resolveErrorResponseFormat,
+  toProblemDetails,
+} from "../../../../src/shared/errors/index.js";
+
+describe("Problem Details", () => {
+  const problemOf = (error, options) =>
+    toProblemDetails(error, resolveError(error), options);
+
+  it("should build RFC 9457 members with the error fields as extensions", () => {
+    const error = new ValidationError("Invalid email format", {
+      field: "email",
+      value: "not-an-email",
+      rule: "email-format",
+    });
+
+    expect(
+      problemOf(error, { instance: "/api/v1/admins", requestId: "req-1" })
+    ).to.deep.equal({
+      type: "about:blank",
+      title: "Bad Request",
+      status: 400,
+      detail: "Invalid email format",
+      instance: "/api/v1/admins",
+      code: "ADMIN.VALIDATION.FIELD_INVALID",
+      requestId: "req-1",
+      field: "email",
+      rule: "email-format",
+    });
+  });
+
+  it("should derive the type from the code and skip unset fields", () => {
+    const error = new BusinessLogicError("Email already registered", {
+      businessRule: "unique-email",
+      httpStatus: HTTP_STATUS.CONFLICT,
+    });
+
+    expect(
+      problemOf(error, { typeBaseUri: "https://errors.example.com/" })
+    ).to.deep.equal({
+      type: "https://errors.example.com/ADMIN.BUSINESS.RULE_VIOLATED",
+      title: "Conflict",
+      status: 409,
+      detail: "Email already registered",
+      code: "ADMIN.BUSINESS.RULE_VIOLATED",
+      businessRule: "unique-email",
+    });
+  });
+
+  it("should leave out detail and extensions of hidden errors", () => {
+    expect(
+      problemOf(new ConfigurationError("DB password missing"), {
+        requestId: "req-1",
+      })
+    ).to.deep.equal({
+      type: "about:blank",
+      title: "Internal Server Error",
+      status: 500,
+      code: "ADMIN.CONFIGURATION.INVALID",
+      requestId: "req-1",
+    });
+  });
+
+  it("should validate the configured response format", () => {
+    expect(resolveErrorResponseFormat("legacy")).to.equal("legacy");
+    expect(() => resolveErrorResponseFormat("xml")).to.throw(
+      ConfigurationError
+    );
+  });
+});
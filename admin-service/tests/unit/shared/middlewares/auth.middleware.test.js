@@ -0,0 +1,53 @@
+import { describe, it, beforeEach, mock } from "node:test";
+
+import { expect } from "chai";
+
+import {
+  ConfigurationError,
+  UnauthorizedError,
+} from "../../../../src/shared/errors/index.js";
+import { createAdminAuthMiddleware } from "../../../../src/shared/middlewares/auth.middleware.js";
+
+/**
+ * Admin Auth Middleware Tests
+ *
+ * Architecture: API Layer Middleware (Access Control Testing)
+ * Scope: Bearer token validation for operational admin routes
+ */
+describe("Admin Auth Middleware", () => {
+  const token = "s3cret-admin-token";
+  let authenticate;
+  let res;
+  let next;
+
+  beforeEach(() => {
+    authenticate = createAdminAuthMiddleware({ token });
+    res = { sendError: mock.fn() };
+    next = mock.fn();
+  });
+
+  it("should fail fast when no token is configured", () => {
+    expect(() => createAdminAuthMiddleware({})).to.throw(ConfigurationError);
+  });
+
+  it("should call next for a matching bearer token", () => {
+    authenticate({ headers: { authorization: `Bearer ${token}` } }, res, next);
+
+    expect(next.mock.callCount()).to.equal(1);
+    expect(res.sendError.mock.callCount()).to.equal(0);
+  });
+
+  for (const authorization of [undefined, "Bearer wrong", `Basic ${token}`]) {
+    it(`should respond 401 for authorization header ${authorization}`, () => {
+      authenticate({ headers: { authorization } }, res, next);
+
+      expect(next.mock.callCount()).to.equal(0);
+      const [error, status] = res.sendError.mock.calls[0].arguments;
+      expect(error).to.be.instanceOf(UnauthorizedError);
+      expect(status).to.equal(undefined);
+      expect(error.getResponseHeaders()).to.deep.equal({
+        "WWW-Authenticate": "Bearer",
+      });
+    });
+  }
+});
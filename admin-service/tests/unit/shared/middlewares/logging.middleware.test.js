@@ -0,0 +1,319 @@
+import { Writable } from "node:stream";
+import { describe, it, before, after, beforeEach, mock } from "node:test";
+
+import { expect } from "chai";
+import express from "express";
+import winston from "winston";
+
+import { logLevels } from "../../../../src/infrastructure/logging/logger-levels.js";
+import {
+  getRequestContext,
+  setRequestContext,
+} from "../../../../src/infrastructure/logging/logger-request-context.js";
+import { jsonFormat } from "../../../../src/infrastructure/logging/winston-logger-formats.js";
+import {
+  CORRELATION_ID_HEADER,
+  REQUEST_ID_HEADER,
+  createAccessLogMiddleware,
+  requestContextMiddleware,
+} from "../../../../src/shared/middlewares/logging.middleware.js";
+
+/**
+ * Logging Middleware Tests
+ *
+ * Architecture: API Layer Middleware (Request Processing Testing)
+ * Scope: Request context creation, ID propagation and header echoing
+ */
+describe("Logging Middleware", () => {
+  describe("requestContextMiddleware", () => {
+    let req;
+    let res;
+
+    beforeEach(() => {
+      req = { headers: {}, method: "GET", path: "/api/v1/admins/42" };
+      res = { setHeader: mock.fn() };
+    });
+
+    it("should generate request and correlation IDs", () => {
+      let context;
+      requestContextMiddleware(req, res, () => {
+        context = { ...getRequestContext() };
+      });
+
+      expect(context.requestId).to.be.a("string").with.length(36);
+      expect(context.correlationId).to.equal(context.requestId);
+      expect(context.method).to.equal("GET");
+      expect(req.requestId).to.equal(context.requestId);
+    });
+
+    it("should reuse safe incoming IDs", () => {
+      req.headers[REQUEST_ID_HEADER] = "edge-req-1";
+      req.headers[CORRELATION_ID_HEADER] = "flow-9";
+
+      let context;
+      requestContextMiddleware(req, res, () => {
+        context = { ...getRequestContext() };
+      });
+
+      expect(context.requestId).to.equal("edge-req-1");
+      expect(context.correlationId).to.equal("flow-9");
+    });
+
+    it("should ignore unsafe incoming IDs", () => {
+      req.headers[REQUEST_ID_HEADER] = "bad id\nwith newline";
+
+      let context;
+      requestContextMiddleware(req, res, () => {
+        context = { ...getRequestContext() };
+      });
+
+      expect(context.requestId).to.not.equal(req.headers[REQUEST_ID_HEADER]);
+    });
+
+    it("should echo both IDs on the response", () => {
+      requestContextMiddleware(req, res, () => {});
+
+      const headers = Object.fromEntries(
+        res.setHeader.mock.calls.map((call) => call.arguments)
+      );
+      expect(headers[REQUEST_ID_HEADER]).to.equal(req.requestId);
+      expect(headers[CORRELATION_ID_HEADER]).to.equal(req.correlationId);
+    });
+
+    it("should resolve the route template once routing has matched", () => {
+      let before;
+      let after;
+      requestContextMiddleware(req, res, () => {
+        before = getRequestContext().route;
+        req.baseUrl = "/api/v1/admins";
+        req.route = { path: "/:id" };
+        after = getRequestContext().route;
+      });
+
+      expect(before).to.equal("/api/v1/admins/42");
+      expect(after).to.equal("/api/v1/admins/:id");
+    });
+
+    it("should accept identity fields added later in the chain", async () => {
+      let context;
+      requestContextMiddleware(req, res, async () => {
+        await Promise.resolve();
+        setRequestContext({ adminId: "admin-7" });
+        context = { ...getRequestContext() };
+      });
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(context.adminId).to.equal("admin-7");
+    });
+  });
+
+  describe("createAccessLogMiddleware", () => {
+    let server;
+    let baseUrl;
+    let logger;
+    let accessLogOptions;
+
+    before(async () => {
+      const app = express();
+      app.use(express.json());
+      app.use(requestContextMiddleware);
+      app.use((req, res, next) =>
+        createAccessLogMiddleware({ logger, ...accessLogOptions })(req, res, next)
+      );
+      app.post("/api/v1/admins/:id", (req, res) => {
+        res.setHeader("set-cookie", "session=abc");
+        res.status(201).json({ id: req.params.id, token: "t0k3n" });
+      });
+      app.get("/api/v1/health", (req, res) => res.json({ status: "ok" }));
+      app.get("/api/v1/broken", (req, res) => res.status(503).send("down"));
+
+      await new Promise((resolve) => {
+        server = app.listen(0, "127.0.0.1", resolve);
+      });
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise((resolve) => server.close(resolve)));
+
+    beforeEach(() => {
+      logger = { http: mock.fn() };
+      accessLogOptions = {};
+    });
+
+    // Entries are written on "finish", which may fire after the client got the response
+    const request = async (path, init) => {
+      const response = await fetch(`${baseUrl}${path}`, init);
+      await response.text();
+      await new Promise((resolve) => setImmediate(resolve));
+      return response;
+    };
+
+    it("should log one structured http entry per request", async () => {
+      const body = JSON.stringify({ name: "Ada", password: "hunter2" });
+      await request("/api/v1/admins/42", {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          "user-agent": "access-log-test",
+          authorization: "Bearer secret",
+        },
+        body,
+      });
+
+      expect(logger.http.mock.callCount()).to.equal(1);
+      const [message, meta] = logger.http.mock.calls[0].arguments;
+      expect(message).to.equal("POST /api/v1/admins/:id 201");
+      expect(meta).to.include({
+        method: "POST",
+        route: "/api/v1/admins/:id",
+        path: "/api/v1/admins/42",
+        statusCode: 201,
+        requestBytes: Buffer.byteLength(body),
+        userAgent: "access-log-test",
+      });
+      expect(meta.requestId).to.be.a("string");
+      expect(meta.durationMs).to.be.a("number").that.is.at.least(0);
+      expect(meta.responseBytes).to.equal(
+        Buffer.byteLength(JSON.stringify({ id: "42", token: "t0k3n" }))
+      );
+      expect(meta.remoteAddress).to.include("127.0.0.1");
+      expect(meta.requestHeaders.authorization).to.equal("***REDACTED***");
+      expect(meta.responseHeaders["set-cookie"]).to.equal("***REDACTED***");
+      expect(meta).to.not.have.property("requestBody");
+    });
+
+    it("should include sanitized bodies when enabled", async () => {
+      accessLogOptions = { logBodies: true };
+      await request("/api/v1/admins/7", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ name: "Ada", password: "hunter2" }),
+      });
+
+      const [, meta] = logger.http.mock.calls[0].arguments;
+      expect(meta.requestBody).to.deep.equal({
+        name: "Ada",
+        password: "***REDACTED***",
+      });
+      expect(meta.responseBody).to.deep.equal({
+        id: "7",
+        token: "***REDACTED***",
+      });
+    });
+
+    it("should skip matching routes but always log 5xx", async () => {
+      accessLogOptions = {
+        routes: [{ path: /\/health$|\/broken$/, skip: true }],
+      };
+
+      await request("/api/v1/health");
+      await request("/api/v1/broken");
+
+      expect(logger.http.mock.callCount()).to.equal(1);
+      expect(logger.http.mock.calls[0].arguments[1].statusCode).to.equal(503);
+    });
+
+    it("should sample successful requests only", async () => {
+      accessLogOptions = { sampleRate: 0.25, random: () => 0.5 };
+
+      await request("/api/v1/health");
+      await request("/api/v1/missing");
+
+      expect(logger.http.mock.callCount()).to.equal(1);
+      expect(logger.http.mock.calls[0].arguments[1].statusCode).to.equal(404);
+    });
+
+    it("should let route rules override the sample rate", async () => {
+      accessLogOptions = {
+        sampleRate: 0,
+        routes: [{ path: "/api/v1/admins/:id", sampleRate: 1 }],
+      };
+
+      await request("/api/v1/admins/1", { method: "POST" });
+      await request("/api/v1/health");
+
+      expect(logger.http.mock.callCount()).to.equal(1);
+    });
+
+    describe("through the Winston and Pino adapters", () => {
+      let PinoLoggerAdapter;
+      let createPinoLogger;
+      let WinstonLoggerAdapter;
+
+      before(async () => {
+        // Adapters read logger config on import
+        process.env.LOGGER_CONFIGS_ADAPTER ??= "winston";
+        process.env.LOGGER_CONFIGS_LOG_LEVEL ??= "info";
+        process.env.LOGGER_CONFIGS_STORE_LOGS ??= "false";
+        process.env.LOGGER_CONFIGS_LOG_TO_CONSOLE ??= "false";
+        ({ PinoLoggerAdapter, createPinoLogger } =
+          await import("../../../../src/infrastructure/logging/pino-logger.adapter.js"));
+        ({ WinstonLoggerAdapter } =
+          await import("../../../../src/infrastructure/logging/winston-logger.adapter.js"));
+      });
+
+      const capture = () => {
+        const lines = [];
+        const stream = new Writable({
+          write(chunk, encoding, callback) {
+            lines.push(chunk.toString());
+            callback();
+          },
+        });
+        return { lines, stream };
+      };
+
+      // Both adapters as production builds them, writing JSON lines at `level`
+      const useBothAdapters = (level) => {
+        const pinoOutput = capture();
+        const winstonOutput = capture();
+        const pinoAdapter = new PinoLoggerAdapter(
+          createPinoLogger(pinoOutput.stream)
+        );
+        const winstonAdapter = new WinstonLoggerAdapter(
+          winston.createLogger({
+            levels: logLevels,
+            transports: [
+              new winston.transports.Stream({
+                stream: winstonOutput.stream,
+                format: jsonFormat,
+              }),
+            ],
+          })
+        );
+        pinoAdapter.setLevel(level);
+        winstonAdapter.setLevel(level);
+        logger = {
+          http: (message, meta) => {
+            pinoAdapter.http(message, meta);
+            winstonAdapter.http(message, meta);
+          },
+        };
+        return { pinoOutput, winstonOutput };
+      };
+
+      it("should write the same entry at the http level", async () => {
+        const { pinoOutput, winstonOutput } = useBothAdapters("http");
+
+        await request("/api/v1/health", { headers: { "user-agent": "probe" } });
+
+        const [pinoEntry] = pinoOutput.lines.map(JSON.parse);
+        const [winstonEntry] = winstonOutput.lines.map(JSON.parse);
+        expect(pinoEntry).to.include({ level: "http", userAgent: "probe" });
+        expect({ ...pinoEntry, timestamp: null }).to.deep.equal({
+          ...winstonEntry,
+          timestamp: null,
+        });
+      });
+
+      it("should drop the entry in both above the http level", async () => {
+        const { pinoOutput, winstonOutput } = useBothAdapters("info");
+
+        await request("/api/v1/health");
+
+        expect(pinoOutput.lines).to.be.empty;
+        expect(winstonOutput.lines).to.be.empty;
+      });
+    });
+  });
+});